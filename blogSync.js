@@ -56,6 +56,9 @@ import XLSX from "xlsx";
 import fs from "fs";
 import path from "path";
 import { sanitizeMetafieldsForShopify } from "./utils.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
 
 /**
  * CONFIG
@@ -101,25 +104,9 @@ function getTimestampForFilename() {
     `${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`
   );
 }
-async function fetchProductGidByHandle(productHandle) {
-  const query = `#graphql
-  query GetProductByHandle($handle: String!) {
-    productByHandle(handle: $handle) {
-      id
-    }
-  }`;
-
-  const variables = { handle: productHandle };
 
-  const response = await graphqlRequest(
-    TARGET_GQL,
-    TARGET_ACCESS_TOKEN,
-    query,
-    variables,
-    "fetchProductGid"
-  );
-  return response.productByHandle ? response.productByHandle.id : null;
-}
+// Reference metafields (product handles, SKUs, file URLs, "type.handle") → TARGET GIDs
+const referenceResolver = createReferenceResolver();
 
 function ensureDir(dirPath) {
   if (!fs.existsSync(dirPath)) fs.mkdirSync(dirPath, { recursive: true });
@@ -430,45 +417,6 @@ async function applyCommentStatusFromSheet(commentNumericId, desiredStatus) {
   // }
 }
 
-/**
- * GRAPHQL
- */
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const text = await res.text();
-  let json;
-  try {
-    json = text ? JSON.parse(text) : {};
-  } catch (e) {
-    console.error(`❌ Invalid JSON (${label}):`, text.slice(0, 1200));
-    throw new Error("Invalid JSON");
-  }
-
-  if (!res.ok) {
-    console.error(`❌ HTTP ${res.status} (${label})`);
-    console.error(text.slice(0, 2000));
-    throw new Error(`HTTP ${res.status}`);
-  }
-
-  if (json.errors?.length) {
-    console.error(
-      `❌ GraphQL errors (${label}):`,
-      JSON.stringify(json.errors, null, 2)
-    );
-    throw new Error("GraphQL error");
-  }
-
-  return json.data;
-}
-
 const BLOGS_PAGE_QUERY = `#graphql
 query BlogsPage($first: Int!, $after: String) {
   blogs(first: $first, after: $after) {
@@ -899,20 +847,6 @@ async function buildArticleInputFromRow(row, detectedMetafields, blogId) {
     if (isEmpty(raw)) continue;
 
     let value = String(raw);
-    if (mf.type === "list.product_reference") {
-      // If it's a product_reference metafield, we need to fetch the GID by handle
-      const productHandles = String(raw).split(","); // Split the list of product handles
-      const productGids = await Promise.all(
-        productHandles.map((handle) => fetchProductGidByHandle(handle.trim()))
-      );
-
-      // If we have valid GIDs, assign them to the value
-      value = productGids.filter((gid) => gid != null); // Filter out any null GIDs if they weren't found
-      if (value.length === 0) {
-        console.warn(`No valid product GIDs found for handles: ${productHandles}`);
-        continue; // If no valid GIDs, skip this metafield
-      }
-    }
 
     if (mf.type === "boolean") {
       const b = toBool(raw);
@@ -924,15 +858,15 @@ async function buildArticleInputFromRow(row, detectedMetafields, blogId) {
       namespace: mf.namespace,
       key: mf.key,
       type: mf.type,
-      value: typeof value === "object" ? JSON.stringify(value) : value,
+      value,
     });
   }
 
-  const safeMetafields = sanitizeMetafieldsForShopify({
-    metafields,
-    ownerLabel: "ARTICLE",
-    entityLabel: `${row["Blog: Handle"] || "blog"}::${row["Handle"] || row["Title"] || "row"}`,
-  });
+  const entityLabel = `${row["Blog: Handle"] || "blog"}::${row["Handle"] || row["Title"] || "row"}`;
+  const safeMetafields = await referenceResolver.resolveMetafields(
+    sanitizeMetafieldsForShopify({ metafields, ownerLabel: "ARTICLE", entityLabel }),
+    { ownerLabel: "ARTICLE", entityLabel }
+  );
 
   if (safeMetafields.length) input.metafields = safeMetafields;
 
@@ -1051,6 +985,7 @@ export async function syncBlogsAndArticles(req, res) {
   let skippedArticles = 0; // kept as-is (not removed)
   let failed = 0;
   let updatedArticles = 0; // ✅ NEW counter added (does not remove anything)
+  reportProgress(req, { total: topRows.length });
 
   for (let i = 0; i < topRows.length; i++) {
     const row = topRows[i];
@@ -1064,6 +999,13 @@ export async function syncBlogsAndArticles(req, res) {
 
     const label = `#${i + 1} blog=${blogHandleRaw || "n/a"} article=${articleHandle || articleTitle || "n/a"}`;
     console.log(`\n➡️  Processing ${label}`);
+    reportProgress(req, {
+      processed: i,
+      succeeded: createdArticles + updatedArticles,
+      skipped: skippedArticles,
+      failed,
+      currentRow: label,
+    });
 
     const baseReportRow = { ...row };
 
@@ -1276,6 +1218,13 @@ export async function syncBlogsAndArticles(req, res) {
     await delay(650);
   }
 
+  reportProgress(req, {
+    processed: topRows.length,
+    succeeded: createdArticles + updatedArticles,
+    skipped: skippedArticles,
+    failed,
+  });
+
   console.log("\n📊 Blog + Article sync completed.");
   console.log(`   ✅ Blogs created:    ${createdBlogs}`);
   console.log(`   ✅ Articles created: ${createdArticles}`);
@@ -0,0 +1,1157 @@
+// catalogSync.js
+// B2B catalogs → TARGET: the catalog, its publication (which products / collections buyers
+// see), its price list (percentage adjustment, fixed prices, volume price breaks) and
+// quantity rules, then the company locations it applies to. From SOURCE_SHOP or a sheet.
+// Catalogs are matched on TARGET by title, variants by SKU (then product handle + title),
+// and company locations through the company's external ID, which companyAndCustomerSync
+// sets to the SOURCE external ID (or SOURCE company GID). Extra prices / rules already on
+// a TARGET price list are left alone, and so are locations already in a TARGET catalog:
+// assignments are only ever added, never removed.
+
+import dotenv from "dotenv";
+import XLSX from "xlsx";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
+import { isDryRun, createDryRunReport } from "./dryRun.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+
+dotenv.config();
+
+/**
+ * CONFIG
+ */
+const API_VERSION = process.env.API_VERSION || "2025-10";
+
+const SOURCE_SHOP = process.env.SOURCE_SHOP;
+const SOURCE_ACCESS_TOKEN = process.env.SOURCE_ACCESS_TOKEN;
+
+const TARGET_SHOP = process.env.TARGET_SHOP;
+const TARGET_ACCESS_TOKEN = process.env.TARGET_ACCESS_TOKEN;
+
+const SOURCE_GQL = `https://${SOURCE_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+
+// Variants per quantityPricingByVariantUpdate call (a variant's price, rule and breaks go together)
+const PRICING_BATCH = 100;
+
+// Products / collections per publicationUpdate call
+const PUBLISHABLES_BATCH = 50;
+
+/**
+ * GRAPHQL
+ */
+const CATALOG_FIELDS = `
+  fragment CatalogFields on Catalog {
+    id
+    title
+    status
+    publication {
+      id
+      autoPublish
+    }
+    priceList {
+      id
+      name
+      currency
+      parent {
+        adjustment {
+          type
+          value
+        }
+        settings {
+          compareAtMode
+        }
+      }
+    }
+  }
+`;
+
+const QUERY_CATALOGS = `
+  ${CATALOG_FIELDS}
+  query CompanyLocationCatalogs($cursor: String) {
+    catalogs(first: 50, after: $cursor, type: COMPANY_LOCATION) {
+      nodes {
+        ...CatalogFields
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const QUERY_CATALOG = `
+  ${CATALOG_FIELDS}
+  query Catalog($id: ID!) {
+    catalog(id: $id) {
+      ...CatalogFields
+    }
+  }
+`;
+
+const QUERY_CATALOG_COMPANY_LOCATIONS = `
+  query CatalogCompanyLocations($id: ID!, $cursor: String) {
+    catalog(id: $id) {
+      ... on CompanyLocationCatalog {
+        companyLocations(first: 250, after: $cursor) {
+          nodes {
+            id
+            name
+            externalId
+            company {
+              id
+              name
+              externalId
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }
+`;
+
+const QUERY_COMPANY_LOCATION_CATALOGS = `
+  query CompanyLocationCatalogIds($id: ID!) {
+    companyLocation(id: $id) {
+      catalogs(first: 50) {
+        nodes {
+          id
+          title
+        }
+      }
+    }
+  }
+`;
+
+const QUERY_PRICE_LIST_PRICES = `
+  query PriceListFixedPrices($id: ID!, $cursor: String) {
+    priceList(id: $id) {
+      prices(first: 50, after: $cursor, originType: FIXED) {
+        nodes {
+          variant { id }
+          price { amount currencyCode }
+          compareAtPrice { amount currencyCode }
+          quantityPriceBreaks(first: 10) {
+            nodes {
+              minimumQuantity
+              price { amount currencyCode }
+            }
+            pageInfo {
+              hasNextPage
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const QUERY_PRICE_LIST_QUANTITY_RULES = `
+  query PriceListQuantityRules($id: ID!, $cursor: String) {
+    priceList(id: $id) {
+      quantityRules(first: 250, after: $cursor, originType: FIXED) {
+        nodes {
+          minimum
+          maximum
+          increment
+          productVariant { id }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const QUERY_PUBLICATION_PRODUCTS = `
+  query PublicationProducts($id: ID!, $cursor: String) {
+    publication(id: $id) {
+      includedProducts(first: 250, after: $cursor) {
+        nodes { id }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const QUERY_PUBLICATION_COLLECTIONS = `
+  query PublicationCollections($id: ID!, $cursor: String) {
+    publication(id: $id) {
+      collections(first: 250, after: $cursor) {
+        nodes { id }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const QUERY_TARGET_COMPANY_LOCATIONS = `
+  query CompanyLocationsForCatalogs($query: String!) {
+    companies(first: 1, query: $query) {
+      nodes {
+        id
+        name
+        locations(first: 250) {
+          nodes {
+            id
+            name
+            externalId
+          }
+        }
+      }
+    }
+  }
+`;
+
+const MUTATION_CATALOG_CREATE = `
+  mutation CatalogCreate($input: CatalogCreateInput!) {
+    catalogCreate(input: $input) {
+      catalog { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_CATALOG_UPDATE = `
+  mutation CatalogUpdate($id: ID!, $input: CatalogUpdateInput!) {
+    catalogUpdate(id: $id, input: $input) {
+      catalog { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_CATALOG_CONTEXT_UPDATE = `
+  mutation CatalogContextUpdate($catalogId: ID!, $contextsToAdd: CatalogContextInput) {
+    catalogContextUpdate(catalogId: $catalogId, contextsToAdd: $contextsToAdd) {
+      catalog { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_PRICE_LIST_CREATE = `
+  mutation PriceListCreate($input: PriceListCreateInput!) {
+    priceListCreate(input: $input) {
+      priceList { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_PRICE_LIST_UPDATE = `
+  mutation PriceListUpdate($id: ID!, $input: PriceListUpdateInput!) {
+    priceListUpdate(id: $id, input: $input) {
+      priceList { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_PUBLICATION_CREATE = `
+  mutation PublicationCreate($input: PublicationCreateInput!) {
+    publicationCreate(input: $input) {
+      publication { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_PUBLICATION_UPDATE = `
+  mutation PublicationUpdate($id: ID!, $input: PublicationUpdateInput!) {
+    publicationUpdate(id: $id, input: $input) {
+      publication { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_QUANTITY_PRICING_UPDATE = `
+  mutation QuantityPricingByVariantUpdate($priceListId: ID!, $input: QuantityPricingByVariantUpdateInput!) {
+    quantityPricingByVariantUpdate(priceListId: $priceListId, input: $input) {
+      productVariants { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Helpers
+ */
+function isEmpty(v) {
+  return v === null || v === undefined || String(v).trim() === "";
+}
+
+function chunk(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+function assertNoUserErrors(payload, label) {
+  const errors = payload?.userErrors || [];
+  if (errors.length) {
+    throw new Error(`${label}: ${errors.map((e) => `${(e.field || []).join(".")}: ${e.message}`).join(" | ")}`);
+  }
+}
+
+function loadRows(fileBuffer) {
+  const wb = XLSX.read(fileBuffer, { type: "buffer" });
+  const sheetName = wb.SheetNames.find((n) => n.toLowerCase() === "catalogs") || wb.SheetNames[0];
+  return XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { defval: null });
+}
+
+async function fetchAllPages(endpoint, token, query, variables, pick, label) {
+  const nodes = [];
+  let cursor = null;
+
+  do {
+    const data = await graphqlRequest(endpoint, token, query, { ...variables, cursor }, label);
+    const conn = pick(data);
+    if (!conn) break;
+
+    nodes.push(...(conn.nodes || []));
+    cursor = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return nodes;
+}
+
+/**
+ * Resolve SOURCE GIDs of one reference type to TARGET GIDs (Map source → target).
+ * The list call loads all SOURCE records in bulk; the per-id calls then hit the resolver's caches.
+ */
+async function resolveSourceIds(ctx, type, sourceIds, label) {
+  const out = new Map();
+  for (const ids of chunk(sourceIds, 250)) {
+    await ctx.resolver.resolveValue(`list.${type}`, JSON.stringify(ids), { label });
+    for (const id of ids) {
+      const targetId = await ctx.resolver.resolveValue(type, id, { label });
+      if (targetId) out.set(id, targetId);
+    }
+  }
+  return out;
+}
+
+/**
+ * TARGET company location for a company (external ID or name) + location (external ID or name).
+ * A company with a single location matches it even without location keys.
+ */
+async function findTargetCompanyLocation(ctx, { companyExternalId, companyName, locationExternalId, locationName }) {
+  const companyQuery = companyExternalId
+    ? `external_id:"${companyExternalId}"`
+    : companyName
+      ? `name:"${companyName}"`
+      : null;
+  if (!companyQuery) return null;
+
+  if (!ctx.targetCompanies.has(companyQuery)) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      QUERY_TARGET_COMPANY_LOCATIONS,
+      { query: companyQuery },
+      "CompanyLocationsForCatalogs(TARGET)"
+    );
+    const company = data?.companies?.nodes?.[0] || null;
+    if (!company) return null;
+    ctx.targetCompanies.set(companyQuery, company);
+  }
+
+  const locations = ctx.targetCompanies.get(companyQuery).locations?.nodes || [];
+  const match =
+    (locationExternalId && locations.find((l) => String(l.externalId || "").trim() === String(locationExternalId).trim())) ||
+    (locationName && locations.find((l) => String(l.name || "").trim() === String(locationName).trim())) ||
+    (!locationExternalId && !locationName && locations.length === 1 ? locations[0] : null);
+
+  return match?.id || null;
+}
+
+async function loadTargetCatalogs(ctx) {
+  const catalogs = await fetchAllPages(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    QUERY_CATALOGS,
+    {},
+    (d) => d?.catalogs,
+    "CompanyLocationCatalogs(TARGET)"
+  );
+  ctx.targetCatalogs = new Map(catalogs.map((c) => [c.title, c]));
+  ctx.targetCatalogsLoaded = true;
+}
+
+function createContext(dryRunReport) {
+  return {
+    dryRunReport,
+    resolver: createReferenceResolver(),
+    targetCatalogs: new Map(), // title → TARGET catalog
+    targetCatalogsLoaded: false,
+    targetCompanies: new Map(), // companies search → TARGET company with locations
+  };
+}
+
+/* ============================================
+   CATALOG MODEL → TARGET
+============================================ */
+
+/**
+ * Catalog model (both SOURCE and sheet paths build this):
+ * { title, status, priceList: { name, currency, adjustment, compareAtMode } | null,
+ *   publication: { autoPublish, productIds, collectionIds } | null,
+ *   prices: [{ variantId, price, compareAtPrice, breaks: [{ minimumQuantity, price }] }],
+ *   quantityRules: [{ variantId, minimum, maximum, increment }],
+ *   locationIds, unresolved, rows }
+ * All ids are TARGET GIDs.
+ */
+async function targetMutation(ctx, ref, mutation, variables, field, label) {
+  if (ctx.dryRunReport) {
+    ctx.dryRunReport.addInput(ref, field, variables);
+    return null;
+  }
+
+  const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, mutation, variables, label);
+  assertNoUserErrors(data?.[field], field);
+  return data?.[field];
+}
+
+function priceListParentInput(priceList) {
+  return {
+    // Every price list needs a parent adjustment; 0% keeps the base price
+    adjustment: priceList.adjustment || { type: "PERCENTAGE_DECREASE", value: 0 },
+    ...(priceList.compareAtMode ? { settings: { compareAtMode: priceList.compareAtMode } } : {}),
+  };
+}
+
+/**
+ * Fixed prices, price breaks and quantity rules, grouped per variant so a variant's
+ * breaks are always sent together with its fixed price.
+ */
+function buildPricingBatches(model) {
+  const byVariant = new Map();
+  const entryFor = (variantId) => {
+    if (!byVariant.has(variantId)) byVariant.set(variantId, { price: null, rule: null });
+    return byVariant.get(variantId);
+  };
+
+  for (const p of model.prices) entryFor(p.variantId).price = p;
+  for (const r of model.quantityRules) entryFor(r.variantId).rule = r;
+
+  return chunk([...byVariant.entries()], PRICING_BATCH).map((entries) => {
+    const input = {
+      pricesToAdd: [],
+      pricesToDeleteByVariantId: [],
+      quantityRulesToAdd: [],
+      quantityRulesToDeleteByVariantId: [],
+      quantityPriceBreaksToAdd: [],
+      quantityPriceBreaksToDelete: [],
+      // Breaks are replaced, not merged, so a rerun doesn't trip over existing minimums
+      quantityPriceBreaksToDeleteByVariantId: [],
+    };
+
+    for (const [variantId, { price, rule }] of entries) {
+      if (price) {
+        input.pricesToAdd.push({
+          variantId,
+          price: price.price,
+          ...(price.compareAtPrice ? { compareAtPrice: price.compareAtPrice } : {}),
+        });
+        if (price.breaks.length) {
+          input.quantityPriceBreaksToDeleteByVariantId.push(variantId);
+          for (const b of price.breaks) {
+            input.quantityPriceBreaksToAdd.push({ variantId, minimumQuantity: b.minimumQuantity, price: b.price });
+          }
+        }
+      }
+      if (rule) {
+        input.quantityRulesToAdd.push({
+          variantId,
+          minimum: rule.minimum,
+          increment: rule.increment,
+          ...(rule.maximum != null ? { maximum: rule.maximum } : {}),
+        });
+      }
+    }
+
+    return input;
+  });
+}
+
+/**
+ * Create or update one catalog on TARGET. Returns { catalogId, action }.
+ */
+async function applyCatalog(model, ctx) {
+  const ref = model.title;
+  const existing = ctx.targetCatalogs.get(model.title) || null;
+  let catalogId = existing?.id || null;
+  let action;
+
+  // 1) Catalog (+ company locations)
+  if (!existing) {
+    const payload = await targetMutation(
+      ctx,
+      ref,
+      MUTATION_CATALOG_CREATE,
+      {
+        input: {
+          title: model.title,
+          status: model.status || "ACTIVE",
+          context: { companyLocationIds: model.locationIds },
+        },
+      },
+      "catalogCreate",
+      "catalogCreate(TARGET)"
+    );
+    catalogId = payload?.catalog?.id || null;
+    action = "created";
+    if (catalogId) {
+      ctx.targetCatalogs.set(model.title, { id: catalogId, title: model.title, priceList: null, publication: null });
+    }
+  } else {
+    action = "updated";
+    if (model.status && model.status !== existing.status) {
+      await targetMutation(
+        ctx,
+        ref,
+        MUTATION_CATALOG_UPDATE,
+        { id: catalogId, input: { status: model.status } },
+        "catalogUpdate",
+        "catalogUpdate(TARGET)"
+      );
+    }
+    if (model.locationIds.length) {
+      await targetMutation(
+        ctx,
+        ref,
+        MUTATION_CATALOG_CONTEXT_UPDATE,
+        { catalogId, contextsToAdd: { companyLocationIds: model.locationIds } },
+        "catalogContextUpdate",
+        "catalogContextUpdate(TARGET)"
+      );
+    }
+  }
+
+  // In dry-run a new catalog has no id; the inputs below are still recorded
+  const catalogRef = catalogId || `(new catalog "${model.title}")`;
+
+  // 2) Price list
+  let priceListId = existing?.priceList?.id || null;
+  if (model.priceList) {
+    if (priceListId) {
+      await targetMutation(
+        ctx,
+        ref,
+        MUTATION_PRICE_LIST_UPDATE,
+        {
+          id: priceListId,
+          input: { currency: model.priceList.currency, parent: priceListParentInput(model.priceList) },
+        },
+        "priceListUpdate",
+        "priceListUpdate(TARGET)"
+      );
+    } else {
+      const payload = await targetMutation(
+        ctx,
+        ref,
+        MUTATION_PRICE_LIST_CREATE,
+        {
+          input: {
+            name: model.priceList.name || model.title,
+            currency: model.priceList.currency,
+            parent: priceListParentInput(model.priceList),
+            catalogId: catalogRef,
+          },
+        },
+        "priceListCreate",
+        "priceListCreate(TARGET)"
+      );
+      priceListId = payload?.priceList?.id || null;
+    }
+  }
+
+  // 3) Fixed prices, volume pricing, quantity rules
+  if (model.prices.length || model.quantityRules.length) {
+    if (!priceListId && !ctx.dryRunReport) {
+      throw new Error("Catalog has fixed prices / quantity rules but no price list");
+    }
+    for (const input of buildPricingBatches(model)) {
+      await targetMutation(
+        ctx,
+        ref,
+        MUTATION_QUANTITY_PRICING_UPDATE,
+        { priceListId: priceListId || `(new price list for "${model.title}")`, input },
+        "quantityPricingByVariantUpdate",
+        "quantityPricingByVariantUpdate(TARGET)"
+      );
+    }
+  }
+
+  // 4) Publication (what the catalog's buyers can see)
+  if (model.publication) {
+    let publicationId = existing?.publication?.id || null;
+    if (!publicationId) {
+      const payload = await targetMutation(
+        ctx,
+        ref,
+        MUTATION_PUBLICATION_CREATE,
+        { input: { catalogId: catalogRef, autoPublish: !!model.publication.autoPublish, defaultState: "EMPTY" } },
+        "publicationCreate",
+        "publicationCreate(TARGET)"
+      );
+      publicationId = payload?.publication?.id || null;
+    }
+
+    const publishables = [...model.publication.productIds, ...model.publication.collectionIds];
+    for (const ids of chunk(publishables, PUBLISHABLES_BATCH)) {
+      await targetMutation(
+        ctx,
+        ref,
+        MUTATION_PUBLICATION_UPDATE,
+        { id: publicationId || `(new publication for "${model.title}")`, input: { publishablesToAdd: ids } },
+        "publicationUpdate",
+        "publicationUpdate(TARGET)"
+      );
+    }
+  }
+
+  return { catalogId, action };
+}
+
+async function syncCatalogs(req, models, ctx, statusReport) {
+  const counts = { created: 0, updated: 0, failed: 0 };
+  reportProgress(req, { total: models.length });
+
+  for (const [i, model] of models.entries()) {
+    reportProgress(req, {
+      processed: i,
+      succeeded: counts.created + counts.updated,
+      failed: counts.failed,
+      currentRow: model.title,
+    });
+
+    for (const problem of model.unresolved) {
+      ctx.dryRunReport?.addProblem(model.title, "unresolved", problem);
+    }
+
+    try {
+      const { catalogId, action } = await applyCatalog(model, ctx);
+      counts[action]++;
+      console.log(
+        `   ✅ ${model.title}: ${action}${catalogId ? ` → ${catalogId}` : ""} ` +
+          `(${model.prices.length} price(s), ${model.quantityRules.length} rule(s), ${model.locationIds.length} location(s))`
+      );
+      statusReport.add(model.rows, {
+        status: REPORT_STATUS.SUCCESS,
+        action,
+        targetId: catalogId,
+        error: model.unresolved.length ? `Not on target: ${model.unresolved.join("; ")}` : "",
+      });
+    } catch (err) {
+      counts.failed++;
+      console.error(`   ❌ ${model.title}: ${err.message}`);
+      statusReport.add(model.rows, { status: REPORT_STATUS.FAILED, action: "sync", error: err });
+    }
+  }
+
+  reportProgress(req, {
+    processed: models.length,
+    succeeded: counts.created + counts.updated,
+    failed: counts.failed,
+  });
+
+  return counts;
+}
+
+function sendResult(res, { dryRunReport, counts, total, statusReport }) {
+  if (dryRunReport) {
+    return res.json(dryRunReport.result({ total }));
+  }
+
+  console.log("\n📊 Catalogs sync completed.");
+  console.log(`   🆕 Created: ${counts.created}`);
+  console.log(`   🔄 Updated: ${counts.updated}`);
+  console.log(`   ❌ Failed:  ${counts.failed}`);
+  statusReport.flush();
+  console.log(`   📄 Report:  ${statusReport.filePath}`);
+
+  return res.json({
+    ok: counts.failed === 0,
+    total,
+    createdCount: counts.created,
+    updatedCount: counts.updated,
+    failedCount: counts.failed,
+    reportPath: statusReport.filePath,
+    reportUrl: statusReport.downloadUrl,
+  });
+}
+
+/* ============================================
+   SOURCE STORE → TARGET
+============================================ */
+
+/**
+ * SOURCE catalog → model. `locationMap` (SOURCE location → TARGET location) is used
+ * when the caller already has it; other locations are matched via their company.
+ */
+async function buildCatalogFromSource(src, ctx, { locationMap = null, includeLocations = true } = {}) {
+  const label = `[CATALOG] ${src.title}`;
+  const unresolved = [];
+
+  // Company locations
+  const locationIds = new Set();
+  if (includeLocations) {
+    const srcLocations = await fetchAllPages(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_CATALOG_COMPANY_LOCATIONS,
+      { id: src.id },
+      (d) => d?.catalog?.companyLocations,
+      "CatalogCompanyLocations(SOURCE)"
+    );
+    for (const loc of srcLocations) {
+      const targetId =
+        locationMap?.get(loc.id) ||
+        (await findTargetCompanyLocation(ctx, {
+          companyExternalId: loc.company?.externalId || loc.company?.id,
+          locationExternalId: loc.externalId,
+          locationName: loc.name,
+        }));
+      if (targetId) locationIds.add(targetId);
+      else unresolved.push(`company location ${loc.company?.name || ""} / ${loc.name} (${loc.id})`);
+    }
+  }
+  if (locationMap) {
+    for (const targetId of locationMap.values()) locationIds.add(targetId);
+  }
+
+  // Price list: fixed prices (+ breaks) and quantity rules
+  const prices = [];
+  const quantityRules = [];
+  if (src.priceList) {
+    const srcPrices = await fetchAllPages(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_PRICE_LIST_PRICES,
+      { id: src.priceList.id },
+      (d) => d?.priceList?.prices,
+      "PriceListFixedPrices(SOURCE)"
+    );
+    const srcRules = await fetchAllPages(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_PRICE_LIST_QUANTITY_RULES,
+      { id: src.priceList.id },
+      (d) => d?.priceList?.quantityRules,
+      "PriceListQuantityRules(SOURCE)"
+    );
+
+    const variantIds = [
+      ...new Set([...srcPrices.map((p) => p.variant?.id), ...srcRules.map((r) => r.productVariant?.id)].filter(Boolean)),
+    ];
+    const variantMap = await resolveSourceIds(ctx, "variant_reference", variantIds, label);
+
+    for (const p of srcPrices) {
+      const variantId = variantMap.get(p.variant?.id);
+      if (!variantId) {
+        unresolved.push(`fixed price for variant ${p.variant?.id}`);
+        continue;
+      }
+      // More breaks than one page holds: replacing them with the first page would drop the rest
+      // on every run, so that variant's TARGET breaks are left alone
+      const breaksTruncated = !!p.quantityPriceBreaks?.pageInfo?.hasNextPage;
+      if (breaksTruncated) unresolved.push(`price breaks for variant ${p.variant?.id} (more than 10; left unchanged)`);
+      prices.push({
+        variantId,
+        price: p.price,
+        compareAtPrice: p.compareAtPrice || null,
+        breaks: breaksTruncated
+          ? []
+          : (p.quantityPriceBreaks?.nodes || []).map((b) => ({ minimumQuantity: b.minimumQuantity, price: b.price })),
+      });
+    }
+
+    for (const r of srcRules) {
+      const variantId = variantMap.get(r.productVariant?.id);
+      if (!variantId) {
+        unresolved.push(`quantity rule for variant ${r.productVariant?.id}`);
+        continue;
+      }
+      quantityRules.push({ variantId, minimum: r.minimum, maximum: r.maximum, increment: r.increment });
+    }
+  }
+
+  // Publication
+  let publication = null;
+  if (src.publication) {
+    const srcProducts = await fetchAllPages(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_PUBLICATION_PRODUCTS,
+      { id: src.publication.id },
+      (d) => d?.publication?.includedProducts,
+      "PublicationProducts(SOURCE)"
+    );
+    const srcCollections = await fetchAllPages(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_PUBLICATION_COLLECTIONS,
+      { id: src.publication.id },
+      (d) => d?.publication?.collections,
+      "PublicationCollections(SOURCE)"
+    );
+
+    const productMap = await resolveSourceIds(ctx, "product_reference", srcProducts.map((p) => p.id), label);
+    const collectionMap = await resolveSourceIds(ctx, "collection_reference", srcCollections.map((c) => c.id), label);
+    const missingProducts = srcProducts.length - productMap.size;
+    const missingCollections = srcCollections.length - collectionMap.size;
+    if (missingProducts) unresolved.push(`${missingProducts} published product(s)`);
+    if (missingCollections) unresolved.push(`${missingCollections} published collection(s)`);
+
+    publication = {
+      autoPublish: !!src.publication.autoPublish,
+      productIds: [...productMap.values()],
+      collectionIds: [...collectionMap.values()],
+    };
+  }
+
+  return {
+    title: src.title,
+    status: src.status || null,
+    priceList: src.priceList
+      ? {
+          name: src.priceList.name,
+          currency: src.priceList.currency,
+          adjustment: src.priceList.parent?.adjustment || null,
+          compareAtMode: src.priceList.parent?.settings?.compareAtMode || null,
+        }
+      : null,
+    publication,
+    prices,
+    quantityRules,
+    locationIds: [...locationIds],
+    unresolved,
+    rows: { Title: src.title, "Source GID": src.id },
+  };
+}
+
+/**
+ * Express handler: POST /catalogs-from-source
+ * - ?titles=a,b   only these catalogs (default: every company location catalog)
+ * - ?dryRun=true  record the inputs without writing
+ */
+export async function migrateCatalogsFromSource(req, res) {
+  try {
+    if (!SOURCE_SHOP || !SOURCE_ACCESS_TOKEN) {
+      return res.status(500).json({ error: "Missing env vars: SOURCE_SHOP, SOURCE_ACCESS_TOKEN" });
+    }
+
+    const onlyTitles = req.query?.titles
+      ? new Set(String(req.query.titles).split(",").map((t) => t.trim()).filter(Boolean))
+      : null;
+    const dryRunReport = isDryRun(req) ? createDryRunReport("catalogs") : null;
+    const ctx = createContext(dryRunReport);
+
+    console.log("🚀 Starting B2B catalogs sync (SOURCE → TARGET) ...");
+    if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent\n");
+
+    const sourceCatalogs = (
+      await fetchAllPages(
+        SOURCE_GQL,
+        SOURCE_ACCESS_TOKEN,
+        QUERY_CATALOGS,
+        {},
+        (d) => d?.catalogs,
+        "CompanyLocationCatalogs(SOURCE)"
+      )
+    ).filter((c) => !onlyTitles || onlyTitles.has(c.title));
+    console.log(`✅ ${sourceCatalogs.length} catalog(s) to sync`);
+
+    await loadTargetCatalogs(ctx);
+
+    const models = [];
+    for (const src of sourceCatalogs) {
+      console.log(`   📥 Reading ${src.title} ...`);
+      models.push(await buildCatalogFromSource(src, ctx));
+    }
+
+    const statusReport = createStatusReport("catalogs", { disabled: !!dryRunReport });
+    const counts = await syncCatalogs(req, models, ctx, statusReport);
+
+    return sendResult(res, { dryRunReport, counts, total: models.length, statusReport });
+  } catch (error) {
+    console.log("Error in migrateCatalogsFromSource:", error.message);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Context for syncCompanyLocationCatalogs: create one per company sync run so the
+ * TARGET catalogs are listed once, not once per company.
+ */
+export function createCompanyCatalogContext() {
+  return createContext(null);
+}
+
+/**
+ * Company sync hook: make sure every catalog of the SOURCE locations exists on TARGET
+ * and assign it to the matching TARGET locations (from upsertCompanyLocationsOnTargetFromSource).
+ * Catalogs already on TARGET only get the locations added; their prices are synced by
+ * /catalogs-from-source.
+ * Locations are only added: one dropped from a catalog on SOURCE stays in it on TARGET
+ * (TARGET assignments such as tier catalogs can't be told apart from migrated ones).
+ */
+export async function syncCompanyLocationCatalogs(
+  sourceLocationIdToTargetLocationId,
+  ctx = createCompanyCatalogContext()
+) {
+  if (!ctx.targetCatalogsLoaded) await loadTargetCatalogs(ctx);
+
+  // SOURCE catalog id → { catalog title, TARGET locations }
+  const catalogs = new Map();
+  for (const [sourceLocationId, targetLocationId] of sourceLocationIdToTargetLocationId) {
+    const data = await graphqlRequest(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_COMPANY_LOCATION_CATALOGS,
+      { id: sourceLocationId },
+      "CompanyLocationCatalogIds(SOURCE)"
+    );
+    for (const c of data?.companyLocation?.catalogs?.nodes || []) {
+      if (!catalogs.has(c.id)) catalogs.set(c.id, { title: c.title, locationMap: new Map() });
+      catalogs.get(c.id).locationMap.set(sourceLocationId, targetLocationId);
+    }
+  }
+
+  for (const [sourceCatalogId, { title, locationMap }] of catalogs) {
+    const locationIds = [...locationMap.values()];
+    const existing = ctx.targetCatalogs.get(title);
+
+    if (existing) {
+      await targetMutation(
+        ctx,
+        title,
+        MUTATION_CATALOG_CONTEXT_UPDATE,
+        { catalogId: existing.id, contextsToAdd: { companyLocationIds: locationIds } },
+        "catalogContextUpdate",
+        "catalogContextUpdate(TARGET)"
+      );
+      console.log(`📚 Catalog "${title}": assigned ${locationIds.length} location(s)`);
+      continue;
+    }
+
+    const data = await graphqlRequest(SOURCE_GQL, SOURCE_ACCESS_TOKEN, QUERY_CATALOG, { id: sourceCatalogId }, "Catalog(SOURCE)");
+    if (!data?.catalog) continue;
+
+    const model = await buildCatalogFromSource(data.catalog, ctx, { locationMap, includeLocations: false });
+    const { catalogId } = await applyCatalog(model, ctx);
+    console.log(`📚 Catalog "${title}": created on TARGET (${catalogId}) with ${locationIds.length} location(s)`);
+    if (model.unresolved.length) console.warn(`⚠️ Catalog "${title}" not on target: ${model.unresolved.join("; ")}`);
+  }
+}
+
+/* ============================================
+   SHEET → TARGET
+============================================ */
+
+/**
+ * "10:9.50; 50:8" → [{ minimumQuantity: 10, amount: "9.50" }, ...]
+ */
+export function parsePriceBreaks(value) {
+  if (isEmpty(value)) return [];
+  return String(value)
+    .split(/[;\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [qty = "", amount = ""] = part.split(":").map((v) => v.trim());
+      return { minimumQuantity: qty === "" ? NaN : Number(qty), amount };
+    })
+    // Quantities must be whole and positive; amounts must be plain non-negative numbers
+    .filter(
+      (b) =>
+        Number.isInteger(b.minimumQuantity) &&
+        b.minimumQuantity > 0 &&
+        /^\d+(\.\d+)?$/.test(b.amount)
+    );
+}
+
+function toInt(value) {
+  if (isEmpty(value)) return null;
+  const n = parseInt(String(value), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Group "Catalogs" sheet rows by "Title". Any row of a catalog may carry:
+ *  - Status, Price List: Name / Currency / Adjustment Type / Adjustment Value / Compare At Mode
+ *  - Company: External ID (or Company: Name) + Location: External ID / Location: Name → assignment
+ *  - Product: Handle → published in the catalog
+ *  - Variant: SKU + Variant: Fixed Price / Compare At Price / Price Breaks ("10:9.50; 50:8"),
+ *    Variant: Minimum Quantity / Maximum Quantity / Quantity Increment
+ */
+function groupSheetRows(rows) {
+  const byTitle = new Map();
+
+  for (const row of rows) {
+    const title = String(row["Title"] ?? "").trim();
+    if (!title) continue;
+
+    if (!byTitle.has(title)) byTitle.set(title, { title, rows: [] });
+    byTitle.get(title).rows.push(row);
+  }
+
+  return [...byTitle.values()];
+}
+
+function firstValue(rows, column) {
+  const row = rows.find((r) => !isEmpty(r[column]));
+  return row ? String(row[column]).trim() : null;
+}
+
+async function buildCatalogFromSheet({ title, rows }, ctx) {
+  const label = `[CATALOG] ${title}`;
+  const unresolved = [];
+
+  const currency = firstValue(rows, "Price List: Currency");
+  const adjustmentType = firstValue(rows, "Price List: Adjustment Type");
+  const adjustmentValue = firstValue(rows, "Price List: Adjustment Value");
+  const hasPricing = rows.some((r) => !isEmpty(r["Variant: Fixed Price"]) || !isEmpty(r["Variant: Minimum Quantity"]));
+
+  if (hasPricing && !currency) {
+    unresolved.push('fixed prices / quantity rules without "Price List: Currency" (skipped)');
+  }
+
+  const priceList = currency
+    ? {
+        name: firstValue(rows, "Price List: Name") || title,
+        currency: currency.toUpperCase(),
+        adjustment: adjustmentType
+          ? { type: adjustmentType.toUpperCase(), value: Number(adjustmentValue || 0) }
+          : null,
+        compareAtMode: firstValue(rows, "Price List: Compare At Mode")?.toUpperCase() || null,
+      }
+    : null;
+
+  const locationIds = new Set();
+  const productIds = new Set();
+  const prices = [];
+  const quantityRules = [];
+
+  for (const row of rows) {
+    const companyExternalId = isEmpty(row["Company: External ID"]) ? null : String(row["Company: External ID"]).trim();
+    const companyName = isEmpty(row["Company: Name"]) ? null : String(row["Company: Name"]).trim();
+    if (companyExternalId || companyName) {
+      const location = {
+        companyExternalId,
+        companyName,
+        locationExternalId: isEmpty(row["Location: External ID"]) ? null : String(row["Location: External ID"]).trim(),
+        locationName: isEmpty(row["Location: Name"]) ? null : String(row["Location: Name"]).trim(),
+      };
+      const targetId = await findTargetCompanyLocation(ctx, location);
+      if (targetId) locationIds.add(targetId);
+      else unresolved.push(`company location ${companyExternalId || companyName} / ${location.locationExternalId || location.locationName || "(only location)"}`);
+    }
+
+    const handle = isEmpty(row["Product: Handle"]) ? null : String(row["Product: Handle"]).trim();
+    if (handle) {
+      const productId = await ctx.resolver.resolveValue("product_reference", handle, { label });
+      if (productId) productIds.add(productId);
+      else unresolved.push(`product ${handle}`);
+    }
+
+    const sku = isEmpty(row["Variant: SKU"]) ? null : String(row["Variant: SKU"]).trim();
+    if (!sku || !priceList) continue;
+
+    const hasPrice = !isEmpty(row["Variant: Fixed Price"]);
+    const minimum = toInt(row["Variant: Minimum Quantity"]);
+    if (!hasPrice && minimum === null) continue;
+
+    const variantId = await ctx.resolver.resolveValue("variant_reference", sku, { label });
+    if (!variantId) {
+      unresolved.push(`variant ${sku}`);
+      continue;
+    }
+
+    const money = (amount) => ({ amount: String(amount).trim(), currencyCode: priceList.currency });
+    if (hasPrice) {
+      prices.push({
+        variantId,
+        price: money(row["Variant: Fixed Price"]),
+        compareAtPrice: isEmpty(row["Variant: Compare At Price"]) ? null : money(row["Variant: Compare At Price"]),
+        breaks: parsePriceBreaks(row["Variant: Price Breaks"]).map((b) => ({
+          minimumQuantity: b.minimumQuantity,
+          price: money(b.amount),
+        })),
+      });
+    }
+    if (minimum !== null) {
+      quantityRules.push({
+        variantId,
+        minimum,
+        maximum: toInt(row["Variant: Maximum Quantity"]),
+        increment: toInt(row["Variant: Quantity Increment"]) || 1,
+      });
+    }
+  }
+
+  return {
+    title,
+    status: firstValue(rows, "Status")?.toUpperCase() || null,
+    priceList,
+    publication: productIds.size ? { autoPublish: false, productIds: [...productIds], collectionIds: [] } : null,
+    prices,
+    quantityRules,
+    locationIds: [...locationIds],
+    unresolved,
+    rows,
+  };
+}
+
+/**
+ * Express handler: POST /catalogs (upload)
+ */
+export async function migrateCatalogsFromSheet(req, res) {
+  try {
+    const rows = loadRows(req.file.buffer);
+    const dryRunReport = isDryRun(req) ? createDryRunReport("catalogs") : null;
+    const ctx = createContext(dryRunReport);
+
+    console.log("🚀 Starting B2B catalogs import (Sheet → Shopify) ...");
+    if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent\n");
+
+    const groups = groupSheetRows(rows);
+    console.log(`✅ Parsed ${groups.length} catalog(s) from sheet`);
+
+    await loadTargetCatalogs(ctx);
+
+    const models = [];
+    for (const group of groups) {
+      models.push(await buildCatalogFromSheet(group, ctx));
+    }
+
+    const statusReport = createStatusReport("catalogs", { disabled: !!dryRunReport });
+    const counts = await syncCatalogs(req, models, ctx, statusReport);
+
+    return sendResult(res, { dryRunReport, counts, total: models.length, statusReport });
+  } catch (error) {
+    console.log("Error in migrateCatalogsFromSheet:", error.message);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -3,6 +3,16 @@
 // Node 18+ (uses global fetch)
 
 import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { graphqlRequest } from "./shopifyClient.js";
+import { openWatermark } from "./watermark.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+import {
+  resolveMetaobjectTypes,
+  fetchTargetMetaobjectIds,
+  mapDefinitionValidations,
+} from "./copyMetafieldDefs.js";
 dotenv.config();
 
 /**
@@ -25,131 +35,136 @@ const {
 const SOURCE_GQL = `https://${SOURCE_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 
+// Manual collections: also take products off TARGET that are no longer in the SOURCE collection
+const REMOVE_EXTRA_COLLECTION_PRODUCTS = !["false", "0", "no", "n"].includes(
+  String(process.env.COLLECTION_REMOVE_EXTRA_PRODUCTS ?? "true").trim().toLowerCase()
+);
+
 /**
  * GRAPHQL: your queries & mutations (collections query extended to also fetch app.handle)
  */
-const LIST_COLLECTIONS_QUERY = `
-  query MyQuery {
-    collections(first: 250) {
+const SOURCE_COLLECTION_FIELDS = `
+  fragment SourceCollectionFields on Collection {
+    descriptionHtml
+    handle
+    id
+    seo {
+      description
+      title
+    }
+    sortOrder
+    title
+    image {
+      url
+      altText
+    }
+    metafields(first: 250) {
       nodes {
-        descriptionHtml
-        handle
         id
-        seo {
-          description
-          title
-        }
-        sortOrder
-        title
-        metafields(first: 250) {
-          nodes {
-            id
-            key
-            jsonValue
-            namespace
-            ownerType
-            type
-            value
-            updatedAt
-          }
-        }
-        ruleSet {
-          appliedDisjunctively
-          rules {
-            column
-            condition
-            conditionObject {
-              ... on CollectionRuleCategoryCondition {
-                __typename
-                value {
-                  ancestorIds
-                  fullName
-                  id
-                  isArchived
-                  isLeaf
-                  isRoot
-                  level
-                  name
-                  parentId
-                  childrenIds
-                  attributes(first: 10) {
-                    nodes {
-                      ... on TaxonomyAttribute {
-                        id
-                      }
-                      ... on TaxonomyChoiceListAttribute {
-                        id
-                        name
-                      }
-                      ... on TaxonomyMeasurementAttribute {
-                        id
-                        name
-                        options {
-                          key
-                          value
-                        }
-                      }
-                    }
+        key
+        jsonValue
+        namespace
+        ownerType
+        type
+        value
+        updatedAt
+      }
+    }
+    ruleSet {
+      appliedDisjunctively
+      rules {
+        column
+        condition
+        conditionObject {
+          ... on CollectionRuleCategoryCondition {
+            __typename
+            value {
+              ancestorIds
+              fullName
+              id
+              isArchived
+              isLeaf
+              isRoot
+              level
+              name
+              parentId
+              childrenIds
+              attributes(first: 10) {
+                nodes {
+                  ... on TaxonomyAttribute {
+                    id
                   }
-                }
-              }
-              ... on CollectionRuleProductCategoryCondition {
-                __typename
-              }
-              ... on CollectionRuleMetafieldCondition {
-                __typename
-                metafieldDefinition {
-                  id
-                  key
-                  name
-                  ownerType
-                  namespace
-                  validationStatus
-                  useAsCollectionCondition
-                  type {
-                    category
+                  ... on TaxonomyChoiceListAttribute {
+                    id
                     name
                   }
+                  ... on TaxonomyMeasurementAttribute {
+                    id
+                    name
+                    options {
+                      key
+                      value
+                    }
+                  }
                 }
               }
-              ... on CollectionRuleTextCondition {
-                __typename
+            }
+          }
+          ... on CollectionRuleProductCategoryCondition {
+            __typename
+          }
+          ... on CollectionRuleMetafieldCondition {
+            __typename
+            metafieldDefinition {
+              id
+              key
+              name
+              ownerType
+              namespace
+              validationStatus
+              useAsCollectionCondition
+              type {
+                category
+                name
               }
             }
-            relation
+          }
+          ... on CollectionRuleTextCondition {
+            __typename
           }
         }
-        templateSuffix
-        resourcePublicationsV2(first: 250) {
-          nodes {
-            publication {
+        relation
+      }
+    }
+    templateSuffix
+    resourcePublicationsV2(first: 250) {
+      nodes {
+        publication {
+          id
+          catalog {
+            id
+            status
+            title
+            ... on AppCatalog {
               id
-              catalog {
-                id
-                status
-                title
-                ... on AppCatalog {
-                  id
-                  title
-                  status
-                }
-                ... on CompanyLocationCatalog {
-                  id
-                  status
-                  title
-                }
-                ... on MarketCatalog {
-                  id
-                  title
-                  status
-                }
-              }
-              app {
-                id
-                title
-                handle
-              }
+              title
+              status
             }
+            ... on CompanyLocationCatalog {
+              id
+              status
+              title
+            }
+            ... on MarketCatalog {
+              id
+              title
+              status
+            }
+          }
+          app {
+            id
+            title
+            handle
           }
         }
       }
@@ -157,6 +172,72 @@ const LIST_COLLECTIONS_QUERY = `
   }
 `;
 
+const LIST_COLLECTIONS_QUERY = `
+  query MyQuery($query: String, $cursor: String) {
+    collections(first: 250, query: $query, after: $cursor) {
+      nodes {
+        ...SourceCollectionFields
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${SOURCE_COLLECTION_FIELDS}
+`;
+
+// Single collection, same fields (webhook replays)
+const GET_COLLECTION_QUERY = `
+  query GetCollection($id: ID!) {
+    collection(id: $id) {
+      ...SourceCollectionFields
+    }
+  }
+  ${SOURCE_COLLECTION_FIELDS}
+`;
+
+// TARGET lookup by handle – ruleSet tells a smart collection from a manual one
+const COLLECTION_BY_HANDLE_QUERY = `
+  query CollectionByHandle($handle: String!) {
+    collectionByHandle(handle: $handle) {
+      id
+      handle
+      title
+      ruleSet {
+        appliedDisjunctively
+      }
+    }
+  }
+`;
+
+// Products of a collection, in the collection's order (used on SOURCE and TARGET)
+const COLLECTION_PRODUCTS_QUERY = `
+  query CollectionProducts($id: ID!, $cursor: String) {
+    collection(id: $id) {
+      products(first: 250, after: $cursor) {
+        nodes {
+          id
+          handle
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_BY_HANDLE_QUERY = `
+  query ProductByHandle($handle: String!) {
+    productByHandle(handle: $handle) {
+      id
+      handle
+    }
+  }
+`;
+
 const COLLECTION_CREATE_MUTATION = `
   mutation CollectionCreate($input: CollectionInput!) {
     collectionCreate(input: $input) {
@@ -176,6 +257,113 @@ const COLLECTION_CREATE_MUTATION = `
   }
 `;
 
+const COLLECTION_UPDATE_MUTATION = `
+  mutation CollectionUpdate($input: CollectionInput!) {
+    collectionUpdate(input: $input) {
+      userErrors {
+        field
+        message
+      }
+      collection {
+        id
+        title
+        image {
+          url
+          altText
+        }
+      }
+    }
+  }
+`;
+
+const COLLECTION_ADD_PRODUCTS_MUTATION = `
+  mutation CollectionAddProducts($id: ID!, $productIds: [ID!]!) {
+    collectionAddProducts(id: $id, productIds: $productIds) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const COLLECTION_REMOVE_PRODUCTS_MUTATION = `
+  mutation CollectionRemoveProducts($id: ID!, $productIds: [ID!]!) {
+    collectionRemoveProducts(id: $id, productIds: $productIds) {
+      job {
+        id
+        done
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Collection metafield definitions (used on SOURCE and TARGET)
+const COLLECTION_METAFIELD_DEFINITIONS_QUERY = `
+  query CollectionMetafieldDefinitions($cursor: String) {
+    metafieldDefinitions(first: 250, ownerType: COLLECTION, after: $cursor) {
+      nodes {
+        ownerType
+        namespace
+        key
+        name
+        description
+        pinnedPosition
+        type {
+          name
+        }
+        validations {
+          name
+          value
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const METAFIELD_DEFINITION_CREATE_MUTATION = `
+  mutation MetafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition {
+        id
+        namespace
+        key
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        namespace
+        key
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_SET_BATCH = 25;
+
 // Publications query (TARGET store) – match by app.handle, per your response
 const LIST_PUBLICATIONS_QUERY = `
   query MyQuery {
@@ -227,67 +415,32 @@ const PUBLISHABLE_PUBLISH_MUTATION = `
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
- * Basic GraphQL helper with logging & error handling
+ * Fetch collections from SOURCE (B2C) using your query
+ * - query: optional Shopify search filter (the updated_at watermark on delta runs)
  */
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-  const logPrefix = label ? `[${label}]` : "[GraphQL]";
+async function fetchSourceCollections(query = null) {
+  console.log(`ℹ️ Fetching collections from source store...${query ? ` (query: ${query})` : ""}`);
 
-  try {
-    const res = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": token,
-      },
-      body: JSON.stringify({ query, variables }),
-    });
+  const nodes = [];
+  let cursor = null;
 
-    if (!res.ok) {
-      const text = await res.text().catch(() => "");
-      console.error(
-        `${logPrefix} HTTP error: ${res.status} ${res.statusText} – ${text.slice(0, 500)}`
-      );
-      throw new Error(`HTTP ${res.status} when calling Shopify`);
-    }
+  do {
+    const data = await graphqlRequest(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      LIST_COLLECTIONS_QUERY,
+      { query, cursor },
+      "SOURCE"
+    );
 
-    const body = await res.json();
+    const conn = data?.collections;
+    if (!conn) break;
 
-    if (body.errors && body.errors.length > 0) {
-      console.error(`${logPrefix} GraphQL errors:`);
-      for (const err of body.errors) {
-        console.error("  -", JSON.stringify(err, null, 2));
-      }
-      throw new Error("GraphQL top-level errors encountered");
-    }
+    nodes.push(...(conn.nodes || []));
+    cursor = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (cursor);
 
-    if (!body.data) {
-      console.error(`${logPrefix} No data field in GraphQL response`, body);
-      throw new Error("Missing data in GraphQL response");
-    }
-
-    return body.data;
-  } catch (err) {
-    console.error(`${logPrefix} Request failed:`, err.message);
-    throw err;
-  }
-}
-
-/**
- * Fetch collections from SOURCE (B2C) using your query
- */
-async function fetchSourceCollections() {
-  console.log("ℹ️ Fetching collections from source store...");
-
-  const data = await graphqlRequest(
-    SOURCE_GQL,
-    SOURCE_ACCESS_TOKEN,
-    LIST_COLLECTIONS_QUERY,
-    {},
-    "SOURCE"
-  );
-
-  const nodes = data?.collections?.nodes || [];
-  console.log(`✅ Fetched ${nodes.length} collections from source (max 250).`);
+  console.log(`✅ Fetched ${nodes.length} collections from source.`);
 
   return nodes;
 }
@@ -337,9 +490,9 @@ async function fetchTargetPublications() {
  * Map source collection → CollectionInput for TARGET
  *
  * Notes:
- * - Images not copied (not present in query).
+ * - image: re-uploaded from the SOURCE CDN url.
  * - ruleSet: we only send scalar fields (column, relation, condition).
- * - metafields: use value (string) + type; skip reserved SEO metafields.
+ * - metafields: set separately after the upsert (mapCollectionMetafieldsForSet).
  */
 function mapCollectionToInput(src) {
   if (!src) throw new Error("Invalid collection node");
@@ -359,6 +512,13 @@ function mapCollectionToInput(src) {
     };
   }
 
+  if (src.image?.url) {
+    input.image = {
+      src: src.image.url,
+      altText: src.image.altText || null,
+    };
+  }
+
   if (src.ruleSet) {
     input.ruleSet = {
       appliedDisjunctively: src.ruleSet.appliedDisjunctively,
@@ -372,50 +532,193 @@ function mapCollectionToInput(src) {
     };
   }
 
-  if (Array.isArray(src.metafields?.nodes) && src.metafields.nodes.length > 0) {
-    const mappedMetafields = [];
+  // NOTE: Not setting products (invalid when ruleSet is present; manual membership is synced separately)
+  // NOTE: Not handling resourcePublicationsV2 here (publishing is separate)
 
-    for (const mf of src.metafields.nodes) {
-      if (!mf) continue;
+  return input;
+}
 
-      if (!mf.namespace || !mf.key || !mf.type) {
-        console.warn(
-          `⚠️ Skipping metafield on "${src.title}" due to missing namespace/key/type:`,
-          {
-            namespace: mf.namespace,
-            key: mf.key,
-            type: mf.type,
-          }
-        );
-        continue;
-      }
+/**
+ * Map source collection metafields → MetafieldsSetInput[] for the TARGET collection
+ *
+ * Notes:
+ * - value is sent as the source string, type as on SOURCE.
+ * - shopify / app-owned namespaces can't be written from here.
+ * - global.title_tag / description_tag are the SEO fields (sent through input.seo).
+ * - reference values are still SOURCE GIDs here (see setTargetCollectionMetafields).
+ */
+function mapCollectionMetafieldsForSet(src, ownerId) {
+  const mapped = [];
+
+  for (const mf of src.metafields?.nodes || []) {
+    if (!mf) continue;
+
+    if (!mf.namespace || !mf.key || !mf.type) {
+      console.warn(
+        `⚠️ Skipping metafield on "${src.title}" due to missing namespace/key/type:`,
+        {
+          namespace: mf.namespace,
+          key: mf.key,
+          type: mf.type,
+        }
+      );
+      continue;
+    }
 
-      // Skip problematic SEO metafields that caused conflicts
-      if (mf.namespace === "global" && (mf.key === "title_tag" || mf.key === "description_tag")) {
-        continue;
-      }
+    if (mf.namespace === "shopify" || mf.namespace.startsWith("app--")) continue;
+
+    // Skip problematic SEO metafields that caused conflicts
+    if (mf.namespace === "global" && (mf.key === "title_tag" || mf.key === "description_tag")) {
+      continue;
+    }
 
+    mapped.push({
+      ownerId,
+      namespace: mf.namespace,
+      key: mf.key,
+      type: mf.type,
       // Shopify expects value as string; use mf.value as provided
-      const finalValue = String(mf.value ?? "");
+      value: String(mf.value ?? ""),
+    });
+  }
+
+  return mapped;
+}
+
+// Reference metafields (products, pages, metaobjects, files...) → TARGET GIDs
+const referenceResolver = createReferenceResolver();
 
-      mappedMetafields.push({
-        namespace: mf.namespace,
-        key: mf.key,
-        type: mf.type,
-        value: finalValue,
-      });
+/**
+ * Set the source collection's metafields on the TARGET collection
+ */
+async function setTargetCollectionMetafields(src, targetCollectionId) {
+  const metafields = await referenceResolver.resolveMetafields(
+    mapCollectionMetafieldsForSet(src, targetCollectionId),
+    { ownerLabel: "COLLECTION", entityLabel: src.handle }
+  );
+
+  for (let i = 0; i < metafields.length; i += METAFIELDS_SET_BATCH) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      METAFIELDS_SET_MUTATION,
+      { metafields: metafields.slice(i, i + METAFIELDS_SET_BATCH) },
+      "TARGET-METAFIELDS"
+    );
+
+    const userErrors = data?.metafieldsSet?.userErrors || [];
+    if (userErrors.length > 0) {
+      const messages = userErrors.map((e) => `${e.field?.join(".") || ""}: ${e.message}`);
+      throw new Error(`Metafield errors: ${messages.join(" | ")}`);
     }
+  }
+
+  return metafields.length;
+}
+
+/**
+ * All collection metafield definitions of one store
+ */
+async function fetchCollectionMetafieldDefinitions(endpoint, token, label) {
+  const definitions = [];
+  let cursor = null;
+
+  do {
+    const data = await graphqlRequest(
+      endpoint,
+      token,
+      COLLECTION_METAFIELD_DEFINITIONS_QUERY,
+      { cursor },
+      label
+    );
+
+    const conn = data?.metafieldDefinitions;
+    if (!conn) break;
+
+    definitions.push(...(conn.nodes || []));
+    cursor = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return definitions;
+}
+
+/**
+ * Create the SOURCE collection metafield definitions that TARGET doesn't have yet
+ * (same name, description, type, validations and pinning), so the synced values
+ * show up in the admin and can be used by the storefront / smart collection rules.
+ */
+async function ensureTargetCollectionMetafieldDefinitions() {
+  console.log("ℹ️ Checking collection metafield definitions...");
+
+  const [sourceDefs, targetDefs] = await Promise.all([
+    fetchCollectionMetafieldDefinitions(SOURCE_GQL, SOURCE_ACCESS_TOKEN, "SOURCE-DEFS"),
+    fetchCollectionMetafieldDefinitions(TARGET_GQL, TARGET_ACCESS_TOKEN, "TARGET-DEFS"),
+  ]);
+
+  const existing = new Map(targetDefs.map((d) => [`${d.namespace}.${d.key}`, d.type?.name]));
+  let createdCount = 0;
+
+  const missingDefs = [];
+  for (const def of sourceDefs) {
+    if (def.namespace === "shopify" || def.namespace.startsWith("app--")) continue;
 
-    if (mappedMetafields.length > 0) {
-      input.metafields = mappedMetafields;
+    const id = `${def.namespace}.${def.key}`;
+    if (existing.has(id)) {
+      if (existing.get(id) !== def.type?.name) {
+        console.warn(
+          `⚠️ Metafield type mismatch for ${id}: target=${existing.get(id)}, source=${def.type?.name}`
+        );
+      }
+      continue;
     }
+    missingDefs.push(def);
   }
 
-  // NOTE: Not setting products (invalid when ruleSet is present)
-  // NOTE: Not setting image (not present in the query)
-  // NOTE: Not handling resourcePublicationsV2 here (publishing is separate)
+  // metaobject_reference definitions require their metaobject definition: map SOURCE GIDs by type
+  const metaobjectTypes = await resolveMetaobjectTypes(SOURCE_GQL, SOURCE_ACCESS_TOKEN, missingDefs);
+  const targetMetaobjectIds = await fetchTargetMetaobjectIds(metaobjectTypes);
+
+  for (const def of missingDefs) {
+    const id = `${def.namespace}.${def.key}`;
+    const validations = mapDefinitionValidations(def, { metaobjectTypes, targetMetaobjectIds });
+
+    try {
+      const data = await graphqlRequest(
+        TARGET_GQL,
+        TARGET_ACCESS_TOKEN,
+        METAFIELD_DEFINITION_CREATE_MUTATION,
+        {
+          definition: {
+            ownerType: "COLLECTION",
+            namespace: def.namespace,
+            key: def.key,
+            name: def.name || def.key,
+            description: def.description || null,
+            type: def.type?.name,
+            validations,
+            pin: def.pinnedPosition != null,
+          },
+        },
+        "TARGET-DEF-CREATE"
+      );
 
-  return input;
+      const userErrors = data?.metafieldDefinitionCreate?.userErrors || [];
+      if (userErrors.length > 0) {
+        const messages = userErrors.map((e) => `${e.field?.join(".") || ""}: ${e.message}`);
+        throw new Error(`User errors: ${messages.join(" | ")}`);
+      }
+
+      createdCount += 1;
+      console.log(`➕ Created collection metafield definition ${id} [${def.type?.name}]`);
+    } catch (err) {
+      // Values still get written (as unstructured metafields) without a definition
+      console.error(`❌ Failed to create metafield definition ${id}:`, err.message);
+    }
+  }
+
+  console.log(
+    `✅ Collection metafield definitions: ${sourceDefs.length} on source, ${createdCount} created on target.`
+  );
 }
 
 /**
@@ -444,6 +747,165 @@ async function createTargetCollection(input) {
   return payload.collection;
 }
 
+/**
+ * Update an existing TARGET collection (input must carry its id)
+ */
+async function updateTargetCollection(input) {
+  const data = await graphqlRequest(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    COLLECTION_UPDATE_MUTATION,
+    { input },
+    "TARGET"
+  );
+
+  const payload = data?.collectionUpdate;
+  if (!payload) {
+    throw new Error("collectionUpdate returned no payload");
+  }
+
+  const userErrors = payload.userErrors || [];
+  if (userErrors.length > 0) {
+    const messages = userErrors.map((e) => `${e.field?.join(".") || ""}: ${e.message}`);
+    throw new Error(`User errors: ${messages.join(" | ")}`);
+  }
+
+  return payload.collection;
+}
+
+/**
+ * Look up a TARGET collection by handle (null when it doesn't exist yet)
+ */
+async function findTargetCollectionByHandle(handle) {
+  const data = await graphqlRequest(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    COLLECTION_BY_HANDLE_QUERY,
+    { handle },
+    "TARGET-LOOKUP"
+  );
+
+  return data?.collectionByHandle || null;
+}
+
+/**
+ * All products of a collection as { id, handle }, in collection order
+ */
+async function fetchCollectionProducts(endpoint, token, collectionId, label) {
+  const products = [];
+  let cursor = null;
+
+  do {
+    const data = await graphqlRequest(
+      endpoint,
+      token,
+      COLLECTION_PRODUCTS_QUERY,
+      { id: collectionId, cursor },
+      label
+    );
+
+    const conn = data?.collection?.products;
+    if (!conn) break;
+
+    products.push(...(conn.nodes || []));
+    cursor = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return products;
+}
+
+const productHandleToIdCache = new Map();
+async function findTargetProductIdByHandle(handle) {
+  if (productHandleToIdCache.has(handle)) return productHandleToIdCache.get(handle);
+
+  const data = await graphqlRequest(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    PRODUCT_BY_HANDLE_QUERY,
+    { handle },
+    "TARGET-PRODUCT"
+  );
+
+  const id = data?.productByHandle?.id || null;
+  productHandleToIdCache.set(handle, id);
+  return id;
+}
+
+/**
+ * Make a manual TARGET collection hold the same products as the SOURCE one.
+ * Products are matched by handle; ones not on TARGET yet are reported and skipped.
+ */
+async function syncManualCollectionProducts(src, targetCollectionId) {
+  const [sourceProducts, targetProducts] = await Promise.all([
+    fetchCollectionProducts(SOURCE_GQL, SOURCE_ACCESS_TOKEN, src.id, "SOURCE-PRODUCTS"),
+    fetchCollectionProducts(TARGET_GQL, TARGET_ACCESS_TOKEN, targetCollectionId, "TARGET-PRODUCTS"),
+  ]);
+
+  const wantedIds = [];
+  const missingHandles = [];
+
+  for (const p of sourceProducts) {
+    const targetId = await findTargetProductIdByHandle(p.handle);
+    if (targetId) {
+      wantedIds.push(targetId);
+    } else {
+      missingHandles.push(p.handle);
+    }
+  }
+
+  const currentIds = new Set(targetProducts.map((p) => p.id));
+  const wantedSet = new Set(wantedIds);
+  const toAdd = wantedIds.filter((id) => !currentIds.has(id));
+  const toRemove = REMOVE_EXTRA_COLLECTION_PRODUCTS
+    ? targetProducts.map((p) => p.id).filter((id) => !wantedSet.has(id))
+    : [];
+
+  if (missingHandles.length > 0) {
+    console.warn(
+      `⚠️ ${missingHandles.length} product(s) not found on target by handle, not added: ${missingHandles.join(", ")}`
+    );
+  }
+
+  // Both mutations accept at most 250 product ids per call
+  for (let i = 0; i < toAdd.length; i += 250) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      COLLECTION_ADD_PRODUCTS_MUTATION,
+      { id: targetCollectionId, productIds: toAdd.slice(i, i + 250) },
+      "TARGET-ADD-PRODUCTS"
+    );
+
+    const userErrors = data?.collectionAddProducts?.userErrors || [];
+    if (userErrors.length > 0) {
+      const messages = userErrors.map((e) => `${e.field?.join(".") || ""}: ${e.message}`);
+      throw new Error(`User errors: ${messages.join(" | ")}`);
+    }
+  }
+
+  for (let i = 0; i < toRemove.length; i += 250) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      COLLECTION_REMOVE_PRODUCTS_MUTATION,
+      { id: targetCollectionId, productIds: toRemove.slice(i, i + 250) },
+      "TARGET-REMOVE-PRODUCTS"
+    );
+
+    const userErrors = data?.collectionRemoveProducts?.userErrors || [];
+    if (userErrors.length > 0) {
+      const messages = userErrors.map((e) => `${e.field?.join(".") || ""}: ${e.message}`);
+      throw new Error(`User errors: ${messages.join(" | ")}`);
+    }
+  }
+
+  console.log(
+    `✅ Collection products: ${sourceProducts.length} on source, +${toAdd.length} added, -${toRemove.length} removed, ${missingHandles.length} missing on target`
+  );
+
+  return { added: toAdd.length, removed: toRemove.length, missing: missingHandles };
+}
+
 /**
  * Publish a collection to a specific publication on TARGET
  */
@@ -471,22 +933,146 @@ async function publishCollectionToPublication(collectionId, publicationId) {
   return published;
 }
 
+/**
+ * Create or update one SOURCE collection on TARGET (matched by handle), sync the
+ * products of manual collections and publish it to the matching channels.
+ * Returns { collection, action } with action "created" or "updated".
+ */
+async function syncSingleCollection(src, targetPublicationsIndex) {
+  const input = mapCollectionToInput(src);
+  const existing = await findTargetCollectionByHandle(src.handle);
+
+  let collection;
+  let action;
+
+  if (existing) {
+    // Shopify can't turn a manual collection into a smart one (or back)
+    if (Boolean(existing.ruleSet) !== Boolean(src.ruleSet)) {
+      throw new Error(
+        `Collection type differs: source is ${src.ruleSet ? "smart" : "manual"}, target ${existing.id} is ${existing.ruleSet ? "smart" : "manual"}`
+      );
+    }
+
+    collection = await updateTargetCollection({ ...input, id: existing.id });
+    action = "updated";
+    console.log(
+      `✅ Updated collection on target: id=${collection.id}, title="${collection.title}"`
+    );
+  } else {
+    collection = await createTargetCollection(input);
+    action = "created";
+    console.log(
+      `✅ Created collection on target: id=${collection.id}, title="${collection.title}"`
+    );
+  }
+
+  const metafieldCount = await setTargetCollectionMetafields(src, collection.id);
+  if (metafieldCount) {
+    console.log(`🏷️ Set ${metafieldCount} collection metafields`);
+  }
+
+  if (!src.ruleSet) {
+    await syncManualCollectionProducts(src, collection.id);
+  }
+
+  // ---- Small delay before publishing ----
+  await delay(750);
+
+  // Determine which app handles this collection is published to on SOURCE
+  const sourceAppHandles = new Set(
+    (src.resourcePublicationsV2?.nodes || [])
+      .map((n) => n?.publication?.app?.handle)
+      .filter(Boolean)
+  );
+
+  if (sourceAppHandles.size === 0) {
+    console.log("ℹ️ Source collection has no app-based publications; skipping publish step.");
+    return { collection, action };
+  }
+
+  console.log(
+    `ℹ️ Source collection is published to apps: ${[...sourceAppHandles].join(", ")}`
+  );
+
+  // Publish to matching target publications (by app.handle)
+  for (const appHandle of sourceAppHandles) {
+    const targetPubs = targetPublicationsIndex.get(appHandle) || [];
+
+    if (targetPubs.length === 0) {
+      console.log(
+        `⚠️ No matching target publications found for app handle "${appHandle}". Skipping.`
+      );
+      continue;
+    }
+
+    for (const pub of targetPubs) {
+      try {
+        const published = await publishCollectionToPublication(
+          collection.id,
+          pub.publicationId
+        );
+        console.log(
+          `✅ Published collection ${collection.id} to publication ${pub.publicationId} (app="${pub.appTitle}" handle="${pub.appHandle}") – published=${published}`
+        );
+      } catch (err) {
+        console.error(
+          `❌ Failed to publish collection ${collection.id} to publication ${pub.publicationId} (app handle="${pub.appHandle}")`
+        );
+        console.error("   Reason:", err.message);
+      }
+    }
+  }
+
+  return { collection, action };
+}
+
+/**
+ * Fetch one SOURCE collection by GID and sync it to TARGET (webhook replays).
+ * Throws on failure so the caller can record it.
+ */
+export async function syncSourceCollectionById(collectionGid) {
+  const data = await graphqlRequest(
+    SOURCE_GQL,
+    SOURCE_ACCESS_TOKEN,
+    GET_COLLECTION_QUERY,
+    { id: collectionGid },
+    "SOURCE"
+  );
+
+  const src = data?.collection;
+  if (!src) {
+    console.warn(`⚠️ Source collection ${collectionGid} not found (deleted?); nothing to sync`);
+    return null;
+  }
+
+  await ensureTargetCollectionMetafieldDefinitions();
+  const targetPublicationsIndex = await fetchTargetPublications();
+  return syncSingleCollection(src, targetPublicationsIndex);
+}
+
 /**
  * MAIN
  */
-(async () => {
+async function main() {
   console.log("🚀 Starting Shopify collections sync (B2C → B2B) ...");
   console.log(`   Source: ${SOURCE_SHOP}`);
   console.log(`   Target: ${TARGET_SHOP}`);
   console.log(`   API version: ${API_VERSION}`);
 
+  // Delta runs only fetch collections updated since the last clean run (--full / FULL_SYNC=true for all)
+  const watermark = openWatermark("collections");
+
   try {
     const [sourceCollections, targetPublicationsIndex] = await Promise.all([
-      fetchSourceCollections(),
+      fetchSourceCollections(watermark.applyToQuery()),
       fetchTargetPublications(),
     ]);
 
-    let successCount = 0;
+    // Definitions first, so the values below land as structured metafields
+    await ensureTargetCollectionMetafieldDefinitions();
+
+    let createdCount = 0;
+    let updatedCount = 0;
     let failureCount = 0;
 
     for (const [index, src] of sourceCollections.entries()) {
@@ -494,61 +1080,9 @@ async function publishCollectionToPublication(collectionId, publicationId) {
       console.log(`\n➡️  Processing ${label} ...`);
 
       try {
-        const input = mapCollectionToInput(src);
-        const created = await createTargetCollection(input);
-
-        console.log(
-          `✅ Created collection on target: id=${created.id}, title="${created.title}"`
-        );
-        successCount += 1;
-
-        // ---- Small delay before publishing ----
-        await delay(750);
-
-        // Determine which app handles this collection is published to on SOURCE
-        const sourceAppHandles = new Set(
-          (src.resourcePublicationsV2?.nodes || [])
-            .map((n) => n?.publication?.app?.handle)
-            .filter(Boolean)
-        );
-
-        if (sourceAppHandles.size === 0) {
-          console.log("ℹ️ Source collection has no app-based publications; skipping publish step.");
-          continue;
-        }
-
-        console.log(
-          `ℹ️ Source collection is published to apps: ${[...sourceAppHandles].join(", ")}`
-        );
-
-        // Publish to matching target publications (by app.handle)
-        for (const appHandle of sourceAppHandles) {
-          const targetPubs = targetPublicationsIndex.get(appHandle) || [];
-
-          if (targetPubs.length === 0) {
-            console.log(
-              `⚠️ No matching target publications found for app handle "${appHandle}". Skipping.`
-            );
-            continue;
-          }
-
-          for (const pub of targetPubs) {
-            try {
-              const published = await publishCollectionToPublication(
-                created.id,
-                pub.publicationId
-              );
-              console.log(
-                `✅ Published collection ${created.id} to publication ${pub.publicationId} (app="${pub.appTitle}" handle="${pub.appHandle}") – published=${published}`
-              );
-            } catch (err) {
-              console.error(
-                `❌ Failed to publish collection ${created.id} to publication ${pub.publicationId} (app handle="${pub.appHandle}")`
-              );
-              console.error("   Reason:", err.message);
-            }
-          }
-        }
+        const { action } = await syncSingleCollection(src, targetPublicationsIndex);
+        if (action === "created") createdCount += 1;
+        else updatedCount += 1;
       } catch (err) {
         console.error(`❌ Failed to process ${label}`);
         console.error("   Reason:", err.message);
@@ -557,15 +1091,24 @@ async function publishCollectionToPublication(collectionId, publicationId) {
     }
 
     console.log("\n📊 Sync completed.");
-    console.log(`   ✅ Collections created: ${successCount}`);
+    console.log(`   ✅ Collections created: ${createdCount}`);
+    console.log(`   🔁 Updated:            ${updatedCount}`);
     console.log(`   ❌ Failed:             ${failureCount}`);
 
     if (failureCount > 0) {
       console.log("   Check logs above for details on failed collections.");
+      console.log("   Watermark not moved; failed collections will be fetched again next run.");
       process.exitCode = 1;
+    } else {
+      watermark.commit({ processed: sourceCollections.length });
     }
   } catch (err) {
     console.error("💥 Fatal error during collections sync:", err.message);
     process.exit(1);
   }
-})();
+}
+
+// Only run as a script; the webhook receiver imports syncSourceCollectionById from this file
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -6,6 +6,12 @@ import dotenv from "dotenv";
 dotenv.config();
 import XLSX from "xlsx";
 import { sanitizeMetafieldsForShopify } from "./utils.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
+import { isDryRun, createDryRunReport, reportUnknownMetafieldColumns } from "./dryRun.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
+import { createStaffAssigner, parseStaffEmails } from "./staffAssignments.js";
 
 /**
  * CONFIG
@@ -23,9 +29,6 @@ if (!TARGET_SHOP || !TARGET_ACCESS_TOKEN) {
 
 const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 
-/**
- * GRAPHQL
- */
 const ALLOWED_METAFIELD_TYPES = new Set([
     "boolean",
     "color",
@@ -296,6 +299,7 @@ async function getPaymentTermId(v) {
  * Helpers
  */
 const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+const referenceResolver = createReferenceResolver();
 
 function isEmpty(v) {
     return v === null || v === undefined || String(v).trim() === "";
@@ -358,39 +362,6 @@ function normalizeListMetafieldValue(v) {
     return JSON.stringify(parts.length ? parts : [raw]);
 }
 
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-    const res = await fetch(endpoint, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": token,
-        },
-        body: JSON.stringify({ query, variables }),
-    });
-
-    const text = await res.text();
-    let json;
-    try {
-        json = text ? JSON.parse(text) : {};
-    } catch (e) {
-        console.error(`❌ Invalid JSON (${label}):`, text.slice(0, 1500));
-        throw new Error("Invalid JSON");
-    }
-
-    if (!res.ok) {
-        console.error(`❌ HTTP ${res.status} (${label})`);
-        console.error(text.slice(0, 2000));
-        throw new Error(`HTTP ${res.status}`);
-    }
-
-    if (json.errors?.length) {
-        console.error(`❌ GraphQL errors (${label}):`, JSON.stringify(json.errors, null, 2));
-        throw new Error("GraphQL error");
-    }
-
-    return json.data;
-}
-
 function loadRows(filebuffer) {
     const wb = XLSX.read(filebuffer, { type: "buffer" });
     const sheet = wb.Sheets[wb.SheetNames[0]];
@@ -491,10 +462,13 @@ function buildCompaniesFromRows(rows) {
                 locations: new Map(),
                 contactRows: [],
                 metafields: new Map(),
+                // original sheet rows, for the status report
+                sheetRows: [],
             });
         }
 
         const c = byCompanyId.get(companyId);
+        c.sheetRows.push(row);
 
         // later rows can fill notes/main contact email
         if (isEmpty(c.notes) && !isEmpty(row["Notes"])) c.notes = normalizeString(row["Notes"]);
@@ -526,6 +500,8 @@ function buildCompaniesFromRows(rows) {
                     paymentTermsRaw: normalizeString(row["Location: Checkout Payment Terms"]),
                     paymentDepositPercentage: normalizeString(row["Location: Checkout Payment Deposit"]),
                     payNowOnly: normalizeString(row["Location: Checkout Pay Now Only"]),
+                    // sales reps, matched to TARGET staff by email
+                    staffEmails: [],
 
                     shipping: {
                         firstName: normalizeString(row["Location: Shipping First Name"]),
@@ -562,6 +538,12 @@ function buildCompaniesFromRows(rows) {
                     },
                 });
             }
+
+            // Staff emails can be listed on any row of the location
+            const loc = c.locations.get(key);
+            for (const email of parseStaffEmails(row["Location: Staff Emails"])) {
+                if (!loc.staffEmails.includes(email)) loc.staffEmails.push(email);
+            }
         }
 
         // Customer permission row (optional)
@@ -746,14 +728,20 @@ function normalizeMetafieldsSetPayload(companyId, metafields) {
  * What it does (in order):
  * 1) Find company by sheet ID (stored as Shopify company.externalId)
  * 2) Create company (externalId = sheet ID) + first location (if shipping valid)
- * 3) Create remaining locations (keyed by locationId) with externalId = locationId
+ * 3) Create remaining locations (keyed by locationId) with externalId = locationId,
+ *    then assign their staff (sales reps) from "Location: Staff Emails"
  * 4) Ensure main contact is linked (if email exists and customer exists)
  * 5) Ensure all contacts exist, assign roles per row for each location
  * 6) Assign main contact
  * 7) Set company metafields (after definitions exist)
+ *
+ * With a dryRunReport, lookups still run but every mutation is recorded on the
+ * report instead of being sent; ids of records that would be created are placeholders.
+ * `staffAssigner` is created per import run, so staff added on TARGET since the last run are found.
  */
-async function upsertCompanyFromSheet(companyObj) {
+async function upsertCompanyFromSheet(companyObj, dryRunReport = null, staffAssigner = createStaffAssigner()) {
     const sheetCompanyId = String(companyObj.id);
+    const ref = `company "${companyObj.name}" (sheet ID: ${sheetCompanyId})`;
     const companyExternalId =
         !isEmpty(companyObj.externalId)
             ? String(companyObj.externalId)
@@ -780,6 +768,9 @@ async function upsertCompanyFromSheet(companyObj) {
         if (checkoutPaymentTerms) {
             paymentTermId = await getPaymentTermId(checkoutPaymentTerms)
             console.log(paymentTermId)
+            if (!paymentTermId) {
+                dryRunReport?.addProblem(ref, "unknown_payment_terms", `Payment terms "${checkoutPaymentTerms}" not found on TARGET`);
+            }
         }
 
 
@@ -834,28 +825,34 @@ async function upsertCompanyFromSheet(companyObj) {
         }
 
         console.log("first ---------------------------", input)
-        const created = await graphqlRequest(
-            TARGET_GQL,
-            TARGET_ACCESS_TOKEN,
-            MUTATION_COMPANY_CREATE,
-            { input },
-            "companyCreate"
-        );
+        if (dryRunReport) {
+            dryRunReport.addInput(ref, "companyCreate", { input });
+            companyId = `dry-run:Company/${sheetCompanyId}`;
+            companyNodeForMaps = null;
+        } else {
+            const created = await graphqlRequest(
+                TARGET_GQL,
+                TARGET_ACCESS_TOKEN,
+                MUTATION_COMPANY_CREATE,
+                { input },
+                "companyCreate"
+            );
 
-        const errs = created?.companyCreate?.userErrors || [];
-        if (errs.length) throw new Error(JSON.stringify(errs, null, 2));
+            const errs = created?.companyCreate?.userErrors || [];
+            if (errs.length) throw new Error(JSON.stringify(errs, null, 2));
 
-        companyNodeForMaps = created.companyCreate.company;
-        companyId = companyNodeForMaps.id;
+            companyNodeForMaps = created.companyCreate.company;
+            companyId = companyNodeForMaps.id;
 
-        console.log(`🏢 Created company: ${name} (sheet ID=${sheetCompanyId}) id=${companyId}`);
+            console.log(`🏢 Created company: ${name} (sheet ID=${sheetCompanyId}) id=${companyId}`);
 
-        // ✅ DO NOT re-search by external_id (can be eventually consistent).
-        // Instead, refresh by ID directly.
-        await delay(300);
-        companyNodeForMaps = await fetchCompanyById(companyId);
-        if (!companyNodeForMaps) {
-            throw new Error(`Company fetch by ID failed right after create: ${companyId}`);
+            // ✅ DO NOT re-search by external_id (can be eventually consistent).
+            // Instead, refresh by ID directly.
+            await delay(300);
+            companyNodeForMaps = await fetchCompanyById(companyId);
+            if (!companyNodeForMaps) {
+                throw new Error(`Company fetch by ID failed right after create: ${companyId}`);
+            }
         }
     } else {
         companyNodeForMaps = existing;
@@ -870,6 +867,12 @@ async function upsertCompanyFromSheet(companyObj) {
     // Build mapping: sheetLocationId -> targetLocationId
     const sheetLocationIdToTargetId = new Map();
 
+    // In dry-run the first location is created together with the company
+    if (dryRunReport && !existing && companyObj.locations?.[0]?.id) {
+        const firstLocId = String(companyObj.locations[0].id);
+        sheetLocationIdToTargetId.set(firstLocId, `dry-run:CompanyLocation/${firstLocId}`);
+    }
+
     // Seed from existing locations by externalId/name
     for (const loc of companyObj.locations || []) {
         if (!loc?.id) continue;
@@ -902,6 +905,9 @@ async function upsertCompanyFromSheet(companyObj) {
         if (checkoutPaymentTerms) {
             paymentTermId = await getPaymentTermId(checkoutPaymentTerms)
             console.log(paymentTermId)
+            if (!paymentTermId) {
+                dryRunReport?.addProblem(ref, "unknown_payment_terms", `Payment terms "${checkoutPaymentTerms}" not found on TARGET`);
+            }
         }
 
         const locInput = {
@@ -942,6 +948,12 @@ async function upsertCompanyFromSheet(companyObj) {
             locInput.billingSameAsShipping = true;
         }
         console.log("location input---------------------------", locInput)
+        if (dryRunReport) {
+            dryRunReport.addInput(ref, "companyLocationCreate", { companyId, input: locInput });
+            sheetLocationIdToTargetId.set(String(loc.id), `dry-run:CompanyLocation/${loc.id}`);
+            continue;
+        }
+
         const createdLoc = await graphqlRequest(
             TARGET_GQL,
             TARGET_ACCESS_TOKEN,
@@ -961,8 +973,10 @@ async function upsertCompanyFromSheet(companyObj) {
     }
 
     // 3) Refresh by ID for accurate roles/contacts/locations
-    const refreshed = await fetchCompanyById(companyId);
-    if (!refreshed) throw new Error(`Company fetch by ID failed: ${companyId}`);
+    // (a company that would only be created in dry-run has nothing to refresh)
+    const isNewInDryRun = !!dryRunReport && !existing;
+    const refreshed = isNewInDryRun ? null : await fetchCompanyById(companyId);
+    if (!refreshed && !isNewInDryRun) throw new Error(`Company fetch by ID failed: ${companyId}`);
 
     const roleNameToRoleId = roleMapFromCompany(refreshed);
     const emailToCompanyContactId = contactsMapFromCompany(refreshed);
@@ -982,12 +996,42 @@ async function upsertCompanyFromSheet(companyObj) {
         }
     }
 
+    // Staff assignments; missing staff and assignment errors are reported, not fatal
+    const missingStaff = new Set();
+    const staffErrors = [];
+    for (const loc of companyObj.locations || []) {
+        if (!loc?.staffEmails?.length) continue;
+
+        const targetLocationId = sheetLocationIdToTargetId.get(String(loc.id));
+        if (!targetLocationId) {
+            console.log(`⚠️ No TARGET location for sheet locId=${loc.id}; staff not assigned`);
+            continue;
+        }
+
+        try {
+            const { missing } = await staffAssigner.assignByEmails(targetLocationId, loc.staffEmails, {
+                label: `location "${loc.name}" (sheet locId=${loc.id})`,
+                dryRunReport,
+                ref,
+            });
+            missing.forEach((email) => missingStaff.add(email));
+        } catch (err) {
+            console.error(`⚠️ Staff assignment failed for sheet locId=${loc.id}: ${err.message}`);
+            staffErrors.push(err.message);
+            dryRunReport?.addProblem(ref, "staff_assignment_failed", err.message);
+        }
+    }
+
     // 4) Ensure main contact is linked (so setting main contact later can work)
     const mainEmail = normalizeEmail(companyObj.mainContactEmail);
     if (mainEmail && !emailToCompanyContactId.has(mainEmail)) {
         const mainCustId = await findCustomerIdByEmail(mainEmail);
         if (!mainCustId) {
             console.log(`⚠️ Main contact customer not found on TARGET: ${mainEmail}`);
+            dryRunReport?.addProblem(ref, "customer_not_found", `Main contact customer not found on TARGET: ${mainEmail}`);
+        } else if (dryRunReport) {
+            dryRunReport.addInput(ref, "companyAssignCustomerAsContact", { companyId, customerId: mainCustId });
+            emailToCompanyContactId.set(mainEmail, `dry-run:CompanyContact/${mainEmail}`);
         } else {
             const createdContact = await graphqlRequest(
                 TARGET_GQL,
@@ -1018,11 +1062,17 @@ async function upsertCompanyFromSheet(companyObj) {
         const targetCustomerId = await findCustomerIdByEmail(email);
         if (!targetCustomerId) {
             console.log(`⚠️ Customer not found on TARGET for email=${email} (cannot link as company contact)`);
+            dryRunReport?.addProblem(ref, "customer_not_found", `Customer not found on TARGET for email=${email}`);
             continue;
         }
 
         // ensure companyContact exists
         let companyContactId = emailToCompanyContactId.get(email);
+        if (!companyContactId && dryRunReport) {
+            dryRunReport.addInput(ref, "companyAssignCustomerAsContact", { companyId, customerId: targetCustomerId });
+            companyContactId = `dry-run:CompanyContact/${email}`;
+            emailToCompanyContactId.set(email, companyContactId);
+        }
         if (!companyContactId) {
             const createdContact = await graphqlRequest(
                 TARGET_GQL,
@@ -1041,10 +1091,15 @@ async function upsertCompanyFromSheet(companyObj) {
             await delay(200);
         }
 
-        // map role
-        const roleId = roleNameToRoleId[roleName];
+        // map role (a company created in dry-run only has Shopify's default roles, which can't be looked up yet)
+        const roleId = isNewInDryRun && roleName
+            ? `dry-run:CompanyContactRole/${roleName}`
+            : roleNameToRoleId[roleName];
         if (!roleId) {
             console.log(`⚠️ Role name not found on TARGET company: "${roleName}" (email=${email})`);
+            if (roleName) {
+                dryRunReport?.addProblem(ref, "unknown_role", `Role "${roleName}" not found on TARGET company (email=${email})`);
+            }
             continue;
         }
 
@@ -1054,6 +1109,15 @@ async function upsertCompanyFromSheet(companyObj) {
             const targetLocationId = sheetLocationIdToTargetId.get(locationId) || null;
             if (!targetLocationId) {
                 console.log(`⚠️ Location not resolved for sheet Location: ID=${locationId} (email=${email})`);
+                dryRunReport?.addProblem(ref, "unmapped_location", `Sheet Location: ID=${locationId} not resolved (email=${email})`);
+                continue;
+            }
+
+            if (dryRunReport) {
+                dryRunReport.addInput(ref, "companyLocationAssignRoles", {
+                    companyLocationId: targetLocationId,
+                    rolesToAssign: [{ companyContactRoleId: roleId, companyContactId }],
+                });
                 continue;
             }
 
@@ -1093,6 +1157,8 @@ async function upsertCompanyFromSheet(companyObj) {
         const mainCompanyContactId = emailToCompanyContactId.get(mainEmail);
         if (!mainCompanyContactId) {
             console.log(`⚠️ Main contact email not linked as company contact: ${mainEmail}`);
+        } else if (dryRunReport) {
+            dryRunReport.addInput(ref, "companyAssignMainContact", { companyId, companyContactId: mainCompanyContactId });
         } else {
             const mainSet = await graphqlRequest(
                 TARGET_GQL,
@@ -1109,20 +1175,35 @@ async function upsertCompanyFromSheet(companyObj) {
 
     // 7) Set company metafields
     const mfPayload = normalizeMetafieldsSetPayload(companyId, companyObj.metafields);
-    if (mfPayload.length) {
-        const mfRes = await graphqlRequest(
-            TARGET_GQL,
-            TARGET_ACCESS_TOKEN,
-            MUTATION_METAFIELDS_SET,
-            { metafields: mfPayload },
-            "metafieldsSet(COMPANY)"
-        );
-        const errs = mfRes?.metafieldsSet?.userErrors || [];
-        if (errs.length) throw new Error(JSON.stringify(errs, null, 2));
-        console.log(`🏷️ Set ${mfPayload.length} company metafields`);
+    if (mfPayload.length && dryRunReport) {
+        dryRunReport.addInput(ref, "metafieldsSet", { metafields: mfPayload });
+    } else if (mfPayload.length) {
+        // Reference values (handles, SKUs, URLs, "type.handle") → TARGET GIDs
+        const resolvedPayload = await referenceResolver.resolveMetafields(mfPayload, {
+            ownerLabel: "COMPANY",
+            entityLabel: ref,
+        });
+
+        if (resolvedPayload.length) {
+            const mfRes = await graphqlRequest(
+                TARGET_GQL,
+                TARGET_ACCESS_TOKEN,
+                MUTATION_METAFIELDS_SET,
+                { metafields: resolvedPayload },
+                "metafieldsSet(COMPANY)"
+            );
+            const errs = mfRes?.metafieldsSet?.userErrors || [];
+            if (errs.length) throw new Error(JSON.stringify(errs, null, 2));
+            console.log(`🏷️ Set ${resolvedPayload.length} company metafields`);
+        }
     }
 
-    return { companyId };
+    return {
+        companyId,
+        action: existing ? "updated" : "created",
+        missingStaff: [...missingStaff],
+        staffErrors,
+    };
 }
 
 /**
@@ -1135,8 +1216,11 @@ export async function migrateCompanies(req, res) {
         return;
     }
 
+    const dryRunReport = isDryRun(req) ? createDryRunReport("companies") : null;
+
     console.log("🚀 Starting COMPANIES import (Sheet → Shopify) ...");
     console.log(`   Target: ${TARGET_SHOP}`);
+    if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent");
 
     const rows = loadRows(fileBuffer);
     if (!rows.length) {
@@ -1162,40 +1246,89 @@ export async function migrateCompanies(req, res) {
     }
 
     const mfDefs = [...companyMetafieldsMap.values()];
-    await ensureCompanyMetafieldDefinitions(mfDefs);
+    if (dryRunReport) {
+        reportUnknownMetafieldColumns(dryRunReport, Object.keys(rows[0] || {}), ALLOWED_METAFIELD_TYPES);
+        rows.forEach((row, i) => {
+            if (!normalizeCompanyId(row) || !normalizeString(row["Name"])) {
+                dryRunReport.addProblem(`row ${i + 2}`, "missing_company_key", 'Row has no company "ID" or "Name" and would be ignored');
+            }
+        });
+    } else {
+        await ensureCompanyMetafieldDefinitions(mfDefs);
+    }
 
     const companies = buildCompaniesFromRows(rows);
     console.log(`✅ Parsed ${companies.length} companies from sheet`);
 
     let okCount = 0;
     let failedCount = 0;
+    const statusReport = createStatusReport("companies", { disabled: !!dryRunReport });
+    // Staff list is loaded once per run (not per server process), so new TARGET staff are picked up
+    const staffAssigner = createStaffAssigner();
+    reportProgress(req, { total: companies.length });
 
     for (let i = 0; i < companies.length; i++) {
         const c = companies[i];
         const label = `#${i + 1} "${c.name}" (sheet ID: ${c.id})`;
 
         console.log(`\n➡️  Processing ${label}`);
+        reportProgress(req, { processed: i, succeeded: okCount, failed: failedCount, currentRow: label });
 
         try {
             if (isEmpty(c.name) || isEmpty(c.id)) {
                 throw new Error('Missing required "Name" or "ID" for company group');
             }
 
-            await upsertCompanyFromSheet(c);
+            const { companyId, action, missingStaff, staffErrors } = await upsertCompanyFromSheet(
+                c,
+                dryRunReport,
+                staffAssigner
+            );
             okCount++;
+            statusReport.add(c.sheetRows, {
+                status: REPORT_STATUS.SUCCESS,
+                action,
+                targetId: companyId,
+                "Missing Staff": missingStaff.join(", "),
+                "Staff Errors": staffErrors.join(" | "),
+            });
         } catch (err) {
             failedCount++;
             console.error(`❌ Failed ${label}`);
             console.error("   Reason:", err?.message || String(err));
+            dryRunReport?.addProblem(label, "exception", err?.message || String(err));
+            statusReport.add(c.sheetRows, {
+                status: REPORT_STATUS.FAILED,
+                action: "upsert",
+                error: err,
+            });
         }
 
-        await delay(500);
+        if (!dryRunReport) await delay(500);
+    }
+
+    reportProgress(req, { processed: companies.length, succeeded: okCount, failed: failedCount });
+
+    if (dryRunReport) {
+        const result = dryRunReport.result({ total: companies.length });
+        if (res?.json) res.json(result);
+        return;
     }
 
     console.log("\n📊 COMPANIES import completed.");
     console.log(`   ✅ Success: ${okCount}`);
     console.log(`   ❌ Failed:  ${failedCount}`);
-
-    if (res?.json) res.json({ ok: failedCount === 0, okCount, failedCount });
+    statusReport.flush();
+    console.log(`   📄 Report:  ${statusReport.filePath}`);
+
+    if (res?.json) {
+        res.json({
+            ok: failedCount === 0,
+            okCount,
+            failedCount,
+            reportPath: statusReport.filePath,
+            reportUrl: statusReport.downloadUrl,
+        });
+    }
     if (failedCount > 0) process.exitCode = 1;
 }
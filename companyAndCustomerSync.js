@@ -4,6 +4,22 @@
 
 import dotenv from "dotenv";
 import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { graphqlRequest } from "./shopifyClient.js";
+import { openWatermark } from "./watermark.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+import {
+  loadTierConfig,
+  fetchCompanyTierMetric,
+  resolveTier,
+  applyTierTag,
+  tierMetafields,
+  assignTierCatalog,
+  createTierCatalogLookup,
+} from "./tiers.js";
+import { syncCompanyLocationCatalogs, createCompanyCatalogContext } from "./catalogSync.js";
+import { createStaffAssigner, staffEmailsFromLocation } from "./staffAssignments.js";
 dotenv.config();
 
 /**
@@ -25,31 +41,19 @@ if (!SOURCE_SHOP || !SOURCE_ACCESS_TOKEN || !TARGET_SHOP || !TARGET_ACCESS_TOKEN
 const SOURCE_GQL = `https://${SOURCE_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 
+// Give migrated locations the same B2B catalogs (price lists, quantity rules) as on SOURCE
+const SYNC_LOCATION_CATALOGS = !["false", "0", "no", "n"].includes(
+  String(process.env.COMPANY_SYNC_CATALOGS ?? "true").trim().toLowerCase()
+);
+
+// Assign the same staff members (sales reps, matched by email) to migrated locations
+const SYNC_LOCATION_STAFF = !["false", "0", "no", "n"].includes(
+  String(process.env.COMPANY_SYNC_STAFF ?? "true").trim().toLowerCase()
+);
+
 /**
  * Basic helpers
  */
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const json = await res.json().catch(() => ({}));
-
-  if (!res.ok) {
-    throw new Error(
-      `GraphQL HTTP ${res.status} (${label}): ${JSON.stringify(json?.errors || json)}`
-    );
-  }
-  if (json?.errors?.length) {
-    throw new Error(`GraphQL errors (${label}): ${JSON.stringify(json.errors)}`);
-  }
-  return json.data;
-}
 
 function toCompanyGid(idOrGid) {
   if (String(idOrGid).startsWith("gid://")) return idOrGid;
@@ -146,6 +150,13 @@ const QUERY_SOURCE_COMPANY = `
               companyName
               recipient
             }
+            staffMemberAssignments(first: 50) {
+              nodes {
+                staffMember {
+                  email
+                }
+              }
+            }
           }
         }
       }
@@ -230,35 +241,6 @@ const QUERY_SOURCE_COMPANY = `
   }
 `;
 
-/********************************************************************
- * Fetch ALL orders for a B2B company using company.orders
- * Paginate properly
- * Filter only orders created in YEAR 2025
- ********************************************************************/
-const QUERY_COMPANY_ORDERS_CONNECTION = `
-  query CompanyOrdersConnection($id: ID!, $cursor: String) {
-    company(id: $id) {
-      orders(first: 250, after: $cursor) {
-        edges {
-          cursor
-          node {
-            id
-            name
-            createdAt
-            displayFulfillmentStatus
-            cancelledAt
-            closedAt
-            tags
-          }
-        }
-        pageInfo {
-          hasNextPage
-          endCursor
-        }
-      }
-    }
-  }
-`;
 const MUTATION_COMPANY_LOCATION_ASSIGN_ADDRESS = `
   mutation companyLocationAssignAddress(
     $locationId: ID!
@@ -278,50 +260,6 @@ const MUTATION_COMPANY_LOCATION_ASSIGN_ADDRESS = `
 
 
 
-async function fetchCompanyOrdersCount2025(companyGid) {
-  let count = 0;
-  let cursor = null;
-  const currentYear = new Date().getFullYear();
-
-  while (true) {
-    const data = await graphqlRequest(
-      SOURCE_GQL,
-      SOURCE_ACCESS_TOKEN,
-      QUERY_COMPANY_ORDERS_CONNECTION,
-      { id: companyGid, cursor },
-      "CompanyOrdersConnection(SOURCE)"
-    );
-
-    const ordersConn = data?.company?.orders;
-    if (!ordersConn) break;
-
-    for (const edge of ordersConn.edges) {
-      const order = edge.node;
-      const year = new Date(order.createdAt).getFullYear();
-      if (year !== currentYear) continue;
-
-      // ---- Qualification Logic ----
-      const isFulfilled = order.displayFulfillmentStatus === "FULFILLED";
-      const notCancelled = order.cancelledAt === null;
-      const isClosed = order.closedAt !== null;
-
-      const hasExcludeTag = Array.isArray(order.tags)
-        ? order.tags.includes("tier_exclude")
-        : false;
-
-      if (isFulfilled && notCancelled && isClosed && !hasExcludeTag) {
-        count++;
-      }
-    }
-
-    if (!ordersConn.pageInfo.hasNextPage) break;
-    cursor = ordersConn.pageInfo.endCursor;
-  }
-
-  return count;
-}
-
-
 // 1.2 Fetch orders for a customer from SOURCE
 const QUERY_SOURCE_ORDERS_BY_CUSTOMER = `
   query OrdersByCustomer($query: String!, $cursor: String) {
@@ -1153,15 +1091,23 @@ function buildCompanyLocationInputFromSourceLocation(srcLoc, fallbackCompanyName
   return locInput;
 }
 
-function mergeMetafields(sourceConn, targetConn, ownerId) {
-  const sourceMap = buildMetafieldMap(sourceConn);
+// Reference metafields (products, metaobjects, files...) → TARGET GIDs
+const referenceResolver = createReferenceResolver();
+
+async function mergeMetafields(sourceConn, targetConn, ownerId, { ownerLabel, entityLabel } = {}) {
   const targetMap = buildMetafieldMap(targetConn);
 
+  // Source references are SOURCE GIDs; unresolvable ones leave the target value alone
+  const sourceMetafields = await referenceResolver.resolveMetafields(
+    Object.values(buildMetafieldMap(sourceConn)),
+    { ownerLabel, entityLabel }
+  );
+
   const final = { ...targetMap };
 
   // Overwrite target with source values
-  for (const key in sourceMap) {
-    final[key] = sourceMap[key];
+  for (const m of sourceMetafields) {
+    final[`${m.namespace}.${m.key}`] = m;
   }
 
   return Object.values(final).map(m => ({
@@ -1177,9 +1123,9 @@ function mergeMetafields(sourceConn, targetConn, ownerId) {
 /**
  * Build and run customerUpdate for existing customers on TARGET
  * - Overwrite basic fields with SOURCE data (full sync style)
- * - Overwrite tags with SOURCE tags + Tier tag
+ * - Overwrite tags with SOURCE tags + Tier tag (see tiers.json)
  */
-async function updateCustomerOnTargetFromSource(sourceCustomer, tier, targetCustomer) {
+async function updateCustomerOnTargetFromSource(sourceCustomer, tier, tierConfig, targetCustomer) {
   const email = (sourceCustomer.email || "").trim();
   const input = {
     id: targetCustomer.id,
@@ -1195,18 +1141,12 @@ async function updateCustomerOnTargetFromSource(sourceCustomer, tier, targetCust
   input.phone = sourceCustomer.phone || null;
   input.note = sourceCustomer.note || null;
 
-  // Tags: overwrite with source tags + Tier tag
+  // Tags: overwrite with source tags + Tier tag (a stale tier tag from SOURCE is dropped)
   let tags = [];
   if (Array.isArray(sourceCustomer.tags)) {
     tags = [...sourceCustomer.tags];
   }
-  if (tier) {
-    const tierTag = `Tier_${tier}`;
-    if (!tags.includes(tierTag)) {
-      tags.push(tierTag);
-    }
-  }
-  input.tags = tags;
+  input.tags = applyTierTag(tags, tier, tierConfig);
 
 
   // -----------------------------
@@ -1254,8 +1194,9 @@ async function updateCustomerOnTargetFromSource(sourceCustomer, tier, targetCust
 
 /**
  * Mirror email marketing consent for existing customers
+ * (also used by syncCustomersShopifyToShopify.js)
  */
-async function updateCustomerEmailConsentOnTargetFromSource(sourceCustomer, targetCustomer) {
+export async function updateCustomerEmailConsentOnTargetFromSource(sourceCustomer, targetCustomer) {
   const emailConsent = sourceCustomer.emailMarketingConsent;
   if (!emailConsent || !emailConsent.marketingState) {
     return;
@@ -1302,8 +1243,9 @@ async function updateCustomerEmailConsentOnTargetFromSource(sourceCustomer, targ
 
 /**
  * Mirror SMS marketing consent for existing customers
+ * (also used by syncCustomersShopifyToShopify.js)
  */
-async function updateCustomerSmsConsentOnTargetFromSource(sourceCustomer, targetCustomer) {
+export async function updateCustomerSmsConsentOnTargetFromSource(sourceCustomer, targetCustomer) {
   const smsConsent = sourceCustomer.smsMarketingConsent;
   if (!smsConsent || !smsConsent.marketingState) {
     return;
@@ -1356,7 +1298,7 @@ async function updateCustomerSmsConsentOnTargetFromSource(sourceCustomer, target
  * - For NEW customers, also mirror marketing consent (email + SMS)
  * - For EXISTING customers, update marketing consent via dedicated mutations
  */
-async function upsertCustomerOnTargetFromSource(sourceCustomer, tier) {
+async function upsertCustomerOnTargetFromSource(sourceCustomer, tier, tierConfig) {
   const email = (sourceCustomer.email || "").trim();
   if (!email) {
     console.log(`⚠️ Skipping source customer without email: ${sourceCustomer.id}`);
@@ -1378,7 +1320,7 @@ async function upsertCustomerOnTargetFromSource(sourceCustomer, tier) {
     console.log(`👤 Target customer exists: ${email} (${targetCustomer.id})`);
 
     // Full sync update for existing customers
-    await updateCustomerOnTargetFromSource(sourceCustomer, tier, targetCustomer);
+    await updateCustomerOnTargetFromSource(sourceCustomer, tier, tierConfig, targetCustomer);
     // await updateCustomerEmailConsentOnTargetFromSource(sourceCustomer, targetCustomer);
     // await updateCustomerSmsConsentOnTargetFromSource(sourceCustomer, targetCustomer);
     try {
@@ -1410,9 +1352,7 @@ async function upsertCustomerOnTargetFromSource(sourceCustomer, tier) {
     }
 
     // Add tier tag
-    if (tier) {
-      input.tags.push(`Tier_${tier}`);
-    }
+    input.tags = applyTierTag(input.tags, tier, tierConfig);
 
     // Mirror marketing consent for NEW customers only
     const emailConsent = sourceCustomer.emailMarketingConsent;
@@ -1479,10 +1419,11 @@ async function upsertCustomerOnTargetFromSource(sourceCustomer, tier) {
   );
 
 
-  const mergedMf = mergeMetafields(
+  const mergedMf = await mergeMetafields(
     sourceCustomer.metafields,
     targetMfData.customer.metafields,
-    targetCustomer.id
+    targetCustomer.id,
+    { ownerLabel: "CUSTOMER", entityLabel: email }
   );
 
 
@@ -1528,7 +1469,7 @@ function buildCompanyAddressInput(addr) {
  *  - sourceLocationIdToTargetLocationId: Map
  *  - roleNameToTargetRoleId: { [name]: id }
  */
-async function createCompanyOnTargetFromSource(sourceCompany, orderCount2025) {
+async function createCompanyOnTargetFromSource(sourceCompany, tier, tierConfig) {
   const companyName = sourceCompany.name;
   const externalId = sourceCompany.externalId || sourceCompany.id;
   const note = sourceCompany.note || null;
@@ -1688,7 +1629,10 @@ async function createCompanyOnTargetFromSource(sourceCompany, orderCount2025) {
   }
 
   // Copy existing company metafields + hardcoded tracking metafields
-  const metafields = mapMetafieldsForSet(companyId, sourceCompany.metafields);
+  const metafields = await referenceResolver.resolveMetafields(
+    mapMetafieldsForSet(companyId, sourceCompany.metafields),
+    { ownerLabel: "COMPANY", entityLabel: sourceCompany.name }
+  );
   metafields.push(
     {
       ownerId: companyId,
@@ -1704,20 +1648,7 @@ async function createCompanyOnTargetFromSource(sourceCompany, orderCount2025) {
       type: "boolean",
       value: "True",
     },
-    {
-      ownerId: companyId,
-      namespace: "custom",
-      key: "level",
-      type: "single_line_text_field",
-      value:
-        orderCount2025 > 25
-          ? "Platinum"
-          : orderCount2025 > 10
-            ? "Gold"
-            : orderCount2025 > 5
-              ? "Silver"
-              : "Bronze",
-    }
+    ...tierMetafields(companyId, tier, tierConfig)
   );
 
   if (metafields.length) {
@@ -1741,7 +1672,7 @@ async function createCompanyOnTargetFromSource(sourceCompany, orderCount2025) {
  * Update existing company on TARGET from SOURCE
  * - name, note, externalId, customerSince (if you later add createdAt to source query)
  */
-async function updateCompanyOnTargetFromSource(sourceCompany, targetCompanyId, orderCount2025) {
+async function updateCompanyOnTargetFromSource(sourceCompany, targetCompanyId, tier, tierConfig) {
   // 1️⃣ Update basic company fields first
   const input = {
     name: sourceCompany.name || null,
@@ -1781,10 +1712,11 @@ async function updateCompanyOnTargetFromSource(sourceCompany, targetCompanyId, o
   );
 
   // 3️⃣ Merge metafields (source overwrites, target keeps its unmatched keys)
-  let mergedMf = mergeMetafields(
+  let mergedMf = await mergeMetafields(
     sourceCompany.metafields,
     targetMfData.company.metafields,
-    targetCompanyId
+    targetCompanyId,
+    { ownerLabel: "COMPANY", entityLabel: sourceCompany.name }
   );
 
   // 4️⃣ Re-apply forced metafields (overwrite after merge)
@@ -1803,20 +1735,7 @@ async function updateCompanyOnTargetFromSource(sourceCompany, targetCompanyId, o
       type: "boolean",
       value: "True"
     },
-    {
-      ownerId: targetCompanyId,
-      namespace: "custom",
-      key: "level",
-      type: "single_line_text_field",
-      value:
-        orderCount2025 > 25
-          ? "Platinum"
-          : orderCount2025 > 10
-            ? "Gold"
-            : orderCount2025 > 5
-              ? "Silver"
-              : "Bronze"
-    }
+    ...tierMetafields(targetCompanyId, tier, tierConfig)
   );
 
   // 5️⃣ Apply metafields back to TARGET
@@ -2007,8 +1926,19 @@ async function syncCompanyContactRolesFromSource({
  *      - mirror mainContact
  *      - mirror per-location roles from roleAssignments
  *      - (optionally later) fetch ALL orders and create on TARGET
+ *
+ * Runs over many companies pass a shared `catalogContext` (createCompanyCatalogContext),
+ * `staffAssigner` (createStaffAssigner) and `tierCatalogs` (createTierCatalogLookup) so
+ * TARGET catalogs and staff are listed once per run.
  */
-async function syncSingleCompany(companyIdOrGid) {
+export async function syncSingleCompany(
+  companyIdOrGid,
+  {
+    catalogContext,
+    staffAssigner = createStaffAssigner(),
+    tierCatalogs = createTierCatalogLookup(TARGET_GQL, TARGET_ACCESS_TOKEN),
+  } = {}
+) {
   try {
     const companyGid = toCompanyGid(companyIdOrGid);
     console.log(`\n========== Syncing company ${companyGid} ==========`);
@@ -2021,16 +1951,17 @@ async function syncSingleCompany(companyIdOrGid) {
         `⚠️ SOURCE company metafields exceed 250. You are only copying the first 250 for ${sourceCompany.id}`
       );
     }
-    const orderCount2025 = await fetchCompanyOrdersCount2025(companyGid);
-    console.log(`📦 B2B 2025 order count for company: ${orderCount2025}`);
-    const tier =
-      orderCount2025 > 25
-        ? "Platinum"
-        : orderCount2025 > 10
-          ? "Gold"
-          : orderCount2025 > 5
-            ? "Silver"
-            : "Bronze";
+    // Tier rules come from tiers.json, re-read per company so edits apply to the next one
+    const tierConfig = loadTierConfig();
+    const tierMetric = await fetchCompanyTierMetric(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      companyGid,
+      tierConfig,
+      "CompanyTierOrders(SOURCE)"
+    );
+    console.log(`📦 B2B tier ${tierConfig.metric} (${tierConfig.window.type}) for company: ${tierMetric}`);
+    const tier = resolveTier(tierMetric, tierConfig);
     console.log(`🏷 Tier for company: ${tier}`);
 
     // 2) On TARGET, see if this company already exists by externalId
@@ -2061,7 +1992,7 @@ async function syncSingleCompany(companyIdOrGid) {
 
         // Update company basic fields
         // await updateCompanyOnTargetFromSource(sourceCompany, targetCompanyId);
-        await updateCompanyOnTargetFromSource(sourceCompany, targetCompanyId, orderCount2025);
+        await updateCompanyOnTargetFromSource(sourceCompany, targetCompanyId, tier, tierConfig);
 
         // Build role map from existing company
         roleNameToTargetRoleId = {};
@@ -2106,7 +2037,7 @@ async function syncSingleCompany(companyIdOrGid) {
           companyId: targetCompanyId,
           sourceLocationIdToTargetLocationId,
           roleNameToTargetRoleId,
-        } = await createCompanyOnTargetFromSource(sourceCompany, orderCount2025));
+        } = await createCompanyOnTargetFromSource(sourceCompany, tier, tierConfig));
       }
     } catch (lookupError) {
       console.error(
@@ -2116,7 +2047,55 @@ async function syncSingleCompany(companyIdOrGid) {
       //   companyId: targetCompanyId,
       //   sourceLocationIdToTargetLocationId,
       //   roleNameToTargetRoleId,
-      // } = await createCompanyOnTargetFromSource(sourceCompany, orderCount2025));
+      // } = await createCompanyOnTargetFromSource(sourceCompany, tier, tierConfig));
+    }
+
+    // SOURCE catalogs of the mapped locations (created on TARGET if missing)
+    if (SYNC_LOCATION_CATALOGS && sourceLocationIdToTargetLocationId.size) {
+      try {
+        await syncCompanyLocationCatalogs(sourceLocationIdToTargetLocationId, catalogContext);
+      } catch (e) {
+        console.error(`⚠️ Catalog sync failed for ${targetCompanyId}: ${e.message}`);
+      }
+    }
+
+    // Staff assigned to the SOURCE locations; staff missing on TARGET are only reported
+    if (SYNC_LOCATION_STAFF && sourceLocationIdToTargetLocationId.size) {
+      const missingStaff = new Set();
+      for (const edge of sourceCompany.locations?.edges || []) {
+        const srcLoc = edge.node;
+        const targetLocationId = sourceLocationIdToTargetLocationId.get(srcLoc.id);
+        const emails = staffEmailsFromLocation(srcLoc);
+        if (!targetLocationId || !emails.length) continue;
+
+        try {
+          const { missing } = await staffAssigner.assignByEmails(targetLocationId, emails, {
+            label: `location "${srcLoc.name}" (${targetLocationId})`,
+          });
+          missing.forEach((email) => missingStaff.add(email));
+        } catch (e) {
+          console.error(`⚠️ Staff assignment failed for location ${targetLocationId}: ${e.message}`);
+        }
+      }
+      if (missingStaff.size) {
+        console.warn(`⚠️ Staff not on TARGET for ${sourceCompany.name}: ${[...missingStaff].join(", ")}`);
+      }
+    }
+
+    // Tier catalog (only when output.catalog is enabled in tiers.json)
+    if (targetCompanyId) {
+      try {
+        await assignTierCatalog(
+          TARGET_GQL,
+          TARGET_ACCESS_TOKEN,
+          [...sourceLocationIdToTargetLocationId.values()],
+          tier,
+          tierConfig,
+          tierCatalogs
+        );
+      } catch (e) {
+        console.error(`⚠️ Tier catalog assignment failed for ${targetCompanyId}: ${e.message}`);
+      }
     }
 
     // 3) For each contact, sync customer + contact + roles (+ orders later)
@@ -2138,7 +2117,7 @@ async function syncSingleCompany(companyIdOrGid) {
       );
 
       // a) upsert customer on TARGET
-      const targetCustomer = await upsertCustomerOnTargetFromSource(srcCust, tier);
+      const targetCustomer = await upsertCustomerOnTargetFromSource(srcCust, tier, tierConfig);
       if (!targetCustomer) continue;
 
       // b) ensure companyContact on TARGET
@@ -2193,49 +2172,175 @@ async function syncSingleCompany(companyIdOrGid) {
     console.log(`✅ Finished syncing company ${sourceCompany.name} (${companyGid})`);
   } catch (error) {
     console.error("----syncSingleCompany Error", error);
+    // Callers count failures (watermark, webhook queue), so don't swallow it
+    throw error;
   }
 }
 
 /**
  * MAIN runner
+ *
+ * Which companies:
+ *   node companyAndCustomerSync.js 123 456          explicit IDs
+ *   node companyAndCustomerSync.js --query="tag:x"  every SOURCE company matching the search
+ *   node companyAndCustomerSync.js --all            every SOURCE company
+ *   (no args)                                       companies.json: { "companies": [...] } or { "query": "..." }
+ * COMPANY_QUERY (env) works like --query. Excluded IDs come from --exclude=1,2, COMPANY_EXCLUDE
+ * and companies.json "exclude"; they are never synced, whichever way the list was built.
  */
+// Companies on SOURCE matching a search (discovery, and the updated_at filter for delta runs).
+// Note: editing only a contact's customer record does not bump the company's updated_at.
+const QUERY_SOURCE_COMPANIES = `
+  query SourceCompanies($cursor: String, $query: String) {
+    companies(first: 250, after: $cursor, query: $query) {
+      nodes {
+        id
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+async function fetchSourceCompanyIds(query) {
+  const ids = new Set();
+  let cursor = null;
+
+  while (true) {
+    const data = await graphqlRequest(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_SOURCE_COMPANIES,
+      { cursor, query },
+      "SourceCompanies(SOURCE)"
+    );
+
+    for (const node of data?.companies?.nodes || []) ids.add(node.id);
+
+    if (!data?.companies?.pageInfo?.hasNextPage) break;
+    cursor = data.companies.pageInfo.endCursor;
+  }
+
+  return ids;
+}
+
+// Value of a --name=value flag (null when absent)
+function readCliFlag(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.slice(2).find((a) => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+function parseIdList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function readCompaniesFile() {
+  if (!fs.existsSync("./companies.json")) return null;
+  return JSON.parse(fs.readFileSync("./companies.json", "utf8"));
+}
+
 async function main() {
   let ids = [];
+  const cliIds = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+
+  let file = null;
+  try {
+    file = readCompaniesFile();
+  } catch (err) {
+    console.error("❌ Failed reading companies.json:", err.message);
+    process.exit(1);
+  }
+
+  const cliQuery = readCliFlag("query");
+  const discover =
+    !cliIds.length &&
+    (cliQuery !== null || process.argv.includes("--all") || !!process.env.COMPANY_QUERY || file?.query !== undefined);
+
+  const exclude = new Set(
+    [
+      ...parseIdList(readCliFlag("exclude")),
+      ...parseIdList(process.env.COMPANY_EXCLUDE),
+      ...parseIdList(file?.exclude),
+    ].map(toCompanyGid)
+  );
+
+  // Discovery runs only touch companies that changed since the last clean discovery run
+  // (--full for all). Explicit lists (CLI / companies.json) always sync every requested
+  // company and leave the watermark alone, since they don't cover the others.
+  const watermark = openWatermark("companies");
 
   // 1) If company IDs are passed via CLI, use those
-  if (process.argv.length > 2) {
-    ids = process.argv.slice(2);
+  if (cliIds.length) {
+    ids = cliIds;
     console.log("📌 Using company IDs from CLI:", ids);
   }
-  // 2) Otherwise read companies.json
+  // 2) Discover companies on SOURCE by search query (--all: no query)
+  else if (discover) {
+    const query = process.argv.includes("--all")
+      ? null
+      : cliQuery ?? process.env.COMPANY_QUERY ?? file?.query ?? null;
+    const sourceQuery = watermark.applyToQuery(query || null);
+
+    console.log(`🔎 Discovering SOURCE companies${sourceQuery ? ` matching: ${sourceQuery}` : " (all)"}`);
+    ids = [...(await fetchSourceCompanyIds(sourceQuery))];
+    console.log(`📌 Found ${ids.length} companies on SOURCE`);
+  }
+  // 3) Otherwise read companies.json
   else {
-    try {
-      const file = JSON.parse(fs.readFileSync("./companies.json", "utf8"));
-      ids = file.companies || [];
-      console.log("📌 Using company IDs from companies.json:", ids);
-    } catch (err) {
-      console.error("❌ No CLI IDs and failed reading companies.json:", err.message);
+    if (!file) {
+      console.error("❌ No CLI IDs, no --query / --all and no companies.json");
       process.exit(1);
     }
+    ids = file.companies || [];
+    console.log("📌 Using company IDs from companies.json:", ids);
   }
 
-  if (!ids.length) {
-    console.error("❌ No company IDs found. Provide CLI args OR companies.json.");
+  if (!discover && !ids.length) {
+    console.error("❌ No company IDs found. Provide CLI args, --query / --all, OR companies.json.");
     process.exit(1);
   }
 
+  if (exclude.size) {
+    const before = ids.length;
+    ids = ids.filter((cid) => !exclude.has(toCompanyGid(cid)));
+    console.log(`🚫 Excluded ${before - ids.length} company(ies) (${exclude.size} on the exclude list)`);
+  }
+
+  const catalogContext = createCompanyCatalogContext();
+  const staffAssigner = createStaffAssigner();
+  const tierCatalogs = createTierCatalogLookup(TARGET_GQL, TARGET_ACCESS_TOKEN);
+  let failed = 0;
   for (const cid of ids) {
     try {
-      await syncSingleCompany(cid);
+      await syncSingleCompany(cid, { catalogContext, staffAssigner, tierCatalogs });
     } catch (e) {
+      failed++;
       console.error(`💥 Failed syncing company ${cid}:`, e.message);
     }
   }
 
   console.log("\n🎯 All requested companies processed.");
+
+  if (!discover) {
+    console.log("🕒 companies: watermark not moved (explicit company list)");
+  } else if (failed === 0) {
+    watermark.commit({ processed: ids.length });
+  } else {
+    console.log(`⚠️ Watermark not moved: ${failed} company(ies) failed and will be synced again next run`);
+  }
 }
 
-main().catch((err) => {
-  console.error("💥 Fatal error:", err);
-  process.exit(1);
-});
+// Only run as a script; other syncs import the consent helpers from this file
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error("💥 Fatal error:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,465 @@
+// copyMetafieldDefs.js
+// Companion to deleteMetafieldDefs.js: copies metafield definitions from SOURCE to TARGET
+// with the same name, description, validations, pinning, storefront access and capabilities.
+//
+// Usage:
+//   node copyMetafieldDefs.js export            # SOURCE definitions → ./exports/*.json
+//   node copyMetafieldDefs.js diff [file.json]  # what differs on TARGET (from the file, or live from SOURCE)
+//   node copyMetafieldDefs.js import [file.json]# create missing / update differing definitions on TARGET
+//
+// Env: OWNER_TYPES (comma list, default PRODUCT,PRODUCTVARIANT,COLLECTION,CUSTOMER,COMPANY,ORDER),
+//      NAMESPACE, KEY_PREFIX (same filters as deleteMetafieldDefs.js), UPDATE_EXISTING (default true)
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { graphqlRequest } from "./shopifyClient.js";
+
+dotenv.config();
+
+const API_VERSION = process.env.API_VERSION || "2025-10";
+
+const SOURCE_SHOP = process.env.SOURCE_SHOP;
+const SOURCE_ACCESS_TOKEN = process.env.SOURCE_ACCESS_TOKEN;
+const TARGET_SHOP = process.env.TARGET_SHOP;
+const TARGET_ACCESS_TOKEN = process.env.TARGET_ACCESS_TOKEN;
+
+const SOURCE_GQL = `https://${SOURCE_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+
+const OWNER_TYPES = String(process.env.OWNER_TYPES || "PRODUCT,PRODUCTVARIANT,COLLECTION,CUSTOMER,COMPANY,ORDER")
+  .split(",")
+  .map((t) => t.trim().toUpperCase())
+  .filter(Boolean);
+
+// Optional: only definitions in a given namespace / whose key starts with a prefix
+const NAMESPACE_FILTER = String(process.env.NAMESPACE || "").trim();
+const KEY_PREFIX = String(process.env.KEY_PREFIX || "").trim();
+
+// If true, definitions that exist on TARGET with different settings are updated to match
+const UPDATE_EXISTING = String(process.env.UPDATE_EXISTING || "true").toLowerCase() === "true";
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || "./exports");
+
+// Owned by Shopify or by apps on SOURCE; can't be created with our token
+const RESERVED_NAMESPACE = /^(shopify|app--|\$app)/;
+
+export const DEFINITION_FIELDS = `
+  id
+  name
+  namespace
+  key
+  description
+  ownerType
+  pinnedPosition
+  type { name }
+  validations { name value }
+  access { storefront customerAccount }
+  capabilities {
+    adminFilterable { enabled }
+    smartCollectionCondition { enabled }
+    uniqueValues { enabled }
+  }
+`;
+
+// IMPORTANT: ownerType is an enum; we embed it into the query string (as deleteMetafieldDefs.js does).
+function buildQueryDefs(ownerType) {
+  if (!/^[A-Z_]+$/.test(ownerType)) throw new Error(`Invalid owner type "${ownerType}"`);
+  return `
+query GetMetafieldDefinitions($first: Int!, $after: String) {
+  metafieldDefinitions(first: $first, after: $after, ownerType: ${ownerType}) {
+    nodes {
+      ${DEFINITION_FIELDS}
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}
+`;
+}
+
+const QUERY_METAOBJECT_DEFINITION = `
+query MetaobjectDefinitionType($id: ID!) {
+  metaobjectDefinition(id: $id) { type }
+}
+`;
+
+const QUERY_METAOBJECT_DEFINITION_BY_TYPE = `
+query MetaobjectDefinitionByType($type: String!) {
+  metaobjectDefinitionByType(type: $type) { id }
+}
+`;
+
+const MUTATION_CREATE = `
+mutation MetafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+  metafieldDefinitionCreate(definition: $definition) {
+    createdDefinition { id namespace key }
+    userErrors { field message code }
+  }
+}
+`;
+
+const MUTATION_UPDATE = `
+mutation MetafieldDefinitionUpdate($definition: MetafieldDefinitionUpdateInput!) {
+  metafieldDefinitionUpdate(definition: $definition) {
+    updatedDefinition { id namespace key }
+    userErrors { field message code }
+  }
+}
+`;
+
+const METAOBJECT_DEFINITION_GID = /gid:\/\/shopify\/MetaobjectDefinition\/\d+/g;
+
+function passesFilters(def) {
+  if (RESERVED_NAMESPACE.test(def.namespace)) return false;
+  if (NAMESPACE_FILTER && def.namespace !== NAMESPACE_FILTER) return false;
+  if (KEY_PREFIX && !String(def.key || "").startsWith(KEY_PREFIX)) return false;
+  return true;
+}
+
+function definitionId(def) {
+  return `${def.ownerType}:${def.namespace}.${def.key}`;
+}
+
+/**
+ * All metafield definitions of one owner type on a shop (namespace / key filters applied)
+ */
+export async function fetchMetafieldDefinitions(endpoint, token, ownerType, label = "metafieldDefinitions") {
+  const defs = [];
+  let after = null;
+  const QUERY_DEFS = buildQueryDefs(ownerType);
+
+  while (true) {
+    const data = await graphqlRequest(endpoint, token, QUERY_DEFS, { first: 250, after }, label);
+    const conn = data.metafieldDefinitions;
+
+    for (const def of conn.nodes) {
+      if (passesFilters(def)) defs.push(def);
+    }
+
+    if (!conn.pageInfo.hasNextPage) break;
+    after = conn.pageInfo.endCursor;
+  }
+
+  return defs;
+}
+
+/**
+ * Comparable settings of a definition (what we copy, minus ids)
+ */
+function definitionSettings(def, metaobjectTypes = {}) {
+  return {
+    name: def.name,
+    description: def.description || null,
+    type: def.type?.name,
+    // Metaobject definition ids differ per shop; compare by metaobject type instead
+    validations: (def.validations || [])
+      .map((v) => ({
+        name: v.name,
+        value: String(v.value ?? "").replace(METAOBJECT_DEFINITION_GID, (gid) => metaobjectTypes[gid] || gid),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    pinned: def.pinnedPosition != null,
+    storefront: def.access?.storefront || null,
+    customerAccount: def.access?.customerAccount || null,
+    adminFilterable: !!def.capabilities?.adminFilterable?.enabled,
+    smartCollectionCondition: !!def.capabilities?.smartCollectionCondition?.enabled,
+    uniqueValues: !!def.capabilities?.uniqueValues?.enabled,
+  };
+}
+
+/**
+ * Metaobject definition GID → type, for every GID used in the definitions' validations
+ */
+export async function resolveMetaobjectTypes(endpoint, token, defs) {
+  const types = {};
+  const gids = new Set();
+  for (const def of defs) {
+    for (const v of def.validations || []) {
+      for (const gid of String(v.value ?? "").match(METAOBJECT_DEFINITION_GID) || []) gids.add(gid);
+    }
+  }
+
+  for (const gid of gids) {
+    const data = await graphqlRequest(endpoint, token, QUERY_METAOBJECT_DEFINITION, { id: gid }, "metaobjectDefinition");
+    if (data?.metaobjectDefinition?.type) types[gid] = data.metaobjectDefinition.type;
+  }
+  return types;
+}
+
+/**
+ * Export shape: { shop, exportedAt, ownerTypes, metaobjectTypes, definitions }
+ */
+export async function exportMetafieldDefinitions(endpoint, token, ownerTypes, shop) {
+  const definitions = [];
+  for (const ownerType of ownerTypes) {
+    const defs = await fetchMetafieldDefinitions(endpoint, token, ownerType);
+    console.log(`  ${ownerType}: ${defs.length} definition(s)`);
+    definitions.push(...defs);
+  }
+
+  return {
+    shop,
+    exportedAt: new Date().toISOString(),
+    ownerTypes,
+    metaobjectTypes: await resolveMetaobjectTypes(endpoint, token, definitions),
+    definitions,
+  };
+}
+
+/**
+ * Compare exported definitions with the ones on a shop.
+ * Returns rows { id, status: "missing" | "same" | "differs" | "type_conflict" | "target_only", changes }
+ */
+function diffDefinitions(exported, targetDefs, targetMetaobjectTypes) {
+  const targetById = new Map(targetDefs.map((d) => [definitionId(d), d]));
+  const rows = [];
+
+  for (const def of exported.definitions) {
+    const id = definitionId(def);
+    const target = targetById.get(id);
+    targetById.delete(id);
+
+    if (!target) {
+      rows.push({ id, status: "missing", def, changes: [] });
+      continue;
+    }
+
+    const want = definitionSettings(def, exported.metaobjectTypes);
+    const have = definitionSettings(target, targetMetaobjectTypes);
+    const changes = Object.keys(want)
+      .filter((field) => JSON.stringify(want[field]) !== JSON.stringify(have[field]))
+      .map((field) => ({ field, target: have[field], source: want[field] }));
+
+    const status = !changes.length
+      ? "same"
+      : changes.some((c) => c.field === "type")
+        ? "type_conflict"
+        : "differs";
+    rows.push({ id, status, def, target, changes });
+  }
+
+  for (const [id, target] of targetById) {
+    rows.push({ id, status: "target_only", target, changes: [] });
+  }
+
+  return rows;
+}
+
+function printDiff(rows) {
+  const icons = { missing: "➕", same: "✅", differs: "✏️", type_conflict: "⛔", target_only: "➖" };
+
+  for (const row of rows) {
+    if (row.status === "same") continue;
+    console.log(`${icons[row.status]} ${row.status.padEnd(13)} ${row.id}`);
+    for (const c of row.changes) {
+      console.log(`     ${c.field}: target=${JSON.stringify(c.target)} → source=${JSON.stringify(c.source)}`);
+    }
+  }
+
+  const counts = {};
+  for (const row of rows) counts[row.status] = (counts[row.status] || 0) + 1;
+  console.log("---------------------------------------------------");
+  console.log("Summary:", JSON.stringify(counts));
+}
+
+/**
+ * Validations with SOURCE metaobject definition GIDs swapped for the TARGET ones of the same type.
+ * A validation whose metaobject type doesn't exist on TARGET is left out.
+ */
+export function mapDefinitionValidations(def, { metaobjectTypes = {}, targetMetaobjectIds = {} } = {}) {
+  const validations = [];
+  for (const v of def.validations || []) {
+    let unmapped = false;
+    const value = String(v.value ?? "").replace(METAOBJECT_DEFINITION_GID, (gid) => {
+      const targetId = targetMetaobjectIds[metaobjectTypes[gid]];
+      if (!targetId) unmapped = true;
+      return targetId || gid;
+    });
+
+    if (unmapped) {
+      console.warn(`⚠️ ${definitionId(def)}: validation "${v.name}" references a metaobject type missing on target; left out`);
+      continue;
+    }
+    validations.push({ name: v.name, value });
+  }
+  return validations;
+}
+
+/**
+ * Exported definition → MetafieldDefinitionInput (metaobject validations mapped by type)
+ */
+export function toDefinitionInput(def, { metaobjectTypes = {}, targetMetaobjectIds = {} } = {}) {
+  const validations = mapDefinitionValidations(def, { metaobjectTypes, targetMetaobjectIds });
+
+  const access = {};
+  if (def.access?.storefront) access.storefront = def.access.storefront;
+  if (def.access?.customerAccount) access.customerAccount = def.access.customerAccount;
+
+  return {
+    name: def.name,
+    namespace: def.namespace,
+    key: def.key,
+    description: def.description || null,
+    ownerType: def.ownerType,
+    type: def.type?.name,
+    validations,
+    pin: def.pinnedPosition != null,
+    ...(Object.keys(access).length ? { access } : {}),
+    capabilities: {
+      adminFilterable: { enabled: !!def.capabilities?.adminFilterable?.enabled },
+      smartCollectionCondition: { enabled: !!def.capabilities?.smartCollectionCondition?.enabled },
+      uniqueValues: { enabled: !!def.capabilities?.uniqueValues?.enabled },
+    },
+  };
+}
+
+/**
+ * Metaobject type → TARGET metaobject definition GID
+ */
+export async function fetchTargetMetaobjectIds(metaobjectTypes) {
+  const ids = {};
+  for (const type of new Set(Object.values(metaobjectTypes))) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      QUERY_METAOBJECT_DEFINITION_BY_TYPE,
+      { type },
+      "metaobjectDefinitionByType"
+    );
+    if (data?.metaobjectDefinitionByType?.id) ids[type] = data.metaobjectDefinitionByType.id;
+  }
+  return ids;
+}
+
+async function loadExport(file) {
+  if (file) {
+    console.log("Reading export:", file);
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  console.log("Reading definitions live from SOURCE:", SOURCE_SHOP);
+  return exportMetafieldDefinitions(SOURCE_GQL, SOURCE_ACCESS_TOKEN, OWNER_TYPES, SOURCE_SHOP);
+}
+
+async function diffAgainstTarget(exported) {
+  const ownerTypes = exported.ownerTypes || OWNER_TYPES;
+  const targetDefs = [];
+  for (const ownerType of ownerTypes) {
+    targetDefs.push(...(await fetchMetafieldDefinitions(TARGET_GQL, TARGET_ACCESS_TOKEN, ownerType)));
+  }
+  const targetMetaobjectTypes = await resolveMetaobjectTypes(TARGET_GQL, TARGET_ACCESS_TOKEN, targetDefs);
+  return diffDefinitions(exported, targetDefs, targetMetaobjectTypes);
+}
+
+async function runImport(exported, rows) {
+  const targetMetaobjectIds = await fetchTargetMetaobjectIds(exported.metaobjectTypes || {});
+  const inputOptions = { metaobjectTypes: exported.metaobjectTypes || {}, targetMetaobjectIds };
+
+  // Pinning appends, so pin in SOURCE order to keep the same admin layout
+  const todo = rows
+    .filter((r) => r.status === "missing" || (UPDATE_EXISTING && r.status === "differs"))
+    .sort((a, b) => (a.def.pinnedPosition ?? Infinity) - (b.def.pinnedPosition ?? Infinity));
+
+  let created = 0;
+  let updated = 0;
+  let failed = 0;
+
+  for (const [i, row] of todo.entries()) {
+    const input = toDefinitionInput(row.def, inputOptions);
+    const isCreate = row.status === "missing";
+
+    try {
+      let payload;
+      if (isCreate) {
+        const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, MUTATION_CREATE, { definition: input }, "metafieldDefinitionCreate");
+        payload = data.metafieldDefinitionCreate;
+      } else {
+        // type can't change on an existing definition
+        const { type, ...updateInput } = input;
+        const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, MUTATION_UPDATE, { definition: updateInput }, "metafieldDefinitionUpdate");
+        payload = data.metafieldDefinitionUpdate;
+      }
+
+      const userErrors = payload?.userErrors || [];
+      if (userErrors.length) {
+        failed++;
+        console.log(
+          `❌ [${i + 1}/${todo.length}] FAILED ${row.id}\n   ` +
+            userErrors.map((e) => `${e.code || "ERR"}: ${e.message}`).join(" | ")
+        );
+      } else {
+        if (isCreate) created++;
+        else updated++;
+        console.log(`✅ [${i + 1}/${todo.length}] ${isCreate ? "Created" : "Updated"} ${row.id}`);
+      }
+    } catch (err) {
+      failed++;
+      console.log(`❌ [${i + 1}/${todo.length}] ERROR ${row.id}\n   ${err?.message || String(err)}`);
+    }
+  }
+
+  const conflicts = rows.filter((r) => r.status === "type_conflict");
+  for (const row of conflicts) {
+    console.log(`⛔ Not touched (type differs, delete it on target first): ${row.id}`);
+  }
+
+  console.log("---------------------------------------------------");
+  console.log("Done.");
+  console.log("Created:", created);
+  console.log("Updated:", updated);
+  console.log("Failed:", failed);
+  console.log("Type conflicts:", conflicts.length);
+  if (failed > 0) process.exitCode = 1;
+}
+
+async function main() {
+  const [command = "diff", file] = process.argv.slice(2);
+
+  console.log("=== Shopify Metafield Definition Copier ===");
+  console.log("Source:", SOURCE_SHOP);
+  console.log("Target:", TARGET_SHOP);
+  console.log("API Version:", API_VERSION);
+  console.log("Owner Types:", OWNER_TYPES.join(", "));
+  if (NAMESPACE_FILTER) console.log("Namespace filter:", NAMESPACE_FILTER);
+  if (KEY_PREFIX) console.log("Key prefix filter:", KEY_PREFIX);
+  console.log("---------------------------------------------------");
+
+  if (command === "export") {
+    const exported = await exportMetafieldDefinitions(SOURCE_GQL, SOURCE_ACCESS_TOKEN, OWNER_TYPES, SOURCE_SHOP);
+    if (!fs.existsSync(EXPORT_DIR)) fs.mkdirSync(EXPORT_DIR, { recursive: true });
+
+    const outFile = path.join(
+      EXPORT_DIR,
+      `metafield-definitions__${String(SOURCE_SHOP).replace(/[^a-zA-Z0-9._-]+/g, "_")}__${exported.exportedAt.replace(/[:.]/g, "-")}.json`
+    );
+    fs.writeFileSync(outFile, JSON.stringify(exported, null, 2));
+    console.log(`Exported ${exported.definitions.length} definitions → ${outFile}`);
+    return;
+  }
+
+  if (command !== "diff" && command !== "import") {
+    throw new Error(`Unknown command "${command}". Use export, diff or import`);
+  }
+
+  const exported = await loadExport(file);
+  const rows = await diffAgainstTarget(exported);
+  printDiff(rows);
+
+  if (command === "import") {
+    console.log("---------------------------------------------------");
+    console.log(`Importing (update existing: ${UPDATE_EXISTING})...`);
+    await runImport(exported, rows);
+  }
+}
+
+// Only run as a script; the fetch / input helpers are shared with the other definition tools
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error("Fatal:", e?.message || String(e));
+    process.exit(1);
+  });
+}
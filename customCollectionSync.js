@@ -8,6 +8,10 @@ import fs from "fs";
 import path from "path";
 import XLSX from "xlsx";
 import { sanitizeMetafieldsForShopify } from "./utils.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
 
 /**
  * CONFIG
@@ -22,10 +26,6 @@ const {
 
 const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 
-/**
- * GRAPHQL
- */
-
 const ALLOWED_METAFIELD_TYPES = new Set([
     "boolean",
     "color",
@@ -267,6 +267,7 @@ async function ensureMetafieldDefinitions({
     }
 }
 const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+const referenceResolver = createReferenceResolver();
 
 function normalizeCollectionSortOrder(value) {
     if (!value) return undefined;
@@ -310,39 +311,6 @@ function isEmpty(v) {
     return v === null || v === undefined || String(v).trim() === "";
 }
 
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-    const res = await fetch(endpoint, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": token,
-        },
-        body: JSON.stringify({ query, variables }),
-    });
-
-    const text = await res.text();
-    let json;
-    try {
-        json = text ? JSON.parse(text) : {};
-    } catch (e) {
-        console.error(`❌ Invalid JSON (${label}):`, text.slice(0, 1200));
-        throw new Error("Invalid JSON");
-    }
-
-    if (!res.ok) {
-        console.error(`❌ HTTP ${res.status} (${label})`);
-        console.error(text.slice(0, 2000));
-        throw new Error(`HTTP ${res.status}`);
-    }
-
-    if (json.errors?.length) {
-        console.error(`❌ GraphQL errors (${label}):`, JSON.stringify(json.errors, null, 2));
-        throw new Error("GraphQL error");
-    }
-
-    return json.data;
-}
-
 function loadRows(filebuffer) {
     const wb = XLSX.read(filebuffer, { type: "buffer" });
     const sheet = wb.Sheets[wb.SheetNames[0]];
@@ -588,8 +556,14 @@ async function mapCustomCollectionToCreateInput(c) {
             entityLabel: c.handle,
         });
 
-        if (safeMetafields.length) {
-            input.metafields = safeMetafields;
+        // Reference values (handles, URLs, "type.handle") → TARGET GIDs
+        const resolvedMetafields = await referenceResolver.resolveMetafields(safeMetafields, {
+            ownerLabel: "COLLECTION",
+            entityLabel: c.handle,
+        });
+
+        if (resolvedMetafields.length) {
+            input.metafields = resolvedMetafields;
         }
     }
 
@@ -683,17 +657,40 @@ export async function migrateCustomCollections(req, res) {
     let skippedCount = 0;
     let failedCount = 0;
 
+    // Status report lists every sheet row of a collection with that collection's outcome
+    const statusReport = createStatusReport("custom_collections");
+    const sheetRowsByHandle = new Map();
+    for (const row of rows) {
+        const handle = normalizeHandle(row["Handle"]);
+        if (!handle) continue;
+        if (!sheetRowsByHandle.has(handle)) sheetRowsByHandle.set(handle, []);
+        sheetRowsByHandle.get(handle).push(row);
+    }
+    reportProgress(req, { total: customCollections.length });
+
     for (let i = 0; i < customCollections.length; i++) {
         const c = customCollections[i];
         const label = `#${i + 1} "${c.title}" (handle: ${c.handle})`;
 
         console.log(`\n➡️  Processing ${label}`);
+        reportProgress(req, {
+            processed: i,
+            succeeded: createdCount,
+            skipped: skippedCount,
+            failed: failedCount,
+            currentRow: label,
+        });
 
         try {
             const existingId = await findTargetCollectionByHandle(c.handle);
             if (existingId) {
                 console.log(`   🔁 Already exists on TARGET (id=${existingId}) → skipping create`);
                 skippedCount++;
+                statusReport.add(sheetRowsByHandle.get(c.handle), {
+                    status: REPORT_STATUS.SKIPPED,
+                    action: "exists_on_target",
+                    targetId: existingId,
+                });
                 continue;
             }
 
@@ -708,6 +705,11 @@ export async function migrateCustomCollections(req, res) {
             const created = await createTargetCollection(input);
             console.log(`✅ Created collection: id=${created.id} title="${created.title}" handle="${created.handle}"`);
             createdCount++;
+            statusReport.add(sheetRowsByHandle.get(c.handle), {
+                status: REPORT_STATUS.SUCCESS,
+                action: "created",
+                targetId: created.id,
+            });
 
             const publicationInputs = buildPublicationInputs(
                 c.published,
@@ -726,15 +728,39 @@ export async function migrateCustomCollections(req, res) {
             failedCount++;
             console.error(`❌ Failed ${label}`);
             console.error("   Reason:", err.message);
+            statusReport.add(sheetRowsByHandle.get(c.handle), {
+                status: REPORT_STATUS.FAILED,
+                action: "create",
+                error: err,
+            });
         }
 
         await delay(650);
     }
 
+    reportProgress(req, {
+        processed: customCollections.length,
+        succeeded: createdCount,
+        skipped: skippedCount,
+        failed: failedCount,
+    });
+
     console.log("\n📊 CUSTOM collections import completed.");
     console.log(`   ✅ Created:  ${createdCount}`);
     console.log(`   🔁 Skipped:  ${skippedCount}`);
     console.log(`   ❌ Failed:   ${failedCount}`);
-
+    statusReport.flush();
+    console.log(`   📄 Report:   ${statusReport.filePath}`);
+
+    if (res?.json) {
+        res.json({
+            ok: failedCount === 0,
+            createdCount,
+            skippedCount,
+            failedCount,
+            reportPath: statusReport.filePath,
+            reportUrl: statusReport.downloadUrl,
+        });
+    }
     if (failedCount > 0) process.exitCode = 1;
 }
@@ -7,6 +7,11 @@ import dotenv from "dotenv";
 dotenv.config();
 import XLSX from "xlsx";
 import { sanitizeMetafieldsForShopify } from "./utils.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
+import { isDryRun, createDryRunReport, reportUnknownMetafieldColumns } from "./dryRun.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
 
 /**
  * CONFIG
@@ -24,10 +29,6 @@ if (!TARGET_SHOP || !TARGET_ACCESS_TOKEN) {
 
 const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 
-/**
- * GRAPHQL
- */
-
 const CUSTOMER_METAFIELD_DEFS_QUERY = `
  query CustomerMetafieldDefinitions {
   metafieldDefinitions(first: 250, ownerType: CUSTOMER) {
@@ -242,6 +243,7 @@ async function ensureCustomerMetafieldDefinitions(metafields) {
 }
 
 const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+const referenceResolver = createReferenceResolver();
 
 function isEmpty(v) {
     return v === null || v === undefined || String(v).trim() === "";
@@ -363,39 +365,6 @@ function normalizeOptInLevel(v) {
     }
 }
 
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-    const res = await fetch(endpoint, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": token,
-        },
-        body: JSON.stringify({ query, variables }),
-    });
-
-    const text = await res.text();
-    let json;
-    try {
-        json = text ? JSON.parse(text) : {};
-    } catch (e) {
-        console.error(`❌ Invalid JSON (${label}):`, text.slice(0, 1200));
-        throw new Error("Invalid JSON");
-    }
-
-    if (!res.ok) {
-        console.error(`❌ HTTP ${res.status} (${label})`);
-        console.error(text.slice(0, 2000));
-        throw new Error(`HTTP ${res.status}`);
-    }
-
-    if (json.errors?.length) {
-        console.error(`❌ GraphQL errors (${label}):`, JSON.stringify(json.errors, null, 2));
-        throw new Error("GraphQL error");
-    }
-
-    return json.data;
-}
-
 function loadRows(fileBuffer) {
     const wb = XLSX.read(fileBuffer, { type: "buffer" });
 
@@ -484,10 +453,14 @@ function buildCustomersFromRows(rows, detectedMetafields) {
                 _metafields: new Map(),
 
                 addresses: [],
+
+                // original sheet rows, for the status report
+                _rows: [],
             });
         }
 
         const c = map.get(key);
+        c._rows.push(row);
 
         // Fill missing base values from any later row (no assumptions about which row is top)
         if (isEmpty(c.email) && !isEmpty(row["Email"])) c.email = row["Email"];
@@ -701,15 +674,22 @@ export async function migrateCustomers(req, res) {
         return;
     }
 
+    const dryRunReport = isDryRun(req) ? createDryRunReport("customers") : null;
+
     console.log("🚀 Starting Customers import (Sheet → Shopify) [CREATE ONLY] ...");
     console.log(`   Target: ${TARGET_SHOP}`);
+    if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent");
 
     const rows = loadRows(fileBuffer);
 
     const detectedMetafields = detectCustomerMetafieldColumns(rows);
     console.log(`🔎 Detected ${detectedMetafields.length} customer metafield columns`);
 
-    await ensureCustomerMetafieldDefinitions(detectedMetafields);
+    if (dryRunReport) {
+        reportUnknownMetafieldColumns(dryRunReport, Object.keys(rows[0] || {}), ALLOWED_METAFIELD_TYPES);
+    } else {
+        await ensureCustomerMetafieldDefinitions(detectedMetafields);
+    }
 
 
     const customers = buildCustomersFromRows(rows, detectedMetafields);
@@ -719,6 +699,8 @@ export async function migrateCustomers(req, res) {
     let createdCount = 0;
     let skippedCount = 0;
     let failedCount = 0;
+    const statusReport = createStatusReport("customers", { disabled: !!dryRunReport });
+    reportProgress(req, { total: customers.length });
 
     for (let i = 0; i < customers.length; i++) {
         const c = customers[i];
@@ -727,12 +709,24 @@ export async function migrateCustomers(req, res) {
         const label = `#${i + 1} (${labelEmail}, ${labelPhone})`;
 
         console.log(`\n➡️  Processing ${label}`);
+        reportProgress(req, {
+            processed: i,
+            succeeded: createdCount,
+            skipped: skippedCount,
+            failed: failedCount,
+            currentRow: label,
+        });
 
         try {
             // Create-only requires at least email OR phone to safely de-dupe and to meet Shopify uniqueness constraints
             if (isEmpty(c.email) && isEmpty(c.phone)) {
                 console.log("🟡 Skipping: both Email and Phone are empty (cannot check existence safely).");
+                dryRunReport?.addProblem(label, "missing_email_and_phone", "Customer has neither Email nor Phone and would be skipped");
                 skippedCount++;
+                statusReport.add(c._rows, {
+                    status: REPORT_STATUS.SKIPPED,
+                    action: "missing_email_and_phone",
+                });
                 continue;
             }
 
@@ -748,11 +742,30 @@ export async function migrateCustomers(req, res) {
             if (existingId) {
                 console.log(`🟡 Customer already exists → ${existingId} (skipping)`);
                 skippedCount++;
+                statusReport.add(c._rows, {
+                    status: REPORT_STATUS.SKIPPED,
+                    action: "exists_on_target",
+                    targetId: existingId,
+                });
                 continue;
             }
 
             const input = buildCustomerInput(c);
 
+            if (dryRunReport) {
+                dryRunReport.addInput(label, "customerCreate", { input });
+                createdCount++;
+                continue;
+            }
+
+            // Reference values (handles, SKUs, URLs, "type.handle") → TARGET GIDs
+            if (input.metafields?.length) {
+                input.metafields = await referenceResolver.resolveMetafields(input.metafields, {
+                    ownerLabel: "CUSTOMER",
+                    entityLabel: label,
+                });
+            }
+
             // Final safeguard: Shopify will reject consent objects without required base fields
             // (e.g., emailMarketingConsent usually expects email on create)
             // We do not guess; Shopify will return userErrors if invalid.
@@ -760,20 +773,55 @@ export async function migrateCustomers(req, res) {
 
             console.log(`✅ Created customer: id=${created.id} email=${created.email ?? "n/a"} phone=${created.phone ?? "n/a"}`);
             createdCount++;
+            statusReport.add(c._rows, {
+                status: REPORT_STATUS.SUCCESS,
+                action: "created",
+                targetId: created.id,
+            });
         } catch (err) {
             failedCount++;
             console.error(`❌ Failed ${label}`);
             console.error("   Reason:", String(err?.message || err));
+            dryRunReport?.addProblem(label, "exception", String(err?.message || err));
+            statusReport.add(c._rows, {
+                status: REPORT_STATUS.FAILED,
+                action: "create",
+                error: err,
+            });
         }
 
-        await delay(650);
+        if (!dryRunReport) await delay(650);
+    }
+
+    reportProgress(req, {
+        processed: customers.length,
+        succeeded: createdCount,
+        skipped: skippedCount,
+        failed: failedCount,
+    });
+
+    if (dryRunReport) {
+        const result = dryRunReport.result({ total: customers.length, wouldCreate: createdCount, wouldSkip: skippedCount });
+        if (res?.json) res.json(result);
+        return;
     }
 
     console.log("\n📊 Customers import completed.");
     console.log(`   ✅ Created: ${createdCount}`);
     console.log(`   🔁 Skipped:  ${skippedCount}`);
     console.log(`   ❌ Failed:   ${failedCount}`);
-
-    if (res?.json) res.json({ ok: failedCount === 0, createdCount, skippedCount, failedCount });
+    statusReport.flush();
+    console.log(`   📄 Report:   ${statusReport.filePath}`);
+
+    if (res?.json) {
+        res.json({
+            ok: failedCount === 0,
+            createdCount,
+            skippedCount,
+            failedCount,
+            reportPath: statusReport.filePath,
+            reportUrl: statusReport.downloadUrl,
+        });
+    }
     if (failedCount > 0) process.exitCode = 1;
 }
@@ -1,4 +1,5 @@
 import dotenv from "dotenv";
+import { graphqlRequest as shopifyGraphqlRequest } from "../shopifyClient.js";
 dotenv.config();
 
 /* ============================================
@@ -21,30 +22,7 @@ const GQL_ENDPOINT = `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`;
    GRAPHQL HELPER
 ============================================ */
 async function graphqlRequest(query, variables, label = "") {
-  const res = await fetch(GQL_ENDPOINT, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": ACCESS_TOKEN,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const text = await res.text();
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    console.error(`❌ Invalid JSON (${label}):`, text);
-    throw new Error("Invalid JSON response");
-  }
-
-  if (json.errors) {
-    console.error(`❌ GraphQL Error (${label}):`, JSON.stringify(json.errors, null, 2));
-    throw new Error("GraphQL error");
-  }
-
-  return json.data;
+  return shopifyGraphqlRequest(GQL_ENDPOINT, ACCESS_TOKEN, query, variables, label);
 }
 
 /* ============================================
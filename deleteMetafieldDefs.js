@@ -1,9 +1,33 @@
-
-
-const SHOP = "";
-const ADMIN_ACCESS_TOKEN = "";
+// deleteMetafieldDefs.js
+// Deletes metafield definitions (optionally with their values) on one store.
+// Every delete run first writes a backup of the definitions and their values to
+// ./backups/<file>.json, which restoreMetafieldDefinitions can put back afterwards.
+//
+// Routes:  GET  /metafield-definitions/delete-preview   what would be deleted (+ value counts)
+//          POST /metafield-definitions/delete?confirm=true
+//          POST /metafield-definitions/restore          (backup upload, or ?backup=<file>)
+// Script:  node deleteMetafieldDefs.js                  (env driven, same backup)
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { graphqlRequest as shopifyGraphqlRequest } from "./shopifyClient.js";
+import { DEFINITION_FIELDS, toDefinitionInput } from "./copyMetafieldDefs.js";
+import { reportProgress } from "./jobs.js";
+import { isDryRun } from "./dryRun.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
+
+dotenv.config();
+
+// Store to clean up; defaults to the migration TARGET
+const SHOP = process.env.SHOP || process.env.TARGET_SHOP || "";
+const ADMIN_ACCESS_TOKEN = process.env.ADMIN_ACCESS_TOKEN || process.env.TARGET_ACCESS_TOKEN || "";
 const API_VERSION = process.env.API_VERSION || "2025-10";
 
+// Defaults for the script; the routes take the same settings as query params
+// (?ownerType, ?deleteValues, ?namespace, ?keyPrefix, ?limit)
+
 // OWNER_TYPE must be Shopify metafield owner type enum (PRODUCT, PRODUCTVARIANT, ORDER, etc.)
 const OWNER_TYPE = String(process.env.OWNER_TYPE || "PRODUCTVARIANT").trim().toUpperCase();
 
@@ -19,7 +43,10 @@ const KEY_PREFIX = String(process.env.KEY_PREFIX || "").trim();
 // Safety: limit number deleted per run (0 = no limit)
 const LIMIT = Number(process.env.LIMIT || 0);
 
+const BACKUPS_DIR = path.resolve(process.env.BACKUPS_DIR || "./backups");
 
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_SET_BATCH = 25;
 
 const ENDPOINT = `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`;
 
@@ -36,20 +63,56 @@ mutation DeleteMetafieldDefinition($id: ID!, $deleteAllAssociatedMetafields: Boo
 }
 `;
 
+const MUTATION_CREATE = `
+mutation MetafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+  metafieldDefinitionCreate(definition: $definition) {
+    createdDefinition { id }
+    userErrors { field message code }
+  }
+}
+`;
+
+const MUTATION_METAFIELDS_SET = `
+mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+  metafieldsSet(metafields: $metafields) {
+    metafields { id }
+    userErrors { field message code }
+  }
+}
+`;
+
+const QUERY_DEFINITION_METAFIELDS = `
+query DefinitionMetafields($id: ID!, $first: Int!, $after: String) {
+  metafieldDefinition(id: $id) {
+    metafields(first: $first, after: $after) {
+      nodes {
+        namespace
+        key
+        type
+        value
+        owner { ... on Node { id } }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+}
+`;
+
 // IMPORTANT: ownerType is an enum; we embed OWNER_TYPE into the query string.
 // Variables cannot be used for enum in this connection filter reliably.
 function buildQueryDefs(ownerType) {
+  if (!/^[A-Z_]+$/.test(ownerType)) throw new Error(`Invalid owner type "${ownerType}"`);
   return `
 query GetMetafieldDefinitions($first: Int!, $after: String) {
   metafieldDefinitions(first: $first, after: $after, ownerType: ${ownerType}) {
     edges {
       cursor
       node {
-        id
-        name
-        namespace
-        key
-        type { name }
+        ${DEFINITION_FIELDS}
+        metafieldsCount
       }
     }
     pageInfo {
@@ -61,48 +124,36 @@ query GetMetafieldDefinitions($first: Int!, $after: String) {
 `;
 }
 
-async function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+async function graphqlRequest(query, variables, label = "metafieldDefinitions") {
+  return shopifyGraphqlRequest(ENDPOINT, ADMIN_ACCESS_TOKEN, query, variables, label);
 }
 
-async function graphqlRequest(query, variables) {
-  const res = await fetch(ENDPOINT, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": ADMIN_ACCESS_TOKEN,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const text = await res.text();
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    throw new Error(`Non-JSON response: ${text.slice(0, 400)}`);
-  }
-
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}: ${JSON.stringify(json).slice(0, 800)}`);
-  }
-  if (json.errors?.length) {
-    throw new Error(`GraphQL errors: ${JSON.stringify(json.errors).slice(0, 1200)}`);
-  }
+/**
+ * Run settings from route query params, falling back to the env defaults
+ */
+function resolveOptions(query = {}) {
+  const bool = (v, fallback) =>
+    v === undefined ? fallback : !["false", "0", "no", "n"].includes(String(v).trim().toLowerCase());
 
-  return json.data;
+  return {
+    ownerType: String(query.ownerType || OWNER_TYPE).trim().toUpperCase(),
+    deleteValues: bool(query.deleteValues, DELETE_VALUES),
+    namespace: query.namespace !== undefined ? String(query.namespace).trim() : NAMESPACE_FILTER,
+    keyPrefix: query.keyPrefix !== undefined ? String(query.keyPrefix).trim() : KEY_PREFIX,
+    limit: query.limit !== undefined ? Number(query.limit) || 0 : LIMIT,
+  };
 }
 
-function passesFilters(def) {
-  if (NAMESPACE_FILTER && def.namespace !== NAMESPACE_FILTER) return false;
-  if (KEY_PREFIX && !String(def.key || "").startsWith(KEY_PREFIX)) return false;
+function passesFilters(def, options) {
+  if (options.namespace && def.namespace !== options.namespace) return false;
+  if (options.keyPrefix && !String(def.key || "").startsWith(options.keyPrefix)) return false;
   return true;
 }
 
-async function fetchAllDefinitions(ownerType) {
+async function fetchAllDefinitions(options) {
   const defs = [];
   let after = null;
-  const QUERY_DEFS = buildQueryDefs(ownerType);
+  const QUERY_DEFS = buildQueryDefs(options.ownerType);
 
   while (true) {
     const data = await graphqlRequest(QUERY_DEFS, { first: 250, after });
@@ -110,9 +161,9 @@ async function fetchAllDefinitions(ownerType) {
 
     for (const edge of conn.edges) {
       const def = edge.node;
-      if (passesFilters(def)) defs.push(def);
+      if (passesFilters(def, options)) defs.push(def);
 
-      if (LIMIT > 0 && defs.length >= LIMIT) return defs;
+      if (options.limit > 0 && defs.length >= options.limit) return defs;
     }
 
     if (!conn.pageInfo.hasNextPage) break;
@@ -122,10 +173,69 @@ async function fetchAllDefinitions(ownerType) {
   return defs;
 }
 
-async function deleteDefinition(id) {
+async function fetchDefinitionMetafields(definitionId) {
+  const metafields = [];
+  let after = null;
+
+  while (true) {
+    const data = await graphqlRequest(
+      QUERY_DEFINITION_METAFIELDS,
+      { id: definitionId, first: 250, after },
+      "metafieldDefinition.metafields"
+    );
+    const conn = data.metafieldDefinition?.metafields;
+    if (!conn) break;
+
+    for (const m of conn.nodes) {
+      if (!m.owner?.id) continue;
+      metafields.push({ ownerId: m.owner.id, namespace: m.namespace, key: m.key, type: m.type, value: m.value });
+    }
+
+    if (!conn.pageInfo.hasNextPage) break;
+    after = conn.pageInfo.endCursor;
+  }
+
+  return metafields;
+}
+
+function previewRows(defs) {
+  return defs.map((d) => ({
+    id: d.id,
+    namespace: d.namespace,
+    key: d.key,
+    name: d.name,
+    type: d.type?.name || null,
+    metafieldsCount: d.metafieldsCount ?? null,
+  }));
+}
+
+/**
+ * Write definitions + all their values to ./backups before anything is deleted
+ */
+async function backupDefinitions(defs, options, req) {
+  const definitions = [];
+  for (const [i, def] of defs.entries()) {
+    const metafields = await fetchDefinitionMetafields(def.id);
+    console.log(`   💾 [${i + 1}/${defs.length}] ${def.namespace}.${def.key}: ${metafields.length} value(s)`);
+    definitions.push({ ...def, metafields });
+    reportProgress(req, { currentRow: `backup ${def.namespace}.${def.key}` });
+  }
+
+  if (!fs.existsSync(BACKUPS_DIR)) fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+
+  const createdAt = new Date().toISOString();
+  const fileName = `metafield-definitions__${options.ownerType}__${createdAt.replace(/[:.]/g, "-")}.json`;
+  const filePath = path.join(BACKUPS_DIR, fileName);
+  fs.writeFileSync(filePath, JSON.stringify({ shop: SHOP, createdAt, options, definitions }, null, 2));
+
+  console.log(`💾 Backup written: ${filePath}`);
+  return { fileName, filePath };
+}
+
+async function deleteDefinition(id, deleteValues) {
   const data = await graphqlRequest(MUTATION_DELETE, {
     id,
-    deleteAllAssociatedMetafields: DELETE_VALUES,
+    deleteAllAssociatedMetafields: deleteValues,
   });
 
   const payload = data.metafieldDefinitionDelete;
@@ -135,71 +245,306 @@ async function deleteDefinition(id) {
   };
 }
 
-async function main() {
-  console.log("=== Shopify Metafield Definition Deleter ===");
-  console.log("Shop:", SHOP);
-  console.log("API Version:", API_VERSION);
-  console.log("Owner Type:", OWNER_TYPE);
-  console.log("Delete associated metafields (values):", DELETE_VALUES);
-  if (NAMESPACE_FILTER) console.log("Namespace filter:", NAMESPACE_FILTER);
-  if (KEY_PREFIX) console.log("Key prefix filter:", KEY_PREFIX);
-  if (LIMIT > 0) console.log("LIMIT:", LIMIT);
-  console.log("---------------------------------------------------");
-
-  const defs = await fetchAllDefinitions(OWNER_TYPE);
-
-  if (!defs.length) {
-    console.log(`No metafield definitions found for ownerType=${OWNER_TYPE} with current filters.`);
-    return;
-  }
-
-  console.log(`Will delete ${defs.length} metafield definitions.`);
+function formatUserErrors(userErrors) {
+  return userErrors.map((e) => `${e.code || "ERR"}: ${e.message}`).join(" | ");
+}
 
-  // Preview
-  for (let i = 0; i < Math.min(defs.length, 25); i++) {
-    const d = defs[i];
-    console.log(`  [${i + 1}] ${d.namespace}.${d.key} (${d.type?.name || "unknown"}) | ${d.id}`);
-  }
-  if (defs.length > 25) console.log(`  ...and ${defs.length - 25} more`);
+/**
+ * Backup, then delete. Returns { deleted, failed, backup, reportPath }.
+ */
+async function runDeletion(defs, options, req) {
+  const backup = await backupDefinitions(defs, options, req);
+  const statusReport = createStatusReport("metafield_definitions_delete");
 
   console.log("---------------------------------------------------");
   console.log("Deleting...");
+  reportProgress(req, { total: defs.length });
 
   let deleted = 0;
   let failed = 0;
 
   for (let i = 0; i < defs.length; i++) {
     const d = defs[i];
+    const row = { Definition: `${d.namespace}.${d.key}`, "Owner Type": d.ownerType, Values: d.metafieldsCount ?? "" };
+
     try {
-      const result = await deleteDefinition(d.id);
+      const result = await deleteDefinition(d.id, options.deleteValues);
 
       if (result.userErrors.length) {
         failed++;
-        console.log(
-          `❌ [${i + 1}/${defs.length}] FAILED ${d.namespace}.${d.key}\n   ` +
-            result.userErrors.map((e) => `${e.code || "ERR"}: ${e.message}`).join(" | ")
-        );
+        console.log(`❌ [${i + 1}/${defs.length}] FAILED ${d.namespace}.${d.key}\n   ` + formatUserErrors(result.userErrors));
+        statusReport.add(row, { status: REPORT_STATUS.FAILED, action: "delete", error: formatUserErrors(result.userErrors) });
       } else {
         deleted++;
         console.log(`✅ [${i + 1}/${defs.length}] Deleted ${d.namespace}.${d.key}`);
+        statusReport.add(row, { status: REPORT_STATUS.SUCCESS, action: "deleted", targetId: d.id });
       }
-
-      // pacing for rate limits
-      await sleep(120);
     } catch (err) {
       failed++;
       console.log(`❌ [${i + 1}/${defs.length}] ERROR ${d.namespace}.${d.key}\n   ${err?.message || String(err)}`);
-      await sleep(500);
+      statusReport.add(row, { status: REPORT_STATUS.FAILED, action: "delete", error: err });
     }
+
+    reportProgress(req, { processed: i + 1, succeeded: deleted, failed, currentRow: `${d.namespace}.${d.key}` });
   }
 
   console.log("---------------------------------------------------");
   console.log("Done.");
   console.log("Deleted:", deleted);
   console.log("Failed:", failed);
+  console.log("Backup:", backup.filePath);
+
+  statusReport.flush();
+  return { deleted, failed, backup, statusReport };
 }
 
-main().catch((e) => {
-  console.error("Fatal:", e?.message || String(e));
-  process.exit(1);
-});
+/**
+ * Recreate definitions from a backup and set their values again
+ */
+async function restoreBackup(backup, req) {
+  const definitions = backup.definitions || [];
+  const statusReport = createStatusReport("metafield_definitions_restore");
+
+  // Same store: metaobject definition GIDs in validations are kept as they are
+  const sameShopIds = {};
+  for (const def of definitions) {
+    for (const v of def.validations || []) {
+      for (const gid of String(v.value ?? "").match(/gid:\/\/shopify\/MetaobjectDefinition\/\d+/g) || []) {
+        sameShopIds[gid] = gid;
+      }
+    }
+  }
+
+  // Pinning appends, so pin in the original order
+  const ordered = [...definitions].sort(
+    (a, b) => (a.pinnedPosition ?? Infinity) - (b.pinnedPosition ?? Infinity)
+  );
+  reportProgress(req, { total: ordered.length });
+
+  let restored = 0;
+  let failed = 0;
+  let valuesSet = 0;
+  let valuesFailed = 0;
+
+  for (const [i, def] of ordered.entries()) {
+    const label = `${def.namespace}.${def.key}`;
+    const row = { Definition: label, "Owner Type": def.ownerType, Values: def.metafields?.length || 0 };
+    const errors = [];
+
+    try {
+      const input = toDefinitionInput(def, { metaobjectTypes: sameShopIds, targetMetaobjectIds: sameShopIds });
+      const data = await graphqlRequest(MUTATION_CREATE, { definition: input }, "metafieldDefinitionCreate");
+      const userErrors = data.metafieldDefinitionCreate?.userErrors || [];
+
+      // Already there (e.g. restore run twice): still put the values back
+      if (userErrors.some((e) => e.code !== "TAKEN")) {
+        throw new Error(formatUserErrors(userErrors));
+      }
+      if (userErrors.length) console.log(`   ℹ️ ${label} already exists; restoring values only`);
+
+      const metafields = def.metafields || [];
+      for (let start = 0; start < metafields.length; start += METAFIELDS_SET_BATCH) {
+        const batch = metafields.slice(start, start + METAFIELDS_SET_BATCH);
+        const res = await graphqlRequest(
+          MUTATION_METAFIELDS_SET,
+          { metafields: batch },
+          "metafieldsSet"
+        );
+        const setErrors = res.metafieldsSet?.userErrors || [];
+        // An error fails the whole batch
+        if (setErrors.length) {
+          valuesFailed += batch.length;
+          errors.push(formatUserErrors(setErrors));
+        } else {
+          valuesSet += batch.length;
+        }
+      }
+
+      restored++;
+      console.log(`✅ [${i + 1}/${ordered.length}] Restored ${label} (${metafields.length} value(s))`);
+      statusReport.add(row, {
+        status: errors.length ? REPORT_STATUS.FAILED : REPORT_STATUS.SUCCESS,
+        action: "restored",
+        error: errors.join(" | ") || undefined,
+      });
+    } catch (err) {
+      failed++;
+      console.log(`❌ [${i + 1}/${ordered.length}] FAILED ${label}\n   ${err?.message || String(err)}`);
+      statusReport.add(row, { status: REPORT_STATUS.FAILED, action: "restore", error: err });
+    }
+
+    reportProgress(req, { processed: i + 1, succeeded: restored, failed, currentRow: label });
+  }
+
+  statusReport.flush();
+  return { restored, failed, valuesSet, valuesFailed, statusReport };
+}
+
+function missingConfig(res) {
+  if (SHOP && ADMIN_ACCESS_TOKEN) return false;
+  res.status(500).json({ ok: false, error: "Missing env vars: SHOP / ADMIN_ACCESS_TOKEN (or TARGET_SHOP / TARGET_ACCESS_TOKEN)" });
+  return true;
+}
+
+/**
+ * Express handler: GET /metafield-definitions/delete-preview
+ * Lists exactly what POST /metafield-definitions/delete would remove with the same params.
+ */
+export async function previewMetafieldDefinitionDeletion(req, res) {
+  try {
+    if (missingConfig(res)) return;
+
+    const options = resolveOptions(req.query);
+    const defs = await fetchAllDefinitions(options);
+
+    return res.json({
+      ok: true,
+      shop: SHOP,
+      options,
+      definitionCount: defs.length,
+      valueCount: defs.reduce((sum, d) => sum + (d.metafieldsCount || 0), 0),
+      definitions: previewRows(defs),
+    });
+  } catch (error) {
+    console.log("Error in previewMetafieldDefinitionDeletion:", error.message);
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * Express handler: POST /metafield-definitions/delete
+ * - ?confirm=true required; without it (or with ?dryRun=true) only the preview is returned
+ * - a backup is always written before the first delete
+ */
+export async function deleteMetafieldDefinitions(req, res) {
+  try {
+    if (missingConfig(res)) return;
+
+    const options = resolveOptions(req.query);
+    const confirmed = ["true", "1", "yes", "y"].includes(String(req.query?.confirm ?? "").trim().toLowerCase());
+
+    console.log(`🗑️ Metafield definitions delete on ${SHOP}: ${JSON.stringify(options)}`);
+    const defs = await fetchAllDefinitions(options);
+
+    if (!confirmed || isDryRun(req)) {
+      return res.json({
+        ok: true,
+        dryRun: true,
+        message: "Nothing deleted. Re-run with ?confirm=true to back up and delete these definitions.",
+        options,
+        definitionCount: defs.length,
+        definitions: previewRows(defs),
+      });
+    }
+
+    if (!defs.length) {
+      return res.json({ ok: true, options, deleted: 0, failed: 0, backup: null });
+    }
+
+    const { deleted, failed, backup, statusReport } = await runDeletion(defs, options, req);
+
+    return res.json({
+      ok: failed === 0,
+      options,
+      deleted,
+      failed,
+      backup: backup.fileName,
+      reportPath: statusReport.filePath,
+      reportUrl: statusReport.downloadUrl,
+    });
+  } catch (error) {
+    console.log("Error in deleteMetafieldDefinitions:", error.message);
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * Express handler: POST /metafield-definitions/restore
+ * Backup JSON as the "file" upload, or ?backup=<file name in ./backups>.
+ */
+export async function restoreMetafieldDefinitions(req, res) {
+  try {
+    if (missingConfig(res)) return;
+
+    let raw;
+    if (req.file?.buffer) {
+      raw = req.file.buffer.toString("utf8");
+    } else if (req.query?.backup) {
+      const filePath = path.join(BACKUPS_DIR, path.basename(String(req.query.backup)));
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ ok: false, error: `Backup not found: ${req.query.backup}` });
+      }
+      raw = fs.readFileSync(filePath, "utf8");
+    } else {
+      return res.status(400).json({ ok: false, error: "Upload a backup file or pass ?backup=<file>" });
+    }
+
+    const backup = JSON.parse(raw);
+    if (!Array.isArray(backup.definitions)) {
+      return res.status(400).json({ ok: false, error: "Not a metafield definitions backup" });
+    }
+    if (backup.shop && backup.shop !== SHOP) {
+      console.warn(`⚠️ Backup was taken on ${backup.shop}, restoring onto ${SHOP}`);
+    }
+
+    console.log(`♻️ Restoring ${backup.definitions.length} metafield definition(s) onto ${SHOP}`);
+    const { restored, failed, valuesSet, valuesFailed, statusReport } = await restoreBackup(backup, req);
+
+    return res.json({
+      ok: failed === 0 && valuesFailed === 0,
+      restored,
+      failed,
+      valuesSet,
+      valuesFailed,
+      reportPath: statusReport.filePath,
+      reportUrl: statusReport.downloadUrl,
+    });
+  } catch (error) {
+    console.log("Error in restoreMetafieldDefinitions:", error.message);
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+async function main() {
+  const options = resolveOptions();
+
+  console.log("=== Shopify Metafield Definition Deleter ===");
+  console.log("Shop:", SHOP);
+  console.log("API Version:", API_VERSION);
+  console.log("Owner Type:", options.ownerType);
+  console.log("Delete associated metafields (values):", options.deleteValues);
+  if (options.namespace) console.log("Namespace filter:", options.namespace);
+  if (options.keyPrefix) console.log("Key prefix filter:", options.keyPrefix);
+  if (options.limit > 0) console.log("LIMIT:", options.limit);
+  console.log("---------------------------------------------------");
+
+  const defs = await fetchAllDefinitions(options);
+
+  if (!defs.length) {
+    console.log(`No metafield definitions found for ownerType=${options.ownerType} with current filters.`);
+    return;
+  }
+
+  console.log(`Will delete ${defs.length} metafield definitions.`);
+
+  // Preview
+  for (let i = 0; i < Math.min(defs.length, 25); i++) {
+    const d = defs[i];
+    console.log(`  [${i + 1}] ${d.namespace}.${d.key} (${d.type?.name || "unknown"}) | ${d.metafieldsCount ?? "?"} value(s) | ${d.id}`);
+  }
+  if (defs.length > 25) console.log(`  ...and ${defs.length - 25} more`);
+
+  console.log("---------------------------------------------------");
+  console.log("Backing up...");
+
+  const { failed } = await runDeletion(defs, options, null);
+  if (failed > 0) process.exitCode = 1;
+}
+
+// Only run as a script; index.js imports the route handlers
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error("Fatal:", e?.message || String(e));
+    process.exit(1);
+  });
+}
@@ -22,6 +22,9 @@ dotenv.config();
 import XLSX from "xlsx";
 import fs from "fs";
 import path from "path";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
+import { isDryRun, createDryRunReport } from "./dryRun.js";
 
 /**
  * CONFIG
@@ -361,42 +364,6 @@ function normalizeValueType(v) {
   return raw || null;
 }
 
-/**
- * GRAPHQL helper
- */
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const text = await res.text();
-  let json;
-  try {
-    json = text ? JSON.parse(text) : {};
-  } catch {
-    console.error(`❌ Invalid JSON (${label}):`, text.slice(0, 1200));
-    throw new Error("Invalid JSON");
-  }
-
-  if (!res.ok) {
-    console.error(`❌ HTTP ${res.status} (${label})`);
-    console.error(text.slice(0, 2000));
-    throw new Error(`HTTP ${res.status}`);
-  }
-
-  if (json.errors?.length) {
-    console.error(`❌ GraphQL errors (${label}):`, JSON.stringify(json.errors, null, 2));
-    throw new Error("GraphQL error");
-  }
-
-  return json.data;
-}
-
 /**
  * XLSX loader (Discounts sheet)
  */
@@ -537,6 +504,15 @@ const CACHE = {
   customerByEmail: new Map(),
 };
 
+/**
+ * Lookups that came back empty while building the current row (reported in dry-run mode)
+ */
+const unresolvedRefs = [];
+
+function noteUnresolved(kind, value) {
+  unresolvedRefs.push({ kind, value });
+}
+
 /**
  * Resolvers
  */
@@ -545,12 +521,14 @@ async function resolveProductIdByHandle(handleOrGid) {
   const v = String(handleOrGid).trim();
 
   if (looksLikeGid(v)) return v;
-  if (CACHE.productByHandle.has(v)) return CACHE.productByHandle.get(v);
+  if (!CACHE.productByHandle.has(v)) {
+    const q = `handle:${v}`;
+    const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, PRODUCTS_BY_QUERY, { q }, "productsByHandle");
+    CACHE.productByHandle.set(v, data?.products?.nodes?.[0]?.id || null);
+  }
 
-  const q = `handle:${v}`;
-  const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, PRODUCTS_BY_QUERY, { q }, "productsByHandle");
-  const id = data?.products?.nodes?.[0]?.id || null;
-  CACHE.productByHandle.set(v, id);
+  const id = CACHE.productByHandle.get(v);
+  if (!id) noteUnresolved("product handle", v);
   return id;
 }
 
@@ -559,12 +537,14 @@ async function resolveCollectionIdByHandle(handleOrGid) {
   const v = String(handleOrGid).trim();
 
   if (looksLikeGid(v)) return v;
-  if (CACHE.collectionByHandle.has(v)) return CACHE.collectionByHandle.get(v);
+  if (!CACHE.collectionByHandle.has(v)) {
+    const q = `handle:${v}`;
+    const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, COLLECTIONS_BY_QUERY, { q }, "collectionsByHandle");
+    CACHE.collectionByHandle.set(v, data?.collections?.nodes?.[0]?.id || null);
+  }
 
-  const q = `handle:${v}`;
-  const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, COLLECTIONS_BY_QUERY, { q }, "collectionsByHandle");
-  const id = data?.collections?.nodes?.[0]?.id || null;
-  CACHE.collectionByHandle.set(v, id);
+  const id = CACHE.collectionByHandle.get(v);
+  if (!id) noteUnresolved("collection handle", v);
   return id;
 }
 
@@ -573,13 +553,15 @@ async function resolveVariantIdBySku(skuOrGid) {
   const v = String(skuOrGid).trim();
 
   if (looksLikeGid(v)) return v;
-  if (CACHE.variantBySku.has(v)) return CACHE.variantBySku.get(v);
+  if (!CACHE.variantBySku.has(v)) {
+    // Shopify query syntax typically supports sku:VALUE
+    const q = `sku:${v}`;
+    const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, VARIANTS_BY_QUERY, { q }, "variantsBySku");
+    CACHE.variantBySku.set(v, data?.productVariants?.nodes?.[0]?.id || null);
+  }
 
-  // Shopify query syntax typically supports sku:VALUE
-  const q = `sku:${v}`;
-  const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, VARIANTS_BY_QUERY, { q }, "variantsBySku");
-  const id = data?.productVariants?.nodes?.[0]?.id || null;
-  CACHE.variantBySku.set(v, id);
+  const id = CACHE.variantBySku.get(v);
+  if (!id) noteUnresolved("variant SKU", v);
   return id;
 }
 
@@ -588,12 +570,14 @@ async function resolveSegmentIdByNameOrGid(nameOrGid) {
   const v = String(nameOrGid).trim();
 
   if (looksLikeGid(v)) return v;
-  if (CACHE.segmentByName.has(v)) return CACHE.segmentByName.get(v);
+  if (!CACHE.segmentByName.has(v)) {
+    const q = `name:${v}`;
+    const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, SEGMENTS_BY_QUERY, { q }, "segmentsByName");
+    CACHE.segmentByName.set(v, data?.segments?.nodes?.[0]?.id || null);
+  }
 
-  const q = `name:${v}`;
-  const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, SEGMENTS_BY_QUERY, { q }, "segmentsByName");
-  const id = data?.segments?.nodes?.[0]?.id || null;
-  CACHE.segmentByName.set(v, id);
+  const id = CACHE.segmentByName.get(v);
+  if (!id) noteUnresolved("customer segment", v);
   return id;
 }
 
@@ -602,14 +586,17 @@ async function resolveCustomerIdByEmailOrGid(emailOrGid) {
   const v = String(emailOrGid).trim();
 
   if (looksLikeGid(v)) return v;
-  if (CACHE.customerByEmail.has(v)) return CACHE.customerByEmail.get(v);
+  if (!CACHE.customerByEmail.has(v)) {
+    const q = `email:${v}`;
+    const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, CUSTOMERS_BY_QUERY, { q }, "customersByEmail");
+    const found = data?.customers?.nodes?.[0]?.id || null;
 
-  const q = `email:${v}`;
-  const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, CUSTOMERS_BY_QUERY, { q }, "customersByEmail");
-  const id = data?.customers?.nodes?.[0]?.id || null;
+    CACHE.customerByEmail.set(v, found);
+    if (!found) console.warn(`⚠️ Customer not found for email: "${v}"`);
+  }
 
-  CACHE.customerByEmail.set(v, id);
-  if (!id) console.warn(`⚠️ Customer not found for email: "${v}"`);
+  const id = CACHE.customerByEmail.get(v);
+  if (!id) noteUnresolved("customer email", v);
   return id;
 }
 
@@ -1283,10 +1270,18 @@ async function importDiscountsFromBuffer(fileBuffer, settings = {}) {
   let failedCount = 0;
 
   function flushReportToDisk() {
+    if (dryRunReport) return;
     const reportBuffer = buildDiscountsStatusXlsx(reportRows);
     saveReportToDisk(reportBuffer, reportFileName);
   }
 
+  // settings.onProgress is set when running as a background job (see jobs.js)
+  const onProgress = settings?.onProgress || (() => {});
+  // settings.dryRunReport: build every input but send no mutations (see dryRun.js)
+  const dryRunReport = settings?.dryRunReport || null;
+  if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent");
+  onProgress({ total: rows.length });
+
   for (let i = 0; i < rows.length; i++) {
     const row = rows[i];
 
@@ -1297,6 +1292,13 @@ async function importDiscountsFromBuffer(fileBuffer, settings = {}) {
 
     const label = `#${i + 1} (${title} / ${code}) (merged rows: ${mergedCount}${mergedRows ? ` => ${mergedRows}` : ""})`;
     console.log(`\n➡️  Processing ${label}`);
+    onProgress({
+      processed: i,
+      succeeded: createdCount,
+      skipped: skippedCount,
+      failed: failedCount,
+      currentRow: label,
+    });
 
     let retry = false;
     let retryStatus = false;
@@ -1367,10 +1369,20 @@ async function importDiscountsFromBuffer(fileBuffer, settings = {}) {
         }
       }
 
+      unresolvedRefs.length = 0;
       const { mutation, variables } = await buildDiscountInputFromRow(row);
       const query = getMutationQueryByName(mutation);
       if (!query) throw new Error(`Mutation not mapped: ${mutation}`);
 
+      if (dryRunReport) {
+        for (const ref of unresolvedRefs) {
+          dryRunReport.addProblem(label, "unresolved_reference", `No target match for ${ref.kind} "${ref.value}"`);
+        }
+        dryRunReport.addInput(label, mutation, variables);
+        createdCount++;
+        continue;
+      }
+
       console.log(`   Creating via ${mutation} ...`);
       console.log(`   Variables: ${JSON.stringify(variables, null, 2)}`);
 
@@ -1426,15 +1438,35 @@ async function importDiscountsFromBuffer(fileBuffer, settings = {}) {
       });
       flushReportToDisk();
 
+      if (dryRunReport) {
+        dryRunReport.addProblem(label, "invalid_row", String(err?.message || err));
+        continue;
+      }
+
       await delay(450);
     }
   }
 
+  onProgress({
+    processed: rows.length,
+    succeeded: createdCount,
+    skipped: skippedCount,
+    failed: failedCount,
+  });
+
   console.log("\n📊 Discounts import completed.");
   console.log(`   ✅ Created: ${createdCount}`);
   console.log(`   🔁 Skipped:  ${skippedCount}`);
   console.log(`   ❌ Failed:   ${failedCount}`);
 
+  if (dryRunReport) {
+    return dryRunReport.result({
+      total: rows.length,
+      wouldCreate: createdCount,
+      wouldSkip: skippedCount,
+    });
+  }
+
   return {
     ok: failedCount === 0,
     createdCount,
@@ -1453,7 +1485,8 @@ async function importDiscountsFromBuffer(fileBuffer, settings = {}) {
  */
 export async function migrateDiscounts(req, res) {
   const fileBuffer = req.file?.buffer;
-  const settings = {}; // keep your pattern
+  const settings = { onProgress: (patch) => reportProgress(req, patch) }; // keep your pattern
+  settings.dryRunReport = isDryRun(req) ? createDryRunReport("discounts") : null;
   if (!fileBuffer) return res.json({ ok: false, error: "Missing file (req.file.buffer)" });
 
   const result = await importDiscountsFromBuffer(fileBuffer, settings);
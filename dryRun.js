@@ -0,0 +1,75 @@
+// dryRun.js
+// Shared helpers for the ?dryRun=true mode of the sheet importers.
+// In dry-run mode an importer still reads from the target store (lookups by
+// handle / email / SKU) but never sends a mutation: it records the inputs it
+// would have sent plus every validation problem it found.
+
+export function isDryRun(req) {
+  const v = req?.query?.dryRun;
+  if (v === true) return true;
+  return ["true", "1", "yes", "y"].includes(String(v ?? "").trim().toLowerCase());
+}
+
+/**
+ * Collector for one dry-run pass.
+ *
+ * inputs:   { ref, mutation, variables }  – what would be sent, in order
+ * problems: { ref, code, message }        – why a row would fail or lose data
+ */
+export function createDryRunReport(entity) {
+  const inputs = [];
+  const problems = [];
+
+  return {
+    inputs,
+    problems,
+
+    addInput(ref, mutation, variables) {
+      inputs.push({ ref, mutation, variables });
+    },
+
+    addProblem(ref, code, message) {
+      problems.push({ ref, code, message });
+      console.warn(`   🧪 [dry-run] ${ref}: ${code} – ${message}`);
+    },
+
+    result(extra = {}) {
+      console.log(
+        `\n🧪 Dry run (${entity}) complete: ${inputs.length} input(s), ${problems.length} problem(s). Nothing was written.`
+      );
+      return {
+        ok: problems.length === 0,
+        dryRun: true,
+        entity,
+        inputCount: inputs.length,
+        problemCount: problems.length,
+        ...extra,
+        problems,
+        inputs,
+      };
+    },
+  };
+}
+
+/**
+ * Report metafield columns ("Metafield: ns.key [type]" / "Variant Metafield: ...")
+ * whose type the importer does not support and would silently drop.
+ */
+export function reportUnknownMetafieldColumns(report, headers, allowedTypes) {
+  for (const header of headers || []) {
+    const m = String(header).match(/^(Variant\s+)?Metafield:\s*(.+?)\.(.+?)\s*\[(.+?)\]/i);
+    if (!m) continue;
+
+    const namespace = m[2].trim();
+    const type = m[4].trim();
+    if (namespace === "shopify") continue;
+
+    if (!allowedTypes.has(type)) {
+      report.addProblem(
+        `column "${header}"`,
+        "unknown_metafield_type",
+        `Metafield type "${type}" is not supported; this column would be skipped`
+      );
+    }
+  }
+}
@@ -6,6 +6,7 @@ import fsSync from 'fs';
 import path from 'path';
 import XLSX from 'xlsx';
 import pLimit from 'p-limit';
+import { graphqlRequest } from './shopifyClient.js';
 
 const {
   TARGET_SHOP,
@@ -73,35 +74,7 @@ function buildDynamicOutputPath(defaultPath) {
  * ----------------------*/
 async function shopifyGraphql(query, variables) {
   try {
-    const res = await axios.post(
-      ADMIN_GRAPHQL,
-      { query, variables },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': TARGET_ACCESS_TOKEN,
-        },
-        validateStatus: () => true,
-      }
-    );
-
-    if (res.status === 429) {
-      // Simple backoff for rate limiting
-      const retryAfter = Number(res.headers?.['retry-after'] || 2);
-      logInfo('Rate limited by Shopify (429). Backing off...', { retryAfterSeconds: retryAfter });
-      await sleep(retryAfter * 1000);
-      return shopifyGraphql(query, variables);
-    }
-
-    if (res.status < 200 || res.status >= 300) {
-      throw new Error(`Shopify GraphQL HTTP ${res.status}: ${JSON.stringify(res.data)?.slice(0, 500)}`);
-    }
-
-    if (res.data?.errors?.length) {
-      throw new Error(`Shopify GraphQL errors: ${JSON.stringify(res.data.errors)}`);
-    }
-
-    return res.data.data;
+    return await graphqlRequest(ADMIN_GRAPHQL, TARGET_ACCESS_TOKEN, query, variables, 'fileupload');
   } catch (err) {
     logError('shopifyGraphql failed', err);
     throw err;
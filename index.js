@@ -1,6 +1,6 @@
 import express from 'express';
 import dotenv from 'dotenv';
-import { migrateOrdersFromSheet } from './orders-sync/orderSync.js';
+import { migrateOrdersFromSheet, migrateOrdersFromSource } from './orders-sync/orderSync.js';
 dotenv.config();
 import multer from "multer";
 import { migrateProducts } from './productSync.js';
@@ -13,6 +13,13 @@ import { migrateFiles } from './fileupload.js';
 import { syncPagesFromSheet } from './pagesSync.js';
 import { convertToShopifySheet } from './shpoifySheetFormat.js';
 import { migrateDiscounts } from './discountSync.js';
+import { migrateMetaobjectsFromSheet, migrateMetaobjectsFromSource } from './metaobjectSync.js';
+import { previewMetafieldDefinitionDeletion, deleteMetafieldDefinitions, restoreMetafieldDefinitions } from './deleteMetafieldDefs.js';
+import { recalculateTiers, getTierChangelog, startTierRecalculationSchedule } from './tierRecalculation.js';
+import { migrateCatalogsFromSheet, migrateCatalogsFromSource } from './catalogSync.js';
+import { runAsJob, getJobStatus } from './jobs.js';
+import { downloadReport } from './statusReport.js';
+import { receiveWebhook, getWebhookStatus } from './webhooks.js';
 const upload = multer();
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -36,21 +43,47 @@ app.use(
 )
 
 // Routes
-app.use("/order", upload.single("file"), migrateOrdersFromSheet);
-app.use("/product", upload.single("file"), migrateProducts);
-app.use("/customers", upload.single("file"), migrateCustomers);
-app.use("/companies", upload.single("file"), migrateCompanies);
-app.use("/custom-collection", upload.single("file"), migrateCustomCollections);
-app.use("/smart-collection", upload.single("file"), migrateSmartCollections);
+// Migration uploads run as background jobs: the route returns a job id, poll GET /jobs/:id
+app.use("/order", upload.single("file"), runAsJob("order", migrateOrdersFromSheet));
+app.use("/product", upload.single("file"), runAsJob("product", migrateProducts));
+app.use("/customers", upload.single("file"), runAsJob("customers", migrateCustomers));
+app.use("/companies", upload.single("file"), runAsJob("companies", migrateCompanies));
+app.use("/custom-collection", upload.single("file"), runAsJob("custom-collection", migrateCustomCollections));
+app.use("/smart-collection", upload.single("file"), runAsJob("smart-collection", migrateSmartCollections));
 // app.use("/pdffiles", upload.single("file"),migrateFiles );
-app.use("/blogs", upload.single("file"), syncBlogsAndArticles);
-app.use("/pages", upload.single("file"), syncPagesFromSheet);
+app.use("/blogs", upload.single("file"), runAsJob("blogs", syncBlogsAndArticles));
+app.use("/pages", upload.single("file"), runAsJob("pages", syncPagesFromSheet));
 app.use("/parseSheet", upload.single("file"), convertToShopifySheet);
-app.use("/discounts", upload.single("file"), migrateDiscounts);
+app.use("/discounts", upload.single("file"), runAsJob("discounts", migrateDiscounts));
+app.use("/metaobjects", upload.single("file"), runAsJob("metaobjects", migrateMetaobjectsFromSheet));
+app.use("/catalogs", upload.single("file"), runAsJob("catalogs", migrateCatalogsFromSheet));
+// Store → store: reads orders from SOURCE_SHOP (?from, ?to, ?query, ?limit), no upload
+app.post("/order-from-source", runAsJob("order-from-source", migrateOrdersFromSource, { requireFile: false }));
+// Store → store: metaobject definitions + entries from SOURCE_SHOP (?types=a,b), no upload
+app.post("/metaobjects-from-source", runAsJob("metaobjects-from-source", migrateMetaobjectsFromSource, { requireFile: false }));
+// Store → store: B2B catalogs, price lists, quantity rules + location assignments (?titles=a,b), no upload
+app.post("/catalogs-from-source", runAsJob("catalogs-from-source", migrateCatalogsFromSource, { requireFile: false }));
+// Metafield definition cleanup: preview first, delete backs up to ./backups, restore from that backup
+app.get("/metafield-definitions/delete-preview", previewMetafieldDefinitionDeletion);
+app.post("/metafield-definitions/delete", runAsJob("metafield-definitions-delete", deleteMetafieldDefinitions, { requireFile: false }));
+app.post("/metafield-definitions/restore", upload.single("file"), runAsJob("metafield-definitions-restore", restoreMetafieldDefinitions, { requireFile: false }));
+// B2B tiers: recompute every TARGET company's tier from TARGET orders (tiers.json rules)
+app.post("/tiers/recalculate", runAsJob("tier-recalculation", recalculateTiers, { requireFile: false }));
+app.get("/tiers/changelog", getTierChangelog);
+app.get("/jobs/:id", getJobStatus);
+app.get("/reports/:file", downloadReport);
+
+// SOURCE store webhooks: verified against req.rawBody, queued, replayed onto TARGET one at a time
+app.post("/webhooks/products/update", receiveWebhook("products/update"));
+app.post("/webhooks/customers/update", receiveWebhook("customers/update"));
+app.post("/webhooks/collections/update", receiveWebhook("collections/update"));
+app.post("/webhooks/companies/update", receiveWebhook("companies/update"));
+app.get("/webhooks/status", getWebhookStatus);
 
 // Start server
 app.listen(PORT, () => {
     console.log(`Server is running at http://localhost:${PORT}`);
+    startTierRecalculationSchedule();
 });
 
 //for vercel
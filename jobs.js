@@ -0,0 +1,237 @@
+// jobs.js
+// Background job runner for the sheet upload routes.
+// Each upload is queued, answered immediately with a job id, and processed in order.
+// Job state is persisted to ./jobs/<id>.json so it survives a server restart.
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * CONFIG
+ */
+const JOBS_DIR = path.resolve(process.env.JOBS_DIR || "./jobs");
+if (!fs.existsSync(JOBS_DIR)) fs.mkdirSync(JOBS_DIR, { recursive: true });
+
+// Progress updates arrive per row; persist them at most this often (status changes are written at once)
+const JOB_SAVE_SECONDS = Math.max(0, Number(process.env.JOB_SAVE_SECONDS ?? 2) || 0);
+
+const jobs = new Map();
+
+// job id -> pending progress write
+const pendingSaves = new Map();
+
+// Jobs run one at a time so two migrations never compete for the same store's rate limit
+let queueTail = Promise.resolve();
+
+function jobFilePath(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function saveJob(job) {
+  clearTimeout(pendingSaves.get(job.id));
+  pendingSaves.delete(job.id);
+
+  job.updatedAt = new Date().toISOString();
+  fs.writeFileSync(jobFilePath(job.id), JSON.stringify(job, null, 2));
+}
+
+/**
+ * Persist progress within JOB_SAVE_SECONDS instead of on every row.
+ * GET /jobs/:id reads the in-memory job, so it is always current; the file only
+ * has to be close enough for a restart.
+ */
+function scheduleSaveJob(job) {
+  if (!JOB_SAVE_SECONDS) return saveJob(job);
+  if (pendingSaves.has(job.id)) return;
+
+  const timer = setTimeout(() => saveJob(job), JOB_SAVE_SECONDS * 1000);
+  // a pending write must not keep a CLI run alive
+  timer.unref?.();
+  pendingSaves.set(job.id, timer);
+}
+
+/**
+ * Reload jobs from disk on startup. Anything that was queued or running when
+ * the process died can't be resumed from here, so it is marked "interrupted".
+ */
+function restoreJobsFromDisk() {
+  for (const file of fs.readdirSync(JOBS_DIR)) {
+    if (!file.endsWith(".json")) continue;
+
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, file), "utf8"));
+      if (job.status === "queued" || job.status === "running") {
+        job.status = "interrupted";
+        job.error = "Server restarted before the job finished";
+        job.finishedAt = new Date().toISOString();
+        saveJob(job);
+      }
+      jobs.set(job.id, job);
+    } catch (err) {
+      console.error(`⚠️ Could not read job file ${file}: ${err.message}`);
+    }
+  }
+}
+
+restoreJobsFromDisk();
+
+function createJob(type, meta = {}) {
+  const job = {
+    id: uuidv4(),
+    type,
+    status: "queued",
+    meta,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: {
+      total: null,
+      processed: 0,
+      succeeded: 0,
+      skipped: 0,
+      failed: 0,
+    },
+    currentRow: null,
+    summary: null,
+    error: null,
+  };
+
+  jobs.set(job.id, job);
+  saveJob(job);
+  return job;
+}
+
+export function getJob(id) {
+  if (jobs.has(id)) return jobs.get(id);
+
+  const file = jobFilePath(path.basename(String(id)));
+  if (!fs.existsSync(file)) return null;
+
+  const job = JSON.parse(fs.readFileSync(file, "utf8"));
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Update progress of the job attached to `req` (no-op when the handler runs outside a job).
+ * `patch` may contain total, processed, succeeded, skipped, failed and currentRow.
+ */
+export function reportProgress(req, patch = {}) {
+  const job = req?.job;
+  if (!job) return;
+
+  const { currentRow, ...counts } = patch;
+  for (const [key, value] of Object.entries(counts)) {
+    if (value !== undefined) job.progress[key] = value;
+  }
+  if (currentRow !== undefined) job.currentRow = currentRow;
+
+  scheduleSaveJob(job);
+}
+
+/**
+ * Minimal stand-in for the Express response, so existing handlers can keep
+ * calling res.status(...).json(...) / res.send(...) once the client is gone.
+ */
+function createJobResponse() {
+  const captured = { statusCode: 200, body: null };
+
+  const res = {
+    status(code) {
+      captured.statusCode = code;
+      return res;
+    },
+    json(body) {
+      captured.body = body;
+      return res;
+    },
+    send(body) {
+      captured.body = body;
+      return res;
+    },
+  };
+
+  return { res, captured };
+}
+
+async function runJob(job, handler, jobReq) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  saveJob(job);
+  console.log(`🧵 Job ${job.id} (${job.type}) started`);
+
+  const { res, captured } = createJobResponse();
+
+  try {
+    await handler(jobReq, res);
+
+    job.summary = captured.body;
+    if (captured.statusCode >= 400) {
+      job.status = "failed";
+      job.error = captured.body?.error || `Handler responded with HTTP ${captured.statusCode}`;
+    } else {
+      job.status = "completed";
+    }
+  } catch (err) {
+    job.status = "failed";
+    job.error = err?.message || String(err);
+    console.error(`❌ Job ${job.id} (${job.type}) failed: ${job.error}`);
+  }
+
+  job.finishedAt = new Date().toISOString();
+  saveJob(job);
+  console.log(`🧵 Job ${job.id} (${job.type}) ${job.status}`);
+}
+
+/**
+ * Queue a handler (req, res) as a job without an incoming request (e.g. from a timer).
+ * `req` only needs the parts the handler reads: file, query, body.
+ */
+export function enqueueJob(type, handler, req = {}) {
+  const job = createJob(type, {
+    fileName: req.file?.originalname || null,
+    fileSize: req.file ? req.file.size ?? req.file.buffer.length : null,
+    query: req.query || {},
+  });
+
+  const jobReq = {
+    file: req.file,
+    query: req.query || {},
+    body: req.body || {},
+    job,
+  };
+
+  queueTail = queueTail.then(() => runJob(job, handler, jobReq));
+  return job;
+}
+
+/**
+ * Wrap an upload handler (req, res) so the route enqueues a job and returns its id.
+ * Pass { requireFile: false } for handlers that read from the source store instead of a sheet.
+ */
+export function runAsJob(type, handler, { requireFile = true } = {}) {
+  return (req, res) => {
+    if (requireFile && !req.file?.buffer) {
+      return res.status(400).json({ ok: false, error: "Missing file (req.file.buffer)" });
+    }
+
+    const job = enqueueJob(type, handler, req);
+
+    return res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+    });
+  };
+}
+
+/**
+ * Express handler: GET /jobs/:id
+ */
+export function getJobStatus(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  return res.json(job);
+}
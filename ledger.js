@@ -0,0 +1,139 @@
+// ledger.js
+// Checkpoint ledger for resumable migrations.
+// One append-only JSONL file per (target shop, entity type) under ./ledger,
+// each line recording: source key → target GID → status.
+// The last line written for a key wins, so a rerun can skip finished rows
+// and retry only the ones that failed.
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * CONFIG
+ */
+const LEDGER_DIR = path.resolve(process.env.LEDGER_DIR || "./ledger");
+
+export const LEDGER_STATUS = {
+  // Written right before a non-idempotent create; if it is still the last entry
+  // on a rerun, the process died mid-request and the target may or may not have the record.
+  PENDING: "pending",
+  // Target record exists but follow-up steps did not all finish
+  CREATED: "created",
+  COMPLETED: "completed",
+  // Already present on the target before this migration touched it
+  SKIPPED: "skipped",
+  FAILED: "failed",
+};
+
+const DONE_STATUSES = new Set([
+  LEDGER_STATUS.CREATED,
+  LEDGER_STATUS.COMPLETED,
+  LEDGER_STATUS.SKIPPED,
+]);
+
+function safeFileSegment(value) {
+  return String(value || "unknown").replace(/[^a-zA-Z0-9._-]+/g, "_");
+}
+
+/**
+ * Read the complete lines from byte `offset` on into `entries`; returns the offset
+ * after the last complete line (a line still being written is picked up next time)
+ */
+function readEntriesFrom(file, offset, entries) {
+  if (!fs.existsSync(file)) return offset;
+
+  const size = fs.statSync(file).size;
+  if (size <= offset) return offset;
+
+  const fd = fs.openSync(file, "r");
+  let text;
+  try {
+    const buffer = Buffer.alloc(size - offset);
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    text = buffer.toString("utf8");
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const lastNewline = text.lastIndexOf("\n");
+  if (lastNewline < 0) return offset;
+
+  for (const line of text.slice(0, lastNewline).split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry?.key !== undefined) entries.set(String(entry.key), entry);
+    } catch (_) {
+      // A torn line from a crash is expected; everything around it is still valid
+      console.warn(`⚠️ Ignoring unreadable ledger line in ${path.basename(file)}`);
+    }
+  }
+  return offset + Buffer.byteLength(text.slice(0, lastNewline + 1), "utf8");
+}
+
+/**
+ * Open (or create) the ledger for an entity type on a target shop.
+ *
+ * @param {string} entity   e.g. "orders", "products"
+ * @param {object} [opts]
+ * @param {string} [opts.shop]   target shop domain (defaults to TARGET_SHOP)
+ * @param {string} [opts.jobId]  job id stamped on every entry written
+ */
+export function openLedger(entity, { shop = process.env.TARGET_SHOP, jobId = null } = {}) {
+  if (!fs.existsSync(LEDGER_DIR)) fs.mkdirSync(LEDGER_DIR, { recursive: true });
+
+  const file = path.join(LEDGER_DIR, `${safeFileSegment(shop)}__${safeFileSegment(entity)}.jsonl`);
+  const entries = new Map();
+  let readOffset = readEntriesFrom(file, 0, entries);
+
+  console.log(`📒 Ledger ${path.basename(file)}: ${entries.size} known ${entity}`);
+
+  return {
+    file,
+
+    get(key) {
+      return entries.get(String(key)) || null;
+    },
+
+    isDone(key) {
+      return DONE_STATUSES.has(entries.get(String(key))?.status);
+    },
+
+    isPending(key) {
+      return entries.get(String(key))?.status === LEDGER_STATUS.PENDING;
+    },
+
+    record(key, { status, targetId = null, error = null, ...extra }) {
+      const previous = entries.get(String(key));
+      const entry = {
+        key: String(key),
+        targetId: targetId || previous?.targetId || null,
+        status,
+        error: error ? String(error) : null,
+        ...extra,
+        jobId,
+        at: new Date().toISOString(),
+      };
+
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+      entries.set(entry.key, entry);
+      return entry;
+    },
+
+    /**
+     * Pick up entries appended since this ledger was opened (e.g. by another job
+     * in the same server process). Cheap when nothing was written.
+     */
+    refresh() {
+      readOffset = readEntriesFrom(file, readOffset, entries);
+    },
+
+    stats() {
+      const counts = {};
+      for (const entry of entries.values()) {
+        counts[entry.status] = (counts[entry.status] || 0) + 1;
+      }
+      return counts;
+    },
+  };
+}
@@ -0,0 +1,854 @@
+// metaobjectSync.js
+// Metaobject definitions and entries → TARGET, either straight from SOURCE_SHOP
+// or from a Matrixify "Metaobjects" sheet.
+// Entries are written with metaobjectUpsert keyed by (type, handle), so handles are kept
+// and reruns update instead of duplicating; reference metafields elsewhere resolve
+// metaobjects by that same "type.handle".
+
+import dotenv from "dotenv";
+import XLSX from "xlsx";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
+import { isDryRun, createDryRunReport } from "./dryRun.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+
+dotenv.config();
+
+/**
+ * CONFIG
+ */
+const API_VERSION = process.env.API_VERSION || "2025-10";
+
+const SOURCE_SHOP = process.env.SOURCE_SHOP;
+const SOURCE_ACCESS_TOKEN = process.env.SOURCE_ACCESS_TOKEN;
+
+const TARGET_SHOP = process.env.TARGET_SHOP;
+const TARGET_ACCESS_TOKEN = process.env.TARGET_ACCESS_TOKEN;
+
+const SOURCE_GQL = `https://${SOURCE_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+
+// App-owned types ("$app:…" / "app--…") belong to the app that created them on SOURCE
+const APP_OWNED_TYPE = /^(\$app:|app--)/;
+
+// Shopify's standard definitions are enabled by type, not created field by field
+const STANDARD_TYPE = /^shopify--/;
+
+/**
+ * GRAPHQL
+ */
+const METAOBJECT_DEFINITION_FIELDS = `
+  fragment MetaobjectDefinitionFields on MetaobjectDefinition {
+    id
+    type
+    name
+    description
+    displayNameKey
+    access {
+      storefront
+    }
+    capabilities {
+      publishable {
+        enabled
+      }
+      translatable {
+        enabled
+      }
+      renderable {
+        enabled
+        data {
+          metaTitleKey
+          metaDescriptionKey
+        }
+      }
+      onlineStore {
+        enabled
+        data {
+          urlHandle
+          canCreateRedirects
+        }
+      }
+    }
+    fieldDefinitions {
+      key
+      name
+      description
+      required
+      type {
+        name
+      }
+      validations {
+        name
+        value
+      }
+    }
+  }
+`;
+
+const QUERY_METAOBJECT_DEFINITIONS = `
+  query MetaobjectDefinitions($cursor: String) {
+    metaobjectDefinitions(first: 50, after: $cursor) {
+      nodes {
+        ...MetaobjectDefinitionFields
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${METAOBJECT_DEFINITION_FIELDS}
+`;
+
+const QUERY_METAOBJECT_DEFINITION_BY_TYPE = `
+  query MetaobjectDefinitionByType($type: String!) {
+    metaobjectDefinitionByType(type: $type) {
+      ...MetaobjectDefinitionFields
+    }
+  }
+  ${METAOBJECT_DEFINITION_FIELDS}
+`;
+
+const QUERY_METAOBJECTS = `
+  query Metaobjects($type: String!, $cursor: String) {
+    metaobjects(type: $type, first: 100, after: $cursor) {
+      nodes {
+        id
+        handle
+        type
+        displayName
+        fields {
+          key
+          type
+          value
+        }
+        capabilities {
+          publishable {
+            status
+          }
+          onlineStore {
+            templateSuffix
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const MUTATION_METAOBJECT_DEFINITION_CREATE = `
+  mutation MetaobjectDefinitionCreate($definition: MetaobjectDefinitionCreateInput!) {
+    metaobjectDefinitionCreate(definition: $definition) {
+      metaobjectDefinition {
+        ...MetaobjectDefinitionFields
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+  ${METAOBJECT_DEFINITION_FIELDS}
+`;
+
+const MUTATION_METAOBJECT_DEFINITION_UPDATE = `
+  mutation MetaobjectDefinitionUpdate($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
+    metaobjectDefinitionUpdate(id: $id, definition: $definition) {
+      metaobjectDefinition {
+        ...MetaobjectDefinitionFields
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+  ${METAOBJECT_DEFINITION_FIELDS}
+`;
+
+const MUTATION_STANDARD_DEFINITION_ENABLE = `
+  mutation StandardMetaobjectDefinitionEnable($type: String!) {
+    standardMetaobjectDefinitionEnable(type: $type) {
+      metaobjectDefinition {
+        ...MetaobjectDefinitionFields
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+  ${METAOBJECT_DEFINITION_FIELDS}
+`;
+
+const MUTATION_METAOBJECT_UPSERT = `
+  mutation MetaobjectUpsert($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+    metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+      metaobject {
+        id
+        handle
+        type
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+/**
+ * Helpers
+ */
+function isEmpty(v) {
+  return v === null || v === undefined || String(v).trim() === "";
+}
+
+function assertNoUserErrors(payload, label) {
+  const errors = payload?.userErrors || [];
+  if (errors.length) {
+    throw new Error(`${label}: ${errors.map((e) => `${(e.field || []).join(".")}: ${e.message}`).join(" | ")}`);
+  }
+}
+
+function loadRows(fileBuffer) {
+  const wb = XLSX.read(fileBuffer, { type: "buffer" });
+  // Matrixify workbooks hold one sheet per entity; prefer "Metaobjects" when present
+  const sheetName = wb.SheetNames.find((n) => n.toLowerCase() === "metaobjects") || wb.SheetNames[0];
+  return XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { defval: null });
+}
+
+async function fetchDefinitions(endpoint, token, label) {
+  const definitions = [];
+  let cursor = null;
+
+  do {
+    const data = await graphqlRequest(endpoint, token, QUERY_METAOBJECT_DEFINITIONS, { cursor }, label);
+    const conn = data?.metaobjectDefinitions;
+    if (!conn) break;
+
+    definitions.push(...(conn.nodes || []));
+    cursor = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return definitions;
+}
+
+async function fetchDefinitionByType(endpoint, token, type, label) {
+  const data = await graphqlRequest(endpoint, token, QUERY_METAOBJECT_DEFINITION_BY_TYPE, { type }, label);
+  return data?.metaobjectDefinitionByType || null;
+}
+
+async function fetchSourceMetaobjects(type) {
+  const entries = [];
+  let cursor = null;
+
+  do {
+    const data = await graphqlRequest(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_METAOBJECTS,
+      { type, cursor },
+      "Metaobjects(SOURCE)"
+    );
+    const conn = data?.metaobjects;
+    if (!conn) break;
+
+    entries.push(...(conn.nodes || []));
+    cursor = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return entries;
+}
+
+/* ============================================
+   DEFINITIONS
+============================================ */
+
+/**
+ * Validations may point at other metaobject definitions by SOURCE GID
+ * (metaobject_definition_id / metaobject_definition_ids). Swap those for the
+ * TARGET definition ids; returns null for a validation that can't be mapped yet.
+ */
+function mapValidation(validation, ctx) {
+  const value = String(validation.value ?? "");
+  if (!value.includes("gid://")) return { name: validation.name, value };
+
+  let unmapped = false;
+  const mapped = value.replace(/gid:\/\/shopify\/MetaobjectDefinition\/\d+/g, (gid) => {
+    const type = ctx.sourceTypeById.get(gid);
+    const targetId = type ? ctx.targetDefinitions.get(type)?.id : null;
+    if (!targetId) unmapped = true;
+    return targetId || gid;
+  });
+
+  return unmapped ? null : { name: validation.name, value: mapped };
+}
+
+function mapFieldDefinition(field, ctx, { deferred = [] } = {}) {
+  const validations = [];
+  for (const v of field.validations || []) {
+    const mapped = mapValidation(v, ctx);
+    if (mapped) validations.push(mapped);
+    else deferred.push(field.key);
+  }
+
+  return {
+    key: field.key,
+    name: field.name || field.key,
+    description: field.description || null,
+    required: !!field.required,
+    type: field.type?.name,
+    validations,
+  };
+}
+
+function mapCapabilities(capabilities) {
+  const out = {};
+  if (!capabilities) return out;
+
+  if (capabilities.publishable) out.publishable = { enabled: !!capabilities.publishable.enabled };
+  if (capabilities.translatable) out.translatable = { enabled: !!capabilities.translatable.enabled };
+
+  if (capabilities.renderable) {
+    out.renderable = { enabled: !!capabilities.renderable.enabled };
+    if (capabilities.renderable.enabled && capabilities.renderable.data) {
+      out.renderable.data = {
+        metaTitleKey: capabilities.renderable.data.metaTitleKey || null,
+        metaDescriptionKey: capabilities.renderable.data.metaDescriptionKey || null,
+      };
+    }
+  }
+
+  if (capabilities.onlineStore) {
+    out.onlineStore = { enabled: !!capabilities.onlineStore.enabled };
+    if (capabilities.onlineStore.enabled && capabilities.onlineStore.data) {
+      out.onlineStore.data = {
+        urlHandle: capabilities.onlineStore.data.urlHandle,
+        createRedirects: !!capabilities.onlineStore.data.canCreateRedirects,
+      };
+    }
+  }
+
+  return out;
+}
+
+async function runDefinitionMutation(query, variables, resultKey, label, ctx) {
+  if (ctx.dryRunReport) {
+    ctx.dryRunReport.addInput(label, resultKey, variables);
+    return null;
+  }
+
+  const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, query, variables, `${resultKey}(TARGET)`);
+  const payload = data?.[resultKey];
+  assertNoUserErrors(payload, resultKey);
+  return payload?.metaobjectDefinition || null;
+}
+
+/**
+ * Make sure TARGET has the SOURCE definition: create it (or enable the standard one),
+ * or add the fields it is missing. Existing TARGET fields are left as they are.
+ * Returns the list of field keys whose validations still need SOURCE → TARGET ids.
+ */
+async function ensureDefinition(sourceDef, ctx) {
+  const { type } = sourceDef;
+  const existing = ctx.targetDefinitions.get(type);
+  const deferred = [];
+
+  if (!existing && STANDARD_TYPE.test(type)) {
+    console.log(`   ➕ Enabling standard metaobject definition ${type}`);
+    const enabled = await runDefinitionMutation(
+      MUTATION_STANDARD_DEFINITION_ENABLE,
+      { type },
+      "standardMetaobjectDefinitionEnable",
+      type,
+      ctx
+    );
+    ctx.targetDefinitions.set(type, enabled || { type, fieldDefinitions: sourceDef.fieldDefinitions, capabilities: sourceDef.capabilities });
+    ctx.definitionStats.created++;
+    return deferred;
+  }
+
+  if (!existing) {
+    const definition = {
+      type,
+      name: sourceDef.name || type,
+      description: sourceDef.description || null,
+      displayNameKey: sourceDef.displayNameKey || null,
+      fieldDefinitions: (sourceDef.fieldDefinitions || []).map((f) => mapFieldDefinition(f, ctx, { deferred })),
+      capabilities: mapCapabilities(sourceDef.capabilities),
+    };
+    if (sourceDef.access?.storefront) definition.access = { storefront: sourceDef.access.storefront };
+
+    console.log(`   ➕ Creating metaobject definition ${type} (${definition.fieldDefinitions.length} fields)`);
+    const created = await runDefinitionMutation(
+      MUTATION_METAOBJECT_DEFINITION_CREATE,
+      { definition },
+      "metaobjectDefinitionCreate",
+      type,
+      ctx
+    );
+    ctx.targetDefinitions.set(type, created || { type, fieldDefinitions: sourceDef.fieldDefinitions, capabilities: sourceDef.capabilities });
+    ctx.definitionStats.created++;
+    return deferred;
+  }
+
+  const existingKeys = new Set((existing.fieldDefinitions || []).map((f) => f.key));
+  const missingFields = (sourceDef.fieldDefinitions || []).filter((f) => !existingKeys.has(f.key));
+
+  for (const f of sourceDef.fieldDefinitions || []) {
+    const targetField = (existing.fieldDefinitions || []).find((t) => t.key === f.key);
+    if (targetField && targetField.type?.name !== f.type?.name) {
+      console.warn(`   ⚠️ ${type}.${f.key}: type on target is ${targetField.type?.name}, source ${f.type?.name}`);
+    }
+  }
+
+  if (!missingFields.length) {
+    ctx.definitionStats.existing++;
+    return deferred;
+  }
+
+  console.log(`   ✏️ Adding ${missingFields.length} field(s) to metaobject definition ${type}`);
+  const updated = await runDefinitionMutation(
+    MUTATION_METAOBJECT_DEFINITION_UPDATE,
+    {
+      id: existing.id,
+      definition: {
+        fieldDefinitions: missingFields.map((f) => ({ create: mapFieldDefinition(f, ctx, { deferred }) })),
+      },
+    },
+    "metaobjectDefinitionUpdate",
+    type,
+    ctx
+  );
+  ctx.targetDefinitions.set(type, updated || {
+    ...existing,
+    fieldDefinitions: [...(existing.fieldDefinitions || []), ...missingFields],
+  });
+  ctx.definitionStats.updated++;
+  return deferred;
+}
+
+/**
+ * Second pass: set the validations that referenced definitions created after their owner
+ */
+async function applyDeferredValidations(sourceDef, fieldKeys, ctx) {
+  const target = ctx.targetDefinitions.get(sourceDef.type);
+  if (!target?.id || !fieldKeys.length) return;
+
+  const updates = [];
+  for (const key of new Set(fieldKeys)) {
+    const field = (sourceDef.fieldDefinitions || []).find((f) => f.key === key);
+    const validations = (field?.validations || []).map((v) => mapValidation(v, ctx));
+    if (validations.some((v) => v === null)) {
+      console.warn(`   ⚠️ ${sourceDef.type}.${key}: referenced definition not on target; validation left out`);
+      continue;
+    }
+    updates.push({ update: { key, validations } });
+  }
+  if (!updates.length) return;
+
+  console.log(`   🔗 Setting ${updates.length} definition reference validation(s) on ${sourceDef.type}`);
+  await runDefinitionMutation(
+    MUTATION_METAOBJECT_DEFINITION_UPDATE,
+    { id: target.id, definition: { fieldDefinitions: updates } },
+    "metaobjectDefinitionUpdate",
+    sourceDef.type,
+    ctx
+  );
+}
+
+async function syncDefinitions(sourceDefs, ctx) {
+  const deferredByType = new Map();
+
+  for (const def of sourceDefs) {
+    try {
+      deferredByType.set(def.type, await ensureDefinition(def, ctx));
+    } catch (err) {
+      ctx.definitionStats.failed++;
+      ctx.failedTypes.add(def.type);
+      console.error(`   ❌ Metaobject definition ${def.type} failed: ${err.message}`);
+    }
+  }
+
+  for (const def of sourceDefs) {
+    const deferred = deferredByType.get(def.type) || [];
+    if (!deferred.length) continue;
+    try {
+      await applyDeferredValidations(def, deferred, ctx);
+    } catch (err) {
+      console.error(`   ❌ Validations for ${def.type} failed: ${err.message}`);
+    }
+  }
+}
+
+/* ============================================
+   ENTRIES
+============================================ */
+
+/**
+ * Field values → MetaobjectFieldInput[]. Reference values are resolved to TARGET GIDs;
+ * `unresolved` lists the reference fields that resolved to nothing (retried in a second pass).
+ */
+async function buildUpsertFields(type, fields, ctx) {
+  const out = [];
+  const unresolved = [];
+
+  for (const field of fields) {
+    if (isEmpty(field.value)) continue;
+
+    const value = await ctx.resolver.resolveValue(field.type, field.value, {
+      label: `[METAOBJECT] ${type}.${field.handle} :: ${field.key}`,
+    });
+
+    if (value === null) {
+      unresolved.push(field.key);
+      continue;
+    }
+    out.push({ key: field.key, value: String(value) });
+  }
+
+  return { fields: out, unresolved };
+}
+
+/**
+ * Upsert one entry by (type, handle). Returns { id, unresolved }.
+ */
+async function upsertEntry(entry, ctx) {
+  const { fields, unresolved } = await buildUpsertFields(
+    entry.type,
+    entry.fields.map((f) => ({ ...f, handle: entry.handle })),
+    ctx
+  );
+
+  // Capability data is only accepted when the definition has that capability
+  const definitionCapabilities = ctx.targetDefinitions.get(entry.type)?.capabilities || {};
+  const metaobject = { fields };
+  const capabilities = {};
+  if (entry.status && definitionCapabilities.publishable?.enabled) {
+    capabilities.publishable = { status: entry.status };
+  }
+  if (entry.templateSuffix && definitionCapabilities.onlineStore?.enabled) {
+    capabilities.onlineStore = { templateSuffix: entry.templateSuffix };
+  }
+  if (Object.keys(capabilities).length) metaobject.capabilities = capabilities;
+
+  const variables = { handle: { type: entry.type, handle: entry.handle }, metaobject };
+
+  if (ctx.dryRunReport) {
+    ctx.dryRunReport.addInput(`${entry.type}.${entry.handle}`, "metaobjectUpsert", variables);
+    for (const key of unresolved) {
+      ctx.dryRunReport.addProblem(`${entry.type}.${entry.handle}`, "unresolved_reference", `Field "${key}" has no TARGET record`);
+    }
+    return { id: null, unresolved: [] };
+  }
+
+  const data = await graphqlRequest(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    MUTATION_METAOBJECT_UPSERT,
+    variables,
+    "metaobjectUpsert(TARGET)"
+  );
+  const payload = data?.metaobjectUpsert;
+  assertNoUserErrors(payload, "metaobjectUpsert");
+
+  return { id: payload?.metaobject?.id || null, unresolved };
+}
+
+/**
+ * Upsert every entry; entries with unresolved references (or failing on a required one)
+ * are retried once at the end, when the entries they point at exist.
+ */
+async function syncEntries(req, entries, ctx, statusReport) {
+  const counts = { upserted: 0, skipped: 0, failed: 0 };
+  const retry = [];
+
+  reportProgress(req, { total: entries.length });
+
+  for (const [i, entry] of entries.entries()) {
+    const label = `${entry.type}.${entry.handle}`;
+    reportProgress(req, {
+      processed: i,
+      succeeded: counts.upserted,
+      skipped: counts.skipped,
+      failed: counts.failed,
+      currentRow: label,
+    });
+
+    if (ctx.failedTypes.has(entry.type) || !ctx.targetDefinitions.has(entry.type)) {
+      counts.skipped++;
+      console.warn(`   ⏭️ ${label}: no metaobject definition on target`);
+      ctx.dryRunReport?.addProblem(label, "definition_missing", `Type "${entry.type}" is not defined on TARGET`);
+      statusReport.add(entry.rows, { status: REPORT_STATUS.SKIPPED, action: "definition_missing" });
+      continue;
+    }
+
+    try {
+      const { id, unresolved } = await upsertEntry(entry, ctx);
+      if (unresolved.length) {
+        retry.push(entry);
+        console.log(`   🔁 ${label}: upserted without ${unresolved.join(", ")}; retrying after the other entries`);
+      } else {
+        console.log(`   ✅ ${label}${id ? ` → ${id}` : ""}`);
+        counts.upserted++;
+        statusReport.add(entry.rows, { status: REPORT_STATUS.SUCCESS, action: "upserted", targetId: id });
+      }
+    } catch (err) {
+      retry.push(entry);
+      console.warn(`   🔁 ${label}: ${err.message}; retrying after the other entries`);
+    }
+  }
+
+  for (const entry of retry) {
+    const label = `${entry.type}.${entry.handle}`;
+    try {
+      const { id, unresolved } = await upsertEntry(entry, ctx);
+      counts.upserted++;
+      if (unresolved.length) console.warn(`   ⚠️ ${label}: still no target records for ${unresolved.join(", ")}`);
+      else console.log(`   ✅ ${label} → ${id}`);
+      statusReport.add(entry.rows, {
+        status: REPORT_STATUS.SUCCESS,
+        action: "upserted",
+        targetId: id,
+        error: unresolved.length ? `Unresolved references: ${unresolved.join(", ")}` : "",
+      });
+    } catch (err) {
+      counts.failed++;
+      console.error(`   ❌ ${label}: ${err.message}`);
+      statusReport.add(entry.rows, { status: REPORT_STATUS.FAILED, action: "upsert", error: err });
+    }
+  }
+
+  reportProgress(req, {
+    processed: entries.length,
+    succeeded: counts.upserted,
+    skipped: counts.skipped,
+    failed: counts.failed,
+  });
+
+  return counts;
+}
+
+function createContext(dryRunReport, targetDefs) {
+  return {
+    dryRunReport,
+    resolver: createReferenceResolver(),
+    targetDefinitions: new Map(targetDefs.map((d) => [d.type, d])),
+    sourceTypeById: new Map(),
+    failedTypes: new Set(),
+    definitionStats: { created: 0, updated: 0, existing: 0, failed: 0 },
+  };
+}
+
+function sendResult(res, { dryRunReport, ctx, counts, total, statusReport, extra = {} }) {
+  if (dryRunReport) {
+    return res.json(dryRunReport.result({ total, definitions: ctx.definitionStats, ...extra }));
+  }
+
+  console.log("\n📊 Metaobjects sync completed.");
+  console.log(`   🧩 Definitions: ${JSON.stringify(ctx.definitionStats)}`);
+  console.log(`   ✅ Upserted: ${counts.upserted}`);
+  console.log(`   ⏭️ Skipped:  ${counts.skipped}`);
+  console.log(`   ❌ Failed:   ${counts.failed}`);
+  statusReport.flush();
+  console.log(`   📄 Report:   ${statusReport.filePath}`);
+
+  return res.json({
+    ok: counts.failed === 0 && ctx.definitionStats.failed === 0,
+    total,
+    definitions: ctx.definitionStats,
+    upsertedCount: counts.upserted,
+    skippedCount: counts.skipped,
+    failedCount: counts.failed,
+    reportPath: statusReport.filePath,
+    reportUrl: statusReport.downloadUrl,
+    ...extra,
+  });
+}
+
+/* ============================================
+   SOURCE STORE → TARGET
+============================================ */
+
+/**
+ * Express handler: POST /metaobjects-from-source
+ * - ?types=a,b   only these metaobject types (default: all non app-owned types)
+ * - ?dryRun=true record the definition / entry inputs without writing
+ */
+export async function migrateMetaobjectsFromSource(req, res) {
+  try {
+    if (!SOURCE_SHOP || !SOURCE_ACCESS_TOKEN) {
+      return res.status(500).json({ error: "Missing env vars: SOURCE_SHOP, SOURCE_ACCESS_TOKEN" });
+    }
+
+    const onlyTypes = req.query?.types
+      ? new Set(String(req.query.types).split(",").map((t) => t.trim()).filter(Boolean))
+      : null;
+    const dryRunReport = isDryRun(req) ? createDryRunReport("metaobjects") : null;
+
+    console.log("🚀 Starting metaobjects sync (SOURCE → TARGET) ...");
+    if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent\n");
+
+    const [allSourceDefs, targetDefs] = await Promise.all([
+      fetchDefinitions(SOURCE_GQL, SOURCE_ACCESS_TOKEN, "MetaobjectDefinitions(SOURCE)"),
+      fetchDefinitions(TARGET_GQL, TARGET_ACCESS_TOKEN, "MetaobjectDefinitions(TARGET)"),
+    ]);
+
+    const ctx = createContext(dryRunReport, targetDefs);
+    for (const def of allSourceDefs) ctx.sourceTypeById.set(def.id, def.type);
+
+    const sourceDefs = allSourceDefs.filter((def) => {
+      if (APP_OWNED_TYPE.test(def.type)) {
+        console.log(`   ⏭️ Skipping app-owned metaobject type ${def.type}`);
+        return false;
+      }
+      return !onlyTypes || onlyTypes.has(def.type);
+    });
+    console.log(`✅ ${sourceDefs.length} metaobject definition(s) to sync`);
+
+    await syncDefinitions(sourceDefs, ctx);
+
+    const entries = [];
+    for (const def of sourceDefs) {
+      const nodes = await fetchSourceMetaobjects(def.type);
+      console.log(`   📥 ${def.type}: ${nodes.length} entr${nodes.length === 1 ? "y" : "ies"} on source`);
+
+      for (const node of nodes) {
+        entries.push({
+          type: node.type,
+          handle: node.handle,
+          fields: (node.fields || []).map((f) => ({ key: f.key, type: f.type, value: f.value })),
+          status: node.capabilities?.publishable?.status || null,
+          templateSuffix: node.capabilities?.onlineStore?.templateSuffix || null,
+          rows: { Type: node.type, Handle: node.handle, "Display Name": node.displayName, "Source GID": node.id },
+        });
+      }
+    }
+
+    const statusReport = createStatusReport("metaobjects", { disabled: !!dryRunReport });
+    const counts = await syncEntries(req, entries, ctx, statusReport);
+
+    return sendResult(res, {
+      dryRunReport,
+      ctx,
+      counts,
+      total: entries.length,
+      statusReport,
+      extra: { types: sourceDefs.map((d) => d.type) },
+    });
+  } catch (error) {
+    console.log("Error in migrateMetaobjectsFromSource:", error.message);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/* ============================================
+   MATRIXIFY SHEET → TARGET
+============================================ */
+
+/**
+ * Group Matrixify "Metaobjects" rows into entries.
+ * One row per field ("Field" / "Value"), grouped by "Definition: Handle" + "Handle";
+ * "Field: <key>" columns (one row per entry) are read as well.
+ */
+function buildEntriesFromRows(rows) {
+  const byKey = new Map();
+
+  for (const row of rows) {
+    const type = String(row["Definition: Handle"] ?? row["Type"] ?? "").trim();
+    const handle = String(row["Handle"] ?? "").trim();
+    if (!type || !handle) continue;
+
+    const key = `${type}.${handle}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { type, handle, fields: new Map(), status: null, templateSuffix: null, rows: [] });
+    }
+    const entry = byKey.get(key);
+    entry.rows.push(row);
+
+    if (!isEmpty(row["Status"]) && !entry.status) entry.status = String(row["Status"]).trim().toUpperCase();
+    if (!isEmpty(row["Template Suffix"]) && !entry.templateSuffix) entry.templateSuffix = String(row["Template Suffix"]).trim();
+
+    if (!isEmpty(row["Field"])) {
+      entry.fields.set(String(row["Field"]).trim(), row["Value"]);
+    }
+    for (const col of Object.keys(row)) {
+      const m = col.match(/^Field:\s*(.+)$/i);
+      if (m && !isEmpty(row[col])) entry.fields.set(m[1].trim(), row[col]);
+    }
+  }
+
+  return [...byKey.values()];
+}
+
+/**
+ * Express handler: POST /metaobjects (upload)
+ * Types missing on TARGET are copied from SOURCE when SOURCE_* is configured;
+ * otherwise their entries are skipped.
+ */
+export async function migrateMetaobjectsFromSheet(req, res) {
+  try {
+    const rows = loadRows(req.file.buffer);
+    const dryRunReport = isDryRun(req) ? createDryRunReport("metaobjects") : null;
+
+    console.log("🚀 Starting metaobjects import (Sheet → Shopify) ...");
+    if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent\n");
+
+    const sheetEntries = buildEntriesFromRows(rows);
+    console.log(`✅ Parsed ${sheetEntries.length} metaobject entr${sheetEntries.length === 1 ? "y" : "ies"} from sheet`);
+
+    const targetDefs = await fetchDefinitions(TARGET_GQL, TARGET_ACCESS_TOKEN, "MetaobjectDefinitions(TARGET)");
+    const ctx = createContext(dryRunReport, targetDefs);
+
+    const missingTypes = [...new Set(sheetEntries.map((e) => e.type))].filter((t) => !ctx.targetDefinitions.has(t));
+    if (missingTypes.length && SOURCE_SHOP && SOURCE_ACCESS_TOKEN) {
+      const sourceDefs = [];
+      for (const type of missingTypes) {
+        const def = await fetchDefinitionByType(SOURCE_GQL, SOURCE_ACCESS_TOKEN, type, "MetaobjectDefinitionByType(SOURCE)");
+        if (def) sourceDefs.push(def);
+        else console.warn(`   ⚠️ Metaobject type ${type} is on neither store`);
+      }
+      for (const def of sourceDefs) ctx.sourceTypeById.set(def.id, def.type);
+      await syncDefinitions(sourceDefs, ctx);
+    } else if (missingTypes.length) {
+      console.warn(`   ⚠️ Types not on target (set SOURCE_* to copy them): ${missingTypes.join(", ")}`);
+    }
+
+    // Field types come from the TARGET definition (needed to resolve reference values)
+    const entries = sheetEntries.map((e) => {
+      // Skipped in syncEntries as definition_missing
+      if (!ctx.targetDefinitions.has(e.type)) return { ...e, fields: [] };
+
+      const fieldTypes = new Map(
+        (ctx.targetDefinitions.get(e.type)?.fieldDefinitions || []).map((f) => [f.key, f.type?.name])
+      );
+      const fields = [];
+      for (const [key, value] of e.fields) {
+        if (!fieldTypes.has(key)) {
+          console.warn(`   ⚠️ ${e.type}.${e.handle}: field "${key}" is not in the definition; skipped`);
+          dryRunReport?.addProblem(`${e.type}.${e.handle}`, "unknown_field", `Field "${key}" is not in the definition`);
+          continue;
+        }
+        fields.push({ key, type: fieldTypes.get(key), value: isEmpty(value) ? null : String(value) });
+      }
+      return { ...e, fields };
+    });
+
+    const statusReport = createStatusReport("metaobjects", { disabled: !!dryRunReport });
+    const counts = await syncEntries(req, entries, ctx, statusReport);
+
+    return sendResult(res, { dryRunReport, ctx, counts, total: entries.length, statusReport });
+  } catch (error) {
+    console.log("Error in migrateMetaobjectsFromSheet:", error.message);
+    return res.status(500).json({ error: error.message });
+  }
+}
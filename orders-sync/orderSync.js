@@ -4,6 +4,13 @@ import path from "path";
 import XLSX from "xlsx";
 import { fileURLToPath } from "url";
 import { sanitizeMetafieldsForShopify } from "../utils.js";
+import { graphqlRequest } from "../shopifyClient.js";
+import { reportProgress } from "../jobs.js";
+import { openLedger, LEDGER_STATUS } from "../ledger.js";
+import { isDryRun, createDryRunReport } from "../dryRun.js";
+import { createStatusReport, REPORT_STATUS } from "../statusReport.js";
+import { streamSourceOrders, normalizeSourceOrderId, STORE_MIGRATION_TAG } from "./sourceOrders.js";
+import { createReferenceResolver } from "../referenceResolver.js";
 
 dotenv.config();
 
@@ -38,49 +45,40 @@ if (!fs.existsSync(ORDERS_XLSX)) {
 
 const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 
-/* ============================================
-   GRAPHQL HELPER
-============================================ */
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-  try {
-    const res = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": token,
-      },
-      body: JSON.stringify({ query, variables }),
-    });
-
-    const text = await res.text();
-    let json;
-
-    try {
-      json = text ? JSON.parse(text) : {};
-    } catch (_) {
-      console.error(`❌ Invalid JSON for ${label}:`, text);
-      throw new Error("Invalid JSON");
-    }
-    if (!res.ok) {
-      console.error(`❌ HTTP ${res.status} on ${label}`);
-      console.error(text);
-      throw new Error(`HTTP Error ${res.status}`);
-    }
-
-    if (json.errors?.length) {
-      console.error(
-        `❌ GraphQL Errors (${label}):`,
-        JSON.stringify(json.errors, null, 2),
-      );
-      throw new Error("GraphQL error");
-    }
-
-    return json.data;
-  } catch (err) {
-    console.error(`❌ Request failed (${label}): ${err.message}`);
-    throw err;
-  }
-}
+// Tag on orders created from the sheet; store-to-store orders carry parsedOrder.migrationTag instead
+const SHEET_MIGRATION_TAG = "migrated-from-sheet";
+const MIGRATION_TAGS = [SHEET_MIGRATION_TAG, STORE_MIGRATION_TAG];
+
+// Every migrated order carries its source order reference here, so a rerun can find it again
+const SOURCE_ORDER_METAFIELD = {
+  namespace: process.env.ORDER_SOURCE_METAFIELD_NAMESPACE || "migration",
+  key: process.env.ORDER_SOURCE_METAFIELD_KEY || "source_order_id",
+  type: "single_line_text_field",
+};
+
+// What to do with a sheet order that already exists on TARGET:
+//   create – create missing orders only, skip existing ones (default)
+//   update – patch tags, note, metafields, refund and fulfillment state of existing orders, never create
+//   upsert – both
+// Override per upload with ?mode=create|update|upsert
+const ORDER_SYNC_MODES = new Set(["create", "update", "upsert"]);
+const DEFAULT_ORDER_SYNC_MODE = (process.env.ORDER_SYNC_MODE || "create").trim().toLowerCase();
+
+// What to do with a line whose product exists but no variant matches by SKU or title:
+//   fallback – book it on the product's first variant (default, can hit the wrong variant)
+//   fail     – fail the whole order
+//   custom   – create it as a custom line item (title, SKU, price – no variant)
+// Override per upload with ?variantMatch=fallback|fail|custom
+const VARIANT_MATCH_MODES = new Set(["fallback", "fail", "custom"]);
+const DEFAULT_VARIANT_MATCH_MODE = (process.env.ORDER_VARIANT_MATCH_MODE || "fallback").trim().toLowerCase();
+
+// What to do with a line whose product handle is empty or not on TARGET (e.g. discontinued):
+//   fail   – fail the whole order (default)
+//   skip   – leave the line out of the order
+//   custom – create it as a custom line item (title, SKU, price, quantity, tax lines, properties)
+// Override per upload with ?missingProduct=fail|skip|custom
+const MISSING_PRODUCT_MODES = new Set(["fail", "skip", "custom"]);
+const DEFAULT_MISSING_PRODUCT_MODE = (process.env.ORDER_MISSING_PRODUCT_MODE || "fail").trim().toLowerCase();
 
 /* ============================================
    NORMALIZERS
@@ -105,6 +103,20 @@ function normalizeTaxRate(rateRaw, contextLabel = "") {
   return r;
 }
 
+// Matrixify "Line: Properties": one "name: value" per line
+function parseLineProperties(raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === "") return [];
+
+  return String(raw)
+    .split(/\r?\n/)
+    .map((line) => {
+      const idx = line.indexOf(":");
+      if (idx === -1) return { name: line.trim(), value: "" };
+      return { name: line.slice(0, idx).trim(), value: line.slice(idx + 1).trim() };
+    })
+    .filter((p) => p.name);
+}
+
 function parseTaxLinesFromRow({
   row,
   titleKeyFn,  // (i) => string
@@ -310,6 +322,24 @@ function mapCancelReason(reasonRaw) {
   return "OTHER";
 }
 
+// Sheet "Return: Reason" → Shopify ReturnReason
+function mapReturnReason(reasonRaw) {
+  if (!reasonRaw) return "UNKNOWN";
+  const s = String(reasonRaw).toLowerCase();
+
+  if (s.includes("too small") || s.includes("too_small")) return "SIZE_TOO_SMALL";
+  if (s.includes("too large") || s.includes("too big") || s.includes("too_large")) return "SIZE_TOO_LARGE";
+  if (s.includes("colo")) return "COLOR";
+  if (s.includes("defect") || s.includes("damaged") || s.includes("broken")) return "DEFECTIVE";
+  if (s.includes("described")) return "NOT_AS_DESCRIBED";
+  if (s.includes("wrong")) return "WRONG_ITEM";
+  if (s.includes("style")) return "STYLE";
+  if (s.includes("unwanted") || s.includes("changed mind") || s.includes("no longer")) return "UNWANTED";
+  if (s.includes("other")) return "OTHER";
+
+  return "UNKNOWN";
+}
+
 /* ============================================
    GQL QUERIES / MUTATIONS
 ============================================ */
@@ -435,6 +465,136 @@ const ORDER_UPDATE_MUTATION = `
   }
 `;
 
+// Orders a previous run created for a sheet order (matched on name, confirmed via the source metafield)
+const FIND_MIGRATED_ORDERS_QUERY = `
+  query findMigratedOrders($q: String!) {
+    orders(first: 10, query: $q) {
+      nodes {
+        id
+        name
+        note
+        tags
+        cancelledAt
+        displayFinancialStatus
+        displayFulfillmentStatus
+        sourceOrder: metafield(namespace: "${SOURCE_ORDER_METAFIELD.namespace}", key: "${SOURCE_ORDER_METAFIELD.key}") {
+          value
+        }
+        refunds(first: 1) {
+          id
+        }
+        returns(first: 1) {
+          nodes {
+            id
+          }
+        }
+        totalPriceSet {
+          shopMoney {
+            amount
+            currencyCode
+          }
+        }
+        lineItems(first: 250) {
+          edges {
+            node {
+              id
+              quantity
+              sku
+              name
+              variant {
+                id
+                sku
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Fulfilled line items a return can reference
+const GET_FULFILLMENT_LINE_ITEMS_QUERY = `
+  query getFulfillmentLineItems($orderId: ID!) {
+    order(id: $orderId) {
+      id
+      fulfillments(first: 50) {
+        fulfillmentLineItems(first: 100) {
+          nodes {
+            id
+            quantity
+            lineItem {
+              id
+              sku
+              name
+              title
+              variantTitle
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const RETURN_CREATE_MUTATION = `
+  mutation returnCreate($returnInput: ReturnInput!) {
+    returnCreate(returnInput: $returnInput) {
+      return {
+        id
+        status
+        reverseFulfillmentOrders(first: 5) {
+          nodes {
+            id
+            lineItems(first: 100) {
+              nodes {
+                id
+                totalQuantity
+                fulfillmentLineItem {
+                  id
+                }
+              }
+            }
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const REVERSE_FULFILLMENT_ORDER_DISPOSE_MUTATION = `
+  mutation reverseFulfillmentOrderDispose($dispositionInputs: [ReverseFulfillmentOrderDisposeInput!]!) {
+    reverseFulfillmentOrderDispose(dispositionInputs: $dispositionInputs) {
+      reverseFulfillmentOrderLineItems {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const RETURN_CLOSE_MUTATION = `
+  mutation returnClose($id: ID!) {
+    returnClose(id: $id) {
+      return {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
 const GET_FULFILLMENT_ORDERS_QUERY = `
   query getFulfillmentOrders($orderId: ID!) {
     order(id: $orderId) {
@@ -1242,6 +1402,10 @@ function loadOrdersFromSheet(fileBuffer) {
     const cancelledAtRaw = first["Cancelled At"] || null;
     const cancelledAt = cancelledAtRaw ? normalizeDateTime(cancelledAtRaw) : null;
 
+    // Kept on the target order: tier rules (tiers.json requireClosed) only count closed orders
+    const closedAtRaw = first["Closed At"] || null;
+    const closedAt = closedAtRaw ? normalizeDateTime(closedAtRaw) : null;
+
     const cancelReasonRaw = first["Cancel: Reason"] || null;
     const cancelSendReceiptRaw = first["Cancel: Send Receipt"];
     const cancelRefundRaw = first["Cancel: Refund"];
@@ -1321,6 +1485,8 @@ function loadOrdersFromSheet(fileBuffer) {
         sku: r["Line: SKU"] || r["Line: Variant SKU"] || null,
         variantTitle: r["Line: Variant Title"] || null,
         title: r["Line: Title"] || null,
+        vendor: r["Line: Vendor"] || null,
+        properties: parseLineProperties(r["Line: Properties"]),
         quantity: qty,
         price: priceRaw != null ? Number(priceRaw) : 0,
         discountTotal: discountRaw != null ? Number(discountRaw) : 0,
@@ -1463,6 +1629,45 @@ function loadOrdersFromSheet(fileBuffer) {
       });
     }
 
+    // Returns / exchanges – "Return Line" rows are items sent back, "Exchange Line" rows are
+    // the replacement items; rows sharing a "Return: ID" make up one return
+    const returnLines = [];
+    for (const r of groupRows.filter((r) => r["Line: Type"] === "Return Line")) {
+      const qtyRaw = r["Line: Quantity"];
+      const qty = qtyRaw != null ? Math.abs(Number(qtyRaw)) : 0;
+      if (!qty) continue;
+
+      returnLines.push({
+        returnId: r["Return: ID"] != null ? String(r["Return: ID"]) : "NO_ID",
+        sku: r["Line: SKU"] || r["Line: Variant SKU"] || null,
+        variantTitle: r["Line: Variant Title"] || null,
+        title: r["Line: Title"] || null,
+        quantity: qty,
+        returnReason: mapReturnReason(r["Return: Reason"]),
+        returnReasonNote: r["Return: Reason Note"] || r["Return: Note"] || null,
+        restock: asBool(r["Return: Restock"]) === true,
+        restockLocationName: r["Return: Restock Location"] || null,
+        returnStatus: r["Return: Status"] ? String(r["Return: Status"]).toUpperCase() : null,
+        requestedAt: normalizeDateTime(r["Return: Created At"]),
+      });
+    }
+
+    const exchangeLines = [];
+    for (const r of groupRows.filter((r) => r["Line: Type"] === "Exchange Line")) {
+      const qtyRaw = r["Line: Quantity"];
+      const qty = qtyRaw != null ? Math.abs(Number(qtyRaw)) : 0;
+      if (!qty) continue;
+
+      exchangeLines.push({
+        returnId: r["Return: ID"] != null ? String(r["Return: ID"]) : "NO_ID",
+        productHandle: r["Line: Product Handle"] || null,
+        sku: r["Line: SKU"] || r["Line: Variant SKU"] || null,
+        variantTitle: r["Line: Variant Title"] || null,
+        title: r["Line: Title"] || null,
+        quantity: qty,
+      });
+    }
+
     // Order-level refund total
     let refundTotal = 0;
     const priceTotalRefundRaw = first["Price: Total Refund"];
@@ -1518,7 +1723,8 @@ function loadOrdersFromSheet(fileBuffer) {
     }
 
     parsedOrders.push({
-      sourceId: orderId,
+      // Matrixify "ID" is the numeric SOURCE id, the same key the store import uses
+      sourceId: normalizeSourceOrderId(first["ID"]) || orderId,
       name: first["Name"] || null,
       email,
       customerEmail,
@@ -1541,6 +1747,7 @@ function loadOrdersFromSheet(fileBuffer) {
       sendReceipt,
       inventoryBehaviour,
       metafields,
+      closedAt,
       // cancellation
       cancelledAt,
       cancelReason,
@@ -1551,12 +1758,18 @@ function loadOrdersFromSheet(fileBuffer) {
       // refunds
       refundLines,
       refundTotal,
+      // returns / exchanges
+      returnLines,
+      exchangeLines,
       companyData,
       presentmentCurrency,
 
       //taxes
       orderTaxLines,
       orderTaxTotal,
+
+      // original sheet rows, for the status report
+      sheetRows: groupRows,
     });
   }
 
@@ -1628,12 +1841,12 @@ function buildOrderCreateInputFromParsed(parsedOrder, targetCustomerData) {
   if (createdAt) {
     order.processedAt = createdAt;
   }
+  if (parsedOrder.closedAt) {
+    order.closedAt = parsedOrder.closedAt;
+  }
 
   // Tags
-  const finalTags = [...(tags || [])];
-  finalTags.push("migrated-from-sheet");
-  finalTags.push(parsedOrder?.name);
-  order.tags = finalTags;
+  order.tags = buildOrderTags(parsedOrder);
 
   // Customer (associate by email)
   if (targetCustomerData?.customerId) {
@@ -1809,245 +2022,1323 @@ function buildOrderCreateInputFromParsed(parsedOrder, targetCustomerData) {
       order.metafields = safeOrderMetafields;
     }
   }
+
+  order.metafields = [...(order.metafields || []), buildSourceOrderMetafield(parsedOrder)];
   return order;
 }
 
+function buildOrderTags(parsedOrder) {
+  const finalTags = [...(parsedOrder.tags || [])];
+  finalTags.push(parsedOrder.migrationTag || SHEET_MIGRATION_TAG);
+  finalTags.push(parsedOrder?.name);
+  return finalTags.filter(Boolean);
+}
+
+function buildSourceOrderMetafield(parsedOrder) {
+  return {
+    ...SOURCE_ORDER_METAFIELD,
+    value: orderLedgerKey(parsedOrder),
+  };
+}
+
 /* ============================================
-   MIGRATE SINGLE PARSED ORDER
+   REFUND / CANCEL / FULFILLMENT MIRRORING
+   (shared by the create and the update path)
 ============================================ */
 
-async function migrateParsedOrder(parsedOrder,
-  //  customersMap,
-  productsCache,
-  targetCompanies
+// Helper: build refund lineItems from refundLines + created order
+function buildRefundLineItemsFromSheet(order, parsed) {
+  const refundLines = parsed.refundLines || [];
+  const refundLineItems = [];
+  const usedQtyByLineId = new Map();
 
-) {
-  console.log(
-    `\n▶ Migrating order from sheet: ${parsedOrder.name} (ID=${parsedOrder.sourceId})`,
-  );
-  console.log(`   📧 Customer: ${parsedOrder.customerEmail || "No email"}`);
-  console.log(`   💳 Payment: ${parsedOrder.paymentStatus || "unknown"}`);
-  console.log(
-    `   📦 Fulfillment Status: ${parsedOrder.orderFulfillmentStatus || "unknown"
-    }`,
-  );
-  console.log(
-    `   🚫 Cancelled At: ${parsedOrder.cancelledAt || "NO"}`,
-  );
-  console.log(
-    `   💸 Refund lines count: ${(parsedOrder.refundLines || []).length}, refundTotal=${parsedOrder.refundTotal || 0}`,
-  );
+  if (!refundLines.length) {
+    return { refundLineItems, matchedAny: false };
+  }
 
-  // 1. Customer mapping
-  // const targetCustomerData = parsedOrder.email ? customersMap.get(parsedOrder.email.toLowerCase()) : null;
-  const targetCustomerData = await fetchSingleCustomer(parsedOrder.customerEmail);
+  const edges = order.lineItems?.edges || [];
 
-  if (!targetCustomerData) {
-    console.warn(`   ⚠️  Customer not found in target: ${parsedOrder.customerEmail}`);
-    return { success: false, reason: "customer_not_found" };
-  }
+  for (const rl of refundLines) {
+    let qtyRemaining = rl.quantity || 0;
+    if (!qtyRemaining) continue;
 
-  // 2. Map products/variants + build GraphQL lineItems
-  const lineItemsInput = [];
-  const missingProducts = [];
+    const targetSku = rl.sku && String(rl.sku).trim();
+    const targetVariantTitle = rl.variantTitle && String(rl.variantTitle).trim();
+    const targetTitle = rl.title && String(rl.title).trim();
 
-  for (const li of parsedOrder.lineItems) {
-    const productHandle = li.productHandle;
-    const sourceSku = li.sku || null;
-    const sourceVariantTitle = li.variantTitle || null;
+    let matched = false;
 
-    if (!productHandle) {
-      console.warn(`   ⚠️  Missing product handle for line "${li.title}"`);
-      missingProducts.push(li.title || "UNKNOWN");
-      continue;
-    }
+    for (const edge of edges) {
+      if (qtyRemaining <= 0) break;
+
+      const node = edge.node;
+      const lineSku = node.variant?.sku || node.sku || null;
+      const lineName = node.name || "";
+
+      let isMatch = false;
+
+      if (targetSku && lineSku && lineSku === targetSku) {
+        isMatch = true;
+      } else if (
+        targetVariantTitle &&
+        (lineName.includes(targetVariantTitle) || targetVariantTitle === lineName)
+      ) {
+        isMatch = true;
+      } else if (
+        targetTitle &&
+        (lineName.includes(targetTitle) || targetTitle === lineName)
+      ) {
+        isMatch = true;
+      }
 
-    const targetProduct = await checkProductExists(productHandle, productsCache);
-    if (!targetProduct) {
-      console.warn(`   ⚠️  Product not found in target: ${productHandle}`);
-      missingProducts.push(productHandle);
-      continue;
-    }
+      if (!isMatch) continue;
 
-    // Match variant: SKU → title/displayName → fallback first
-    let targetVariantId = null;
-    let matchMethod = null;
+      const alreadyUsed = usedQtyByLineId.get(node.id) || 0;
+      const available = (node.quantity || 0) - alreadyUsed;
+      if (available <= 0) continue;
 
-    if (sourceSku) {
-      const match = targetProduct.variants.nodes.find(
-        (v) => v.sku === sourceSku,
-      );
-      if (match) {
-        targetVariantId = match.id;
-        matchMethod = "SKU";
-      }
-    }
+      const qtyToRefund = Math.min(qtyRemaining, available);
+      if (qtyToRefund <= 0) continue;
 
-    if (!targetVariantId && sourceVariantTitle) {
-      const match = targetProduct.variants.nodes.find(
-        (v) =>
-          v.title === sourceVariantTitle ||
-          v.displayName === sourceVariantTitle,
-      );
-      if (match) {
-        targetVariantId = match.id;
-        matchMethod = "Title";
-      }
-    }
+      refundLineItems.push({
+        lineItemId: node.id,
+        quantity: qtyToRefund,
+        restockType: rl.restockType || "CANCEL",
+      });
 
-    if (!targetVariantId && targetProduct.variants.nodes.length > 0) {
-      targetVariantId = targetProduct.variants.nodes[0].id;
-      matchMethod = "Fallback";
-      console.warn(
-        `   ⚠️  Using first variant for product handle=${productHandle}`,
-      );
+      usedQtyByLineId.set(node.id, alreadyUsed + qtyToRefund);
+      qtyRemaining -= qtyToRefund;
+      matched = true;
     }
 
-    if (!targetVariantId) {
+    if (!matched) {
       console.warn(
-        `   ⚠️  No variant matched for product handle=${productHandle}`,
+        `   ⚠️ Could not match Refund Line "${rl.title}" (sku=${rl.sku}, variantTitle=${rl.variantTitle}) to any created line item`,
       );
-      missingProducts.push(productHandle);
-      continue;
     }
+  }
 
-    const unitPrice = li.price || 0;
+  return {
+    refundLineItems,
+    matchedAny: refundLineItems.length > 0,
+  };
+}
 
-    let requiresShipping = li.requiresShipping;
-    if (requiresShipping === null || requiresShipping === undefined) {
-      requiresShipping = true; // default if missing
+/* --------------------------------------------
+   REFUND LOGIC (uses Refund Line from sheet)
+   - If refundLines exist OR order is cancelled OR refundTotal>0
+   - Build refundLineItems from sheet
+   - Use suggestedRefund to get parentTransaction.id + gateway
+   - refundCreate with proper transactions[]
+   Returns true when the order was cancelled (fulfillments are then not mirrored)
+--------------------------------------------- */
+async function mirrorRefundAndCancel(order, parsedOrder) {
+  const orderId = order.id;
+  const orderName = order.name;
+
+  const hasRefundLines =
+    parsedOrder.refundLines && parsedOrder.refundLines.length > 0;
+  const isCancelled = !!parsedOrder.cancelledAt;
+  const hasRefundTotal = parsedOrder.refundTotal && parsedOrder.refundTotal > 0;
+
+  if (!hasRefundLines && !isCancelled && !hasRefundTotal) return false;
+
+  console.log({
+    hasRefundLines,
+    isCancelled,
+    hasRefundTotal
+  })
+  console.log("   💸 Preparing refundCreate...");
+
+  let refundLineItems = [];
+  let matchedAny = false;
+
+  if (hasRefundLines) {
+    const built = buildRefundLineItemsFromSheet(order, parsedOrder);
+    refundLineItems = built.refundLineItems;
+    matchedAny = built.matchedAny;
+  }
+
+  // If no refundLines matched but we still need to refund (e.g. cancelled w/o explicit Refund Line),
+  // fall back to refunding all items.
+  if (!matchedAny) {
+    console.warn(
+      "   ⚠️ No refund line-items matched from sheet; falling back to full line-item refund",
+    );
+    if (order.lineItems?.edges?.length) {
+      for (const edge of order.lineItems.edges) {
+        const node = edge.node;
+        if (!node.quantity || node.quantity <= 0) continue;
+        refundLineItems.push({
+          lineItemId: node.id,
+          quantity: node.quantity,
+          restockType: "CANCEL",
+        });
+      }
     }
+  }
+
+  if (!refundLineItems.length) {
+    console.warn("   ⚠️ No line items to refund; skipping refundCreate");
+  } else {
+    let refundAmount =
+      parsedOrder.refundTotal && parsedOrder.refundTotal > 0
+        ? parsedOrder.refundTotal
+        : Number(order.totalPriceSet.shopMoney.amount || 0);
+
+    // Build refund transaction with gateway "cash" (no parent → avoids parent transaction error)
+    let refundTransactions = [];
+
+    // Fetch real Shopify transactions so we can find parent ID for refund
+    const txData = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      GET_ORDER_TRANSACTIONS,
+      { id: orderId },
+      `get transactions for ${orderName}`
+    );
+
+    function findParentTransactionForRefund(createdTransactions) {
+      if (!createdTransactions.length) return null;
 
-    let taxable = li.taxable;
-    if (taxable === null || taxable === undefined) {
-      taxable = true; // default if missing
+      // Prefer CAPTURE
+      const capture = createdTransactions.find(
+        (t) => t.kind?.toUpperCase() === "CAPTURE" && t.status === "SUCCESS"
+      );
+      if (capture) return capture;
+
+      // Else fallback to SALE / AUTHORIZATION
+      const sale = createdTransactions.find(
+        (t) =>
+          (t.kind?.toUpperCase() === "SALE" ||
+            t.kind?.toUpperCase() === "AUTHORIZATION") &&
+          t.status === "SUCCESS"
+      );
+
+      return sale || null;
     }
 
-    const lineInput = {
-      variantId: targetVariantId,
-      quantity: li.quantity || 0,
-      priceSet: {
-        shopMoney: {
-          amount: unitPrice,
-          currencyCode: parsedOrder.currency,
-        },
-        // presentmentMoney: {
-        //   amount: unitPrice,
-        //   currencyCode: parsedOrder.presentmentCurrency,
-        // },
-      },
-      requiresShipping,
-      taxable,
 
-    };
+    const createdTxEdges = txData?.order?.transactions || [];
 
-    // if (li.taxLines && li.taxLines.length > 0) {
-    //   lineInput.taxLines = li.taxLines;
-    // }
+    console.log(`   📦 Found  transactions,`, JSON.stringify(createdTxEdges, null, 2));
 
-    lineItemsInput.push(lineInput);
-    console.log(
-      `   ✅ [${matchMethod}] ${li.title} x${li.quantity} @ ${unitPrice} ${parsedOrder.currency} (requiresShipping=${requiresShipping}, taxable=${taxable})`,
-    );
-  }
 
-  if (missingProducts.length > 0) {
-    console.error(
-      `   ❌ Missing products or variants: ${missingProducts.join(", ")}`,
+    // const flatTx = createdTxEdges.map(e => e.node);
+    const parentTx = findParentTransactionForRefund(createdTxEdges);
+
+    if (parentTx) {
+      // Shopify official: refund must reference parent transaction
+      refundTransactions.push({
+        kind: "REFUND",
+        parentId: parentTx.id,
+        gateway: `manual (${parentTx.gateway})`,
+        amount: refundAmount,
+        orderId,
+      });
+
+      console.log(
+        `   🔗 Using parent transaction ${parentTx.id} (gateway=${parentTx.gateway})`
+      );
+    } else {
+      // Fallback (Matrixify-style): gateway=cash, no parent
+      console.warn("   ⚠️ No parent transaction found — using manual refund");
+      refundTransactions.push({
+        kind: "REFUND",
+        gateway: "cash",
+        amount: refundAmount,
+        orderId,
+      });
+    }
+
+    const anyRefundLineWithNote =
+      (parsedOrder.refundLines || []).find((rl) => rl.refundNote) || null;
+
+    const refundNote =
+      (anyRefundLineWithNote && anyRefundLineWithNote.refundNote) ||
+      (isCancelled ? "Order canceled via migration" : "Refund via migration");
+
+    const notifyCustomer =
+      (parsedOrder.cancelNotifyCustomer === true) ||
+      !!(parsedOrder.refundLines || []).find((rl) => rl.refundSendReceipt === true);
+
+    const refundInput = {
+      orderId,
+      refundLineItems,
+      transactions: refundTransactions,
+      note: refundNote,
+      notify: false,
+      // notify: notifyCustomer,
+    };
+    console.log(refundInput)
+
+    try {
+      const refundResult = await graphqlRequest(
+        TARGET_GQL,
+        TARGET_ACCESS_TOKEN,
+        REFUND_CREATE_MUTATION,
+        { input: refundInput },
+        `refundCreate for ${orderName}`,
+      );
+
+      if (refundResult.refundCreate.userErrors?.length) {
+        console.error(
+          "   ❌ RefundCreate errors:",
+          refundResult.refundCreate.userErrors,
+        );
+      } else {
+        const refundedAmount =
+          refundResult.refundCreate.refund?.totalRefundedSet
+            ?.presentmentMoney?.amount;
+        const refundedCurrency =
+          refundResult.refundCreate.refund?.totalRefundedSet
+            ?.presentmentMoney?.currencyCode;
+        console.log(
+          `   ✅ Refund created successfully: ${refundedAmount} ${refundedCurrency}`,
+        );
+      }
+    } catch (err) {
+      console.error(`   ❌ Failed to create refund: ${err.message}`);
+    }
+  }
+
+  // Optional: mark as cancelled if original was cancelled
+  if (isCancelled) {
+    try {
+      console.log(
+        "   🚫 Cancelling order via orderCancel (no extra refund, no restock)...",
+      );
+
+      const cancelVariables = {
+        orderId,
+        notifyCustomer: false,
+        // refundMethod: {
+        //   originalPaymentMethodsRefund: true,
+        // },
+        restock: false,
+        reason: parsedOrder.cancelReason || "OTHER",
+        staffNote: "Cancelled via migration import",
+      };
+
+      const cancelResult = await graphqlRequest(
+        TARGET_GQL,
+        TARGET_ACCESS_TOKEN,
+        ORDER_CANCEL_MUTATION,
+        cancelVariables,
+        `orderCancel for ${orderName}`,
+      );
+
+      if (
+        cancelResult.orderCancel.orderCancelUserErrors?.length ||
+        cancelResult.orderCancel.userErrors?.length
+      ) {
+        console.error(
+          "   ❌ orderCancel errors:",
+          cancelResult.orderCancel.orderCancelUserErrors || [],
+          cancelResult.orderCancel.userErrors || [],
+        );
+      } else {
+        console.log("   ✅ Order cancelled successfully");
+      }
+    } catch (err) {
+      console.error(`   ❌ Failed to cancel order: ${err.message}`);
+    }
+  }
+
+  return isCancelled;
+}
+
+/* --------------------------------------------
+   Mirror FULFILLMENTS (based on sheet) – only if NOT cancelled
+--------------------------------------------- */
+async function mirrorFulfillments(orderId, orderName, parsedOrder) {
+  const hasDesiredFulfill =
+    (parsedOrder.desiredBySku &&
+      Object.keys(parsedOrder.desiredBySku).length > 0) ||
+    (parsedOrder.desiredByVariantTitle &&
+      Object.keys(parsedOrder.desiredByVariantTitle).length > 0) ||
+    (parsedOrder.desiredByTitle &&
+      Object.keys(parsedOrder.desiredByTitle).length > 0);
+
+  console.log("hasDesiredFulfill", hasDesiredFulfill, parsedOrder.desiredBySku, parsedOrder.desiredByVariantTitle, parsedOrder.desiredByTitle);
+
+  if (hasDesiredFulfill) {
+    console.log(
+      "   📊 Desired quantities to fulfill (by SKU):",
+      parsedOrder.desiredBySku,
+    );
+    console.log(
+      "   📊 Desired quantities to fulfill (by Variant Title):",
+      parsedOrder.desiredByVariantTitle,
+    );
+    console.log(
+      "   📊 Desired quantities to fulfill (by Title):",
+      parsedOrder.desiredByTitle,
+    );
+
+    try {
+      const fulfillmentOrdersData = await graphqlRequest(
+        TARGET_GQL,
+        TARGET_ACCESS_TOKEN,
+        GET_FULFILLMENT_ORDERS_QUERY,
+        { orderId: orderId },
+        `get fulfillment orders for ${orderName}`,
+      );
+
+      const fulfillmentOrderEdges =
+        fulfillmentOrdersData.order?.fulfillmentOrders?.edges || [];
+
+      if (!fulfillmentOrderEdges.length) {
+        console.warn(
+          "   ⚠️  No fulfillment orders found in target (cannot mirror fulfillments)",
+        );
+      } else {
+        console.log(
+          `   📋 Found ${fulfillmentOrderEdges.length} fulfillment order(s) in target`,
+        );
+
+        const desiredBySku = { ...(parsedOrder.desiredBySku || {}) };
+        const desiredByVariantTitle = {
+          ...(parsedOrder.desiredByVariantTitle || {}),
+        };
+        const desiredByTitle = { ...(parsedOrder.desiredByTitle || {}) };
+
+
+        const lineItemsByFulfillmentOrder = [];
+
+        for (const foEdge of fulfillmentOrderEdges) {
+          const fo = foEdge.node;
+          const foId = fo.id;
+          const foItems = [];
+
+          for (const foliEdge of fo.lineItems.edges) {
+            const foli = foliEdge.node;
+            const remaining = foli.remainingQuantity ?? 0;
+            if (remaining <= 0) continue;
+
+            const targetSku = foli.lineItem.sku || null;
+            const targetVariantTitle =
+              foli.lineItem.variantTitle || foli.lineItem.title || null;
+
+            // NEW: fallback match using product title
+            const targetTitle =
+              foli.lineItem.title ||
+              foli.lineItem.name ||
+              null;
+
+            let desired = 0;
+            let keyType = null;
+
+            // 1️⃣ Match by SKU
+            if (targetSku && desiredBySku[targetSku]) {
+              desired = desiredBySku[targetSku];
+              keyType = "sku";
+            }
+
+            // 2️⃣ Match by Variant Title
+            else if (
+              targetVariantTitle &&
+              desiredByVariantTitle[targetVariantTitle]
+            ) {
+              desired = desiredByVariantTitle[targetVariantTitle];
+              keyType = "variantTitle";
+            }
+
+            // 3️⃣ Match by Title  (required fix)
+            else if (targetTitle && desiredByTitle[targetTitle]) {
+              desired = desiredByTitle[targetTitle];
+              keyType = "title";
+            }
+
+            if (!desired) continue;
+
+            const qtyToFulfill = Math.min(desired, remaining);
+            if (qtyToFulfill <= 0) continue;
+
+            foItems.push({
+              id: foli.id,
+              quantity: qtyToFulfill,
+            });
+
+            // Decrement logic
+            const newRemaining = desired - qtyToFulfill;
+
+            if (keyType === "sku") {
+              if (newRemaining > 0) desiredBySku[targetSku] = newRemaining;
+              else delete desiredBySku[targetSku];
+            } else if (keyType === "variantTitle") {
+              if (newRemaining > 0)
+                desiredByVariantTitle[targetVariantTitle] = newRemaining;
+              else delete desiredByVariantTitle[targetVariantTitle];
+            } else if (keyType === "title") {
+              if (newRemaining > 0) desiredByTitle[targetTitle] = newRemaining;
+              else delete desiredByTitle[targetTitle];
+            }
+
+            console.log(
+              `      ✅ Match for FO ${foId}: FOLI=${foli.id}, qty=${qtyToFulfill}, sku=${targetSku}, variantTitle=${targetVariantTitle}, title=${targetTitle}`
+            );
+          }
+
+          if (foItems.length > 0) {
+            lineItemsByFulfillmentOrder.push({
+              fulfillmentOrderId: foId,
+              fulfillmentOrderLineItems: foItems,
+            });
+          }
+        }
+
+
+        if (!lineItemsByFulfillmentOrder.length) {
+          console.warn(
+            "   ⚠️  No fulfillable items found in target for desired quantities",
+          );
+        } else {
+          const fulfillmentInput = {
+            notifyCustomer: false,
+            lineItemsByFulfillmentOrder,
+          };
+
+          console.log(
+            `   🚀 Creating fulfillment via fulfillmentCreateV2 with ${lineItemsByFulfillmentOrder.length} FO group(s)...`,
+          );
+
+          const fulfillmentResult = await graphqlRequest(
+            TARGET_GQL,
+            TARGET_ACCESS_TOKEN,
+            CREATE_FULFILLMENT_V2_MUTATION,
+            {
+              fulfillment: fulfillmentInput,
+              message: `Migrated fulfillment for ${parsedOrder.name}`,
+            },
+            `create fulfillment for ${orderName}`,
+          );
+
+          if (fulfillmentResult.fulfillmentCreateV2.userErrors?.length) {
+            console.error(
+              "   ❌ Fulfillment errors:",
+              fulfillmentResult.fulfillmentCreateV2.userErrors,
+            );
+          } else {
+            const fulfillmentStatus =
+              fulfillmentResult.fulfillmentCreateV2.fulfillment
+                ?.displayStatus ||
+              fulfillmentResult.fulfillmentCreateV2.fulfillment?.status ||
+              "UNKNOWN";
+            console.log(
+              `   ✅ Fulfillment created successfully: ${fulfillmentStatus}`,
+            );
+          }
+        }
+      }
+    } catch (err) {
+      console.error(`   ❌ Failed to mirror fulfillments: ${err.message}`);
+    }
+  } else {
+    console.log("   📦 No line-level fulfillment info in sheet to mirror");
+  }
+}
+
+/* --------------------------------------------
+   Mirror RETURNS / EXCHANGES (based on sheet) – after fulfillments,
+   since a return can only reference fulfilled line items
+--------------------------------------------- */
+
+// Does a target order line item correspond to a sheet line (SKU → variant title → title)?
+function lineItemMatchesSheetLine(lineItem, sheetLine) {
+  const lineSku = lineItem?.sku || null;
+  const lineName = lineItem?.name || "";
+
+  if (sheetLine.sku && lineSku) return String(sheetLine.sku).trim() === lineSku;
+
+  const variantTitle = sheetLine.variantTitle && String(sheetLine.variantTitle).trim();
+  if (variantTitle && (lineItem?.variantTitle === variantTitle || lineName.includes(variantTitle))) {
+    return true;
+  }
+
+  const title = sheetLine.title && String(sheetLine.title).trim();
+  return !!title && (lineItem?.title === title || lineName.includes(title));
+}
+
+// Exchange items must hit the exact variant: SKU → variant title → the product's only variant
+async function resolveExchangeVariantId(exchangeLine, productsCache) {
+  if (!exchangeLine.productHandle) return null;
+
+  const product = await checkProductExists(exchangeLine.productHandle, productsCache);
+  const variants = product?.variants?.nodes || [];
+
+  const bySku = exchangeLine.sku && variants.find((v) => v.sku === exchangeLine.sku);
+  if (bySku) return bySku.id;
+
+  const byTitle =
+    exchangeLine.variantTitle &&
+    variants.find(
+      (v) => v.title === exchangeLine.variantTitle || v.displayName === exchangeLine.variantTitle,
     );
-    return { success: false, reason: "products_missing", missing: missingProducts };
+  if (byTitle) return byTitle.id;
+
+  return variants.length === 1 ? variants[0].id : null;
+}
+
+function groupReturnsFromSheet(parsedOrder) {
+  const returnsById = new Map();
+
+  for (const rl of parsedOrder.returnLines || []) {
+    if (!returnsById.has(rl.returnId)) {
+      returnsById.set(rl.returnId, { returnLines: [], exchangeLines: [] });
+    }
+    returnsById.get(rl.returnId).returnLines.push(rl);
   }
 
-  if (lineItemsInput.length === 0) {
-    console.error("   ❌ No line items to migrate");
-    return { success: false, reason: "no_line_items" };
+  for (const el of parsedOrder.exchangeLines || []) {
+    const group = returnsById.get(el.returnId);
+    if (!group) {
+      console.warn(
+        `   ⚠️ Exchange Line "${el.title}" (Return: ID=${el.returnId}) has no Return Line for the same return; skipped`,
+      );
+      continue;
+    }
+    group.exchangeLines.push(el);
   }
 
-  // 3. Build order input
-  const orderInput = buildOrderCreateInputFromParsed(
-    { ...parsedOrder, lineItems: lineItemsInput },
-    targetCustomerData,
+  return returnsById;
+}
+
+function formatUserErrors(userErrors) {
+  return userErrors.map((e) => e.message).join("; ");
+}
+
+/**
+ * Replay the sheet's returns on the target order. Returns the errors of the returns
+ * (or their restock / close) that didn't go through, so the caller can flag the order.
+ */
+async function mirrorReturns(orderId, orderName, parsedOrder, productsCache, targetLocations = []) {
+  const returnsById = groupReturnsFromSheet(parsedOrder);
+  if (!returnsById.size) return [];
+  const errors = [];
+
+  console.log(`   ↩️  Replaying ${returnsById.size} return(s) from sheet...`);
+
+  const fliData = await graphqlRequest(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    GET_FULFILLMENT_LINE_ITEMS_QUERY,
+    { orderId },
+    `get fulfillment line items for ${orderName}`,
   );
 
-  // Helper: build refund lineItems from refundLines + created order
-  function buildRefundLineItemsFromSheet(order, parsed) {
-    const refundLines = parsed.refundLines || [];
-    const refundLineItems = [];
-    const usedQtyByLineId = new Map();
+  const fulfillmentLineItems = (fliData.order?.fulfillments || []).flatMap(
+    (f) => f.fulfillmentLineItems?.nodes || [],
+  );
 
-    if (!refundLines.length) {
-      return { refundLineItems, matchedAny: false };
-    }
+  if (!fulfillmentLineItems.length) {
+    console.warn("   ⚠️ No fulfilled items on target order; returns can't be replayed");
+    return [`${returnsById.size} return(s) not replayed: no fulfilled items on target order`];
+  }
 
-    const edges = order.lineItems?.edges || [];
+  const usedQtyByFulfillmentLineItemId = new Map();
 
-    for (const rl of refundLines) {
-      let qtyRemaining = rl.quantity || 0;
-      if (!qtyRemaining) continue;
+  for (const [returnId, group] of returnsById.entries()) {
+    try {
+      const returnLineItems = [];
+      // fulfillmentLineItemId -> { quantity, locationName } for lines the sheet says were restocked
+      const restockByFulfillmentLineItemId = new Map();
+
+      for (const rl of group.returnLines) {
+        let qtyRemaining = rl.quantity;
+
+        for (const fli of fulfillmentLineItems) {
+          if (qtyRemaining <= 0) break;
+          if (!lineItemMatchesSheetLine(fli.lineItem, rl)) continue;
+
+          const alreadyUsed = usedQtyByFulfillmentLineItemId.get(fli.id) || 0;
+          const available = (fli.quantity || 0) - alreadyUsed;
+          if (available <= 0) continue;
+
+          const qty = Math.min(qtyRemaining, available);
+          returnLineItems.push({
+            fulfillmentLineItemId: fli.id,
+            quantity: qty,
+            returnReason: rl.returnReason,
+            returnReasonNote: rl.returnReasonNote || "",
+          });
+          usedQtyByFulfillmentLineItemId.set(fli.id, alreadyUsed + qty);
+          qtyRemaining -= qty;
+
+          if (rl.restock) {
+            const prev = restockByFulfillmentLineItemId.get(fli.id);
+            restockByFulfillmentLineItemId.set(fli.id, {
+              quantity: (prev?.quantity || 0) + qty,
+              locationName: rl.restockLocationName,
+            });
+          }
+        }
 
-      const targetSku = rl.sku && String(rl.sku).trim();
-      const targetVariantTitle = rl.variantTitle && String(rl.variantTitle).trim();
-      const targetTitle = rl.title && String(rl.title).trim();
+        if (qtyRemaining > 0) {
+          console.warn(
+            `   ⚠️ Could not match ${qtyRemaining} x Return Line "${rl.title}" (sku=${rl.sku}) to a fulfilled line item`,
+          );
+        }
+      }
 
-      let matched = false;
+      if (!returnLineItems.length) {
+        console.warn(`   ⚠️ Return ${returnId}: nothing to return on target; skipped`);
+        continue;
+      }
 
-      for (const edge of edges) {
-        if (qtyRemaining <= 0) break;
+      const exchangeLineItems = [];
+      for (const el of group.exchangeLines) {
+        const variantId = await resolveExchangeVariantId(el, productsCache);
+        if (!variantId) {
+          console.warn(
+            `   ⚠️ Exchange Line "${el.title}" (handle=${el.productHandle}, sku=${el.sku}) has no target variant; skipped`,
+          );
+          continue;
+        }
+        exchangeLineItems.push({ variantId, quantity: el.quantity });
+      }
 
-        const node = edge.node;
-        const lineSku = node.variant?.sku || node.sku || null;
-        const lineName = node.name || "";
-
-        let isMatch = false;
-
-        if (targetSku && lineSku && lineSku === targetSku) {
-          isMatch = true;
-        } else if (
-          targetVariantTitle &&
-          (lineName.includes(targetVariantTitle) || targetVariantTitle === lineName)
-        ) {
-          isMatch = true;
-        } else if (
-          targetTitle &&
-          (lineName.includes(targetTitle) || targetTitle === lineName)
-        ) {
-          isMatch = true;
+      const returnInput = {
+        orderId,
+        returnLineItems,
+        notifyCustomer: false,
+      };
+      if (exchangeLineItems.length) returnInput.exchangeLineItems = exchangeLineItems;
+
+      const requestedAt = group.returnLines.find((rl) => rl.requestedAt)?.requestedAt;
+      if (requestedAt) returnInput.requestedAt = requestedAt;
+
+      const returnResult = await graphqlRequest(
+        TARGET_GQL,
+        TARGET_ACCESS_TOKEN,
+        RETURN_CREATE_MUTATION,
+        { returnInput },
+        `returnCreate ${returnId} for ${orderName}`,
+      );
+
+      if (returnResult.returnCreate.userErrors?.length) {
+        console.error("   ❌ returnCreate errors:", returnResult.returnCreate.userErrors);
+        errors.push(`return ${returnId}: ${formatUserErrors(returnResult.returnCreate.userErrors)}`);
+        continue;
+      }
+
+      const createdReturn = returnResult.returnCreate.return;
+      console.log(
+        `   ✅ Return created: ${createdReturn.id} (${returnLineItems.length} line(s), ${exchangeLineItems.length} exchange item(s))`,
+      );
+
+      // Restock what the sheet marks as restocked
+      const dispositionInputs = [];
+      for (const rfo of createdReturn.reverseFulfillmentOrders?.nodes || []) {
+        for (const rfoLine of rfo.lineItems?.nodes || []) {
+          const restock = restockByFulfillmentLineItemId.get(rfoLine.fulfillmentLineItem?.id);
+          if (!restock) continue;
+
+          const location =
+            (restock.locationName && targetLocations.find((l) => l.name === restock.locationName)) ||
+            targetLocations[0];
+          if (!location) {
+            console.warn("   ⚠️ No target location to restock into; restock skipped");
+            continue;
+          }
+
+          dispositionInputs.push({
+            reverseFulfillmentOrderLineItemId: rfoLine.id,
+            quantity: Math.min(restock.quantity, rfoLine.totalQuantity),
+            dispositionType: "RESTOCKED",
+            locationId: location.id,
+          });
         }
+      }
 
-        if (!isMatch) continue;
+      if (dispositionInputs.length) {
+        const disposeResult = await graphqlRequest(
+          TARGET_GQL,
+          TARGET_ACCESS_TOKEN,
+          REVERSE_FULFILLMENT_ORDER_DISPOSE_MUTATION,
+          { dispositionInputs },
+          `restock return ${returnId} for ${orderName}`,
+        );
 
-        const alreadyUsed = usedQtyByLineId.get(node.id) || 0;
-        const available = (node.quantity || 0) - alreadyUsed;
-        if (available <= 0) continue;
+        if (disposeResult.reverseFulfillmentOrderDispose.userErrors?.length) {
+          console.error(
+            "   ❌ Restock errors:",
+            disposeResult.reverseFulfillmentOrderDispose.userErrors,
+          );
+          errors.push(
+            `restock of return ${returnId}: ${formatUserErrors(disposeResult.reverseFulfillmentOrderDispose.userErrors)}`,
+          );
+        } else {
+          console.log(`   📦 Restocked ${dispositionInputs.length} returned line(s)`);
+        }
+      }
+
+      if (group.returnLines.some((rl) => rl.returnStatus === "CLOSED")) {
+        const closeResult = await graphqlRequest(
+          TARGET_GQL,
+          TARGET_ACCESS_TOKEN,
+          RETURN_CLOSE_MUTATION,
+          { id: createdReturn.id },
+          `returnClose ${returnId} for ${orderName}`,
+        );
+
+        if (closeResult.returnClose.userErrors?.length) {
+          console.error("   ❌ returnClose errors:", closeResult.returnClose.userErrors);
+          errors.push(`close of return ${returnId}: ${formatUserErrors(closeResult.returnClose.userErrors)}`);
+        } else {
+          console.log("   ✅ Return closed");
+        }
+      }
+    } catch (err) {
+      console.error(`   ❌ Failed to replay return ${returnId}: ${err.message}`);
+      errors.push(`return ${returnId}: ${err.message}`);
+    }
+  }
+
+  return errors;
+}
+
+// Dry-run check: exchange items that would be dropped for lack of a target variant
+async function reportUnresolvedExchanges(parsedOrder, productsCache, dryRunReport) {
+  for (const el of parsedOrder.exchangeLines || []) {
+    const variantId = await resolveExchangeVariantId(el, productsCache);
+    if (!variantId) {
+      dryRunReport.addProblem(
+        parsedOrder.name,
+        "exchange_variant_not_found",
+        `Exchange Line "${el.title}" (handle=${el.productHandle || "n/a"}, sku=${el.sku || "n/a"}) has no target variant`,
+      );
+    }
+  }
+}
 
-        const qtyToRefund = Math.min(qtyRemaining, available);
-        if (qtyToRefund <= 0) continue;
+/**
+ * The order is on target but some of its returns are not: keep it CREATED (never created
+ * again; an update/upsert run replays the returns while the target has none) and report it failed.
+ */
+function returnFailure(ledger, ledgerKey, parsedOrder, orderId, orderName, returnErrors) {
+  ledger?.record(ledgerKey, {
+    status: LEDGER_STATUS.CREATED,
+    targetId: orderId,
+    sourceName: parsedOrder.name,
+    targetName: orderName,
+    error: returnErrors.join("; "),
+  });
+  return {
+    success: false,
+    reason: "return_failed",
+    error: returnErrors.join("; "),
+    orderId,
+    orderName,
+  };
+}
+
+/* ============================================
+   EXISTING ORDERS (dedupe + update path)
+============================================ */
+
+/**
+ * Find the TARGET order a previous run created for this sheet / source order, by either
+ * import path. Orders carrying the source metafield must match its id (GID or numeric),
+ * or the order name that sheets without an "ID" column were keyed by; orders migrated
+ * before the metafield existed are recognised by name + either migration tag.
+ */
+async function findMigratedOrder(parsedOrder) {
+  if (!parsedOrder.name) return null;
+
+  const sourceRef = orderLedgerKey(parsedOrder);
+  const q = `name:"${String(parsedOrder.name).replace(/"/g, '\\"')}"`;
+
+  const data = await graphqlRequest(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    FIND_MIGRATED_ORDERS_QUERY,
+    { q },
+    `find migrated order ${parsedOrder.name}`,
+  );
+
+  const nodes = data?.orders?.nodes || [];
+
+  return (
+    nodes.find(
+      (o) =>
+        o.sourceOrder &&
+        [sourceRef, parsedOrder.name].includes(normalizeSourceOrderId(o.sourceOrder.value)),
+    ) ||
+    nodes.find(
+      (o) =>
+        !o.sourceOrder &&
+        o.name === parsedOrder.name &&
+        MIGRATION_TAGS.some((tag) => (o.tags || []).includes(tag)),
+    ) ||
+    null
+  );
+}
+
+/**
+ * Update path: patch what can change after an order was placed – tags, note,
+ * metafields, refunds/cancellation and fulfillments. Line items, prices and
+ * transactions are left alone.
+ */
+async function updateExistingOrder(
+  existingOrder,
+  parsedOrder,
+  ledger = null,
+  dryRunReport = null,
+  { productsCache = new Map(), targetLocations = [] } = {},
+) {
+  const ledgerKey = orderLedgerKey(parsedOrder);
+  console.log(`   ✏️  Order already on target → ${existingOrder.name} (${existingOrder.id}), updating`);
+
+  // Keep tags added on the target (staff, apps) and add the sheet's
+  const tags = [...new Set([...(existingOrder.tags || []), ...buildOrderTags(parsedOrder)])];
+
+  const metafields = [
+    ...normalizeOrderMetafieldsForCreate(parsedOrder.name || parsedOrder.sourceId, parsedOrder.metafields || []),
+    buildSourceOrderMetafield(parsedOrder),
+  ];
+
+  const input = {
+    id: existingOrder.id,
+    tags,
+    metafields,
+  };
+  if (parsedOrder.orderNote) input.note = parsedOrder.orderNote;
+
+  // Refund/cancel only once: an order that already has a refund or is cancelled was mirrored before
+  const needsRefundState =
+    !existingOrder.cancelledAt && !(existingOrder.refunds || []).length;
+
+  // Fulfillment quantities in the sheet are totals, so only mirror onto an untouched order
+  const needsFulfillment =
+    !existingOrder.cancelledAt && existingOrder.displayFulfillmentStatus === "UNFULFILLED";
+
+  // Same for returns: replay them only if the target order has none yet
+  const needsReturns = !(existingOrder.returns?.nodes || []).length;
+
+  if (dryRunReport) {
+    dryRunReport.addInput(parsedOrder.name, "orderUpdate", { input });
+    if (needsReturns) await reportUnresolvedExchanges(parsedOrder, productsCache, dryRunReport);
+    return {
+      success: true,
+      dryRun: true,
+      updated: true,
+      orderId: existingOrder.id,
+      orderName: existingOrder.name,
+      sourceOrderName: parsedOrder.name,
+    };
+  }
+
+  try {
+    const result = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      ORDER_UPDATE_MUTATION,
+      { input },
+      `update order ${existingOrder.name}`,
+    );
+
+    if (result.orderUpdate.userErrors?.length) {
+      console.error("   ❌ Order update errors:", result.orderUpdate.userErrors);
+      return {
+        success: false,
+        reason: "order_update_error",
+        errors: result.orderUpdate.userErrors,
+        orderId: existingOrder.id,
+      };
+    }
+    console.log("   ✅ Tags, note and metafields updated");
+
+    let cancelled = !!existingOrder.cancelledAt;
+    let returnErrors = [];
+    if (needsRefundState) {
+      cancelled = await mirrorRefundAndCancel(existingOrder, parsedOrder);
+    } else {
+      console.log("   💸 Refund/cancel state already present on target, not mirrored again");
+    }
+
+    if (cancelled) {
+      console.log("   📦 Skipping fulfillment mirroring because order is cancelled/refunded.");
+    } else {
+      if (needsFulfillment) {
+        await mirrorFulfillments(existingOrder.id, existingOrder.name, parsedOrder);
+      } else {
+        console.log(`   📦 Target order is ${existingOrder.displayFulfillmentStatus}, fulfillments not mirrored again`);
+      }
+
+      if (needsReturns) {
+        returnErrors = await mirrorReturns(existingOrder.id, existingOrder.name, parsedOrder, productsCache, targetLocations);
+      } else {
+        console.log("   ↩️  Target order already has returns, not replayed again");
+      }
+    }
+
+    if (returnErrors.length) {
+      return returnFailure(ledger, ledgerKey, parsedOrder, existingOrder.id, existingOrder.name, returnErrors);
+    }
+
+    ledger?.record(ledgerKey, {
+      status: LEDGER_STATUS.COMPLETED,
+      targetId: existingOrder.id,
+      sourceName: parsedOrder.name,
+      targetName: existingOrder.name,
+      action: "updated",
+    });
+
+    return {
+      success: true,
+      updated: true,
+      orderId: existingOrder.id,
+      orderName: existingOrder.name,
+      sourceOrderName: parsedOrder.name,
+    };
+  } catch (err) {
+    console.error(`   ❌ Failed to update: ${err.message}`);
+    return { success: false, reason: "exception", error: err.message, orderId: existingOrder.id };
+  }
+}
+
+/* ============================================
+   LINE ITEMS
+============================================ */
+
+/**
+ * orderCreate line item for a sheet line. Without a variantId it becomes a
+ * custom line item carrying the sheet's title / SKU / variant title instead.
+ * Shopify takes tax lines on the order or on its lines, not both, so a custom
+ * line only carries its own when the order has no order-level tax lines.
+ */
+function buildOrderLineItemInput(li, currency, targetVariantId = null, { includeTaxLines = false } = {}) {
+  const unitPrice = li.price || 0;
+
+  let requiresShipping = li.requiresShipping;
+  if (requiresShipping === null || requiresShipping === undefined) {
+    requiresShipping = true; // default if missing
+  }
+
+  let taxable = li.taxable;
+  if (taxable === null || taxable === undefined) {
+    taxable = true; // default if missing
+  }
+
+  const lineInput = {
+    quantity: li.quantity || 0,
+    priceSet: {
+      shopMoney: {
+        amount: unitPrice,
+        currencyCode: currency,
+      },
+      // presentmentMoney: {
+      //   amount: unitPrice,
+      //   currencyCode: parsedOrder.presentmentCurrency,
+      // },
+    },
+    requiresShipping,
+    taxable,
+  };
+
+  if (targetVariantId) {
+    lineInput.variantId = targetVariantId;
+  } else {
+    lineInput.title = li.title || li.sku || "Migrated item";
+    if (li.sku) lineInput.sku = li.sku;
+    if (li.variantTitle) lineInput.variantTitle = li.variantTitle;
+    if (li.vendor) lineInput.vendor = li.vendor;
+    if (includeTaxLines && li.taxLines?.length) lineInput.taxLines = li.taxLines;
+  }
+
+  if (li.properties?.length) {
+    lineInput.properties = li.properties;
+  }
+
+  // if (li.taxLines && li.taxLines.length > 0) {
+  //   lineInput.taxLines = li.taxLines;
+  // }
+
+  return lineInput;
+}
+
+// "SKU: 3, Title: 1" – only the methods that were used
+function formatMatchBreakdown(breakdown) {
+  return Object.entries(breakdown || {})
+    .filter(([, count]) => count > 0)
+    .map(([method, count]) => `${method}: ${count}`)
+    .join(", ");
+}
+
+/* ============================================
+   MIGRATE SINGLE PARSED ORDER
+============================================ */
+
+const referenceResolver = createReferenceResolver();
+
+// Ledger key (and source metafield value): the numeric SOURCE order id, else "Name"
+function orderLedgerKey(parsedOrder) {
+  return normalizeSourceOrderId(parsedOrder.sourceId) || String(parsedOrder.name);
+}
+
+async function migrateParsedOrder(parsedOrder,
+  //  customersMap,
+  productsCache,
+  targetCompanies,
+  ledger = null,
+  dryRunReport = null,
+  options = {},
+) {
+  const {
+    mode = DEFAULT_ORDER_SYNC_MODE,
+    variantMatch = DEFAULT_VARIANT_MATCH_MODE,
+    missingProduct = DEFAULT_MISSING_PRODUCT_MODE,
+    targetLocations = [],
+  } = options;
+  const ledgerKey = orderLedgerKey(parsedOrder);
+
+  console.log(
+    `\n▶ Migrating order: ${parsedOrder.name} (ID=${parsedOrder.sourceId})`,
+  );
+  console.log(`   📧 Customer: ${parsedOrder.customerEmail || "No email"}`);
+  console.log(`   💳 Payment: ${parsedOrder.paymentStatus || "unknown"}`);
+  console.log(
+    `   📦 Fulfillment Status: ${parsedOrder.orderFulfillmentStatus || "unknown"
+    }`,
+  );
+  console.log(
+    `   🚫 Cancelled At: ${parsedOrder.cancelledAt || "NO"}`,
+  );
+  console.log(
+    `   💸 Refund lines count: ${(parsedOrder.refundLines || []).length}, refundTotal=${parsedOrder.refundTotal || 0}`,
+  );
+
+  // 0. Dedupe: never create an order that a previous run already created
+  const existingOrder = await findMigratedOrder(parsedOrder);
+
+  if (existingOrder && mode === "create") {
+    console.log(`   ⏭️  Order already on target → ${existingOrder.name} (${existingOrder.id}), skipping`);
+    ledger?.record(ledgerKey, {
+      status: LEDGER_STATUS.SKIPPED,
+      targetId: existingOrder.id,
+      sourceName: parsedOrder.name,
+      targetName: existingOrder.name,
+    });
+    return {
+      success: true,
+      skipped: true,
+      reason: "exists_on_target",
+      orderId: existingOrder.id,
+      orderName: existingOrder.name,
+      sourceOrderName: parsedOrder.name,
+    };
+  }
+
+  // Reference metafields (sheet handles / SOURCE GIDs) → TARGET GIDs; not on dry-runs,
+  // where a missing referenced file would otherwise get uploaded
+  if (!dryRunReport && parsedOrder.metafields?.length) {
+    parsedOrder.metafields = await referenceResolver.resolveMetafields(parsedOrder.metafields, {
+      ownerLabel: "ORDER",
+      entityLabel: parsedOrder.name || parsedOrder.sourceId,
+    });
+  }
+
+  if (existingOrder) {
+    return updateExistingOrder(existingOrder, parsedOrder, ledger, dryRunReport, {
+      productsCache,
+      targetLocations,
+    });
+  }
+
+  if (mode === "update") {
+    console.log("   ⏭️  Order not on target (update mode), skipping");
+    return { success: true, skipped: true, reason: "not_on_target", sourceOrderName: parsedOrder.name };
+  }
+
+  // 1. Customer mapping
+  // const targetCustomerData = parsedOrder.email ? customersMap.get(parsedOrder.email.toLowerCase()) : null;
+  const targetCustomerData = await fetchSingleCustomer(parsedOrder.customerEmail);
+
+  if (!targetCustomerData) {
+    console.warn(`   ⚠️  Customer not found in target: ${parsedOrder.customerEmail}`);
+    return {
+      success: false,
+      reason: "customer_not_found",
+      error: `No target customer for email ${parsedOrder.customerEmail || "(empty)"}`,
+    };
+  }
+
+  // 2. Map products/variants + build GraphQL lineItems
+  const lineItemsInput = [];
+  const missingProducts = [];
+  const unmatchedVariants = [];
+
+  // How each line was matched, for auditing (returned with the result and written to the report)
+  const matchBreakdown = { SKU: 0, Title: 0, Fallback: 0, Custom: 0, Skipped: 0 };
+  const lineMatches = [];
+  const hasOrderTaxLines = (parsedOrder.orderTaxLines || []).length > 0;
+
+  for (const li of parsedOrder.lineItems) {
+    const productHandle = li.productHandle;
+    const sourceSku = li.sku || null;
+    const sourceVariantTitle = li.variantTitle || null;
+
+    const targetProduct = productHandle
+      ? await checkProductExists(productHandle, productsCache)
+      : null;
+
+    let targetVariantId = null;
+    let matchMethod = null;
+
+    if (!targetProduct) {
+      const lineRef = productHandle || li.title || "UNKNOWN";
+      if (productHandle) {
+        console.warn(`   ⚠️  Product not found in target: ${productHandle}`);
+      } else {
+        console.warn(`   ⚠️  Missing product handle for line "${li.title}"`);
+      }
+
+      if (missingProduct === "skip") {
+        matchBreakdown.Skipped++;
+        lineMatches.push({ title: li.title, sku: sourceSku, variantTitle: sourceVariantTitle, method: "Skipped", variantId: null });
+        console.warn(`   ⏭️  Leaving "${li.title}" out of the order`);
+        dryRunReport?.addProblem(parsedOrder.name, "line_skipped", `${lineRef} is not on TARGET; the line would be left out`);
+        continue;
+      }
+
+      if (missingProduct !== "custom") {
+        missingProducts.push(lineRef);
+        continue;
+      }
+
+      matchMethod = "Custom";
+      console.warn(`   ↪️  Creating "${li.title}" as a custom line item`);
+    }
+
+    // Match variant: SKU → title/displayName → fallback first
+    if (targetProduct && sourceSku) {
+      const match = targetProduct.variants.nodes.find(
+        (v) => v.sku === sourceSku,
+      );
+      if (match) {
+        targetVariantId = match.id;
+        matchMethod = "SKU";
+      }
+    }
+
+    if (targetProduct && !targetVariantId && sourceVariantTitle) {
+      const match = targetProduct.variants.nodes.find(
+        (v) =>
+          v.title === sourceVariantTitle ||
+          v.displayName === sourceVariantTitle,
+      );
+      if (match) {
+        targetVariantId = match.id;
+        matchMethod = "Title";
+      }
+    }
+
+    if (targetProduct && !targetVariantId) {
+      const lineRef = `${productHandle} (sku=${sourceSku || "n/a"}, variant="${sourceVariantTitle || "n/a"}")`;
+
+      if (variantMatch === "fail") {
+        console.warn(`   ⚠️  No variant matched for ${lineRef} (strict mode)`);
+        unmatchedVariants.push(lineRef);
+        continue;
+      }
+
+      if (variantMatch === "custom") {
+        matchMethod = "Custom";
+        console.warn(`   ⚠️  No variant matched for ${lineRef} → custom line item`);
+      } else if (targetProduct.variants.nodes.length > 0) {
+        targetVariantId = targetProduct.variants.nodes[0].id;
+        matchMethod = "Fallback";
+        console.warn(
+          `   ⚠️  Using first variant for product handle=${productHandle}`,
+        );
+        dryRunReport?.addProblem(
+          parsedOrder.name,
+          "variant_fallback",
+          `${lineRef} matched no variant; would be booked on the first variant`,
+        );
+      } else {
+        console.warn(
+          `   ⚠️  No variant matched for product handle=${productHandle}`,
+        );
+        missingProducts.push(productHandle);
+        continue;
+      }
+    }
+
+    const lineInput = buildOrderLineItemInput(li, parsedOrder.currency, targetVariantId, {
+      includeTaxLines: !hasOrderTaxLines,
+    });
+
+    matchBreakdown[matchMethod]++;
+    lineMatches.push({
+      title: li.title,
+      sku: sourceSku,
+      variantTitle: sourceVariantTitle,
+      method: matchMethod,
+      variantId: targetVariantId,
+    });
+
+    lineItemsInput.push(lineInput);
+    console.log(
+      `   ✅ [${matchMethod}] ${li.title} x${li.quantity} @ ${lineInput.priceSet.shopMoney.amount} ${parsedOrder.currency} (requiresShipping=${lineInput.requiresShipping}, taxable=${lineInput.taxable})`,
+    );
+  }
+
+  console.log(`   🔎 Variant matching: ${formatMatchBreakdown(matchBreakdown) || "no lines"}`);
+
+  if (missingProducts.length > 0) {
+    console.error(
+      `   ❌ Missing products or variants: ${missingProducts.join(", ")}`,
+    );
+    return { success: false, reason: "products_missing", missing: missingProducts, matchBreakdown, lineMatches };
+  }
+
+  if (unmatchedVariants.length > 0) {
+    console.error(
+      `   ❌ Unmatched variants (strict mode): ${unmatchedVariants.join(", ")}`,
+    );
+    return { success: false, reason: "variant_not_matched", missing: unmatchedVariants, matchBreakdown, lineMatches };
+  }
+
+  if (lineItemsInput.length === 0) {
+    console.error("   ❌ No line items to migrate");
+    return { success: false, reason: "no_line_items", matchBreakdown, lineMatches };
+  }
 
-        refundLineItems.push({
-          lineItemId: node.id,
-          quantity: qtyToRefund,
-          restockType: rl.restockType || "CANCEL",
-        });
+  // 3. Build order input
+  const orderInput = buildOrderCreateInputFromParsed(
+    { ...parsedOrder, lineItems: lineItemsInput },
+    targetCustomerData,
+  );
 
-        usedQtyByLineId.set(node.id, alreadyUsed + qtyToRefund);
-        qtyRemaining -= qtyToRefund;
-        matched = true;
-      }
+  const orderCreateOptions = {
+    // inventoryBehaviour: normalizeInventoryBehaviour(parsedOrder.inventoryBehaviour),
+    inventoryBehaviour: "BYPASS",
+    sendReceipt: false,
+    sendFulfillmentReceipt: false,
+  };
 
-      if (!matched) {
-        console.warn(
-          `   ⚠️ Could not match Refund Line "${rl.title}" (sku=${rl.sku}, variantTitle=${rl.variantTitle}) to any created line item`,
-        );
-      }
+  if (dryRunReport) {
+    const company = parsedOrder.companyData || {};
+    const expectsCompany = company.companyId || company.companyName || company.companyLocationName;
+    if (expectsCompany && !orderInput.companyLocationId) {
+      dryRunReport.addProblem(
+        parsedOrder.name,
+        "unmapped_company_location",
+        `Company location "${company.companyLocationName || company.companyLocationId || "n/a"}" could not be resolved from customer ${parsedOrder.customerEmail}`,
+      );
     }
-
-    return {
-      refundLineItems,
-      matchedAny: refundLineItems.length > 0,
-    };
+    dryRunReport.addInput(parsedOrder.name, "orderCreate", {
+      order: orderInput,
+      options: orderCreateOptions,
+    });
+    await reportUnresolvedExchanges(parsedOrder, productsCache, dryRunReport);
+    return { success: true, dryRun: true, sourceOrderName: parsedOrder.name, matchBreakdown, lineMatches };
   }
 
   // 4. Create order
+  let createdOrderId = null;
   try {
     console.log("   📝 orderInput...", JSON.stringify(orderInput, null, 2));
     console.log("   📝 Creating order via orderCreate...");
@@ -2055,18 +3346,20 @@ async function migrateParsedOrder(parsedOrder,
 
     console.log("   📝 orderInput...", JSON.stringify(orderInput, null, 2));
 
+    // orderCreate is not idempotent: mark the row before sending so a crash
+    // mid-request makes the next run check the target before creating again
+    ledger?.record(ledgerKey, {
+      status: LEDGER_STATUS.PENDING,
+      sourceName: parsedOrder.name,
+    });
+
     const result = await graphqlRequest(
       TARGET_GQL,
       TARGET_ACCESS_TOKEN,
       ORDER_CREATE_MUTATION,
       {
         order: orderInput,
-        options: {
-          // inventoryBehaviour: normalizeInventoryBehaviour(parsedOrder.inventoryBehaviour),
-          inventoryBehaviour: "BYPASS",
-          sendReceipt: false,
-          sendFulfillmentReceipt: false,
-        },
+        options: orderCreateOptions,
       },
       `create order ${parsedOrder.name}`,
     );
@@ -2080,12 +3373,22 @@ async function migrateParsedOrder(parsedOrder,
         success: false,
         reason: "order_create_error",
         errors: result.orderCreate.userErrors,
+        matchBreakdown,
+        lineMatches,
       };
     }
 
     const order = result.orderCreate.order;
     const newOrderId = order.id;
     const newOrderName = order.name;
+    createdOrderId = newOrderId;
+
+    ledger?.record(ledgerKey, {
+      status: LEDGER_STATUS.CREATED,
+      targetId: newOrderId,
+      sourceName: parsedOrder.name,
+      targetName: newOrderName,
+    });
 
     console.log(`   ✅ Order created: ${newOrderName} (${newOrderId})`);
     console.log(`   💳 Financial: ${order.displayFinancialStatus}`);
@@ -2098,434 +3401,393 @@ async function migrateParsedOrder(parsedOrder,
     //   await updateCustomerEmail(targetCustomerData.customerId, parsedOrder.customerEmail);
     // }
 
-    /* --------------------------------------------
-       REFUND LOGIC (uses Refund Line from sheet)
-       - If refundLines exist OR order is cancelled OR refundTotal>0
-       - Build refundLineItems from sheet
-       - Use suggestedRefund to get parentTransaction.id + gateway
-       - refundCreate with proper transactions[]
-    --------------------------------------------- */
-    const hasRefundLines =
-      parsedOrder.refundLines && parsedOrder.refundLines.length > 0;
-    const isCancelled = !!parsedOrder.cancelledAt;
-    const hasRefundTotal = parsedOrder.refundTotal && parsedOrder.refundTotal > 0;
-
-    if (hasRefundLines || isCancelled || hasRefundTotal) {
-      console.log({
-        hasRefundLines,
-        isCancelled,
-        hasRefundTotal
-      })
-      console.log("   💸 Preparing refundCreate...");
-
-      let refundLineItems = [];
-      let matchedAny = false;
-
-      if (hasRefundLines) {
-        const built = buildRefundLineItemsFromSheet(order, parsedOrder);
-        refundLineItems = built.refundLineItems;
-        matchedAny = built.matchedAny;
-      }
-
-      // If no refundLines matched but we still need to refund (e.g. cancelled w/o explicit Refund Line),
-      // fall back to refunding all items.
-      if (!matchedAny) {
-        console.warn(
-          "   ⚠️ No refund line-items matched from sheet; falling back to full line-item refund",
-        );
-        if (order.lineItems?.edges?.length) {
-          for (const edge of order.lineItems.edges) {
-            const node = edge.node;
-            if (!node.quantity || node.quantity <= 0) continue;
-            refundLineItems.push({
-              lineItemId: node.id,
-              quantity: node.quantity,
-              restockType: "CANCEL",
-            });
-          }
-        }
+    const cancelled = await mirrorRefundAndCancel(order, parsedOrder);
+
+    if (cancelled) {
+      console.log("   📦 Skipping fulfillment mirroring because order is cancelled/refunded.");
+    } else {
+      await mirrorFulfillments(newOrderId, newOrderName, parsedOrder);
+      const returnErrors = await mirrorReturns(newOrderId, newOrderName, parsedOrder, productsCache, targetLocations);
+      if (returnErrors.length) {
+        return {
+          ...returnFailure(ledger, ledgerKey, parsedOrder, newOrderId, newOrderName, returnErrors),
+          matchBreakdown,
+          lineMatches,
+        };
       }
+    }
 
-      if (!refundLineItems.length) {
-        console.warn("   ⚠️ No line items to refund; skipping refundCreate");
-      } else {
-        let refundAmount =
-          parsedOrder.refundTotal && parsedOrder.refundTotal > 0
-            ? parsedOrder.refundTotal
-            : Number(order.totalPriceSet.shopMoney.amount || 0);
+    ledger?.record(ledgerKey, {
+      status: LEDGER_STATUS.COMPLETED,
+      targetId: newOrderId,
+      sourceName: parsedOrder.name,
+      targetName: newOrderName,
+    });
 
-        // Build refund transaction with gateway "cash" (no parent → avoids parent transaction error)
-        let refundTransactions = [];
+    return {
+      success: true,
+      orderId: newOrderId,
+      orderName: newOrderName,
+      sourceOrderName: parsedOrder.name,
+      matchBreakdown,
+      lineMatches,
+    };
+  } catch (err) {
+    console.error(`   ❌ Failed: ${err.message}`);
+    if (createdOrderId) {
+      // The order exists on target; never create it again, just keep the error for review
+      ledger?.record(ledgerKey, {
+        status: LEDGER_STATUS.CREATED,
+        targetId: createdOrderId,
+        sourceName: parsedOrder.name,
+        error: err.message,
+      });
+    }
+    // Otherwise a PENDING entry stays as-is: we can't tell whether orderCreate went through
+    return {
+      success: false,
+      reason: "exception",
+      error: err.message,
+      orderId: createdOrderId,
+      matchBreakdown,
+      lineMatches,
+    };
+  }
+}
 
-        // Fetch real Shopify transactions so we can find parent ID for refund
-        const txData = await graphqlRequest(
-          TARGET_GQL,
-          TARGET_ACCESS_TOKEN,
-          GET_ORDER_TRANSACTIONS,
-          { id: newOrderId },
-          `get transactions for ${newOrderName}`
-        );
+/* ============================================
+   MAIN (Express handlers)
+============================================ */
 
-        function findParentTransactionForRefund(createdTransactions) {
-          if (!createdTransactions.length) return null;
+// ?mode / ?variantMatch / ?missingProduct, shared by both entry points; { error } on a bad value
+function readOrderSyncOptions(req) {
+  const mode = String(req.query?.mode || DEFAULT_ORDER_SYNC_MODE).trim().toLowerCase();
+  if (!ORDER_SYNC_MODES.has(mode)) {
+    return { error: `Invalid mode "${mode}". Use one of: ${[...ORDER_SYNC_MODES].join(", ")}` };
+  }
 
-          // Prefer CAPTURE
-          const capture = createdTransactions.find(
-            (t) => t.kind?.toUpperCase() === "CAPTURE" && t.status === "SUCCESS"
-          );
-          if (capture) return capture;
-
-          // Else fallback to SALE / AUTHORIZATION
-          const sale = createdTransactions.find(
-            (t) =>
-              (t.kind?.toUpperCase() === "SALE" ||
-                t.kind?.toUpperCase() === "AUTHORIZATION") &&
-              t.status === "SUCCESS"
-          );
+  const variantMatch = String(req.query?.variantMatch || DEFAULT_VARIANT_MATCH_MODE).trim().toLowerCase();
+  if (!VARIANT_MATCH_MODES.has(variantMatch)) {
+    return {
+      error: `Invalid variantMatch "${variantMatch}". Use one of: ${[...VARIANT_MATCH_MODES].join(", ")}`,
+    };
+  }
 
-          return sale || null;
-        }
+  const missingProduct = String(req.query?.missingProduct || DEFAULT_MISSING_PRODUCT_MODE).trim().toLowerCase();
+  if (!MISSING_PRODUCT_MODES.has(missingProduct)) {
+    return {
+      error: `Invalid missingProduct "${missingProduct}". Use one of: ${[...MISSING_PRODUCT_MODES].join(", ")}`,
+    };
+  }
 
+  return { mode, variantMatch, missingProduct };
+}
 
-        const createdTxEdges = txData?.order?.transactions || [];
+// Sheet orders are parsed up front; wrap them like the entries streamSourceOrders yields
+function sheetOrderEntry(parsedOrder) {
+  return {
+    key: orderLedgerKey(parsedOrder),
+    name: parsedOrder.name,
+    sheetRows: parsedOrder.sheetRows,
+    load: async () => parsedOrder,
+  };
+}
 
-        console.log(`   📦 Found  transactions,`, JSON.stringify(createdTxEdges, null, 2));
+/**
+ * Migrate orders (from the sheet or from SOURCE_SHOP) and answer `res`.
+ * `orders` is an (async) iterable of { key, name, sheetRows, load } entries; the ledger is
+ * checked by `key` before `load()` so finished orders aren't fetched again on a resume.
+ * `total` is the order count when it is known up front (sheet), else null.
+ * `source` is "sheet" or "store"; `responseExtra` is merged into the JSON response.
+ */
+async function runOrderMigration(
+  req,
+  res,
+  { orders, total = null, metafieldDefinitions = [], options, dryRunReport = null, source = "sheet", responseExtra = {} },
+) {
+  const { mode, variantMatch, missingProduct } = options;
+  const orderLabel = source === "store" ? "SourceOrder" : "SheetOrder";
 
+  // Ensure metafield definitions exist BEFORE creating orders: the sheet's come from its
+  // headers, SOURCE orders add theirs as they are loaded
+  const knownDefinitions = new Set(metafieldDefinitions.map((d) => `${d.namespace}|${d.key}|${d.type}`));
+  if (!dryRunReport) {
+    await ensureOrderMetafieldDefinitions(metafieldDefinitions);
+  }
+  async function ensureDefinitionsForOrder(parsedOrder) {
+    const fresh = [];
+    for (const mf of parsedOrder.metafields || []) {
+      const defKey = `${mf.namespace}|${mf.key}|${mf.type}`;
+      if (knownDefinitions.has(defKey)) continue;
+      knownDefinitions.add(defKey);
+      fresh.push({ namespace: mf.namespace, key: mf.key, type: mf.type });
+    }
+    if (fresh.length && !dryRunReport) await ensureOrderMetafieldDefinitions(fresh);
+  }
 
-        // const flatTx = createdTxEdges.map(e => e.node);
-        const parentTx = findParentTransactionForRefund(createdTxEdges);
+  console.log("📋 Fetching target store data...");
 
-        if (parentTx) {
-          // Shopify official: refund must reference parent transaction
-          refundTransactions.push({
-            kind: "REFUND",
-            parentId: parentTx.id,
-            gateway: `manual (${parentTx.gateway})`,
-            amount: refundAmount,
-            orderId: newOrderId,
-          });
+  // commented out because we're not using this anymore , we will fetch single customer of order
 
-          console.log(
-            `   🔗 Using parent transaction ${parentTx.id} (gateway=${parentTx.gateway})`
-          );
-        } else {
-          // Fallback (Matrixify-style): gateway=cash, no parent
-          console.warn("   ⚠️ No parent transaction found — using manual refund");
-          refundTransactions.push({
-            kind: "REFUND",
-            gateway: "cash",
-            amount: refundAmount,
-            orderId: newOrderId,
-          });
-        }
+  // const customersMap = await fetchTargetCustomersMap();
+  // console.log(`   ✅ ${customersMap.size} customers loaded`);
+  const targetCompanies = await fetchTargetCompanies();
+  console.log(`   ✅ ${targetCompanies.length} companies loaded`);
 
-        const anyRefundLineWithNote =
-          (parsedOrder.refundLines || []).find((rl) => rl.refundNote) || null;
+  const targetLocations = await fetchTargetLocations();
+  console.log(`   ✅ ${targetLocations.length} locations loaded`);
 
-        const refundNote =
-          (anyRefundLineWithNote && anyRefundLineWithNote.refundNote) ||
-          (isCancelled ? "Order canceled via migration" : "Refund via migration");
+  const productsCache = new Map();
+  const ledger = openLedger("orders", { jobId: req.job?.id });
 
-        const notifyCustomer =
-          (parsedOrder.cancelNotifyCustomer === true) ||
-          !!(parsedOrder.refundLines || []).find((rl) => rl.refundSendReceipt === true);
+  let totalCount = 0;
+  let successCount = 0;
+  let updatedCount = 0;
+  let skippedCount = 0;
+  let failureCount = 0;
+  const failures = [];
+  const statusReport = createStatusReport("orders", { disabled: !!dryRunReport });
+  // Lines per match method across the whole run, plus per-order detail for audit
+  const variantMatchTotals = { SKU: 0, Title: 0, Fallback: 0, Custom: 0, Skipped: 0 };
+  const variantMatchByOrder = [];
+  if (total !== null) reportProgress(req, { total });
 
-        const refundInput = {
-          orderId: newOrderId,
-          refundLineItems,
-          transactions: refundTransactions,
-          note: refundNote,
-          notify: false,
-          // notify: notifyCustomer,
-        };
-        console.log(refundInput)
+  for await (const entry of orders) {
+    totalCount++;
+    reportProgress(req, { currentRow: entry.name });
 
-        try {
-          const refundResult = await graphqlRequest(
-            TARGET_GQL,
-            TARGET_ACCESS_TOKEN,
-            REFUND_CREATE_MUTATION,
-            { input: refundInput },
-            `refundCreate for ${newOrderName}`,
-          );
+    const ledgerKey = entry.key;
+    const ledgerEntry = ledger.get(ledgerKey);
 
-          if (refundResult.refundCreate.userErrors?.length) {
-            console.error(
-              "   ❌ RefundCreate errors:",
-              refundResult.refundCreate.userErrors,
-            );
-          } else {
-            const refundedAmount =
-              refundResult.refundCreate.refund?.totalRefundedSet
-                ?.presentmentMoney?.amount;
-            const refundedCurrency =
-              refundResult.refundCreate.refund?.totalRefundedSet
-                ?.presentmentMoney?.currencyCode;
-            console.log(
-              `   ✅ Refund created successfully: ${refundedAmount} ${refundedCurrency}`,
-            );
-          }
-        } catch (err) {
-          console.error(`   ❌ Failed to create refund: ${err.message}`);
-        }
-      }
+    // In update/upsert mode finished orders are revisited; findMigratedOrder keeps that from duplicating them
+    if (mode === "create" && ledger.isDone(ledgerKey)) {
+      skippedCount++;
+      console.log(
+        `   ⏭️  SKIPPED: ${orderLabel} ${entry.name} already migrated → ${ledgerEntry.targetId} (${ledgerEntry.status})\n`,
+      );
+      statusReport.add(entry.sheetRows, {
+        status: REPORT_STATUS.SKIPPED,
+        action: "already_in_ledger",
+        targetId: ledgerEntry.targetId,
+      });
+      reportProgress(req, { processed: totalCount, skipped: skippedCount });
+      continue;
+    }
 
-      // Optional: mark as cancelled if original was cancelled
-      if (isCancelled) {
-        try {
-          console.log(
-            "   🚫 Cancelling order via orderCancel (no extra refund, no restock)...",
-          );
+    let parsedOrder;
+    try {
+      parsedOrder = await entry.load();
+    } catch (err) {
+      // e.g. a SOURCE order too large to read completely: fail this order, keep going
+      failureCount++;
+      console.error(`   ❌ FAILED: ${orderLabel} ${entry.name} could not be loaded: ${err.message}\n`);
+      dryRunReport?.addProblem(entry.name, "load_failed", err.message);
+      if (!dryRunReport && !ledger.isDone(ledgerKey)) {
+        ledger.record(ledgerKey, { status: LEDGER_STATUS.FAILED, sourceName: entry.name, error: err.message });
+      }
+      failures.push({ sourceOrder: entry.name, reason: "load_failed", details: err.message });
+      statusReport.add(entry.sheetRows, {
+        status: REPORT_STATUS.FAILED,
+        action: "load_failed",
+        error: err,
+      });
+      reportProgress(req, { processed: totalCount, failed: failureCount });
+      continue;
+    }
+    if (!parsedOrder) {
+      skippedCount++;
+      statusReport.add(entry.sheetRows, {
+        status: REPORT_STATUS.SKIPPED,
+        action: "not_found_on_source",
+      });
+      reportProgress(req, { processed: totalCount, skipped: skippedCount });
+      continue;
+    }
+    await ensureDefinitionsForOrder(parsedOrder);
 
-          const cancelVariables = {
-            orderId: newOrderId,
-            notifyCustomer: false,
-            // refundMethod: {
-            //   originalPaymentMethodsRefund: true,
-            // },
-            restock: false,
-            reason: parsedOrder.cancelReason || "OTHER",
-            staffNote: "Cancelled via migration import",
-          };
+    if (ledger.isPending(ledgerKey)) {
+      // The target lookup in migrateParsedOrder tells whether that orderCreate went through
+      console.log(
+        `   ⚠️  ${orderLabel} ${parsedOrder.name}: previous orderCreate was interrupted at ${ledgerEntry.at}, checking target`,
+      );
+    }
 
-          const cancelResult = await graphqlRequest(
-            TARGET_GQL,
-            TARGET_ACCESS_TOKEN,
-            ORDER_CANCEL_MUTATION,
-            cancelVariables,
-            `orderCancel for ${newOrderName}`,
-          );
+    // if (parsedOrder.name !== "#1009") continue;
 
-          if (
-            cancelResult.orderCancel.orderCancelUserErrors?.length ||
-            cancelResult.orderCancel.userErrors?.length
-          ) {
-            console.error(
-              "   ❌ orderCancel errors:",
-              cancelResult.orderCancel.orderCancelUserErrors || [],
-              cancelResult.orderCancel.userErrors || [],
-            );
-          } else {
-            console.log("   ✅ Order cancelled successfully");
-          }
-        } catch (err) {
-          console.error(`   ❌ Failed to cancel order: ${err.message}`);
-        }
+    const result = await migrateParsedOrder(
+      parsedOrder,
+      // customersMap,
+      productsCache,
+      targetCompanies,
+      dryRunReport ? null : ledger,
+      dryRunReport,
+      { mode, variantMatch, missingProduct, targetLocations },
+    );
 
-        console.log("   📦 Skipping fulfillment mirroring because order is cancelled/refunded.");
-        return {
-          success: true,
-          orderId: newOrderId,
-          orderName: newOrderName,
-          sourceOrderName: parsedOrder.name,
-        };
+    if (result.matchBreakdown) {
+      for (const [method, count] of Object.entries(result.matchBreakdown)) {
+        variantMatchTotals[method] = (variantMatchTotals[method] || 0) + count;
+      }
+      variantMatchByOrder.push({
+        sourceOrder: parsedOrder.name,
+        success: !!result.success,
+        breakdown: result.matchBreakdown,
+        lines: result.lineMatches,
+      });
+    }
+    const variantMatchColumn = formatMatchBreakdown(result.matchBreakdown);
+
+    if (dryRunReport) {
+      if (result.skipped) {
+        skippedCount++;
+      } else if (result.updated) {
+        updatedCount++;
+      } else if (result.success) {
+        successCount++;
+      } else {
+        failureCount++;
+        const details =
+          result.missing ||
+          result.error ||
+          (result.errors ? JSON.stringify(result.errors) : "");
+        dryRunReport.addProblem(
+          parsedOrder.name,
+          result.reason,
+          Array.isArray(details) ? details.join(", ") : String(details || result.reason),
+        );
       }
+      reportProgress(req, {
+        processed: totalCount,
+        succeeded: successCount + updatedCount,
+        skipped: skippedCount,
+        failed: failureCount,
+      });
+      continue;
     }
 
-    /* --------------------------------------------
-       Mirror FULFILLMENTS (based on sheet) – only if NOT cancelled
-    --------------------------------------------- */
-    const hasDesiredFulfill =
-      (parsedOrder.desiredBySku &&
-        Object.keys(parsedOrder.desiredBySku).length > 0) ||
-      (parsedOrder.desiredByVariantTitle &&
-        Object.keys(parsedOrder.desiredByVariantTitle).length > 0) ||
-      (parsedOrder.desiredByTitle &&
-        Object.keys(parsedOrder.desiredByTitle).length > 0);
-
-    console.log("hasDesiredFulfill", hasDesiredFulfill, parsedOrder.desiredBySku, parsedOrder.desiredByVariantTitle, parsedOrder.desiredByTitle);
-
-    if (hasDesiredFulfill) {
+    if (result.skipped) {
+      skippedCount++;
       console.log(
-        "   📊 Desired quantities to fulfill (by SKU):",
-        parsedOrder.desiredBySku,
+        `   ⏭️  SKIPPED: ${orderLabel} ${parsedOrder.name} (${result.reason})\n`,
       );
+      statusReport.add(parsedOrder.sheetRows, {
+        status: REPORT_STATUS.SKIPPED,
+        action: result.reason,
+        targetId: result.orderId,
+      });
+    } else if (result.success) {
+      if (result.updated) updatedCount++;
+      else successCount++;
       console.log(
-        "   📊 Desired quantities to fulfill (by Variant Title):",
-        parsedOrder.desiredByVariantTitle,
+        `   ✅ SUCCESS: ${orderLabel} ${parsedOrder.name} → ${result.orderName}${result.updated ? " (updated)" : ""}\n`,
       );
+      statusReport.add(parsedOrder.sheetRows, {
+        status: REPORT_STATUS.SUCCESS,
+        action: result.updated ? "updated" : "created",
+        targetId: result.orderId,
+        "Variant Match": variantMatchColumn,
+      });
+    } else {
+      failureCount++;
+      const details =
+        result.missing ||
+        result.error ||
+        (result.errors ? JSON.stringify(result.errors) : "");
+
+      // A PENDING entry after an exception means orderCreate may have gone through: keep it so the
+      // next run checks the target first. CREATED/COMPLETED entries are never downgraded.
+      const mayHaveCreated = result.reason === "exception" && ledger.isPending(ledgerKey);
+      if (!mayHaveCreated && !ledger.isDone(ledgerKey)) {
+        ledger.record(ledgerKey, {
+          status: LEDGER_STATUS.FAILED,
+          sourceName: parsedOrder.name,
+          error: `${result.reason}${details ? `: ${details}` : ""}`,
+        });
+      }
+      failures.push({
+        sourceOrder: parsedOrder.name,
+        reason: result.reason,
+        details,
+      });
       console.log(
-        "   📊 Desired quantities to fulfill (by Title):",
-        parsedOrder.desiredByTitle,
+        `   ❌ FAILED: ${orderLabel} ${parsedOrder.name} (${result.reason})\n`,
       );
+      statusReport.add(parsedOrder.sheetRows, {
+        status: REPORT_STATUS.FAILED,
+        action: result.reason,
+        targetId: result.orderId,
+        error: Array.isArray(details) ? details.join(", ") : details,
+        "Variant Match": variantMatchColumn,
+      });
+    }
 
-      try {
-        const fulfillmentOrdersData = await graphqlRequest(
-          TARGET_GQL,
-          TARGET_ACCESS_TOKEN,
-          GET_FULFILLMENT_ORDERS_QUERY,
-          { orderId: newOrderId },
-          `get fulfillment orders for ${newOrderName}`,
-        );
-
-        const fulfillmentOrderEdges =
-          fulfillmentOrdersData.order?.fulfillmentOrders?.edges || [];
-
-        if (!fulfillmentOrderEdges.length) {
-          console.warn(
-            "   ⚠️  No fulfillment orders found in target (cannot mirror fulfillments)",
-          );
-        } else {
-          console.log(
-            `   📋 Found ${fulfillmentOrderEdges.length} fulfillment order(s) in target`,
-          );
-
-          const desiredBySku = { ...(parsedOrder.desiredBySku || {}) };
-          const desiredByVariantTitle = {
-            ...(parsedOrder.desiredByVariantTitle || {}),
-          };
-          const desiredByTitle = { ...(parsedOrder.desiredByTitle || {}) };
-
-
-          const lineItemsByFulfillmentOrder = [];
-
-          for (const foEdge of fulfillmentOrderEdges) {
-            const fo = foEdge.node;
-            const foId = fo.id;
-            const foItems = [];
-
-            for (const foliEdge of fo.lineItems.edges) {
-              const foli = foliEdge.node;
-              const remaining = foli.remainingQuantity ?? 0;
-              if (remaining <= 0) continue;
-
-              const targetSku = foli.lineItem.sku || null;
-              const targetVariantTitle =
-                foli.lineItem.variantTitle || foli.lineItem.title || null;
-
-              // NEW: fallback match using product title
-              const targetTitle =
-                foli.lineItem.title ||
-                foli.lineItem.name ||
-                null;
-
-              let desired = 0;
-              let keyType = null;
-
-              // 1️⃣ Match by SKU
-              if (targetSku && desiredBySku[targetSku]) {
-                desired = desiredBySku[targetSku];
-                keyType = "sku";
-              }
-
-              // 2️⃣ Match by Variant Title
-              else if (
-                targetVariantTitle &&
-                desiredByVariantTitle[targetVariantTitle]
-              ) {
-                desired = desiredByVariantTitle[targetVariantTitle];
-                keyType = "variantTitle";
-              }
-
-              // 3️⃣ Match by Title  (required fix)
-              else if (targetTitle && desiredByTitle[targetTitle]) {
-                desired = desiredByTitle[targetTitle];
-                keyType = "title";
-              }
-
-              if (!desired) continue;
-
-              const qtyToFulfill = Math.min(desired, remaining);
-              if (qtyToFulfill <= 0) continue;
-
-              foItems.push({
-                id: foli.id,
-                quantity: qtyToFulfill,
-              });
-
-              // Decrement logic
-              const newRemaining = desired - qtyToFulfill;
-
-              if (keyType === "sku") {
-                if (newRemaining > 0) desiredBySku[targetSku] = newRemaining;
-                else delete desiredBySku[targetSku];
-              } else if (keyType === "variantTitle") {
-                if (newRemaining > 0)
-                  desiredByVariantTitle[targetVariantTitle] = newRemaining;
-                else delete desiredByVariantTitle[targetVariantTitle];
-              } else if (keyType === "title") {
-                if (newRemaining > 0) desiredByTitle[targetTitle] = newRemaining;
-                else delete desiredByTitle[targetTitle];
-              }
-
-              console.log(
-                `      ✅ Match for FO ${foId}: FOLI=${foli.id}, qty=${qtyToFulfill}, sku=${targetSku}, variantTitle=${targetVariantTitle}, title=${targetTitle}`
-              );
-            }
-
-            if (foItems.length > 0) {
-              lineItemsByFulfillmentOrder.push({
-                fulfillmentOrderId: foId,
-                fulfillmentOrderLineItems: foItems,
-              });
-            }
-          }
-
-
-          if (!lineItemsByFulfillmentOrder.length) {
-            console.warn(
-              "   ⚠️  No fulfillable items found in target for desired quantities",
-            );
-          } else {
-            const fulfillmentInput = {
-              notifyCustomer: false,
-              lineItemsByFulfillmentOrder,
-            };
-
-            console.log(
-              `   🚀 Creating fulfillment via fulfillmentCreateV2 with ${lineItemsByFulfillmentOrder.length} FO group(s)...`,
-            );
-
-            const fulfillmentResult = await graphqlRequest(
-              TARGET_GQL,
-              TARGET_ACCESS_TOKEN,
-              CREATE_FULFILLMENT_V2_MUTATION,
-              {
-                fulfillment: fulfillmentInput,
-                message: `Migrated fulfillment for ${parsedOrder.name}`,
-              },
-              `create fulfillment for ${newOrderName}`,
-            );
+    reportProgress(req, {
+      processed: totalCount,
+      succeeded: successCount + updatedCount,
+      skipped: skippedCount,
+      failed: failureCount,
+    });
+  }
 
-            if (fulfillmentResult.fulfillmentCreateV2.userErrors?.length) {
-              console.error(
-                "   ❌ Fulfillment errors:",
-                fulfillmentResult.fulfillmentCreateV2.userErrors,
-              );
-            } else {
-              const fulfillmentStatus =
-                fulfillmentResult.fulfillmentCreateV2.fulfillment
-                  ?.displayStatus ||
-                fulfillmentResult.fulfillmentCreateV2.fulfillment?.status ||
-                "UNKNOWN";
-              console.log(
-                `   ✅ Fulfillment created successfully: ${fulfillmentStatus}`,
-              );
-            }
-          }
-        }
-      } catch (err) {
-        console.error(`   ❌ Failed to mirror fulfillments: ${err.message}`);
-      }
-    } else {
-      console.log("   📦 No line-level fulfillment info in sheet to mirror");
-    }
+  if (dryRunReport) {
+    return res.status(200).json(
+      dryRunReport.result({
+        ...responseExtra,
+        mode,
+        variantMatch,
+        missingProduct,
+        total: totalCount,
+        wouldCreate: successCount,
+        wouldUpdate: updatedCount,
+        skippedCount,
+        variantMatchTotals,
+        variantMatchByOrder,
+      }),
+    );
+  }
 
-    return {
-      success: true,
-      orderId: newOrderId,
-      orderName: newOrderName,
-      sourceOrderName: parsedOrder.name,
-    };
-  } catch (err) {
-    console.error(`   ❌ Failed: ${err.message}`);
-    return { success: false, reason: "exception", error: err.message };
+  console.log("\n" + "=".repeat(60));
+  console.log(`🎉 MIGRATION FROM ${source === "store" ? "SOURCE STORE" : "SHEET"} COMPLETE`);
+  console.log("=".repeat(60));
+  console.log(`📊 Total orders: ${totalCount}`);
+  console.log(`✅ Created: ${successCount}`);
+  console.log(`✏️  Updated: ${updatedCount}`);
+  console.log(`⏭️  Skipped (already migrated): ${skippedCount}`);
+  console.log(`🔎 Variant matching: ${formatMatchBreakdown(variantMatchTotals) || "no lines"}`);
+  console.log(`❌ Failed: ${failureCount}`);
+  console.log(`📒 Ledger: ${ledger.file}`);
+  statusReport.flush();
+  console.log(`📄 Report: ${statusReport.filePath}`);
+
+  if (failures.length > 0) {
+    console.log("\n⚠️  Failed Orders:");
+    failures.forEach((f) => {
+      console.log(
+        `   - ${f.sourceOrder}: ${f.reason}${f.details ? ` (${f.details})` : ""
+        }`,
+      );
+    });
   }
-}
 
-/* ============================================
-   MAIN (Express handler)
-============================================ */
+  return res.status(200).json({
+    success: true,
+    ...responseExtra,
+    mode,
+    variantMatch,
+    missingProduct,
+    total: totalCount,
+    successCount,
+    updatedCount,
+    skippedCount,
+    failureCount,
+    failures,
+    variantMatchTotals,
+    variantMatchByOrder,
+    ledgerPath: ledger.file,
+    reportPath: statusReport.filePath,
+    reportUrl: statusReport.downloadUrl,
+  });
+}
 
 export async function migrateOrdersFromSheet(req, res) {
   try {
@@ -2534,93 +3796,90 @@ export async function migrateOrdersFromSheet(req, res) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
+    const options = readOrderSyncOptions(req);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const dryRunReport = isDryRun(req) ? createDryRunReport("orders") : null;
+
     console.log("🚀 Starting Order Migration FROM SHEET\n");
+    console.log(
+      `   Mode: ${options.mode}, variant matching: ${options.variantMatch}, missing products: ${options.missingProduct}\n`,
+    );
+    if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent\n");
 
     // Parse Excel (orders + metafield definitions)
     const { parsedOrders, metafieldDefinitions } = loadOrdersFromSheet(fileBuffer);
 
-    // Ensure metafield definitions exist BEFORE creating orders
-    await ensureOrderMetafieldDefinitions(metafieldDefinitions);
-
-    console.log("📋 Fetching target store data...");
-
-    // commented out because we're not using this anymore , we will fetch single customer of order
-
-    // const customersMap = await fetchTargetCustomersMap();
-    // console.log(`   ✅ ${customersMap.size} customers loaded`);
-    const targetCompanies = await fetchTargetCompanies();
-    console.log(`   ✅ ${targetCompanies.length} companies loaded`);
-
-    const targetLocations = await fetchTargetLocations();
-    console.log(`   ✅ ${targetLocations.length} locations loaded`);
-
-    const productsCache = new Map();
-
-    let totalCount = 0;
-    let successCount = 0;
-    let failureCount = 0;
-    const failures = [];
-    for (const parsedOrder of parsedOrders) {
-      totalCount++;
-      // if (parsedOrder.name !== "#1009") continue;
+    return await runOrderMigration(req, res, {
+      orders: parsedOrders.map(sheetOrderEntry),
+      total: parsedOrders.length,
+      metafieldDefinitions,
+      options,
+      dryRunReport,
+      source: "sheet",
+    });
+  } catch (error) {
+    console.log("Error in migrateOrdersFromSheet:", error.message);
+    return res.status(500).json({ error: error.message });
+  }
+}
 
-      const result = await migrateParsedOrder(
-        parsedOrder,
-        // customersMap,
-        productsCache,
-        targetCompanies
-      );
+/**
+ * Store → store: page orders from SOURCE_SHOP and run them through the same
+ * create / refund / cancel / fulfillment / return sequence as the sheet import.
+ * Filters: ?from=YYYY-MM-DD&to=YYYY-MM-DD (created_at), ?query=<Shopify order search>, ?limit=N
+ */
+export async function migrateOrdersFromSource(req, res) {
+  try {
+    const options = readOrderSyncOptions(req);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
 
-      if (result.success) {
-        successCount++;
-        console.log(
-          `   ✅ SUCCESS: SheetOrder ${parsedOrder.name} → ${result.orderName}\n`,
-        );
-      } else {
-        failureCount++;
-        failures.push({
-          sourceOrder: parsedOrder.name,
-          reason: result.reason,
-          details:
-            result.missing ||
-            result.error ||
-            (result.errors ? JSON.stringify(result.errors) : ""),
-        });
-        console.log(
-          `   ❌ FAILED: SheetOrder ${parsedOrder.name} (${result.reason})\n`,
-        );
+    const from = req.query?.from ? String(req.query.from).trim() : null;
+    const to = req.query?.to ? String(req.query.to).trim() : null;
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid ${name} date "${value}". Use YYYY-MM-DD or ISO-8601` });
       }
+    }
 
-      // small delay to avoid API hammering
-      await new Promise((resolve) => setTimeout(resolve, 13000));
+    const limit = req.query?.limit ? Number(req.query.limit) : null;
+    if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+      return res.status(400).json({ error: `Invalid limit "${req.query.limit}". Use a positive integer` });
     }
 
-    console.log("\n" + "=".repeat(60));
-    console.log("🎉 MIGRATION FROM SHEET COMPLETE");
-    console.log("=".repeat(60));
-    console.log(`📊 Total orders: ${totalCount}`);
-    console.log(`✅ Success: ${successCount}`);
-    console.log(`❌ Failed: ${failureCount}`);
+    // Without ?query the ORDER_QUERY env default applies
+    const query = req.query?.query ? String(req.query.query) : undefined;
 
-    if (failures.length > 0) {
-      console.log("\n⚠️  Failed Orders:");
-      failures.forEach((f) => {
-        console.log(
-          `   - ${f.sourceOrder}: ${f.reason}${f.details ? ` (${f.details})` : ""
-          }`,
-        );
-      });
-    }
+    const dryRunReport = isDryRun(req) ? createDryRunReport("orders") : null;
 
-    return res.status(200).json({
-      success: true,
-      total: totalCount,
-      successCount,
-      failureCount,
-      failures,
+    console.log("🚀 Starting Order Migration FROM SOURCE STORE\n");
+    console.log(
+      `   Mode: ${options.mode}, variant matching: ${options.variantMatch}, missing products: ${options.missingProduct}\n`,
+    );
+    if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent\n");
+
+    // Orders are fetched and migrated page by page; the total is known once the last page of IDs is in
+    const orders = streamSourceOrders({
+      from,
+      to,
+      query,
+      limit,
+      onPage: (found, isLastPage) => reportProgress(req, isLastPage ? { total: found } : { found }),
+    });
+
+    return await runOrderMigration(req, res, {
+      orders,
+      options,
+      dryRunReport,
+      source: "store",
+      responseExtra: { filters: { from, to, query: query ?? null, limit } },
     });
   } catch (error) {
-    console.log("Error in migrateOrdersFromSheet:", error.message);
+    console.log("Error in migrateOrdersFromSource:", error.message);
     return res.status(500).json({ error: error.message });
   }
 }
@@ -0,0 +1,784 @@
+// orders-sync/sourceOrders.js
+// Reads orders straight from SOURCE_SHOP and maps them into the same
+// "parsed order" shape that loadOrdersFromSheet produces, so the sheet
+// importer's create → refund/cancel → fulfillment → return sequence can be reused as is.
+
+import dotenv from "dotenv";
+import { graphqlRequest } from "../shopifyClient.js";
+
+dotenv.config();
+
+/* ============================================
+   CONFIG
+============================================ */
+const API_VERSION = process.env.API_VERSION || "2025-10";
+
+const SOURCE_SHOP = process.env.SOURCE_SHOP;
+const SOURCE_ACCESS_TOKEN = process.env.SOURCE_ACCESS_TOKEN;
+
+const SOURCE_GQL = `https://${SOURCE_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+
+// Optional default filter on SOURCE (Shopify order search syntax), e.g. "financial_status:paid"
+const ORDER_QUERY = process.env.ORDER_QUERY || null;
+
+// Tag put on target orders created from the source store (sheet orders get "migrated-from-sheet")
+export const STORE_MIGRATION_TAG = "migrated-from-store";
+
+/**
+ * Source order id as stored in the ledger and the source-order metafield: the numeric id,
+ * so "gid://shopify/Order/123" (store import) and 123 (the sheet's "ID" column) agree.
+ */
+export function normalizeSourceOrderId(id) {
+  if (id === null || id === undefined) return null;
+  const value = String(id).trim().replace(/^gid:\/\/shopify\/Order\//, "");
+  return value || null;
+}
+
+// Namespaces that belong to Shopify or to apps on the source store and can't be written on target
+const SKIPPED_METAFIELD_NAMESPACE = /^(shopify|app--)/;
+
+// Set by orderSync on every migrated order; a source that was itself migrated must not pass its own on
+const SOURCE_ORDER_METAFIELD_NAMESPACE = process.env.ORDER_SOURCE_METAFIELD_NAMESPACE || "migration";
+const SOURCE_ORDER_METAFIELD_KEY = process.env.ORDER_SOURCE_METAFIELD_KEY || "source_order_id";
+
+/* ============================================
+   GRAPHQL (SOURCE)
+============================================ */
+
+// Light page query; the heavy per-order fields are fetched one order at a time to stay under the cost limit
+const QUERY_SOURCE_ORDER_IDS = `
+  query SourceOrderIds($cursor: String, $query: String) {
+    orders(first: 50, after: $cursor, query: $query, sortKey: CREATED_AT) {
+      nodes {
+        id
+        name
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+// Fields mapped into parsed line items; shared by the order query and the line item pages
+const SOURCE_LINE_ITEM_FIELDS = `
+  id
+  name
+  title
+  variantTitle
+  sku
+  vendor
+  quantity
+  unfulfilledQuantity
+  requiresShipping
+  taxable
+  customAttributes {
+    key
+    value
+  }
+  originalUnitPriceSet {
+    shopMoney {
+      amount
+    }
+  }
+  totalDiscountSet {
+    shopMoney {
+      amount
+    }
+  }
+  taxLines {
+    title
+    rate
+    priceSet {
+      shopMoney {
+        amount
+      }
+    }
+  }
+  product {
+    handle
+  }
+`;
+
+// Order.fulfillments and Order.refunds are plain lists without pageInfo: the query asks for
+// one more than these, so an order that has more fails instead of being copied without them
+const MAX_SOURCE_FULFILLMENTS = 10;
+const MAX_SOURCE_REFUNDS = 10;
+
+const QUERY_SOURCE_ORDER = `
+  query SourceOrder($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      email
+      phone
+      note
+      tags
+      createdAt
+      processedAt
+      closedAt
+      cancelledAt
+      cancelReason
+      currencyCode
+      taxesIncluded
+      displayFinancialStatus
+      displayFulfillmentStatus
+      returnStatus
+      discountCodes
+      customer {
+        email
+      }
+      purchasingEntity {
+        ... on PurchasingCompany {
+          company {
+            name
+            externalId
+          }
+          location {
+            name
+            externalId
+          }
+        }
+      }
+      billingAddress {
+        firstName
+        lastName
+        address1
+        address2
+        city
+        provinceCode
+        countryCodeV2
+        zip
+        company
+        phone
+      }
+      shippingAddress {
+        firstName
+        lastName
+        address1
+        address2
+        city
+        provinceCode
+        countryCodeV2
+        zip
+        company
+        phone
+      }
+      taxLines {
+        title
+        rate
+        priceSet {
+          shopMoney {
+            amount
+          }
+        }
+      }
+      totalPriceSet {
+        shopMoney {
+          amount
+        }
+      }
+      totalDiscountsSet {
+        shopMoney {
+          amount
+        }
+      }
+      totalRefundedSet {
+        shopMoney {
+          amount
+        }
+      }
+      metafields(first: 50) {
+        nodes {
+          namespace
+          key
+          type
+          value
+        }
+      }
+      shippingLines(first: 10) {
+        nodes {
+          title
+          originalPriceSet {
+            shopMoney {
+              amount
+            }
+          }
+          taxLines {
+            title
+            rate
+            priceSet {
+              shopMoney {
+                amount
+              }
+            }
+          }
+        }
+      }
+      lineItems(first: 100) {
+        nodes {
+          ${SOURCE_LINE_ITEM_FIELDS}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+      transactions(first: 50) {
+        kind
+        status
+        gateway
+        authorizationCode
+        processedAt
+        test
+        amountSet {
+          shopMoney {
+            amount
+            currencyCode
+          }
+          presentmentMoney {
+            amount
+            currencyCode
+          }
+        }
+      }
+      fulfillments(first: ${MAX_SOURCE_FULFILLMENTS + 1}) {
+        status
+        fulfillmentLineItems(first: 50) {
+          nodes {
+            quantity
+            lineItem {
+              sku
+              variantTitle
+              title
+            }
+          }
+          pageInfo {
+            hasNextPage
+          }
+        }
+      }
+      refunds(first: ${MAX_SOURCE_REFUNDS + 1}) {
+        id
+        createdAt
+        note
+        refundLineItems(first: 25) {
+          nodes {
+            quantity
+            restockType
+            subtotalSet {
+              shopMoney {
+                amount
+              }
+            }
+            lineItem {
+              sku
+              variantTitle
+              title
+            }
+          }
+          pageInfo {
+            hasNextPage
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Orders with more than 100 line items: the rest, a page at a time
+const QUERY_SOURCE_ORDER_LINE_ITEMS = `
+  query SourceOrderLineItems($id: ID!, $cursor: String) {
+    order(id: $id) {
+      lineItems(first: 100, after: $cursor) {
+        nodes {
+          ${SOURCE_LINE_ITEM_FIELDS}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+// Only asked for orders whose returnStatus says they have returns
+const QUERY_SOURCE_ORDER_RETURNS = `
+  query SourceOrderReturns($id: ID!) {
+    order(id: $id) {
+      returns(first: 5) {
+        nodes {
+          id
+          status
+          returnLineItems(first: 25) {
+            nodes {
+              quantity
+              returnReason
+              returnReasonNote
+              ... on ReturnLineItem {
+                fulfillmentLineItem {
+                  id
+                  lineItem {
+                    sku
+                    variantTitle
+                    title
+                  }
+                }
+              }
+            }
+          }
+          exchangeLineItems(first: 10) {
+            nodes {
+              quantity
+              lineItem {
+                sku
+                variantTitle
+                title
+                product {
+                  handle
+                }
+              }
+            }
+          }
+          reverseFulfillmentOrders(first: 3) {
+            nodes {
+              lineItems(first: 25) {
+                nodes {
+                  fulfillmentLineItem {
+                    id
+                  }
+                  dispositions {
+                    type
+                    location {
+                      name
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/* ============================================
+   HELPERS
+============================================ */
+
+function amountOf(moneyV2) {
+  const amount = Number(moneyV2?.amount ?? 0);
+  return Number.isFinite(amount) ? Math.abs(amount) : 0;
+}
+
+function money(set) {
+  return amountOf(set?.shopMoney);
+}
+
+function mapTaxLines(taxLines, currencyCode) {
+  return (taxLines || [])
+    .filter((t) => t.title && t.rate != null)
+    .map((t) => ({
+      title: t.title,
+      rate: Number(t.rate),
+      priceSet: {
+        shopMoney: {
+          amount: money(t.priceSet),
+          currencyCode,
+        },
+      },
+    }));
+}
+
+function mapAddress(addr) {
+  if (!addr) return null;
+  return {
+    firstName: addr.firstName || null,
+    lastName: addr.lastName || null,
+    address1: addr.address1 || null,
+    address2: addr.address2 || null,
+    city: addr.city || null,
+    provinceCode: addr.provinceCode || null,
+    countryCode: addr.countryCodeV2 || null,
+    zip: addr.zip || null,
+    company: addr.company || null,
+    phone: addr.phone || null,
+  };
+}
+
+// Same keys the sheet parser uses: SKU, else variant title, else title
+function addDesiredQuantity(desired, line, qty) {
+  if (!qty || qty <= 0) return;
+
+  if (line.sku && String(line.sku).trim()) {
+    const key = String(line.sku).trim();
+    desired.desiredBySku[key] = (desired.desiredBySku[key] || 0) + qty;
+  } else if (line.variantTitle && String(line.variantTitle).trim()) {
+    const key = String(line.variantTitle).trim();
+    desired.desiredByVariantTitle[key] = (desired.desiredByVariantTitle[key] || 0) + qty;
+  } else if (line.title && String(line.title).trim()) {
+    const key = String(line.title).trim();
+    desired.desiredByTitle[key] = (desired.desiredByTitle[key] || 0) + qty;
+  }
+}
+
+/**
+ * Build the order search string for SOURCE from the date range and a free-form query.
+ * Dates are anything Shopify's created_at filter accepts (YYYY-MM-DD or ISO-8601).
+ */
+export function buildSourceOrderQuery({ from = null, to = null, query = ORDER_QUERY } = {}) {
+  const parts = [];
+  if (from) parts.push(`created_at:>='${from}'`);
+  if (to) parts.push(`created_at:<='${to}'`);
+  if (query) parts.push(`(${query})`);
+  return parts.length ? parts.join(" AND ") : null;
+}
+
+/* ============================================
+   MAPPING (SOURCE order → parsed order)
+============================================ */
+
+function mapReturnsFromSource(returns) {
+  const returnLines = [];
+  const exchangeLines = [];
+
+  for (const ret of returns || []) {
+    // fulfillmentLineItemId → restock location name, for lines the source restocked
+    const restockedAt = new Map();
+    for (const rfo of ret.reverseFulfillmentOrders?.nodes || []) {
+      for (const rfoLine of rfo.lineItems?.nodes || []) {
+        const restocked = (rfoLine.dispositions || []).find((d) => d.type === "RESTOCKED");
+        if (restocked && rfoLine.fulfillmentLineItem?.id) {
+          restockedAt.set(rfoLine.fulfillmentLineItem.id, restocked.location?.name || null);
+        }
+      }
+    }
+
+    for (const rli of ret.returnLineItems?.nodes || []) {
+      const fli = rli.fulfillmentLineItem;
+      if (!fli || !rli.quantity) continue;
+
+      returnLines.push({
+        returnId: ret.id,
+        sku: fli.lineItem?.sku || null,
+        variantTitle: fli.lineItem?.variantTitle || null,
+        title: fli.lineItem?.title || null,
+        quantity: rli.quantity,
+        returnReason: rli.returnReason || "UNKNOWN",
+        returnReasonNote: rli.returnReasonNote || null,
+        restock: restockedAt.has(fli.id),
+        restockLocationName: restockedAt.get(fli.id) || null,
+        returnStatus: ret.status || null,
+        requestedAt: null,
+      });
+    }
+
+    for (const eli of ret.exchangeLineItems?.nodes || []) {
+      if (!eli.lineItem || !eli.quantity) continue;
+
+      exchangeLines.push({
+        returnId: ret.id,
+        productHandle: eli.lineItem.product?.handle || null,
+        sku: eli.lineItem.sku || null,
+        variantTitle: eli.lineItem.variantTitle || null,
+        title: eli.lineItem.title || null,
+        quantity: eli.quantity,
+      });
+    }
+  }
+
+  return { returnLines, exchangeLines };
+}
+
+/**
+ * SOURCE order (QUERY_SOURCE_ORDER shape, line items complete) plus its returns → parsed order.
+ */
+export function mapSourceOrderToParsed(order, returns = []) {
+  const currency = order.currencyCode;
+
+  const lineItems = (order.lineItems?.nodes || []).map((li) => ({
+    productHandle: li.product?.handle || null,
+    sku: li.sku || null,
+    variantTitle: li.variantTitle || null,
+    title: li.title || null,
+    vendor: li.vendor || null,
+    properties: (li.customAttributes || []).map((a) => ({ name: a.key, value: a.value ?? "" })),
+    quantity: li.quantity || 0,
+    price: money(li.originalUnitPriceSet),
+    discountTotal: money(li.totalDiscountSet),
+    fulfillmentStatus: li.unfulfilledQuantity === 0 ? "fulfilled" : "unfulfilled",
+    requiresShipping: li.requiresShipping,
+    taxable: li.taxable,
+    taxLines: mapTaxLines(li.taxLines, currency),
+    taxTotal: null,
+  }));
+
+  const shippingLines = (order.shippingLines?.nodes || []).map((sl) => ({
+    title: sl.title || "Shipping",
+    price: money(sl.originalPriceSet),
+    taxLines: mapTaxLines(sl.taxLines, currency),
+  }));
+
+  const transactions = (order.transactions || []).map((tx) => ({
+    authorizationCode: tx.authorizationCode || null,
+    kind: tx.kind || null,
+    status: tx.status || null,
+    gateway: tx.gateway || null,
+    amount: amountOf(tx.amountSet?.presentmentMoney),
+    currency: tx.amountSet?.presentmentMoney?.currencyCode || null,
+    shopAmount: money(tx.amountSet),
+    shopCurrency: tx.amountSet?.shopMoney?.currencyCode || null,
+    test: tx.test,
+    processedAt: tx.processedAt || null,
+  }));
+
+  const refundLines = [];
+  for (const refund of order.refunds || []) {
+    for (const rli of refund.refundLineItems?.nodes || []) {
+      refundLines.push({
+        refundId: refund.id,
+        sku: rli.lineItem?.sku || null,
+        variantTitle: rli.lineItem?.variantTitle || null,
+        title: rli.lineItem?.title || null,
+        quantity: Math.abs(rli.quantity || 0),
+        lineTotal: money(rli.subtotalSet),
+        refundCreatedAt: refund.createdAt || null,
+        refundNote: refund.note || null,
+        refundRestock: !!rli.restockType && rli.restockType !== "NO_RESTOCK",
+        // Same as the sheet import: inventory is never touched by replayed refunds
+        restockType: "NO_RESTOCK",
+        refundSendReceipt: false,
+        refundGenerateTransaction: false,
+      });
+    }
+  }
+
+  // Fulfilled quantities come from the source fulfillments, so partial fulfillment carries over
+  const desired = { desiredBySku: {}, desiredByVariantTitle: {}, desiredByTitle: {} };
+  for (const f of order.fulfillments || []) {
+    if (f.status !== "SUCCESS") continue;
+    for (const fli of f.fulfillmentLineItems?.nodes || []) {
+      addDesiredQuantity(desired, fli.lineItem || {}, fli.quantity || 0);
+    }
+  }
+
+  const metafields = (order.metafields?.nodes || [])
+    .filter((mf) => !SKIPPED_METAFIELD_NAMESPACE.test(mf.namespace))
+    .filter((mf) => !(mf.namespace === SOURCE_ORDER_METAFIELD_NAMESPACE && mf.key === SOURCE_ORDER_METAFIELD_KEY))
+    .map(({ namespace, key, type, value }) => ({ namespace, key, type, value }));
+
+  const company = order.purchasingEntity?.company || null;
+  const companyLocation = order.purchasingEntity?.location || null;
+  const customerEmail = order.customer?.email || order.email || null;
+  const discountCodes = order.discountCodes || [];
+  const { returnLines, exchangeLines } = mapReturnsFromSource(returns);
+
+  return {
+    sourceId: normalizeSourceOrderId(order.id),
+    name: order.name,
+    email: order.email || customerEmail,
+    customerEmail,
+    createdAt: order.processedAt || order.createdAt,
+    currency,
+    tags: order.tags || [],
+    taxesIncluded: !!order.taxesIncluded,
+    paymentStatus: order.displayFinancialStatus || null,
+    billing: mapAddress(order.billingAddress),
+    shipping: mapAddress(order.shippingAddress),
+    lineItems,
+    shippingLines,
+    totalDiscount: money(order.totalDiscountsSet),
+    discountLabel: discountCodes.length ? discountCodes.join(", ") : "MIGRATED_DISCOUNT",
+    transactions,
+    orderFulfillmentStatus: order.displayFulfillmentStatus || null,
+    ...desired,
+    closedAt: order.closedAt || null,
+    sendReceipt: false,
+    inventoryBehaviour: null,
+    metafields,
+    // cancellation
+    cancelledAt: order.cancelledAt || null,
+    cancelReason: order.cancelReason || "OTHER",
+    cancelNotifyCustomer: false,
+    cancelRefund: false,
+    orderNote: order.note || null,
+    phone: order.phone || null,
+    // refunds
+    refundLines,
+    refundTotal: money(order.totalRefundedSet),
+    // returns / exchanges
+    returnLines,
+    exchangeLines,
+    companyData: {
+      // Source company / location IDs mean nothing on target; matching goes by customer + location name
+      companyId: null,
+      companyName: company?.name || null,
+      companyExternalId: company?.externalId || null,
+      companyLocationId: null,
+      companyLocationName: companyLocation?.name || null,
+      companyLocationExternalId: companyLocation?.externalId || null,
+    },
+    presentmentCurrency: null,
+
+    //taxes
+    orderTaxLines: mapTaxLines(order.taxLines, currency),
+    orderTaxTotal: null,
+
+    migrationTag: STORE_MIGRATION_TAG,
+
+    // one summary row per order, for the status report
+    sheetRows: [
+      {
+        "Source ID": order.id,
+        Name: order.name,
+        "Created At": order.createdAt,
+        Email: customerEmail,
+        "Payment: Status": order.displayFinancialStatus,
+        "Order Fulfillment Status": order.displayFulfillmentStatus,
+        "Cancelled At": order.cancelledAt,
+        Total: money(order.totalPriceSet),
+        Currency: currency,
+      },
+    ],
+  };
+}
+
+/* ============================================
+   FETCH
+============================================ */
+
+// What QUERY_SOURCE_ORDER could not read completely (line items are paged separately)
+function findTruncatedSourceLists(order) {
+  const truncated = [];
+  if ((order.fulfillments || []).length > MAX_SOURCE_FULFILLMENTS) {
+    truncated.push(`more than ${MAX_SOURCE_FULFILLMENTS} fulfillments`);
+  }
+  if ((order.refunds || []).length > MAX_SOURCE_REFUNDS) {
+    truncated.push(`more than ${MAX_SOURCE_REFUNDS} refunds`);
+  }
+  if ((order.fulfillments || []).some((f) => f.fulfillmentLineItems?.pageInfo?.hasNextPage)) {
+    truncated.push("a fulfillment with more than 50 lines");
+  }
+  if ((order.refunds || []).some((r) => r.refundLineItems?.pageInfo?.hasNextPage)) {
+    truncated.push("a refund with more than 25 lines");
+  }
+  return truncated;
+}
+
+/**
+ * Fetch one SOURCE order (plus its returns) and map it to a parsed order.
+ * Returns null when the order no longer exists; throws when the order has more
+ * fulfillments or refunds than can be read, rather than migrating part of it.
+ */
+export async function fetchSourceOrder(id) {
+  const data = await graphqlRequest(
+    SOURCE_GQL,
+    SOURCE_ACCESS_TOKEN,
+    QUERY_SOURCE_ORDER,
+    { id },
+    `fetch source order ${id}`,
+  );
+  const order = data?.order;
+  if (!order) return null;
+
+  let lineItemsPage = order.lineItems?.pageInfo;
+  while (lineItemsPage?.hasNextPage) {
+    const pageData = await graphqlRequest(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_SOURCE_ORDER_LINE_ITEMS,
+      { id, cursor: lineItemsPage.endCursor },
+      `fetch line items for source order ${order.name}`,
+    );
+    const page = pageData?.order?.lineItems;
+    order.lineItems.nodes.push(...(page?.nodes || []));
+    lineItemsPage = page?.pageInfo;
+  }
+
+  // Creating the order without some of its fulfillments or refunds would record it as migrated for good
+  const truncated = findTruncatedSourceLists(order);
+  if (truncated.length) {
+    throw new Error(`Source order ${order.name} is too large to copy completely: ${truncated.join("; ")}`);
+  }
+
+  let returns = [];
+  if (order.returnStatus && order.returnStatus !== "NO_RETURN") {
+    const returnsData = await graphqlRequest(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_SOURCE_ORDER_RETURNS,
+      { id },
+      `fetch returns for source order ${order.name}`,
+    );
+    returns = returnsData?.order?.returns?.nodes || [];
+  }
+
+  return mapSourceOrderToParsed(order, returns);
+}
+
+/**
+ * Page orders from SOURCE (oldest first), one page of IDs at a time, so only the
+ * order being migrated is held in memory.
+ *
+ * Yields { key, name, sheetRows, load } per order: `key` is the ledger key (the numeric
+ * SOURCE id, same as orderLedgerKey of the parsed order), so the caller can skip finished
+ * orders before `load()` pays for the full order fetch.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.from]    created_at lower bound
+ * @param {string} [filters.to]      created_at upper bound
+ * @param {string} [filters.query]   extra Shopify order search query (defaults to ORDER_QUERY)
+ * @param {number} [filters.limit]   stop after this many orders
+ * @param {Function} [filters.onPage] called with (ordersFoundSoFar, isLastPage) after every page
+ */
+export async function* streamSourceOrders({ from = null, to = null, query = ORDER_QUERY, limit = null, onPage } = {}) {
+  if (!SOURCE_SHOP || !SOURCE_ACCESS_TOKEN) {
+    throw new Error("Missing env vars: SOURCE_SHOP, SOURCE_ACCESS_TOKEN");
+  }
+
+  const searchQuery = buildSourceOrderQuery({ from, to, query });
+  console.log(`📥 Streaming orders from SOURCE ${SOURCE_SHOP}${searchQuery ? ` (query: ${searchQuery})` : ""}`);
+
+  let found = 0;
+  let cursor = null;
+
+  while (true) {
+    const data = await graphqlRequest(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_SOURCE_ORDER_IDS,
+      { cursor, query: searchQuery },
+      "list source orders",
+    );
+
+    const conn = data?.orders;
+    let nodes = conn?.nodes || [];
+    if (limit) nodes = nodes.slice(0, limit - found);
+    found += nodes.length;
+
+    const isLastPage = (limit && found >= limit) || !conn?.pageInfo?.hasNextPage;
+    onPage?.(found, isLastPage);
+
+    for (const node of nodes) {
+      yield {
+        key: normalizeSourceOrderId(node.id),
+        name: node.name,
+        // until the order is loaded, the report row only has what the page query returned
+        sheetRows: [{ "Source ID": node.id, Name: node.name }],
+        load: async () => {
+          const parsedOrder = await fetchSourceOrder(node.id);
+          if (!parsedOrder) console.warn(`   ⚠️ Source order ${node.id} disappeared while paging; skipped`);
+          return parsedOrder;
+        },
+      };
+    }
+
+    if (isLastPage) break;
+    cursor = conn.pageInfo.endCursor;
+  }
+
+  console.log(`   ✅ Streamed ${found} order(s) from SOURCE`);
+}
@@ -5,6 +5,8 @@ import XLSX from "xlsx";
 import fs from "fs";
 import path from "path";
 import { sanitizeMetafieldsForShopify } from "./utils.js";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
 
 /**
  * CONFIG
@@ -302,42 +304,6 @@ function detectPageMetafieldColumns(rows) {
     return Object.keys(rows[0]).map(parseMetafieldHeader).filter(Boolean);
 }
 
-/**
- * Shopify GraphQL helpers
- */
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-    const res = await fetch(endpoint, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": token,
-        },
-        body: JSON.stringify({ query, variables }),
-    });
-
-    const text = await res.text();
-    let json;
-    try {
-        json = text ? JSON.parse(text) : {};
-    } catch (e) {
-        console.error(`❌ Invalid JSON (${label}):`, text.slice(0, 1200));
-        throw new Error("Invalid JSON");
-    }
-
-    if (!res.ok) {
-        console.error(`❌ HTTP ${res.status} (${label})`);
-        console.error(text.slice(0, 2000));
-        throw new Error(`HTTP ${res.status}`);
-    }
-
-    if (json.errors?.length) {
-        console.error(`❌ GraphQL errors (${label}):`, JSON.stringify(json.errors, null, 2));
-        throw new Error("GraphQL error");
-    }
-
-    return json.data;
-}
-
 /**
  * XLSX LOADING
  */
@@ -473,10 +439,17 @@ export async function syncPagesFromSheet(req, res) {
     let createdPages = 0;
     let updatedPages = 0;
     let failed = 0;
+    reportProgress(req, { total: rows.length });
 
     for (let i = 0; i < rows.length; i++) {
         const row = rows[i];
         const label = `#${i + 1} page=${row["Handle"] || "n/a"}`;
+        reportProgress(req, {
+            processed: i,
+            succeeded: createdPages + updatedPages,
+            failed,
+            currentRow: label,
+        });
 
         const baseReportRow = { ...row };
 
@@ -536,6 +509,12 @@ export async function syncPagesFromSheet(req, res) {
         await delay(650);
     }
 
+    reportProgress(req, {
+        processed: rows.length,
+        succeeded: createdPages + updatedPages,
+        failed,
+    });
+
     console.log("\n📊 Page sync completed.");
     console.log(`   ✅ Pages created:    ${createdPages}`);
     console.log(`   ✅ Pages updated:    ${updatedPages}`);
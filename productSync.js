@@ -2,6 +2,12 @@ import dotenv from "dotenv";
 dotenv.config();
 import XLSX from "xlsx";
 import { sanitizeMetafieldsForShopify } from "./utils.js";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
+import { openLedger, LEDGER_STATUS } from "./ledger.js";
+import { isDryRun, createDryRunReport, reportUnknownMetafieldColumns } from "./dryRun.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
+import { createReferenceResolver, resolveProductSetReferences } from "./referenceResolver.js";
 
 /* ============================================
   CONFIG
@@ -17,6 +23,14 @@ const TARGET_ACCESS_TOKEN = process.env.TARGET_ACCESS_TOKEN;
 const PAGE_SIZE = parseInt(process.env.PAGE_SIZE || "1", 10);
 const SYNCHRONOUS = true;
 
+// What to do with a sheet product whose handle already exists on TARGET:
+//   create – create new products only, leave existing ones untouched (default)
+//   update – update existing products only, never create
+//   upsert – update existing products and create the rest
+// Override per upload with ?mode=create|update|upsert
+const PRODUCT_SYNC_MODES = new Set(["create", "update", "upsert"]);
+const DEFAULT_PRODUCT_SYNC_MODE = (process.env.PRODUCT_SYNC_MODE || "create").trim().toLowerCase();
+
 // if (!SOURCE_SHOP || !SOURCE_ACCESS_TOKEN || !TARGET_SHOP || !TARGET_ACCESS_TOKEN) {
 //   console.error("❌ Missing env vars: SOURCE_SHOP, SOURCE_ACCESS_TOKEN, TARGET_SHOP, TARGET_ACCESS_TOKEN");
 //   process.exit(1);
@@ -52,48 +66,6 @@ function normalizeWeightUnit(unit) {
   return null; // invalid unit → skip measurement
 }
 
-/* ============================================
-  GRAPHQL HELPER
-============================================ */
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-  try {
-    const res = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": token,
-      },
-      body: JSON.stringify({ query, variables }),
-    });
-
-    const text = await res.text();
-    let json;
-
-    try {
-      json = text ? JSON.parse(text) : {};
-    } catch (_) {
-      console.error(`❌ Invalid JSON for ${label}:`, text);
-      throw new Error("Invalid JSON");
-    }
-
-    if (!res.ok) {
-      console.error(`❌ HTTP ${res.status} on ${label}`);
-      console.error(text);
-      throw new Error(`HTTP Error ${res.status}`);
-    }
-
-    if (json.errors?.length) {
-      console.error(`❌ GraphQL Errors (${label}):`, JSON.stringify(json.errors, null, 2));
-      throw new Error("GraphQL error");
-    }
-
-    return json.data;
-  } catch (err) {
-    console.error(`❌ Request failed (${label}): ${err.message}`);
-    throw err;
-  }
-}
-
 function buildMatrixifyPublicationInputs(product, targetPublicationMap) {
   const inputs = [];
 
@@ -657,16 +629,6 @@ const PRODUCT_BY_HANDLE_QUERY = `
       }
     }
   `;
-const PRODUCTS_BY_HANDLE_QUERY = `
-    query ProductsByHandle($q: String!) {
-    products(first: 250, query: $q) {
-      nodes {
-        id
-        handle
-      }
-    }
-  }
-  `;
 
 async function findTargetProductByHandle(handle) {
   const data = await graphqlRequest(
@@ -679,16 +641,103 @@ async function findTargetProductByHandle(handle) {
 
   return data.productByHandle?.id || null;
 }
-async function findProductsByHandle(handles) {
+/**
+ * Existing TARGET product with the ids productSet needs to update it in place
+ * (variants and media that are not passed back by id get replaced).
+ */
+const PRODUCT_FOR_UPDATE_QUERY = `
+    query getProductForUpdate($handle: String!) {
+      productByHandle(handle: $handle) {
+        id
+        handle
+        variants(first: 250) {
+          nodes {
+            id
+            sku
+            selectedOptions {
+              name
+              value
+            }
+          }
+        }
+        media(first: 250) {
+          nodes {
+            id
+            mediaContentType
+            ... on MediaImage {
+              image {
+                url
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+async function fetchTargetProductForUpdate(handle) {
   const data = await graphqlRequest(
     TARGET_GQL,
     TARGET_ACCESS_TOKEN,
-    PRODUCTS_BY_HANDLE_QUERY,
-    { q: handles },
-    "findTargetProductByHandle"
+    PRODUCT_FOR_UPDATE_QUERY,
+    { handle },
+    "fetchTargetProductForUpdate"
   );
 
-  return data.products || null;
+  return data.productByHandle || null;
+}
+
+function variantOptionsKey(pairs) {
+  return pairs
+    .map((p) => `${String(p.name).trim().toLowerCase()}=${String(p.value).trim().toLowerCase()}`)
+    .sort()
+    .join("|");
+}
+
+// "https://cdn.shopify.com/s/files/1/…/products/red-shirt_1a2b.jpg?v=1" → "red-shirt"
+function fileNameStem(url) {
+  const base = String(url || "").split("?")[0].split("/").pop() || "";
+  return base.replace(/\.[a-z0-9]+$/i, "").toLowerCase();
+}
+
+/**
+ * Carry existing variant and media ids into a productSet input so an update keeps
+ * variant ids (orders, inventory) and doesn't re-upload images that are already there.
+ * Variants match on selected options, then SKU; images match on file name.
+ */
+function applyExistingTargetIds(input, existingProduct) {
+  const existingVariants = existingProduct?.variants?.nodes || [];
+  const byOptions = new Map(existingVariants.map((v) => [variantOptionsKey(v.selectedOptions || []), v.id]));
+  const bySku = new Map(existingVariants.filter((v) => v.sku).map((v) => [String(v.sku).trim(), v.id]));
+
+  for (const variant of input.variants || []) {
+    const key = variantOptionsKey(
+      (variant.optionValues || []).map((o) => ({ name: o.optionName, value: o.name }))
+    );
+    const id = byOptions.get(key) || (variant.sku ? bySku.get(String(variant.sku).trim()) : null);
+    if (id) variant.id = id;
+  }
+
+  const existingImages = (existingProduct?.media?.nodes || []).filter(
+    (m) => m.mediaContentType === "IMAGE" && m.image?.url
+  );
+  const usedMediaIds = new Set();
+
+  input.files = (input.files || []).map((file) => {
+    const stem = fileNameStem(file.originalSource);
+    if (!stem) return file;
+
+    // Shopify may append a suffix to the stored file name, so match on prefix
+    const match = existingImages.find(
+      (m) => !usedMediaIds.has(m.id) && fileNameStem(m.image.url).startsWith(stem)
+    );
+    if (!match) return file;
+
+    usedMediaIds.add(match.id);
+    return { id: match.id, alt: file.alt };
+  });
+
+  return input;
 }
 
 /* ============================================
@@ -932,64 +981,33 @@ function buildPublicationInputsFromSourceProduct(product, targetPublicationMap)
   return Array.from(targetIds).map((id) => ({ publicationId: id }));
 }
 
-async function resolveReferenceValue({
-  type,
-  rawValue,
-}) {
-  if (!rawValue) return null;
-
-  const isList = type.startsWith("list.");
-  const baseType = isList ? type.replace("list.", "") : type;
-
-  const values = isList
-    ? String(rawValue).split(",").map(v => v.trim()).filter(Boolean)
-    : [String(rawValue).trim()];
-
-  const resolved = [];
+// Reference metafields in the sheet (handles, SKUs, file URLs, or SOURCE GIDs) → TARGET GIDs
+const referenceResolver = createReferenceResolver();
 
-  for (const v of values) {
-    let gid = null;
-
-    switch (baseType) {
-      case "product_reference": {
-        console.log(`   📌 Resolving product reference: "${v}"`);
-        const ids = await findProductsByHandle(v);
-        if (!id) return null;
-        gid = id;
-        break;
-      }
-
-      // case "collection_reference":
-      //   gid = maps.collectionByHandle[v];
-      //   break;
-
-      // case "variant_reference":
-      //   gid = maps.variantBySku[v] || maps.variantById[v];
-      //   break;
-
-      // case "file_reference":
-      //   gid = maps.mediaByUrl[v] || maps.mediaByFilename[v];
-      //   break;
-
-      // case "metaobject_reference":
-      //   gid = maps.metaobjectByHandle[v];
-      //   break;
+/**
+ * Send a TARGET mutation and return its payload, or only record it in a dry run (returns null).
+ * The caller checks userErrors.
+ */
+async function productMutation(dryRunReport, ref, mutation, variables, field, label) {
+  if (dryRunReport) {
+    dryRunReport.addInput(ref, field, variables);
+    return null;
+  }
 
-      default:
-        return null;
-    }
+  const data = await graphqlRequest(TARGET_GQL, TARGET_ACCESS_TOKEN, mutation, variables, label);
+  return data?.[field];
+}
 
-    if (gid) resolved.push(gid);
-    else {
-      console.warn(
-        `⚠️ Unresolved ${baseType}: "${v}" → metafield skipped`
-      );
+function reportUnknownCollections(dryRunReport, product, collectionsMap) {
+  const collectionHandles = String(product.collectionsRaw || "")
+    .split(",")
+    .map(h => h.trim())
+    .filter(Boolean);
+  for (const handle of collectionHandles) {
+    if (!collectionsMap[handle]) {
+      dryRunReport.addProblem(product.handle, "unknown_collection", `Collection handle "${handle}" not found on TARGET store`);
     }
   }
-
-  if (!resolved.length) return null;
-
-  return isList ? JSON.stringify(resolved) : resolved[0];
 }
 
 /* ============================================
@@ -1854,7 +1872,18 @@ function buildProductsFromSheetRows(rows, { targetLocationNameMap = [] } = {}) {
 ============================================ */
 export async function migrateProducts(req, res) {
   const fileBuffer = req.file?.buffer;
+  const mode = String(req.query?.mode || DEFAULT_PRODUCT_SYNC_MODE).trim().toLowerCase();
+  if (!PRODUCT_SYNC_MODES.has(mode)) {
+    return res?.status?.(400)?.json?.({
+      ok: false,
+      error: `Invalid mode "${mode}". Use one of: ${[...PRODUCT_SYNC_MODES].join(", ")}`,
+    });
+  }
+
+  const dryRunReport = isDryRun(req) ? createDryRunReport("products") : null;
   console.log("🚀 Starting Product Migration B2C → B2B (Optimized + Idempotent)");
+  console.log(`   Mode: ${mode}`);
+  if (dryRunReport) console.log("🧪 DRY RUN – no mutations will be sent");
 
   const collectionsMap = await fetchTargetCollectionsMap();
   const targetPublicationMap = await fetchTargetPublicationsMap();
@@ -1870,9 +1899,27 @@ export async function migrateProducts(req, res) {
 
   let cursor = null;
   let count = 0;
+  const ledger = openLedger("products", { jobId: req.job?.id });
+  // A dry run reads the ledger but never writes to it
+  const recordLedger = (key, entry) => (dryRunReport ? null : ledger.record(key, entry));
+  let createdCount = 0;
+  let updatedCount = 0;
+  let skippedCount = 0;
+  let failedCount = 0;
 
   const rows = loadSheetRows(fileBuffer);
 
+  // Status report lists every sheet row of a product with that product's outcome
+  const statusReport = createStatusReport("products", { disabled: !!dryRunReport });
+  const sheetRowsByHandle = new Map();
+  for (const row of rows) {
+    const handle = String(row["Handle"] || row["Product: Handle"] || "").trim();
+    if (!handle) continue;
+    if (!sheetRowsByHandle.has(handle)) sheetRowsByHandle.set(handle, []);
+    sheetRowsByHandle.get(handle).push(row);
+  }
+  const reportRowsFor = (handle) => sheetRowsByHandle.get(handle) || [{ Handle: handle }];
+
   const productMetafieldsMap = new Map();
   const variantMetafieldsMap = new Map();
 
@@ -1901,18 +1948,39 @@ export async function migrateProducts(req, res) {
   const productMetafields = [...productMetafieldsMap.values()];
   const variantMetafields = [...variantMetafieldsMap.values()];
 
-  // ✅ Ensure definitions exist BEFORE productSet
-  await ensureMetafieldDefinitions({
-    ownerType: "PRODUCT",
-    query: PRODUCT_METAFIELD_DEFS_QUERY,
-    metafields: productMetafields,
-  });
+  if (dryRunReport) {
+    const headers = Object.keys(rows[0] || {});
+    reportUnknownMetafieldColumns(dryRunReport, headers, ALLOWED_METAFIELD_TYPES);
 
-  await ensureMetafieldDefinitions({
-    ownerType: "PRODUCTVARIANT",
-    query: VARIANT_METAFIELD_DEFS_QUERY,
-    metafields: variantMetafields,
-  });
+    for (const locationName of Object.keys(detectInventoryColumns(headers))) {
+      if (!targetLocationNameMap.has(locationName)) {
+        dryRunReport.addProblem(
+          `location "${locationName}"`,
+          "unmapped_location",
+          "No target location with this name; inventory for it would be skipped"
+        );
+      }
+    }
+
+    rows.forEach((row, i) => {
+      if (!String(row["Handle"] || row["Product: Handle"] || "").trim()) {
+        dryRunReport.addProblem(`row ${i + 2}`, "missing_handle", "Row has no Handle and would be ignored");
+      }
+    });
+  } else {
+    // ✅ Ensure definitions exist BEFORE productSet
+    await ensureMetafieldDefinitions({
+      ownerType: "PRODUCT",
+      query: PRODUCT_METAFIELD_DEFS_QUERY,
+      metafields: productMetafields,
+    });
+
+    await ensureMetafieldDefinitions({
+      ownerType: "PRODUCTVARIANT",
+      query: VARIANT_METAFIELD_DEFS_QUERY,
+      metafields: variantMetafields,
+    });
+  }
 
 
   while (true) {
@@ -1944,52 +2012,129 @@ export async function migrateProducts(req, res) {
 
     const edges = data.products.edges;
     if (!edges.length) break;
+    reportProgress(req, { total: edges.length });
 
     for (const edge of edges) {
       const product = edge.node;
 
+      reportProgress(req, {
+        processed: count,
+        succeeded: createdCount + updatedCount,
+        skipped: skippedCount,
+        failed: failedCount,
+        currentRow: product.handle,
+      });
       count++;
       console.log(`\n▶ Migrating product ${count}: ${product.title} (${product.handle})`);
 
+      // In update/upsert mode the sheet is the source of truth, so a finished ledger entry doesn't stop a rerun
+      if (mode === "create" && ledger.isDone(product.handle)) {
+        const entry = ledger.get(product.handle);
+        console.log(`   ⏭️  Already in ledger → ${entry.targetId} (${entry.status})`);
+        skippedCount++;
+        statusReport.add(reportRowsFor(product.handle), {
+          status: REPORT_STATUS.SKIPPED,
+          action: "already_in_ledger",
+          targetId: entry.targetId,
+        });
+        continue;
+      }
+
       try {
-        const existingTargetProductId = await findTargetProductByHandle(product.handle);
-        if (existingTargetProductId) {
+        const existingProduct = mode === "create"
+          ? null
+          : await fetchTargetProductForUpdate(product.handle);
+        const existingTargetProductId = existingProduct?.id || (mode === "create"
+          ? await findTargetProductByHandle(product.handle)
+          : null);
+
+        if (existingTargetProductId && mode === "create") {
           console.log(`   🔁 Existing product on TARGET → ${existingTargetProductId}`);
+          recordLedger(product.handle, {
+            status: LEDGER_STATUS.SKIPPED,
+            targetId: existingTargetProductId,
+          });
+          skippedCount++;
+          statusReport.add(reportRowsFor(product.handle), {
+            status: REPORT_STATUS.SKIPPED,
+            action: "exists_on_target",
+            targetId: existingTargetProductId,
+          });
+          continue;
+        } else if (!existingTargetProductId && mode === "update") {
+          console.log("   ⏭️  Product not found on TARGET (update mode) → skipped");
+          skippedCount++;
+          statusReport.add(reportRowsFor(product.handle), {
+            status: REPORT_STATUS.SKIPPED,
+            action: "not_on_target",
+          });
           continue;
+        } else if (existingTargetProductId) {
+          console.log(`   ✏️  Existing product on TARGET → ${existingTargetProductId} (will update)`);
         } else {
           console.log(`   🆕 Product not found on TARGET → will create`);
         }
 
+        if (dryRunReport) reportUnknownCollections(dryRunReport, product, collectionsMap);
+
         const input = transformProduct(product, collectionsMap, existingTargetProductId);
+        if (existingProduct) applyExistingTargetIds(input, existingProduct);
+        // Resolving can upload files to TARGET, so a dry run records the unresolved input
+        if (!dryRunReport) await resolveProductSetReferences(referenceResolver, input);
 
         console.log(` input`, JSON.stringify(input, null, 2));
 
-        const result = await graphqlRequest(
-          TARGET_GQL,
-          TARGET_ACCESS_TOKEN,
+        const productSet = await productMutation(
+          dryRunReport,
+          product.handle,
           PRODUCT_SET_MUTATION,
           { productSet: input, synchronous: SYNCHRONOUS },
+          "productSet",
           `productSet ${product.handle}`
         );
 
-        if (result.productSet.userErrors?.length) {
-          const errs = result.productSet.userErrors;
+        if (productSet?.userErrors?.length) {
+          const errs = productSet.userErrors;
           console.error("❌ Shopify UserErrors (productSet):", errs);
 
           // Just in case, explicitly swallow HANDLE_NOT_UNIQUE if somehow still returned
           const fatal = errs.filter(e => e.code !== "HANDLE_NOT_UNIQUE");
           if (fatal.length) {
+            recordLedger(product.handle, {
+              status: LEDGER_STATUS.FAILED,
+              error: JSON.stringify(fatal),
+            });
+            failedCount++;
+            statusReport.add(reportRowsFor(product.handle), {
+              status: REPORT_STATUS.FAILED,
+              action: existingTargetProductId ? "update" : "create",
+              targetId: existingTargetProductId,
+              error: fatal.map((e) => e.message).join("; "),
+            });
             continue;
           } else {
             console.log("   ℹ️ HANDLE_NOT_UNIQUE ignored because product is already managed via idempotent logic.");
           }
         }
 
-        const newProductId = result.productSet.product?.id || existingTargetProductId;
-        console.log(`✅ Created → ${newProductId || "(no id returned)"}`);
+        const newProductId = productSet?.product?.id || existingTargetProductId;
+        const action = existingTargetProductId ? "updated" : "created";
+        console.log(`✅ ${existingTargetProductId ? "Updated" : "Created"} → ${newProductId || "(no id returned)"}`);
+        if (existingTargetProductId) updatedCount++;
+        else createdCount++;
+        recordLedger(product.handle, {
+          status: LEDGER_STATUS.COMPLETED,
+          targetId: newProductId,
+          action,
+        });
+        statusReport.add(reportRowsFor(product.handle), {
+          status: REPORT_STATUS.SUCCESS,
+          action,
+          targetId: newProductId,
+        });
 
-        // 🔹 Publish on same sales channels as source
-        if (newProductId) {
+        // 🔹 Publish on same sales channels as source (a dry-run create has no id yet)
+        if (newProductId || dryRunReport) {
           const publicationInputs = buildMatrixifyPublicationInputs(
             product,
             targetPublicationMap
@@ -1998,18 +2143,19 @@ export async function migrateProducts(req, res) {
 
           if (publicationInputs.length) {
             console.log("   Publishing to matched publications...");
-            const publishResult = await graphqlRequest(
-              TARGET_GQL,
-              TARGET_ACCESS_TOKEN,
+            const publishResult = await productMutation(
+              dryRunReport,
+              product.handle,
               PUBLISHABLE_PUBLISH_MUTATION,
               { id: newProductId, input: publicationInputs },
+              "publishablePublish",
               `publish ${product.handle}`
             );
 
-            if (publishResult.publishablePublish.userErrors?.length) {
+            if (publishResult?.userErrors?.length) {
               console.error(
                 "⚠️ Shopify UserErrors (publishablePublish):",
-                publishResult.publishablePublish.userErrors
+                publishResult.userErrors
               );
             } else {
               console.log(
@@ -2021,16 +2167,67 @@ export async function migrateProducts(req, res) {
           }
         }
       } catch (err) {
+        failedCount++;
+        dryRunReport?.addProblem(product.handle, "transform_error", err.message);
+        if (!ledger.isDone(product.handle)) {
+          recordLedger(product.handle, { status: LEDGER_STATUS.FAILED, error: err.message });
+        }
+        statusReport.add(reportRowsFor(product.handle), {
+          status: REPORT_STATUS.FAILED,
+          action: "error",
+          targetId: ledger.get(product.handle)?.targetId,
+          error: err,
+        });
         console.error(`❌ Failed: ${err.message}`);
       }
-      await new Promise(resolve => setTimeout(resolve, 5000));
     }
 
     if (!data.products.pageInfo.hasNextPage) break;
     cursor = data.products.pageInfo.endCursor;
   }
 
+  reportProgress(req, {
+    processed: count,
+    succeeded: createdCount + updatedCount,
+    skipped: skippedCount,
+    failed: failedCount,
+  });
+
+  if (dryRunReport) {
+    const result = dryRunReport.result({
+      mode,
+      total: count,
+      wouldCreate: createdCount,
+      wouldUpdate: updatedCount,
+      wouldSkip: skippedCount,
+    });
+    if (res?.json) res.json(result);
+    return;
+  }
+
   console.log("\n🎉 Migration Complete");
+  console.log(`   ✅ Created: ${createdCount}`);
+  console.log(`   ✏️  Updated: ${updatedCount}`);
+  console.log(`   🔁 Skipped: ${skippedCount}`);
+  console.log(`   ❌ Failed:  ${failedCount}`);
+  console.log(`   📒 Ledger:  ${ledger.file}`);
+  statusReport.flush();
+  console.log(`   📄 Report:  ${statusReport.filePath}`);
+
+  if (res?.json) {
+    res.json({
+      ok: failedCount === 0,
+      mode,
+      total: count,
+      createdCount,
+      updatedCount,
+      skippedCount,
+      failedCount,
+      ledgerPath: ledger.file,
+      reportPath: statusReport.filePath,
+      reportUrl: statusReport.downloadUrl,
+    });
+  }
 }
 
 /* ============================================
@@ -0,0 +1,558 @@
+// referenceResolver.js
+// Translates reference metafield values (product, collection, variant, page, file,
+// metaobject and mixed references) from SOURCE records to the matching TARGET records.
+// Values can be SOURCE GIDs (store-to-store syncs) or the natural keys Matrixify puts
+// in sheets (handle, SKU, file URL, "type.handle" for metaobjects).
+// A GID is read from SOURCE to get its natural key; the key is then looked up on TARGET
+// (products: the migration ledger first). Unresolved entries are dropped with a warning.
+
+import dotenv from "dotenv";
+import { graphqlRequest } from "./shopifyClient.js";
+import { openLedger } from "./ledger.js";
+import { isReferenceMetafieldType } from "./utils.js";
+
+dotenv.config();
+
+/**
+ * CONFIG
+ */
+const {
+  API_VERSION = "2025-10",
+  SOURCE_SHOP,
+  SOURCE_ACCESS_TOKEN,
+  TARGET_SHOP,
+  TARGET_ACCESS_TOKEN,
+} = process.env;
+
+// Files missing on TARGET are re-uploaded from their SOURCE url (REFERENCE_FILE_UPLOAD=false to skip)
+const UPLOAD_MISSING_FILES = !["false", "0", "no", "n"].includes(
+  String(process.env.REFERENCE_FILE_UPLOAD ?? "true").trim().toLowerCase()
+);
+
+// Same GIDs on every shop (Shopify's global product taxonomy)
+const PASS_THROUGH_TYPES = new Set(["product_taxonomy_value_reference"]);
+
+// GID resource → reference base type, for mixed_reference values
+const GID_RESOURCE_TYPES = {
+  Product: "product_reference",
+  Collection: "collection_reference",
+  ProductVariant: "variant_reference",
+  Page: "page_reference",
+  Metaobject: "metaobject_reference",
+  MediaImage: "file_reference",
+  GenericFile: "file_reference",
+  Video: "file_reference",
+};
+
+/**
+ * GRAPHQL
+ */
+const SOURCE_NODES_QUERY = `
+  query ReferenceSourceNodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      id
+      ... on Product {
+        handle
+      }
+      ... on Collection {
+        handle
+      }
+      ... on ProductVariant {
+        sku
+        title
+        product {
+          handle
+        }
+      }
+      ... on Page {
+        handle
+      }
+      ... on Metaobject {
+        type
+        handle
+      }
+      ... on MediaImage {
+        alt
+        image {
+          url
+        }
+      }
+      ... on GenericFile {
+        alt
+        url
+      }
+      ... on Video {
+        alt
+        filename
+        originalSource {
+          url
+        }
+      }
+    }
+  }
+`;
+
+const TARGET_PRODUCT_BY_HANDLE_QUERY = `
+  query ReferenceProductByHandle($handle: String!) {
+    productByHandle(handle: $handle) {
+      id
+      variants(first: 100) {
+        nodes {
+          id
+          title
+          sku
+        }
+      }
+    }
+  }
+`;
+
+const TARGET_COLLECTION_BY_HANDLE_QUERY = `
+  query ReferenceCollectionByHandle($handle: String!) {
+    collectionByHandle(handle: $handle) {
+      id
+    }
+  }
+`;
+
+const TARGET_VARIANTS_BY_SKU_QUERY = `
+  query ReferenceVariantsBySku($query: String!) {
+    productVariants(first: 2, query: $query) {
+      nodes {
+        id
+        sku
+      }
+    }
+  }
+`;
+
+const TARGET_PAGES_BY_HANDLE_QUERY = `
+  query ReferencePagesByHandle($query: String!) {
+    pages(first: 5, query: $query) {
+      nodes {
+        id
+        handle
+      }
+    }
+  }
+`;
+
+const TARGET_METAOBJECT_BY_HANDLE_QUERY = `
+  query ReferenceMetaobjectByHandle($handle: MetaobjectHandleInput!) {
+    metaobjectByHandle(handle: $handle) {
+      id
+    }
+  }
+`;
+
+const TARGET_FILES_BY_NAME_QUERY = `
+  query ReferenceFilesByName($query: String!) {
+    files(first: 5, query: $query) {
+      nodes {
+        id
+        ... on MediaImage {
+          image {
+            url
+          }
+        }
+        ... on GenericFile {
+          url
+        }
+        ... on Video {
+          filename
+        }
+      }
+    }
+  }
+`;
+
+const TARGET_FILE_CREATE_MUTATION = `
+  mutation ReferenceFileCreate($files: [FileCreateInput!]!) {
+    fileCreate(files: $files) {
+      files {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Helpers
+ */
+function isGid(value) {
+  return String(value).startsWith("gid://shopify/");
+}
+
+function gidResource(gid) {
+  return String(gid).split("/")[3] || null;
+}
+
+// Shopify search syntax: quote the value so handles / SKUs with spaces or dashes match exactly
+function quoteSearchValue(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function fileNameFromUrl(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split("/").pop() || "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * List values come as a JSON array from the API and often comma-separated from sheets.
+ */
+export function splitReferenceValue(type, rawValue) {
+  const raw = String(rawValue ?? "").trim();
+  if (!raw) return [];
+  if (!type.startsWith("list.")) return [raw];
+
+  if (raw.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) return parsed.map((v) => String(v).trim()).filter(Boolean);
+    } catch {
+      // fall through to the comma split
+    }
+  }
+  return raw.split(",").map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Create a resolver with its own lookup caches.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.sourceShop]        defaults to SOURCE_SHOP (GIDs can't be resolved without it)
+ * @param {string} [opts.sourceToken]       defaults to SOURCE_ACCESS_TOKEN
+ * @param {string} [opts.targetShop]        defaults to TARGET_SHOP
+ * @param {string} [opts.targetToken]       defaults to TARGET_ACCESS_TOKEN
+ * @param {boolean} [opts.useProductLedger] try the "products" migration ledger before TARGET lookups
+ */
+export function createReferenceResolver({
+  sourceShop = SOURCE_SHOP,
+  sourceToken = SOURCE_ACCESS_TOKEN,
+  targetShop = TARGET_SHOP,
+  targetToken = TARGET_ACCESS_TOKEN,
+  useProductLedger = true,
+} = {}) {
+  const sourceGql = sourceShop && sourceToken
+    ? `https://${sourceShop}/admin/api/${API_VERSION}/graphql.json`
+    : null;
+  const targetGql = `https://${targetShop}/admin/api/${API_VERSION}/graphql.json`;
+
+  const sourceNodes = new Map(); // SOURCE gid → node (null when not found)
+  const resolved = new Map(); // "baseType|natural key" → TARGET gid
+  let productLedger;
+
+  function getProductLedger() {
+    if (productLedger === undefined) {
+      productLedger = useProductLedger ? openLedger("products", { shop: targetShop }) : null;
+    }
+    return productLedger;
+  }
+
+  async function target(query, variables, label) {
+    return graphqlRequest(targetGql, targetToken, query, variables, label);
+  }
+
+  /**
+   * Load SOURCE nodes for the GIDs we haven't seen yet (250 per request)
+   */
+  async function loadSourceNodes(gids) {
+    const missing = [...new Set(gids)].filter((gid) => !sourceNodes.has(gid));
+    if (!missing.length) return;
+
+    if (!sourceGql) {
+      console.warn("⚠️ SOURCE_SHOP / SOURCE_ACCESS_TOKEN not set; reference GIDs can't be resolved");
+      for (const gid of missing) sourceNodes.set(gid, null);
+      return;
+    }
+
+    for (let i = 0; i < missing.length; i += 250) {
+      const ids = missing.slice(i, i + 250);
+      const data = await graphqlRequest(sourceGql, sourceToken, SOURCE_NODES_QUERY, { ids }, "ReferenceSourceNodes");
+      const nodes = data?.nodes || [];
+      ids.forEach((gid, idx) => sourceNodes.set(gid, nodes[idx] || null));
+    }
+  }
+
+  // Only hits are cached: importers keep one resolver for the life of the server,
+  // and a record missing now may be migrated by a later job
+  async function cached(baseType, key, lookup) {
+    const cacheKey = `${baseType}|${key}`;
+    if (resolved.has(cacheKey)) return resolved.get(cacheKey);
+
+    const targetId = await lookup();
+    if (targetId) resolved.set(cacheKey, targetId);
+    return targetId;
+  }
+
+  async function findProductByHandle(handle) {
+    const data = await target(TARGET_PRODUCT_BY_HANDLE_QUERY, { handle }, "ReferenceProductByHandle");
+    return data?.productByHandle || null;
+  }
+
+  async function resolveProduct(handle) {
+    return cached("product_reference", handle, async () => {
+      const ledger = getProductLedger();
+      // The resolver outlives jobs: on a miss, read what later product migrations added
+      if (ledger && !ledger.get(handle)) ledger.refresh();
+      const fromLedger = ledger?.get(handle)?.targetId;
+      if (fromLedger) return fromLedger;
+      return (await findProductByHandle(handle))?.id || null;
+    });
+  }
+
+  async function resolveCollection(handle) {
+    return cached("collection_reference", handle, async () => {
+      const data = await target(TARGET_COLLECTION_BY_HANDLE_QUERY, { handle }, "ReferenceCollectionByHandle");
+      return data?.collectionByHandle?.id || null;
+    });
+  }
+
+  /**
+   * Variant: by SKU when it is unique on TARGET, else by product handle + variant title
+   */
+  async function resolveVariant({ sku, productHandle, title }) {
+    return cached("variant_reference", `${sku || ""}|${productHandle || ""}|${title || ""}`, async () => {
+      if (sku) {
+        const data = await target(
+          TARGET_VARIANTS_BY_SKU_QUERY,
+          { query: `sku:${quoteSearchValue(sku)}` },
+          "ReferenceVariantsBySku"
+        );
+        const matches = (data?.productVariants?.nodes || []).filter((v) => v.sku === sku);
+        if (matches.length === 1) return matches[0].id;
+      }
+
+      if (productHandle) {
+        const product = await findProductByHandle(productHandle);
+        const variants = product?.variants?.nodes || [];
+        const match =
+          variants.find((v) => sku && v.sku === sku) ||
+          variants.find((v) => title && v.title === title) ||
+          (variants.length === 1 ? variants[0] : null);
+        return match?.id || null;
+      }
+
+      return null;
+    });
+  }
+
+  async function resolvePage(handle) {
+    return cached("page_reference", handle, async () => {
+      const data = await target(
+        TARGET_PAGES_BY_HANDLE_QUERY,
+        { query: `handle:${quoteSearchValue(handle)}` },
+        "ReferencePagesByHandle"
+      );
+      return (data?.pages?.nodes || []).find((p) => p.handle === handle)?.id || null;
+    });
+  }
+
+  async function resolveMetaobject(type, handle) {
+    return cached("metaobject_reference", `${type}.${handle}`, async () => {
+      const data = await target(
+        TARGET_METAOBJECT_BY_HANDLE_QUERY,
+        { handle: { type, handle } },
+        "ReferenceMetaobjectByHandle"
+      );
+      return data?.metaobjectByHandle?.id || null;
+    });
+  }
+
+  /**
+   * File: same file name on TARGET, else (optionally) upload it from the SOURCE url
+   */
+  async function resolveFile({ url, alt, typename }) {
+    return cached("file_reference", url, async () => {
+      const fileName = fileNameFromUrl(url);
+      if (fileName) {
+        const baseName = fileName.replace(/\.[^.]+$/, "");
+        const data = await target(
+          TARGET_FILES_BY_NAME_QUERY,
+          { query: `filename:${quoteSearchValue(baseName)}` },
+          "ReferenceFilesByName"
+        );
+
+        const match = (data?.files?.nodes || []).find((f) => {
+          const targetName = f.filename || fileNameFromUrl(f.image?.url || f.url || "");
+          return targetName === fileName;
+        });
+        if (match) return match.id;
+      }
+
+      if (!UPLOAD_MISSING_FILES) return null;
+
+      const contentType = typename === "MediaImage" ? "IMAGE" : typename === "Video" ? "VIDEO" : "FILE";
+      const data = await target(
+        TARGET_FILE_CREATE_MUTATION,
+        { files: [{ originalSource: url, alt: alt || null, contentType }] },
+        "ReferenceFileCreate"
+      );
+
+      const errors = data?.fileCreate?.userErrors || [];
+      if (errors.length) {
+        console.warn(`⚠️ Could not upload referenced file ${url}: ${errors.map((e) => e.message).join(" | ")}`);
+        return null;
+      }
+
+      const id = data?.fileCreate?.files?.[0]?.id || null;
+      if (id) console.log(`   📎 Uploaded referenced file to target: ${fileName || url}`);
+      return id;
+    });
+  }
+
+  /**
+   * One SOURCE GID → TARGET GID (via the SOURCE record's natural key)
+   */
+  async function resolveGid(baseType, gid) {
+    const node = sourceNodes.get(gid);
+    if (!node) return null;
+
+    const type = baseType === "mixed_reference" ? GID_RESOURCE_TYPES[node.__typename] : baseType;
+
+    switch (type) {
+      case "product_reference":
+        return node.handle ? resolveProduct(node.handle) : null;
+      case "collection_reference":
+        return node.handle ? resolveCollection(node.handle) : null;
+      case "variant_reference":
+        return resolveVariant({ sku: node.sku, productHandle: node.product?.handle, title: node.title });
+      case "page_reference":
+        return node.handle ? resolvePage(node.handle) : null;
+      case "metaobject_reference":
+        return node.type && node.handle ? resolveMetaobject(node.type, node.handle) : null;
+      case "file_reference": {
+        const url = node.image?.url || node.url || node.originalSource?.url;
+        return url ? resolveFile({ url, alt: node.alt, typename: node.__typename }) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * One sheet value (handle / SKU / URL / "type.handle") → TARGET GID
+   */
+  async function resolveNaturalKey(baseType, value) {
+    switch (baseType) {
+      case "product_reference":
+        return resolveProduct(value);
+      case "collection_reference":
+        return resolveCollection(value);
+      case "variant_reference":
+        return resolveVariant({ sku: value });
+      case "page_reference":
+        return resolvePage(value);
+      case "metaobject_reference": {
+        const dot = value.indexOf(".");
+        if (dot <= 0) return null;
+        return resolveMetaobject(value.slice(0, dot), value.slice(dot + 1));
+      }
+      case "file_reference":
+        return /^https?:\/\//i.test(value) ? resolveFile({ url: value, typename: null }) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Translate a reference metafield value. Returns the TARGET value
+   * (a GID, or a JSON array for list types) or null when nothing resolved.
+   * Non-reference types are returned unchanged.
+   */
+  async function resolveValue(type, rawValue, { label = "" } = {}) {
+    if (!isReferenceMetafieldType(type)) return rawValue;
+
+    const isList = type.startsWith("list.");
+    const baseType = isList ? type.slice("list.".length) : type;
+    const values = splitReferenceValue(type, rawValue);
+
+    if (PASS_THROUGH_TYPES.has(baseType)) {
+      if (!values.length) return null;
+      return isList ? JSON.stringify(values) : values[0];
+    }
+
+    await loadSourceNodes(values.filter(isGid));
+
+    const out = [];
+    for (const value of values) {
+      let targetId = null;
+      try {
+        targetId = isGid(value) ? await resolveGid(baseType, value) : await resolveNaturalKey(baseType, value);
+      } catch (err) {
+        console.warn(`⚠️ ${label} lookup failed for ${baseType} "${value}": ${err.message}`);
+      }
+
+      if (targetId) {
+        out.push(targetId);
+      } else {
+        console.warn(`⚠️ ${label} unresolved ${baseType}: "${value}" (${gidResource(value) || "not a GID"})`);
+      }
+    }
+
+    if (!out.length) return null;
+    return isList ? JSON.stringify(out) : out[0];
+  }
+
+  /**
+   * Resolve the reference entries of a metafield list ({ namespace, key, type, value, ... }).
+   * Other entries pass through; reference entries with nothing resolved are dropped.
+   */
+  async function resolveMetafields(metafields = [], { ownerLabel = "", entityLabel = "" } = {}) {
+    const out = [];
+
+    for (const mf of metafields) {
+      if (!mf || !isReferenceMetafieldType(mf.type)) {
+        if (mf) out.push(mf);
+        continue;
+      }
+
+      const label = `[${ownerLabel}] ${entityLabel} :: ${mf.namespace}.${mf.key}`;
+      const value = await resolveValue(mf.type, mf.value, { label });
+
+      if (value === null) {
+        console.warn(`⚠️ ${label} [${mf.type}] → metafield skipped (no target records)`);
+        continue;
+      }
+      out.push({ ...mf, value });
+    }
+
+    return out;
+  }
+
+  return {
+    resolveValue,
+    resolveMetafields,
+  };
+}
+
+/**
+ * Resolve product + variant reference metafields of a productSet input in place
+ * (entries that resolve to nothing are dropped)
+ */
+export async function resolveProductSetReferences(resolver, input) {
+  if (input.metafields?.length) {
+    input.metafields = await resolver.resolveMetafields(input.metafields, {
+      ownerLabel: "PRODUCT",
+      entityLabel: input.handle,
+    });
+  }
+
+  for (const variant of input.variants || []) {
+    if (!variant.metafields?.length) continue;
+    variant.metafields = await resolver.resolveMetafields(variant.metafields, {
+      ownerLabel: "VARIANT",
+      entityLabel: `${input.handle} :: ${variant.sku || variant.position || variant.id || ""}`,
+    });
+  }
+
+  return input;
+}
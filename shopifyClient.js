@@ -0,0 +1,170 @@
+// shopifyClient.js
+// Shared Shopify Admin GraphQL client used by every migration module.
+// Node 18+ (uses global fetch)
+
+import dotenv from "dotenv";
+dotenv.config();
+
+/**
+ * CONFIG
+ */
+const MAX_RETRIES = Number(process.env.GRAPHQL_MAX_RETRIES || 6);
+const BASE_BACKOFF_MS = Number(process.env.GRAPHQL_BASE_BACKOFF_MS || 800);
+
+// Cost we assume for a query we have not seen yet (Shopify's default bucket is 1000/2000 points)
+const DEFAULT_QUERY_COST = 50;
+
+/**
+ * Leaky bucket state per endpoint (i.e. per shop), taken from the last
+ * `extensions.cost.throttleStatus` Shopify returned for that shop.
+ */
+const buckets = new Map();
+
+// Last requestedQueryCost per label, so repeated calls can reserve the right amount up front
+const knownCosts = new Map();
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function estimateAvailable(bucket) {
+  const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+  return Math.min(
+    bucket.maximumAvailable,
+    bucket.currentlyAvailable + elapsedSeconds * bucket.restoreRate
+  );
+}
+
+function recordThrottleStatus(endpoint, label, cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+
+  buckets.set(endpoint, {
+    maximumAvailable: Number(status.maximumAvailable) || 1000,
+    currentlyAvailable: Number(status.currentlyAvailable) || 0,
+    restoreRate: Number(status.restoreRate) || 50,
+    updatedAt: Date.now(),
+  });
+
+  if (label && Number.isFinite(Number(cost.requestedQueryCost))) {
+    knownCosts.set(label, Number(cost.requestedQueryCost));
+  }
+}
+
+/**
+ * Wait until the bucket for this shop has enough points for the next query.
+ */
+async function waitForCapacity(endpoint, label) {
+  const bucket = buckets.get(endpoint);
+  if (!bucket) return;
+
+  const cost = Math.min(
+    knownCosts.get(label) || DEFAULT_QUERY_COST,
+    bucket.maximumAvailable
+  );
+  const available = estimateAvailable(bucket);
+  if (available >= cost) return;
+
+  const waitMs = Math.ceil(((cost - available) / bucket.restoreRate) * 1000);
+  console.log(
+    `⏳ ${label || "GraphQL"} – waiting ${waitMs}ms for throttle bucket (${Math.floor(available)}/${bucket.maximumAvailable} available, need ${cost})`
+  );
+  await sleep(waitMs);
+}
+
+/**
+ * Reserve the expected cost locally so concurrent callers don't all see a full bucket.
+ */
+function reserveCapacity(endpoint, label) {
+  const bucket = buckets.get(endpoint);
+  if (!bucket) return;
+
+  bucket.currentlyAvailable =
+    estimateAvailable(bucket) - (knownCosts.get(label) || DEFAULT_QUERY_COST);
+  bucket.updatedAt = Date.now();
+}
+
+function isThrottled(json) {
+  return (json?.errors || []).some((e) => e?.extensions?.code === "THROTTLED");
+}
+
+function backoffMs(attempt, retryAfterSeconds = 0) {
+  return BASE_BACKOFF_MS * Math.pow(2, attempt - 1) + retryAfterSeconds * 1000;
+}
+
+/**
+ * Generic GraphQL request with cost-aware throttling and retries.
+ *
+ * - waits out the leaky bucket before sending, based on the last throttleStatus
+ * - retries THROTTLED errors, HTTP 429 / 5xx and network failures with backoff
+ * - throws on any other HTTP or top-level GraphQL error
+ */
+export async function graphqlRequest(endpoint, token, query, variables = {}, label = "", attempt = 1) {
+  await waitForCapacity(endpoint, label);
+  reserveCapacity(endpoint, label);
+
+  let res;
+  try {
+    res = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": token,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+  } catch (err) {
+    if (attempt < MAX_RETRIES) {
+      const backoff = backoffMs(attempt);
+      console.warn(
+        `⏳ ${label || "GraphQL"} network error (${err.message}) – retrying in ${backoff}ms (attempt ${attempt + 1})`
+      );
+      await sleep(backoff);
+      return graphqlRequest(endpoint, token, query, variables, label, attempt + 1);
+    }
+    console.error(`❌ Request failed (${label}): ${err.message}`);
+    throw err;
+  }
+
+  // Rate limit / transient errors
+  if ((res.status === 429 || res.status >= 500) && attempt < MAX_RETRIES) {
+    const retryAfter = Number(res.headers.get("Retry-After")) || 0;
+    const backoff = backoffMs(attempt, retryAfter);
+    console.warn(
+      `⏳ ${label || "GraphQL"} HTTP ${res.status} – retrying in ${backoff}ms (attempt ${attempt + 1})`
+    );
+    await sleep(backoff);
+    return graphqlRequest(endpoint, token, query, variables, label, attempt + 1);
+  }
+
+  const text = await res.text();
+  let json;
+  try {
+    json = text ? JSON.parse(text) : {};
+  } catch (_) {
+    console.error(`❌ Invalid JSON (${label}):`, text.slice(0, 1200));
+    throw new Error(`Invalid JSON (${label})`);
+  }
+
+  recordThrottleStatus(endpoint, label, json?.extensions?.cost);
+
+  if (!res.ok) {
+    console.error(`❌ HTTP ${res.status} (${label})`);
+    console.error(text.slice(0, 2000));
+    throw new Error(`HTTP ${res.status} (${label})`);
+  }
+
+  if (isThrottled(json) && attempt < MAX_RETRIES) {
+    // recordThrottleStatus already refreshed the bucket, so the next call waits exactly as long as needed
+    console.warn(`⏳ ${label || "GraphQL"} THROTTLED – waiting for bucket (attempt ${attempt + 1})`);
+    if (!buckets.has(endpoint)) await sleep(backoffMs(attempt));
+    return graphqlRequest(endpoint, token, query, variables, label, attempt + 1);
+  }
+
+  if (json.errors?.length) {
+    console.error(`❌ GraphQL errors (${label}):`, JSON.stringify(json.errors, null, 2));
+    throw new Error(`GraphQL errors (${label}): ${JSON.stringify(json.errors)}`);
+  }
+
+  return json.data;
+}
@@ -6,6 +6,10 @@ import dotenv from "dotenv";
 dotenv.config();
 import XLSX from "xlsx";
 import { sanitizeMetafieldsForShopify } from "./utils.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+import { graphqlRequest } from "./shopifyClient.js";
+import { reportProgress } from "./jobs.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
 
 /**
  * CONFIG
@@ -23,9 +27,6 @@ if (!TARGET_SHOP || !TARGET_ACCESS_TOKEN) {
 
 const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
 
-/**
- * GRAPHQL
- */
 const ALLOWED_METAFIELD_TYPES = new Set([
     "boolean",
     "color",
@@ -277,6 +278,7 @@ function normalizeCategoryConditionToGid(condition) {
 }
 
 const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+const referenceResolver = createReferenceResolver();
 
 function toBool(v) {
     if (v === null || v === undefined || v === "") return null;
@@ -321,39 +323,6 @@ function normalizeCollectionSortOrder(value) {
     }
 }
 
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "") {
-    const res = await fetch(endpoint, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": token,
-        },
-        body: JSON.stringify({ query, variables }),
-    });
-
-    const text = await res.text();
-    let json;
-    try {
-        json = text ? JSON.parse(text) : {};
-    } catch (e) {
-        console.error(`❌ Invalid JSON (${label}):`, text.slice(0, 1200));
-        throw new Error("Invalid JSON");
-    }
-
-    if (!res.ok) {
-        console.error(`❌ HTTP ${res.status} (${label})`);
-        console.error(text.slice(0, 2000));
-        throw new Error(`HTTP ${res.status}`);
-    }
-
-    if (json.errors?.length) {
-        console.error(`❌ GraphQL errors (${label}):`, JSON.stringify(json.errors, null, 2));
-        throw new Error("GraphQL error");
-    }
-
-    return json.data;
-}
-
 function loadRows(filebuffer) {
     const wb = XLSX.read(filebuffer, { type: "buffer" });
     const sheet = wb.Sheets[wb.SheetNames[0]];
@@ -855,8 +824,14 @@ async function mapSmartCollectionToCreateInput(c) {
             entityLabel: c.handle,
         });
 
-        if (safeMetafields.length) {
-            input.metafields = safeMetafields;
+        // Reference values (handles, URLs, "type.handle") → TARGET GIDs
+        const resolvedMetafields = await referenceResolver.resolveMetafields(safeMetafields, {
+            ownerLabel: "SMART_COLLECTION",
+            entityLabel: c.handle,
+        });
+
+        if (resolvedMetafields.length) {
+            input.metafields = resolvedMetafields;
         }
     }
     return input;
@@ -947,11 +922,29 @@ export async function migrateSmartCollections(req, res) {
     let skippedCount = 0;
     let failedCount = 0;
 
+    // Status report lists every sheet row of a collection with that collection's outcome
+    const statusReport = createStatusReport("smart_collections");
+    const sheetRowsByHandle = new Map();
+    for (const row of rows) {
+        const handle = normalizeHandle(row["Handle"]);
+        if (!handle) continue;
+        if (!sheetRowsByHandle.has(handle)) sheetRowsByHandle.set(handle, []);
+        sheetRowsByHandle.get(handle).push(row);
+    }
+    reportProgress(req, { total: smartCollections.length });
+
     for (let i = 0; i < smartCollections.length; i++) {
         const c = smartCollections[i];
         const label = `#${i + 1} "${c.title}" (handle: ${c.handle})`;
 
         console.log(`\n➡️  Processing ${label}`);
+        reportProgress(req, {
+            processed: i,
+            succeeded: upsertedCount,
+            skipped: skippedCount,
+            failed: failedCount,
+            currentRow: label,
+        });
 
         try {
             // Requirements
@@ -965,6 +958,11 @@ export async function migrateSmartCollections(req, res) {
             if (existingId) {
                 console.log(`🟡 Collection already exists → handle="${c.handle}", id=${existingId}`);
                 skippedCount++;
+                statusReport.add(sheetRowsByHandle.get(c.handle), {
+                    status: REPORT_STATUS.SKIPPED,
+                    action: "exists_on_target",
+                    targetId: existingId,
+                });
                 continue;
             }
 
@@ -993,6 +991,11 @@ export async function migrateSmartCollections(req, res) {
             const created = await createOrUpsertCollection(input);
             console.log(`✅ Created collection: id=${created.id} title="${created.title}" handle="${created.handle}"`);
             upsertedCount++;
+            statusReport.add(sheetRowsByHandle.get(c.handle), {
+                status: REPORT_STATUS.SUCCESS,
+                action: "created",
+                targetId: created.id,
+            });
 
             // Publish
             const publicationInputs = buildPublicationInputs(c.published, c.publishedScope, targetPublicationMap);
@@ -1008,16 +1011,39 @@ export async function migrateSmartCollections(req, res) {
             failedCount++;
             console.error(`❌ Failed ${label}`);
             console.error("   Reason:", JSON.stringify(err, null, 2));
+            statusReport.add(sheetRowsByHandle.get(c.handle), {
+                status: REPORT_STATUS.FAILED,
+                action: "create",
+                error: err,
+            });
         }
 
         await delay(650);
     }
 
+    reportProgress(req, {
+        processed: smartCollections.length,
+        succeeded: upsertedCount,
+        skipped: skippedCount,
+        failed: failedCount,
+    });
+
     console.log("\n📊 SMART collections import completed.");
     console.log(`   ✅ Created: ${upsertedCount}`);
     console.log(`   🔁 Skipped:  ${skippedCount}`);
     console.log(`   ❌ Failed:   ${failedCount}`);
-
-    if (res?.json) res.json({ ok: failedCount === 0, upsertedCount, skippedCount, failedCount });
+    statusReport.flush();
+    console.log(`   📄 Report:   ${statusReport.filePath}`);
+
+    if (res?.json) {
+        res.json({
+            ok: failedCount === 0,
+            upsertedCount,
+            skippedCount,
+            failedCount,
+            reportPath: statusReport.filePath,
+            reportUrl: statusReport.downloadUrl,
+        });
+    }
     if (failedCount > 0) process.exitCode = 1;
 }
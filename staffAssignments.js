@@ -0,0 +1,178 @@
+// staffAssignments.js
+// Assigns TARGET staff members (sales reps) to B2B company locations by email.
+// Staff are matched on their email, since staff member IDs differ per shop.
+// The TARGET staff list is loaded once per assigner; the app needs the read_users scope.
+
+import dotenv from "dotenv";
+import { graphqlRequest } from "./shopifyClient.js";
+
+dotenv.config();
+
+/**
+ * CONFIG
+ */
+const {
+  API_VERSION = "2025-10",
+  TARGET_SHOP,
+  TARGET_ACCESS_TOKEN,
+} = process.env;
+
+const QUERY_STAFF_MEMBERS = `
+  query StaffMembers($cursor: String) {
+    staffMembers(first: 250, after: $cursor) {
+      nodes {
+        id
+        email
+        active
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const QUERY_LOCATION_STAFF = `
+  query CompanyLocationStaff($id: ID!) {
+    companyLocation(id: $id) {
+      id
+      staffMemberAssignments(first: 50) {
+        nodes {
+          id
+          staffMember { id }
+        }
+      }
+    }
+  }
+`;
+
+const MUTATION_ASSIGN_STAFF = `
+  mutation CompanyLocationAssignStaffMembers($companyLocationId: ID!, $staffMemberIds: [ID!]!) {
+    companyLocationAssignStaffMembers(companyLocationId: $companyLocationId, staffMemberIds: $staffMemberIds) {
+      companyLocationStaffMemberAssignments { id }
+      userErrors { field message code }
+    }
+  }
+`;
+
+/**
+ * Split a sheet cell ("a@x.com, b@x.com; c@x.com") into lowercased emails
+ */
+export function parseStaffEmails(value) {
+  if (value === null || value === undefined) return [];
+  return [...new Set(
+    String(value)
+      .split(/[,;\n]/)
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean)
+  )];
+}
+
+/**
+ * Emails of the staff assigned to a SOURCE company location
+ * (location node queried with staffMemberAssignments { nodes { staffMember { email } } })
+ */
+export function staffEmailsFromLocation(location) {
+  const nodes = location?.staffMemberAssignments?.nodes || [];
+  return parseStaffEmails(nodes.map((n) => n?.staffMember?.email).filter(Boolean).join(","));
+}
+
+export function createStaffAssigner({
+  targetShop = TARGET_SHOP,
+  targetToken = TARGET_ACCESS_TOKEN,
+} = {}) {
+  const targetGql = `https://${targetShop}/admin/api/${API_VERSION}/graphql.json`;
+  let staffByEmail = null; // lowercased email → staff member id
+
+  async function loadStaff() {
+    if (staffByEmail) return staffByEmail;
+
+    staffByEmail = new Map();
+    let cursor = null;
+    while (true) {
+      const data = await graphqlRequest(targetGql, targetToken, QUERY_STAFF_MEMBERS, { cursor }, "StaffMembers(TARGET)");
+      for (const s of data?.staffMembers?.nodes || []) {
+        if (s.email && s.active !== false) staffByEmail.set(s.email.toLowerCase(), s.id);
+      }
+      if (!data?.staffMembers?.pageInfo?.hasNextPage) break;
+      cursor = data.staffMembers.pageInfo.endCursor;
+    }
+    console.log(`👔 Loaded ${staffByEmail.size} active TARGET staff members`);
+    return staffByEmail;
+  }
+
+  /**
+   * Map emails to TARGET staff member IDs; emails without an active staff member come back in `missing`
+   */
+  async function resolveEmails(emails) {
+    const byEmail = await loadStaff();
+    const staffMemberIds = [];
+    const missing = [];
+    for (const email of emails) {
+      const id = byEmail.get(String(email).toLowerCase());
+      if (id) staffMemberIds.push(id);
+      else missing.push(email);
+    }
+    return { staffMemberIds, missing };
+  }
+
+  /**
+   * Assign the staff with these emails to a TARGET company location (staff already assigned are left alone).
+   * With a dryRunReport the mutation is recorded under `ref` instead of sent.
+   * Returns { assigned, alreadyAssigned, missing } (counts, counts, emails).
+   */
+  async function assignByEmails(companyLocationId, emails, { label = companyLocationId, dryRunReport = null, ref = label } = {}) {
+    const outcome = { assigned: 0, alreadyAssigned: 0, missing: [] };
+    if (!companyLocationId || !emails?.length) return outcome;
+
+    const { staffMemberIds, missing } = await resolveEmails(emails);
+    outcome.missing = missing;
+    for (const email of missing) {
+      console.warn(`⚠️ Staff member ${email} not found on TARGET; not assigned to ${label}`);
+      dryRunReport?.addProblem(ref, "staff_not_found", `Staff member "${email}" does not exist on TARGET (${label})`);
+    }
+    if (!staffMemberIds.length) return outcome;
+
+    // Locations that only exist in a dry run have no assignments yet
+    let current = new Set();
+    if (!String(companyLocationId).startsWith("dry-run:")) {
+      const data = await graphqlRequest(
+        targetGql,
+        targetToken,
+        QUERY_LOCATION_STAFF,
+        { id: companyLocationId },
+        "CompanyLocationStaff(TARGET)"
+      );
+      current = new Set(
+        (data?.companyLocation?.staffMemberAssignments?.nodes || []).map((a) => a.staffMember?.id).filter(Boolean)
+      );
+    }
+
+    const toAssign = staffMemberIds.filter((id) => !current.has(id));
+    outcome.alreadyAssigned = staffMemberIds.length - toAssign.length;
+    if (!toAssign.length) return outcome;
+
+    if (dryRunReport) {
+      dryRunReport.addInput(ref, "companyLocationAssignStaffMembers", { companyLocationId, staffMemberIds: toAssign });
+      outcome.assigned = toAssign.length;
+      return outcome;
+    }
+
+    const data = await graphqlRequest(
+      targetGql,
+      targetToken,
+      MUTATION_ASSIGN_STAFF,
+      { companyLocationId, staffMemberIds: toAssign },
+      "companyLocationAssignStaffMembers"
+    );
+    const errs = data?.companyLocationAssignStaffMembers?.userErrors || [];
+    if (errs.length) throw new Error(`companyLocationAssignStaffMembers (${label}): ${JSON.stringify(errs)}`);
+
+    outcome.assigned = toAssign.length;
+    console.log(`👔 Assigned ${toAssign.length} staff member(s) to ${label}`);
+    return outcome;
+  }
+
+  return { resolveEmails, assignByEmails };
+}
@@ -0,0 +1,141 @@
+// statusReport.js
+// Per-row status reports for the sheet importers.
+// Same shape as the blog / pages / discounts reports: every original sheet row
+// plus what happened to it, written to reports/<entity>_report_<timestamp>.xlsx.
+// Rows are buffered and the file is rewritten every REPORT_FLUSH_ROWS rows or
+// REPORT_FLUSH_SECONDS after the last unwritten row, so a crashed run still leaves
+// a usable file; importers call flush() once at the end.
+
+import fs from "fs";
+import path from "path";
+import XLSX from "xlsx";
+
+/**
+ * CONFIG
+ */
+const REPORTS_DIR = path.join(process.cwd(), "reports");
+
+// The whole workbook is rebuilt on every write, so write in batches
+const REPORT_FLUSH_ROWS = Math.max(1, Number(process.env.REPORT_FLUSH_ROWS) || 200);
+const REPORT_FLUSH_SECONDS = Math.max(1, Number(process.env.REPORT_FLUSH_SECONDS) || 10);
+
+export const REPORT_STATUS = {
+  SUCCESS: "SUCCESS",
+  SKIPPED: "SKIPPED",
+  FAILED: "FAILED",
+};
+
+function getTimestampForFilename() {
+  const d = new Date();
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_` +
+    `${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`
+  );
+}
+
+function formatError(error) {
+  if (!error) return "";
+  if (typeof error === "string") return error;
+  if (error?.message) return error.message;
+  try {
+    return JSON.stringify(error);
+  } catch {
+    return String(error);
+  }
+}
+
+/**
+ * Start a report for one import run.
+ *
+ * @param {string} entity  e.g. "products", "customers" – used in the file and sheet name
+ * @param {object} [opts]
+ * @param {boolean} [opts.disabled]  collect nothing and write nothing (dry-run)
+ */
+export function createStatusReport(entity, { disabled = false } = {}) {
+  const fileName = `${entity}_report_${getTimestampForFilename()}.xlsx`;
+  const filePath = path.join(REPORTS_DIR, fileName);
+  const rows = [];
+  let unwritten = 0;
+  let flushTimer = null;
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (disabled || (!unwritten && fs.existsSync(filePath))) return;
+    unwritten = 0;
+
+    if (!fs.existsSync(REPORTS_DIR)) fs.mkdirSync(REPORTS_DIR, { recursive: true });
+
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(rows);
+    XLSX.utils.book_append_sheet(wb, ws, `${entity} report`.slice(0, 31));
+    fs.writeFileSync(filePath, XLSX.write(wb, { bookType: "xlsx", type: "buffer" }));
+  }
+
+  return {
+    fileName: disabled ? null : fileName,
+    filePath: disabled ? null : filePath,
+    downloadUrl: disabled ? null : `/reports/${fileName}`,
+
+    /**
+     * Append the original sheet row(s) with their outcome (written in batches, see flush).
+     * Pass an array when several sheet rows make up one record (e.g. product variants).
+     * Any other fields in the outcome are appended as extra columns.
+     */
+    add(sourceRows, { status, action = "", targetId = "", error = "", ...extra }) {
+      if (disabled) return;
+
+      for (const row of Array.isArray(sourceRows) ? sourceRows : [sourceRows]) {
+        rows.push({
+          ...row,
+          Status: status,
+          Action: action,
+          "Target GID": targetId || "",
+          Error: formatError(error),
+          ...extra,
+        });
+        unwritten++;
+      }
+
+      if (unwritten >= REPORT_FLUSH_ROWS) {
+        flush();
+      } else if (!flushTimer) {
+        flushTimer = setTimeout(flush, REPORT_FLUSH_SECONDS * 1000);
+        // a pending write must not keep a CLI run alive
+        flushTimer.unref?.();
+      }
+    },
+
+    /**
+     * Write the buffered rows now. Call once when the run is done, before handing out the file.
+     */
+    flush,
+
+    summary() {
+      const counts = {};
+      for (const row of rows) counts[row.Status] = (counts[row.Status] || 0) + 1;
+      return counts;
+    },
+  };
+}
+
+/**
+ * Express handler: GET /reports/:file
+ * Serves any .xlsx from ./reports (also the blog / pages / discounts reports).
+ */
+export function downloadReport(req, res) {
+  const fileName = path.basename(String(req.params.file || ""));
+  if (!fileName.endsWith(".xlsx")) {
+    return res.status(400).json({ ok: false, error: "Only .xlsx reports can be downloaded" });
+  }
+
+  const filePath = path.join(REPORTS_DIR, fileName);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ ok: false, error: "Report not found" });
+  }
+
+  return res.download(filePath, fileName);
+}
@@ -0,0 +1,558 @@
+#!/usr/bin/env node
+// syncCustomersShopifyToShopify.js
+// Node 18+ (uses global fetch)
+//
+// Usage:
+//   node syncCustomersShopifyToShopify.js                          # all customers
+//   node syncCustomersShopifyToShopify.js "tag:wholesale"          # Shopify customer query
+//   node syncCustomersShopifyToShopify.js --full                   # ignore the updated_at watermark
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { graphqlRequest } from "./shopifyClient.js";
+import { openWatermark } from "./watermark.js";
+import { createReferenceResolver } from "./referenceResolver.js";
+import {
+  updateCustomerEmailConsentOnTargetFromSource,
+  updateCustomerSmsConsentOnTargetFromSource,
+} from "./companyAndCustomerSync.js";
+
+dotenv.config();
+
+/**
+ * CONFIG
+ */
+const API_VERSION = process.env.API_VERSION || "2025-10";
+
+const SOURCE_SHOP = process.env.SOURCE_SHOP;
+const SOURCE_ACCESS_TOKEN = process.env.SOURCE_ACCESS_TOKEN;
+
+const TARGET_SHOP = process.env.TARGET_SHOP;
+const TARGET_ACCESS_TOKEN = process.env.TARGET_ACCESS_TOKEN;
+
+// Optional: filter customers on SOURCE (Shopify query syntax), e.g. "tag:wholesale".
+// A query passed on the command line wins over the env var; both are combined with the updated_at watermark.
+const CUSTOMER_QUERY =
+  process.argv.slice(2).find((arg) => !arg.startsWith("--")) || process.env.CUSTOMER_QUERY || null;
+
+if (!SOURCE_SHOP || !SOURCE_ACCESS_TOKEN || !TARGET_SHOP || !TARGET_ACCESS_TOKEN) {
+  console.error("❌ Missing SOURCE_* or TARGET_* env vars in .env");
+  process.exit(1);
+}
+
+const SOURCE_GQL = `https://${SOURCE_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+
+// ----- Logging setup -----
+const LOG_DIR = path.resolve("./logs");
+if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+
+const FAILED_JSON = path.join(LOG_DIR, "failedCustomers.json");
+if (!fs.existsSync(FAILED_JSON)) fs.writeFileSync(FAILED_JSON, "[]");
+
+const SYNC_LOG = path.join(LOG_DIR, "customerSyncLog.txt");
+
+function logLine(message) {
+  const line = `[${new Date().toISOString()}] ${message}\n`;
+  fs.appendFileSync(SYNC_LOG, line);
+  console.log(message);
+}
+
+function appendJson(file, obj) {
+  try {
+    const arr = JSON.parse(fs.readFileSync(file, "utf8"));
+    arr.push(obj);
+    fs.writeFileSync(file, JSON.stringify(arr, null, 2));
+  } catch (e) {
+    fs.writeFileSync(file, JSON.stringify([obj], null, 2));
+  }
+}
+
+/**
+ * ---- SOURCE QUERY: CUSTOMERS (with pagination) ----
+ * Page size is kept small because addresses and metafields multiply the query cost.
+ */
+const SOURCE_CUSTOMER_FIELDS = `
+  fragment SourceCustomerFields on Customer {
+    id
+    email
+    phone
+    firstName
+    lastName
+    note
+    tags
+    locale
+    taxExempt
+    taxExemptions
+    defaultAddress {
+      id
+    }
+    addressesV2(first: 20) {
+      nodes {
+        id
+        address1
+        address2
+        city
+        provinceCode
+        countryCodeV2
+        zip
+        phone
+        firstName
+        lastName
+        company
+      }
+    }
+    metafields(first: 30) {
+      nodes {
+        namespace
+        key
+        type
+        value
+      }
+    }
+    emailMarketingConsent {
+      marketingState
+      marketingOptInLevel
+      consentUpdatedAt
+    }
+    smsMarketingConsent {
+      marketingState
+      marketingOptInLevel
+      consentUpdatedAt
+    }
+  }
+`;
+
+const QUERY_SOURCE_CUSTOMERS = `
+  query GetCustomers($cursor: String, $query: String) {
+    customers(first: 10, after: $cursor, query: $query) {
+      edges {
+        cursor
+        node {
+          ...SourceCustomerFields
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${SOURCE_CUSTOMER_FIELDS}
+`;
+
+// Single customer, same fields (webhook replays)
+const QUERY_SOURCE_CUSTOMER = `
+  query GetCustomer($id: ID!) {
+    customer(id: $id) {
+      ...SourceCustomerFields
+    }
+  }
+  ${SOURCE_CUSTOMER_FIELDS}
+`;
+
+/**
+ * ---- TARGET QUERIES & MUTATIONS ----
+ */
+const QUERY_TARGET_CUSTOMER = `
+  query FindCustomer($q: String!) {
+    customers(first: 1, query: $q) {
+      nodes {
+        id
+        email
+        phone
+      }
+    }
+  }
+`;
+
+const MUTATION_CUSTOMER_CREATE = `
+  mutation customerCreate($input: CustomerInput!) {
+    customerCreate(input: $input) {
+      customer {
+        id
+        email
+        phone
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const MUTATION_CUSTOMER_UPDATE = `
+  mutation customerUpdate($input: CustomerInput!) {
+    customerUpdate(input: $input) {
+      customer {
+        id
+        email
+        phone
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const MUTATION_METAFIELDS_SET = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        namespace
+        key
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_SET_BATCH = 25;
+
+/**
+ * Map metafields connection -> MetafieldsSetInput[] for one owner
+ * (shopify / app-owned namespaces can't be written from here)
+ */
+function mapMetafieldsForSet(ownerId, metafieldsConnection) {
+  const nodes = metafieldsConnection?.nodes || [];
+  const list = [];
+
+  for (const m of nodes) {
+    if (!m || !m.namespace || !m.key || m.value == null || !m.type) continue;
+    if (m.namespace === "shopify" || m.namespace.startsWith("app--")) continue;
+
+    list.push({
+      ownerId,
+      namespace: m.namespace,
+      key: m.key,
+      type: m.type,
+      value: String(m.value),
+    });
+  }
+
+  return list;
+}
+
+/**
+ * Map source addresses -> MailingAddressInput[], default address first
+ * (Shopify makes the first address the default one)
+ */
+function mapAddresses(sourceCustomer) {
+  const nodes = [...(sourceCustomer.addressesV2?.nodes || [])];
+  const defaultId = sourceCustomer.defaultAddress?.id;
+
+  nodes.sort((a, b) => (a.id === defaultId ? -1 : b.id === defaultId ? 1 : 0));
+
+  return nodes.map((addr) => ({
+    address1: addr.address1,
+    address2: addr.address2,
+    city: addr.city,
+    countryCode: addr.countryCodeV2,
+    provinceCode: addr.provinceCode,
+    zip: addr.zip,
+    phone: addr.phone,
+    firstName: addr.firstName || sourceCustomer.firstName,
+    lastName: addr.lastName || sourceCustomer.lastName,
+    company: addr.company,
+  }));
+}
+
+/**
+ * Build CustomerInput from a SOURCE customer (same fields for create and update)
+ */
+function buildCustomerInput(sourceCustomer) {
+  const input = {
+    firstName: sourceCustomer.firstName || null,
+    lastName: sourceCustomer.lastName || null,
+    note: sourceCustomer.note || null,
+    tags: Array.isArray(sourceCustomer.tags) ? [...sourceCustomer.tags] : [],
+    taxExempt: !!sourceCustomer.taxExempt,
+    taxExemptions: sourceCustomer.taxExemptions || [],
+  };
+
+  const email = (sourceCustomer.email || "").trim();
+  const phone = (sourceCustomer.phone || "").trim();
+  if (email) input.email = email;
+  if (phone) input.phone = phone;
+  if (sourceCustomer.locale) input.locale = sourceCustomer.locale;
+
+  const addresses = mapAddresses(sourceCustomer);
+  if (addresses.length) input.addresses = addresses;
+
+  return input;
+}
+
+// Reference metafields (products, metaobjects, files...) → TARGET GIDs
+const referenceResolver = createReferenceResolver();
+
+/**
+ * Find the TARGET customer for a SOURCE customer: by email first, then by phone
+ */
+async function findTargetCustomer(sourceCustomer) {
+  const email = (sourceCustomer.email || "").trim();
+  const phone = (sourceCustomer.phone || "").trim();
+
+  const lookups = [];
+  if (email) lookups.push(["email", `email:"${email}"`]);
+  if (phone) lookups.push(["phone", `phone:"${phone}"`]);
+
+  for (const [matchedBy, q] of lookups) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      QUERY_TARGET_CUSTOMER,
+      { q },
+      `FindCustomer by ${matchedBy} (TARGET)`
+    );
+
+    const customer = data?.customers?.nodes?.[0];
+    if (customer) return { customer, matchedBy };
+  }
+
+  return { customer: null, matchedBy: null };
+}
+
+async function setCustomerMetafields(sourceCustomer, targetCustomerId) {
+  const metafields = await referenceResolver.resolveMetafields(
+    mapMetafieldsForSet(targetCustomerId, sourceCustomer.metafields),
+    { ownerLabel: "CUSTOMER", entityLabel: sourceCustomer.email || sourceCustomer.phone || sourceCustomer.id }
+  );
+
+  for (let i = 0; i < metafields.length; i += METAFIELDS_SET_BATCH) {
+    const batch = metafields.slice(i, i + METAFIELDS_SET_BATCH);
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      MUTATION_METAFIELDS_SET,
+      { metafields: batch },
+      "MetafieldsSet(customer TARGET)"
+    );
+
+    const errors = data?.metafieldsSet?.userErrors || [];
+    if (errors.length) {
+      throw new Error(`metafieldsSet userErrors: ${JSON.stringify(errors)}`);
+    }
+  }
+
+  return metafields.length;
+}
+
+/**
+ * Upsert customer on TARGET
+ * - match by email, then phone
+ * - update (full overwrite of scalar fields, tags and addresses) or create
+ * - then metafields and email / SMS marketing consent
+ * Returns { targetCustomer, created }, or { skipped: true } for a customer that can't be matched.
+ */
+async function upsertCustomerOnTargetFromSource(sourceCustomer, idx) {
+  const label = sourceCustomer.email || sourceCustomer.phone;
+  if (!label) {
+    logLine(`[${idx}] ⚠️ Skipping customer without email and phone: ${sourceCustomer.id}`);
+    // Nothing to match on; retrying won't help, so this is not a failure
+    return { skipped: true };
+  }
+
+  const input = buildCustomerInput(sourceCustomer);
+  const { customer: existing, matchedBy } = await findTargetCustomer(sourceCustomer);
+
+  let targetCustomer;
+
+  if (existing) {
+    logLine(`[${idx}] 🔄 Updating customer ${label} (matched by ${matchedBy} → ${existing.id})`);
+
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      MUTATION_CUSTOMER_UPDATE,
+      { input: { id: existing.id, ...input } },
+      "customerUpdate(TARGET)"
+    );
+
+    const errors = data?.customerUpdate?.userErrors || [];
+    if (errors.length) {
+      throw new Error(`customerUpdate userErrors: ${JSON.stringify(errors)}`);
+    }
+    targetCustomer = data.customerUpdate.customer;
+  } else {
+    logLine(`[${idx}] 🆕 Creating customer ${label}`);
+
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      MUTATION_CUSTOMER_CREATE,
+      { input },
+      "customerCreate(TARGET)"
+    );
+
+    const errors = data?.customerCreate?.userErrors || [];
+    if (errors.length) {
+      throw new Error(`customerCreate userErrors: ${JSON.stringify(errors)}`);
+    }
+    targetCustomer = data.customerCreate.customer;
+  }
+
+  const metafieldCount = await setCustomerMetafields(sourceCustomer, targetCustomer.id);
+  if (metafieldCount) {
+    logLine(`[${idx}] 🏷️ Set ${metafieldCount} customer metafields`);
+  }
+
+  // Consent goes through the dedicated mutations for new and existing customers alike
+  try {
+    await updateCustomerEmailConsentOnTargetFromSource(sourceCustomer, targetCustomer);
+  } catch (e) {
+    logLine(`[${idx}] ⚠️ Email consent sync failed for ${label}: ${e.message}`);
+  }
+
+  try {
+    await updateCustomerSmsConsentOnTargetFromSource(sourceCustomer, targetCustomer);
+  } catch (e) {
+    logLine(`[${idx}] ⚠️ SMS consent sync failed for ${label}: ${e.message}`);
+  }
+
+  logLine(
+    `[${idx}] ✅ Synced customer ${label} → TARGET id=${targetCustomer.id} (${existing ? "updated" : "created"})`
+  );
+  return { targetCustomer, created: !existing };
+}
+
+/**
+ * Sync a single SOURCE customer node (wrapper for error handling)
+ */
+async function syncSingleCustomerNode(node, idx) {
+  try {
+    return await upsertCustomerOnTargetFromSource(node, idx);
+  } catch (err) {
+    const reason =
+      err instanceof Error ? err.message : typeof err === "string" ? err : JSON.stringify(err);
+
+    logLine(
+      `[${idx}] ❌ FAILED syncing customer ${node.email || node.phone} (${node.id}) :: ${reason}`
+    );
+
+    appendJson(FAILED_JSON, {
+      index: idx,
+      sourceCustomerId: node.id,
+      email: node.email,
+      phone: node.phone,
+      reason,
+      at: new Date().toISOString(),
+    });
+    return null;
+  }
+}
+
+/**
+ * Fetch one SOURCE customer by GID and upsert it on TARGET (webhook replays).
+ * Throws on failure so the caller can record it.
+ */
+export async function syncSourceCustomerById(customerGid) {
+  const data = await graphqlRequest(
+    SOURCE_GQL,
+    SOURCE_ACCESS_TOKEN,
+    QUERY_SOURCE_CUSTOMER,
+    { id: customerGid },
+    "GetCustomer(SOURCE)"
+  );
+
+  const customer = data?.customer;
+  if (!customer) {
+    logLine(`⚠️ Source customer ${customerGid} not found (deleted?); nothing to sync`);
+    return null;
+  }
+
+  return upsertCustomerOnTargetFromSource(customer, "webhook");
+}
+
+/**
+ * MAIN runner
+ * - Paginate customers from SOURCE
+ * - For each customer, upsert to TARGET by email or phone
+ */
+async function main() {
+  logLine("🚀 Starting customer sync: SOURCE → TARGET");
+  logLine(`   SOURCE_SHOP = ${SOURCE_SHOP}`);
+  logLine(`   TARGET_SHOP = ${TARGET_SHOP}`);
+  if (CUSTOMER_QUERY) {
+    logLine(`   CUSTOMER_QUERY = "${CUSTOMER_QUERY}"`);
+  }
+
+  const watermark = openWatermark("customers");
+  const sourceQuery = watermark.applyToQuery(CUSTOMER_QUERY);
+  if (watermark.since) {
+    logLine(`   Delta since ${watermark.since} (query: "${sourceQuery}")`);
+  }
+
+  let cursor = null;
+  let hasNextPage = true;
+  let index = 0;
+  let created = 0;
+  let updated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  while (hasNextPage) {
+    const data = await graphqlRequest(
+      SOURCE_GQL,
+      SOURCE_ACCESS_TOKEN,
+      QUERY_SOURCE_CUSTOMERS,
+      { cursor, query: sourceQuery },
+      "GetCustomers(SOURCE)"
+    );
+
+    const conn = data?.customers;
+    const edges = conn?.edges || [];
+
+    if (!edges.length) {
+      logLine("ℹ️ No more customers found on SOURCE.");
+      break;
+    }
+
+    for (const edge of edges) {
+      index++;
+      const result = await syncSingleCustomerNode(edge.node, index);
+      if (!result) failed++;
+      else if (result.skipped) skipped++;
+      else if (result.created) created++;
+      else updated++;
+    }
+
+    hasNextPage = conn.pageInfo?.hasNextPage || false;
+    cursor = conn.pageInfo?.endCursor || null;
+
+    logLine(
+      `👥 Page processed. Accumulated customers processed: ${index}. hasNextPage=${hasNextPage}`
+    );
+  }
+
+  logLine(
+    `🎯 Completed customer sync. Total: ${index}, created: ${created}, updated: ${updated}, skipped: ${skipped}, failed: ${failed}`
+  );
+
+  if (failed === 0) {
+    // Skipped customers (no email or phone) don't hold the watermark back
+    watermark.commit({ processed: index, created, updated, skipped });
+  } else {
+    logLine(`⚠️ Watermark not moved: ${failed} customer(s) failed and will be fetched again next run`);
+  }
+}
+
+// Only run as a script; the webhook receiver imports syncSourceCustomerById from this file
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    const reason =
+      err instanceof Error ? err.message : typeof err === "string" ? err : JSON.stringify(err);
+    console.error("💥 Fatal error in customer sync:", reason);
+    logLine(`💥 Fatal error in customer sync: ${reason}`);
+    process.exit(1);
+  });
+}
@@ -5,6 +5,10 @@
 import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
+import { fileURLToPath } from "url";
+import { graphqlRequest } from "./shopifyClient.js";
+import { openWatermark } from "./watermark.js";
+import { createReferenceResolver, resolveProductSetReferences } from "./referenceResolver.js";
 
 dotenv.config();
 
@@ -20,12 +24,9 @@ const TARGET_SHOP = process.env.TARGET_SHOP;
 const TARGET_ACCESS_TOKEN = process.env.TARGET_ACCESS_TOKEN;
 
 // Optional: filter products on SOURCE (Shopify query syntax), e.g. "status:active"
+// Combined with the updated_at watermark unless run with --full / FULL_SYNC=true
 const PRODUCT_QUERY = process.env.PRODUCT_QUERY || null;
 
-// Retry config
-const MAX_RETRIES = 4;
-const BASE_BACKOFF_MS = 800;
-
 if (!SOURCE_SHOP || !SOURCE_ACCESS_TOKEN || !TARGET_SHOP || !TARGET_ACCESS_TOKEN) {
   console.error("❌ Missing SOURCE_* or TARGET_* env vars in .env");
   process.exit(1);
@@ -59,151 +60,116 @@ function appendJson(file, obj) {
   }
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-/**
- * Generic GraphQL request with rate-limit aware retries
- */
-async function graphqlRequest(endpoint, token, query, variables = {}, label = "", attempt = 1) {
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  // Rate limit / transient errors
-  if ((res.status === 429 || res.status >= 500) && attempt < MAX_RETRIES) {
-    const retryAfter = Number(res.headers.get("Retry-After")) || 0;
-    const backoff = BASE_BACKOFF_MS * Math.pow(2, attempt - 1) + retryAfter * 1000;
-    logLine(
-      `⏳ ${label || "GraphQL"} HTTP ${res.status} – retrying in ${backoff}ms (attempt ${attempt + 1})`
-    );
-    await sleep(backoff);
-    return graphqlRequest(endpoint, token, query, variables, label, attempt + 1);
-  }
-
-  const json = await res.json().catch(() => ({}));
-
-  if (!res.ok) {
-    throw new Error(
-      `GraphQL HTTP ${res.status} (${label}): ${JSON.stringify(json?.errors || json)}`
-    );
-  }
-  if (json?.errors?.length) {
-    throw new Error(`GraphQL errors (${label}): ${JSON.stringify(json.errors)}`);
-  }
-  return json.data;
-}
-
 /**
  * ---- SOURCE QUERY: PRODUCTS (with pagination) ----
  * Feel free to trim fields if this is too heavy.
  */
+const SOURCE_PRODUCT_FIELDS = `
+  fragment SourceProductFields on Product {
+    id
+    title
+    handle
+    descriptionHtml
+    createdAt
+    isGiftCard
+    productType
+    vendor
+    status
+    tags
+    templateSuffix
+    seo {
+      title
+      description
+    }
+    priceRangeV2 {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+      maxVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    metafields(first: 250) {
+      nodes {
+        id
+        namespace
+        key
+        type
+        value
+      }
+    }
+    options(first: 10) {
+      id
+      name
+      position
+      values
+    }
+    media(first: 50) {
+      nodes {
+        __typename
+        alt
+        id
+        mediaContentType
+        ... on MediaImage {
+          id
+          alt
+          originalSource {
+            url
+            fileSize
+          }
+        }
+      }
+    }
+    variants(first: 250) {
+      nodes {
+        id
+        sku
+        title
+        barcode
+        availableForSale
+        position
+       price
+  compareAtPrice
+  
+        taxable
+        unitPrice {
+          amount
+          currencyCode
+        }
+        unitPriceMeasurement {
+          measuredType
+          quantityUnit
+          quantityValue
+          referenceUnit
+          referenceValue
+        }
+        selectedOptions {
+          name
+          value
+        }
+        metafields(first: 100) {
+          nodes {
+            id
+            namespace
+            key
+            type
+            value
+          }
+        }
+      }
+    }
+  }
+`;
+
 const QUERY_SOURCE_PRODUCTS = `
   query GetProducts($cursor: String, $query: String) {
     products(first: 10, after: $cursor, query: $query) {
       edges {
         cursor
         node {
-          id
-          title
-          handle
-          descriptionHtml
-          createdAt
-          isGiftCard
-          productType
-          vendor
-          status
-          tags
-          templateSuffix
-          seo {
-            title
-            description
-          }
-          priceRangeV2 {
-            minVariantPrice {
-              amount
-              currencyCode
-            }
-            maxVariantPrice {
-              amount
-              currencyCode
-            }
-          }
-          metafields(first: 250) {
-            nodes {
-              id
-              namespace
-              key
-              type
-              value
-            }
-          }
-          options(first: 10) {
-            id
-            name
-            position
-            values
-          }
-          media(first: 50) {
-            nodes {
-              __typename
-              alt
-              id
-              mediaContentType
-              ... on MediaImage {
-                id
-                alt
-                originalSource {
-                  url
-                  fileSize
-                }
-              }
-            }
-          }
-          variants(first: 250) {
-            nodes {
-              id
-              sku
-              title
-              barcode
-              availableForSale
-              position
-             price
-compareAtPrice
-
-              taxable
-              unitPrice {
-                amount
-                currencyCode
-              }
-              unitPriceMeasurement {
-                measuredType
-                quantityUnit
-                quantityValue
-                referenceUnit
-                referenceValue
-              }
-              selectedOptions {
-                name
-                value
-              }
-              metafields(first: 100) {
-                nodes {
-                  id
-                  namespace
-                  key
-                  type
-                  value
-                }
-              }
-            }
-          }
+          ...SourceProductFields
         }
       }
       pageInfo {
@@ -212,6 +178,17 @@ compareAtPrice
       }
     }
   }
+  ${SOURCE_PRODUCT_FIELDS}
+`;
+
+// Single product, same fields (webhook replays)
+const QUERY_SOURCE_PRODUCT = `
+  query GetProduct($id: ID!) {
+    product(id: $id) {
+      ...SourceProductFields
+    }
+  }
+  ${SOURCE_PRODUCT_FIELDS}
 `;
 
 /**
@@ -441,6 +418,9 @@ function buildProductSetInput(sourceProduct) {
   return input;
 }
 
+// Reference metafields (products, variants, collections, metaobjects, files...) → TARGET GIDs
+const referenceResolver = createReferenceResolver();
+
 /**
  * Upsert product on TARGET using productSet
  * - identifier: handle (must be non-empty)
@@ -458,7 +438,7 @@ async function upsertProductOnTargetFromSource(sourceProduct, idx) {
     handle: sourceProduct.handle,
   };
 
-  const input = buildProductSetInput(sourceProduct);
+  const input = await resolveProductSetReferences(referenceResolver, buildProductSetInput(sourceProduct));
 
   logLine(
     `[${idx}] 🔄 Syncing product "${sourceProduct.title}" (handle: ${sourceProduct.handle})`
@@ -500,6 +480,7 @@ async function upsertProductOnTargetFromSource(sourceProduct, idx) {
 async function syncSingleProductNode(node, idx) {
   try {
     await upsertProductOnTargetFromSource(node, idx);
+    return true;
   } catch (err) {
     const reason =
       err instanceof Error ? err.message : typeof err === "string" ? err : JSON.stringify(err);
@@ -516,12 +497,35 @@ async function syncSingleProductNode(node, idx) {
       reason,
       at: new Date().toISOString(),
     });
+    return false;
   }
 }
 
+/**
+ * Fetch one SOURCE product by GID and upsert it on TARGET (webhook replays).
+ * Throws on failure so the caller can record it.
+ */
+export async function syncSourceProductById(productGid) {
+  const data = await graphqlRequest(
+    SOURCE_GQL,
+    SOURCE_ACCESS_TOKEN,
+    QUERY_SOURCE_PRODUCT,
+    { id: productGid },
+    "GetProduct(SOURCE)"
+  );
+
+  const product = data?.product;
+  if (!product) {
+    logLine(`⚠️ Source product ${productGid} not found (deleted?); nothing to sync`);
+    return null;
+  }
+
+  return upsertProductOnTargetFromSource(product, "webhook");
+}
+
 /**
  * MAIN runner
- * - Paginate products from SOURCE
+ * - Paginate products from SOURCE (only those updated since the last clean run)
  * - For each product, upsert to TARGET via productSet
  */
 async function main() {
@@ -532,17 +536,24 @@ async function main() {
     logLine(`   PRODUCT_QUERY = "${PRODUCT_QUERY}"`);
   }
 
+  const watermark = openWatermark("products");
+  const sourceQuery = watermark.applyToQuery(PRODUCT_QUERY);
+  if (watermark.since) {
+    logLine(`   Delta since ${watermark.since} (query: "${sourceQuery}")`);
+  }
+
   let cursor = null;
   let hasNextPage = true;
   let index = 0;
   let total = 0;
+  let failed = 0;
 
   while (hasNextPage) {
     const data = await graphqlRequest(
       SOURCE_GQL,
       SOURCE_ACCESS_TOKEN,
       QUERY_SOURCE_PRODUCTS,
-      { cursor, query: PRODUCT_QUERY },
+      { cursor, query: sourceQuery },
       "GetProducts(SOURCE)"
     );
 
@@ -558,7 +569,8 @@ async function main() {
       index++;
       total++;
       const product = edge.node;
-      await syncSingleProductNode(product, index);
+      const ok = await syncSingleProductNode(product, index);
+      if (!ok) failed++;
     }
 
     hasNextPage = conn.pageInfo?.hasNextPage || false;
@@ -569,13 +581,22 @@ async function main() {
     );
   }
 
-  logLine(`🎯 Completed product sync. Total products processed: ${total}`);
+  logLine(`🎯 Completed product sync. Total products processed: ${total}, failed: ${failed}`);
+
+  if (failed === 0) {
+    watermark.commit({ processed: total });
+  } else {
+    logLine(`⚠️ Watermark not moved: ${failed} product(s) failed and will be fetched again next run`);
+  }
 }
 
-main().catch((err) => {
-  const reason =
-    err instanceof Error ? err.message : typeof err === "string" ? err : JSON.stringify(err);
-  console.error("💥 Fatal error in product sync:", reason);
-  logLine(`💥 Fatal error in product sync: ${reason}`);
-  process.exit(1);
-});
+// Only run as a script; the webhook receiver imports syncSourceProductById from this file
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    const reason =
+      err instanceof Error ? err.message : typeof err === "string" ? err : JSON.stringify(err);
+    console.error("💥 Fatal error in product sync:", reason);
+    logLine(`💥 Fatal error in product sync: ${reason}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,30 @@
+// Behavioral checks for the catalog sheet parsing in catalogSync.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePriceBreaks } from "../catalogSync.js";
+
+test("parsePriceBreaks reads quantity:price pairs", () => {
+  assert.deepEqual(parsePriceBreaks("10:9.50; 50:8"), [
+    { minimumQuantity: 10, amount: "9.50" },
+    { minimumQuantity: 50, amount: "8" },
+  ]);
+  assert.deepEqual(parsePriceBreaks(" 10 : 9.50 \n50:8;"), [
+    { minimumQuantity: 10, amount: "9.50" },
+    { minimumQuantity: 50, amount: "8" },
+  ]);
+});
+
+test("parsePriceBreaks returns [] for empty cells", () => {
+  assert.deepEqual(parsePriceBreaks(null), []);
+  assert.deepEqual(parsePriceBreaks(undefined), []);
+  assert.deepEqual(parsePriceBreaks(""), []);
+  assert.deepEqual(parsePriceBreaks("  "), []);
+});
+
+test("parsePriceBreaks drops malformed breaks", () => {
+  assert.deepEqual(
+    parsePriceBreaks("abc:1; :9.50; 5:; 2.5:4; 0:3; -5:2; 20:cheap; 30:7"),
+    [{ minimumQuantity: 30, amount: "7" }]
+  );
+});
@@ -0,0 +1,64 @@
+// Behavioral checks for the dry-run helpers in dryRun.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isDryRun, createDryRunReport, reportUnknownMetafieldColumns } from "../dryRun.js";
+
+test("isDryRun accepts the usual truthy query values only", () => {
+  for (const v of [true, "true", "TRUE", " 1 ", "yes", "y"]) {
+    assert.equal(isDryRun({ query: { dryRun: v } }), true, String(v));
+  }
+  for (const v of [undefined, false, "", "false", "0", "no", "dry"]) {
+    assert.equal(isDryRun({ query: { dryRun: v } }), false, String(v));
+  }
+  assert.equal(isDryRun(undefined), false);
+  assert.equal(isDryRun({}), false);
+});
+
+test("the report collects inputs and problems and is ok only without problems", (t) => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "log", () => {});
+
+  const report = createDryRunReport("products");
+  report.addInput("handle-a", "productSet", { input: { handle: "handle-a" } });
+  assert.deepEqual(report.result({ total: 1 }), {
+    ok: true,
+    dryRun: true,
+    entity: "products",
+    inputCount: 1,
+    problemCount: 0,
+    total: 1,
+    problems: [],
+    inputs: [{ ref: "handle-a", mutation: "productSet", variables: { input: { handle: "handle-a" } } }],
+  });
+
+  report.addProblem("handle-b", "missing_title", "Title is empty");
+  const result = report.result();
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.problems, [{ ref: "handle-b", code: "missing_title", message: "Title is empty" }]);
+});
+
+test("reportUnknownMetafieldColumns flags unsupported types and ignores the shopify namespace", (t) => {
+  t.mock.method(console, "warn", () => {});
+
+  const report = createDryRunReport("products");
+  reportUnknownMetafieldColumns(
+    report,
+    [
+      "Title",
+      "Metafield: custom.color [single_line_text_field]",
+      "Variant Metafield: custom.size [weird_type]",
+      "Metafield: shopify.fabric [list.metaobject_reference]",
+      "Metafield: custom.data [json_blob]",
+    ],
+    new Set(["single_line_text_field"])
+  );
+
+  assert.deepEqual(
+    report.problems.map((p) => [p.ref, p.code]),
+    [
+      ['column "Variant Metafield: custom.size [weird_type]"', "unknown_metafield_type"],
+      ['column "Metafield: custom.data [json_blob]"', "unknown_metafield_type"],
+    ]
+  );
+});
@@ -0,0 +1,100 @@
+// Behavioral checks for the checkpoint ledger in ledger.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-test-"));
+process.on("exit", () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// LEDGER_DIR is read when the module loads
+process.env.LEDGER_DIR = tmpDir;
+const { openLedger, LEDGER_STATUS } = await import("../ledger.js");
+
+let shopCounter = 0;
+const freshShop = () => `shop-${++shopCounter}.myshopify.com`;
+
+test("the last entry for a key wins and survives reopening", () => {
+  const shop = freshShop();
+  const ledger = openLedger("orders", { shop, jobId: "job-1" });
+
+  ledger.record("1001", { status: LEDGER_STATUS.FAILED, error: "boom" });
+  ledger.record("1001", { status: LEDGER_STATUS.COMPLETED, targetId: "gid://shopify/Order/9" });
+
+  const reopened = openLedger("orders", { shop });
+  const entry = reopened.get("1001");
+  assert.equal(entry.status, LEDGER_STATUS.COMPLETED);
+  assert.equal(entry.targetId, "gid://shopify/Order/9");
+  assert.equal(entry.error, null);
+  assert.equal(entry.jobId, "job-1");
+  assert.deepEqual(reopened.stats(), { completed: 1 });
+});
+
+test("created, completed and skipped count as done; pending and failed don't", () => {
+  const ledger = openLedger("products", { shop: freshShop() });
+  ledger.record("a", { status: LEDGER_STATUS.CREATED });
+  ledger.record("b", { status: LEDGER_STATUS.COMPLETED });
+  ledger.record("c", { status: LEDGER_STATUS.SKIPPED });
+  ledger.record("d", { status: LEDGER_STATUS.PENDING });
+  ledger.record("e", { status: LEDGER_STATUS.FAILED });
+
+  assert.deepEqual(
+    ["a", "b", "c", "d", "e", "missing"].map((k) => ledger.isDone(k)),
+    [true, true, true, false, false, false]
+  );
+  assert.equal(ledger.isPending("d"), true);
+  assert.equal(ledger.isPending("e"), false);
+  assert.equal(ledger.get("missing"), null);
+});
+
+test("keys are compared as strings and a later entry keeps the earlier targetId", () => {
+  const ledger = openLedger("orders", { shop: freshShop() });
+  ledger.record(42, { status: LEDGER_STATUS.CREATED, targetId: "gid://shopify/Order/1" });
+  ledger.record("42", { status: LEDGER_STATUS.FAILED, error: new Error("follow-up failed") });
+
+  const entry = ledger.get(42);
+  assert.equal(entry.targetId, "gid://shopify/Order/1");
+  assert.equal(entry.error, "Error: follow-up failed");
+});
+
+test("ledgers are separate per shop and entity", () => {
+  const shop = freshShop();
+  openLedger("orders", { shop }).record("1", { status: LEDGER_STATUS.COMPLETED });
+
+  assert.equal(openLedger("products", { shop }).isDone("1"), false);
+  assert.equal(openLedger("orders", { shop: freshShop() }).isDone("1"), false);
+});
+
+test("a torn line from a crash is skipped and the rest is still read", () => {
+  const shop = freshShop();
+  const ledger = openLedger("orders", { shop });
+  ledger.record("1", { status: LEDGER_STATUS.COMPLETED });
+  fs.appendFileSync(ledger.file, '{"key":"2","status":"comp\n');
+  ledger.record("3", { status: LEDGER_STATUS.COMPLETED });
+
+  const reopened = openLedger("orders", { shop });
+  assert.equal(reopened.isDone("1"), true);
+  assert.equal(reopened.get("2"), null);
+  assert.equal(reopened.isDone("3"), true);
+});
+
+test("refresh picks up entries written by another ledger on the same file", () => {
+  const shop = freshShop();
+  const reader = openLedger("products", { shop });
+  const writer = openLedger("products", { shop });
+
+  writer.record("p1", { status: LEDGER_STATUS.COMPLETED, targetId: "gid://shopify/Product/7" });
+  assert.equal(reader.get("p1"), null);
+
+  // a line still being written is left for the next refresh
+  fs.appendFileSync(writer.file, '{"key":"p2","status":"completed"');
+  reader.refresh();
+  assert.equal(reader.get("p1").targetId, "gid://shopify/Product/7");
+  assert.equal(reader.get("p2"), null);
+
+  fs.appendFileSync(writer.file, "}\n");
+  reader.refresh();
+  assert.equal(reader.isDone("p2"), true);
+});
@@ -0,0 +1,208 @@
+// Behavioral checks for reference metafield remapping in referenceResolver.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "resolver-test-"));
+process.on("exit", () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Read when the modules load
+process.env.LEDGER_DIR = tmpDir;
+process.env.REFERENCE_FILE_UPLOAD = "false";
+const { createReferenceResolver, resolveProductSetReferences, splitReferenceValue } = await import(
+  "../referenceResolver.js"
+);
+const { openLedger, LEDGER_STATUS } = await import("../ledger.js");
+
+const SOURCE_NODES = {
+  "gid://shopify/Product/1": { __typename: "Product", id: "gid://shopify/Product/1", handle: "mug" },
+  "gid://shopify/Collection/1": { __typename: "Collection", id: "gid://shopify/Collection/1", handle: "sale" },
+  "gid://shopify/Metaobject/1": { __typename: "Metaobject", id: "gid://shopify/Metaobject/1", type: "color", handle: "blue" },
+  "gid://shopify/ProductVariant/1": {
+    __typename: "ProductVariant",
+    id: "gid://shopify/ProductVariant/1",
+    sku: "MUG-BLUE",
+    title: "Blue",
+    product: { handle: "mug" },
+  },
+};
+
+const TARGET = {
+  products: { mug: { id: "gid://shopify/Product/901", variants: { nodes: [] } } },
+  collections: { sale: "gid://shopify/Collection/902" },
+  metaobjects: { "color.blue": "gid://shopify/Metaobject/903" },
+  variants: { "MUG-BLUE": ["gid://shopify/ProductVariant/904"], DUPE: ["gid://shopify/ProductVariant/1", "gid://shopify/ProductVariant/2"] },
+};
+
+/**
+ * Answer the resolver's SOURCE / TARGET queries from the fixtures above; `calls` lists the
+ * operation names in order.
+ */
+function stubShopify(t) {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, opts) => {
+    const { query, variables } = JSON.parse(opts.body);
+    const operation = query.match(/(?:query|mutation)\s+(\w+)/)[1];
+    calls.push(operation);
+
+    let data;
+    switch (operation) {
+      case "ReferenceSourceNodes":
+        data = { nodes: variables.ids.map((id) => SOURCE_NODES[id] || null) };
+        break;
+      case "ReferenceProductByHandle":
+        data = { productByHandle: TARGET.products[variables.handle] || null };
+        break;
+      case "ReferenceCollectionByHandle":
+        data = { collectionByHandle: TARGET.collections[variables.handle] ? { id: TARGET.collections[variables.handle] } : null };
+        break;
+      case "ReferenceMetaobjectByHandle": {
+        const id = TARGET.metaobjects[`${variables.handle.type}.${variables.handle.handle}`];
+        data = { metaobjectByHandle: id ? { id } : null };
+        break;
+      }
+      case "ReferenceVariantsBySku": {
+        const sku = variables.query.match(/^sku:"(.*)"$/)[1];
+        data = { productVariants: { nodes: (TARGET.variants[sku] || []).map((id) => ({ id, sku })) } };
+        break;
+      }
+      default:
+        data = {};
+    }
+
+    const body = JSON.stringify({ data });
+    return { ok: true, status: 200, headers: new Headers(), text: async () => body, json: async () => JSON.parse(body) };
+  });
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "log", () => {});
+  return calls;
+}
+
+let shopCounter = 0;
+function newResolver(opts = {}) {
+  return createReferenceResolver({
+    sourceShop: "source.myshopify.com",
+    sourceToken: "source-token",
+    targetShop: `target-${++shopCounter}.myshopify.com`,
+    targetToken: "target-token",
+    useProductLedger: false,
+    ...opts,
+  });
+}
+
+test("splitReferenceValue reads JSON lists, comma lists and single values", () => {
+  assert.deepEqual(splitReferenceValue("list.product_reference", '["a", " b ", ""]'), ["a", "b"]);
+  assert.deepEqual(splitReferenceValue("list.product_reference", "a, b,,c"), ["a", "b", "c"]);
+  assert.deepEqual(splitReferenceValue("list.product_reference", "[not json"), ["[not json"]);
+  assert.deepEqual(splitReferenceValue("product_reference", "a, b"), ["a, b"]);
+  assert.deepEqual(splitReferenceValue("product_reference", "  "), []);
+  assert.deepEqual(splitReferenceValue("product_reference", null), []);
+});
+
+test("SOURCE GIDs are remapped to the TARGET record with the same natural key", async (t) => {
+  stubShopify(t);
+  const resolver = newResolver();
+
+  assert.equal(await resolver.resolveValue("product_reference", "gid://shopify/Product/1"), "gid://shopify/Product/901");
+  assert.equal(await resolver.resolveValue("collection_reference", "gid://shopify/Collection/1"), "gid://shopify/Collection/902");
+  assert.equal(await resolver.resolveValue("metaobject_reference", "gid://shopify/Metaobject/1"), "gid://shopify/Metaobject/903");
+  assert.equal(
+    await resolver.resolveValue("variant_reference", "gid://shopify/ProductVariant/1"),
+    "gid://shopify/ProductVariant/904"
+  );
+  assert.equal(
+    await resolver.resolveValue("mixed_reference", "gid://shopify/Collection/1"),
+    "gid://shopify/Collection/902"
+  );
+});
+
+test("sheet values (handle, SKU, type.handle) resolve without SOURCE", async (t) => {
+  const calls = stubShopify(t);
+  const resolver = newResolver();
+
+  assert.equal(await resolver.resolveValue("product_reference", "mug"), "gid://shopify/Product/901");
+  assert.equal(await resolver.resolveValue("variant_reference", "MUG-BLUE"), "gid://shopify/ProductVariant/904");
+  assert.equal(await resolver.resolveValue("metaobject_reference", "color.blue"), "gid://shopify/Metaobject/903");
+  assert.equal(calls.includes("ReferenceSourceNodes"), false);
+});
+
+test("lists keep the resolved entries and drop the rest; nothing resolved gives null", async (t) => {
+  stubShopify(t);
+  const resolver = newResolver();
+
+  assert.equal(
+    await resolver.resolveValue("list.product_reference", '["gid://shopify/Product/1", "gid://shopify/Product/404", "missing"]'),
+    JSON.stringify(["gid://shopify/Product/901"])
+  );
+  assert.equal(await resolver.resolveValue("list.collection_reference", "nope, gone"), null);
+  // an SKU shared by two TARGET variants is not guessed
+  assert.equal(await resolver.resolveValue("variant_reference", "DUPE"), null);
+});
+
+test("non-reference and taxonomy values pass through untouched", async (t) => {
+  const calls = stubShopify(t);
+  const resolver = newResolver();
+
+  assert.equal(await resolver.resolveValue("single_line_text_field", "gid://shopify/Product/1"), "gid://shopify/Product/1");
+  assert.equal(
+    await resolver.resolveValue("list.product_taxonomy_value_reference", "gid://shopify/TaxonomyValue/1, gid://shopify/TaxonomyValue/2"),
+    JSON.stringify(["gid://shopify/TaxonomyValue/1", "gid://shopify/TaxonomyValue/2"])
+  );
+  assert.deepEqual(calls, []);
+});
+
+test("hits are cached, misses are looked up again", async (t) => {
+  const calls = stubShopify(t);
+  const resolver = newResolver();
+
+  await resolver.resolveValue("collection_reference", "sale");
+  await resolver.resolveValue("collection_reference", "sale");
+  await resolver.resolveValue("collection_reference", "later");
+  await resolver.resolveValue("collection_reference", "later");
+
+  assert.equal(calls.filter((c) => c === "ReferenceCollectionByHandle").length, 3);
+});
+
+test("products come from the migration ledger first, including entries written after the resolver opened it", async (t) => {
+  const calls = stubShopify(t);
+  const targetShop = "ledger-target.myshopify.com";
+  const resolver = newResolver({ targetShop, useProductLedger: true });
+
+  openLedger("products", { shop: targetShop }).record("teapot", {
+    status: LEDGER_STATUS.COMPLETED,
+    targetId: "gid://shopify/Product/777",
+  });
+  assert.equal(await resolver.resolveValue("product_reference", "teapot"), "gid://shopify/Product/777");
+
+  // opened by the first lookup; a later job migrates another product
+  openLedger("products", { shop: targetShop }).record("kettle", {
+    status: LEDGER_STATUS.COMPLETED,
+    targetId: "gid://shopify/Product/778",
+  });
+  assert.equal(await resolver.resolveValue("product_reference", "kettle"), "gid://shopify/Product/778");
+  assert.equal(calls.includes("ReferenceProductByHandle"), false);
+});
+
+test("resolveProductSetReferences remaps product and variant metafields in place", async (t) => {
+  stubShopify(t);
+  const input = {
+    handle: "gift-set",
+    metafields: [
+      { namespace: "custom", key: "related", type: "product_reference", value: "mug" },
+      { namespace: "custom", key: "gone", type: "product_reference", value: "missing" },
+      { namespace: "custom", key: "note", type: "single_line_text_field", value: "hi" },
+    ],
+    variants: [{ sku: "GS-1", metafields: [{ namespace: "custom", key: "swatch", type: "metaobject_reference", value: "color.blue" }] }],
+  };
+
+  await resolveProductSetReferences(newResolver(), input);
+
+  assert.deepEqual(input.metafields, [
+    { namespace: "custom", key: "related", type: "product_reference", value: "gid://shopify/Product/901" },
+    { namespace: "custom", key: "note", type: "single_line_text_field", value: "hi" },
+  ]);
+  assert.equal(input.variants[0].metafields[0].value, "gid://shopify/Metaobject/903");
+});
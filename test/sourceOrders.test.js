@@ -0,0 +1,193 @@
+// Behavioral checks for the SOURCE order mapping in orders-sync/sourceOrders.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeSourceOrderId,
+  buildSourceOrderQuery,
+  mapSourceOrderToParsed,
+  STORE_MIGRATION_TAG,
+} from "../orders-sync/sourceOrders.js";
+
+const shop = (amount) => ({ shopMoney: { amount: String(amount) } });
+const lineItem = (sku, variantTitle, title) => ({ sku, variantTitle, title });
+
+function sourceOrder(overrides = {}) {
+  return {
+    id: "gid://shopify/Order/5550001",
+    name: "#1001",
+    email: "buyer@example.com",
+    createdAt: "2025-01-02T10:00:00Z",
+    processedAt: "2025-01-01T09:00:00Z",
+    closedAt: "2025-01-05T12:00:00Z",
+    currencyCode: "EUR",
+    taxesIncluded: true,
+    displayFinancialStatus: "PARTIALLY_REFUNDED",
+    displayFulfillmentStatus: "PARTIALLY_FULFILLED",
+    tags: ["wholesale"],
+    discountCodes: [],
+    totalRefundedSet: shop(-12.5),
+    lineItems: {
+      nodes: [
+        {
+          sku: "SKU-1",
+          title: "Mug",
+          variantTitle: "Blue",
+          quantity: 3,
+          unfulfilledQuantity: 1,
+          originalUnitPriceSet: shop("10.00"),
+          totalDiscountSet: shop(0),
+          customAttributes: [{ key: "Engraving", value: null }],
+          taxLines: [{ title: "VAT", rate: 0.2, priceSet: shop(6) }, { title: null, rate: 0.1 }],
+          product: { handle: "mug" },
+        },
+      ],
+    },
+    fulfillments: [
+      {
+        status: "SUCCESS",
+        fulfillmentLineItems: {
+          nodes: [
+            { quantity: 2, lineItem: lineItem("SKU-1", "Blue", "Mug") },
+            { quantity: 1, lineItem: lineItem(null, "Large", "Shirt") },
+            { quantity: 1, lineItem: lineItem("", null, "Gift card") },
+          ],
+        },
+      },
+      { status: "CANCELLED", fulfillmentLineItems: { nodes: [{ quantity: 5, lineItem: lineItem("SKU-1") }] } },
+    ],
+    refunds: [
+      {
+        id: "gid://shopify/Refund/1",
+        createdAt: "2025-01-03T00:00:00Z",
+        note: "damaged",
+        refundLineItems: {
+          nodes: [{ quantity: -1, restockType: "RETURN", subtotalSet: shop(-12.5), lineItem: lineItem("SKU-1", "Blue", "Mug") }],
+        },
+      },
+    ],
+    metafields: {
+      nodes: [
+        { namespace: "custom", key: "po", type: "single_line_text_field", value: "PO-7" },
+        { namespace: "shopify", key: "x", type: "single_line_text_field", value: "1" },
+        { namespace: "app--123", key: "y", type: "single_line_text_field", value: "2" },
+        { namespace: "migration", key: "source_order_id", type: "single_line_text_field", value: "999" },
+      ],
+    },
+    ...overrides,
+  };
+}
+
+test("normalizeSourceOrderId gives the numeric id for GIDs and sheet ids alike", () => {
+  assert.equal(normalizeSourceOrderId("gid://shopify/Order/123"), "123");
+  assert.equal(normalizeSourceOrderId(123), "123");
+  assert.equal(normalizeSourceOrderId(" 123 "), "123");
+  assert.equal(normalizeSourceOrderId("#1001"), "#1001");
+  assert.equal(normalizeSourceOrderId(""), null);
+  assert.equal(normalizeSourceOrderId(null), null);
+});
+
+test("buildSourceOrderQuery joins the date range and the free-form query", () => {
+  assert.equal(
+    buildSourceOrderQuery({ from: "2025-01-01", to: "2025-02-01", query: "financial_status:paid" }),
+    "created_at:>='2025-01-01' AND created_at:<='2025-02-01' AND (financial_status:paid)"
+  );
+  assert.equal(buildSourceOrderQuery({ from: null, to: null, query: null }), null);
+});
+
+test("the parsed order is keyed by the numeric id and tagged as a store migration", () => {
+  const parsed = mapSourceOrderToParsed(sourceOrder());
+  assert.equal(parsed.sourceId, "5550001");
+  assert.equal(parsed.name, "#1001");
+  assert.equal(parsed.migrationTag, STORE_MIGRATION_TAG);
+  assert.equal(parsed.createdAt, "2025-01-01T09:00:00Z");
+  assert.equal(parsed.closedAt, "2025-01-05T12:00:00Z");
+  assert.equal(parsed.refundTotal, 12.5);
+  assert.equal(parsed.discountLabel, "MIGRATED_DISCOUNT");
+  assert.equal(parsed.sheetRows[0]["Source ID"], "gid://shopify/Order/5550001");
+});
+
+test("line items keep price, properties and only complete tax lines", () => {
+  const [line] = mapSourceOrderToParsed(sourceOrder()).lineItems;
+  assert.equal(line.productHandle, "mug");
+  assert.equal(line.price, 10);
+  assert.equal(line.fulfillmentStatus, "unfulfilled");
+  assert.deepEqual(line.properties, [{ name: "Engraving", value: "" }]);
+  assert.deepEqual(line.taxLines, [
+    { title: "VAT", rate: 0.2, priceSet: { shopMoney: { amount: 6, currencyCode: "EUR" } } },
+  ]);
+});
+
+test("fulfilled quantities come from successful fulfillments, keyed by SKU, variant title, then title", () => {
+  const parsed = mapSourceOrderToParsed(sourceOrder());
+  assert.deepEqual(parsed.desiredBySku, { "SKU-1": 2 });
+  assert.deepEqual(parsed.desiredByVariantTitle, { Large: 1 });
+  assert.deepEqual(parsed.desiredByTitle, { "Gift card": 1 });
+});
+
+test("refund lines are positive and never restock inventory", () => {
+  const [refundLine] = mapSourceOrderToParsed(sourceOrder()).refundLines;
+  assert.equal(refundLine.quantity, 1);
+  assert.equal(refundLine.lineTotal, 12.5);
+  assert.equal(refundLine.refundRestock, true);
+  assert.equal(refundLine.restockType, "NO_RESTOCK");
+  assert.equal(refundLine.refundNote, "damaged");
+});
+
+test("Shopify, app and migration-marker metafields are not copied", () => {
+  assert.deepEqual(mapSourceOrderToParsed(sourceOrder()).metafields, [
+    { namespace: "custom", key: "po", type: "single_line_text_field", value: "PO-7" },
+  ]);
+});
+
+test("returns become return and exchange lines with their restock location", () => {
+  const returns = [
+    {
+      id: "gid://shopify/Return/1",
+      status: "CLOSED",
+      reverseFulfillmentOrders: {
+        nodes: [
+          {
+            lineItems: {
+              nodes: [
+                {
+                  fulfillmentLineItem: { id: "fli-1" },
+                  dispositions: [{ type: "RESTOCKED", location: { name: "Warehouse" } }],
+                },
+              ],
+            },
+          },
+        ],
+      },
+      returnLineItems: {
+        nodes: [
+          { quantity: 1, returnReason: "DEFECTIVE", fulfillmentLineItem: { id: "fli-1", lineItem: lineItem("SKU-1") } },
+          { quantity: 1, fulfillmentLineItem: { id: "fli-2", lineItem: lineItem("SKU-2") } },
+          { quantity: 0, fulfillmentLineItem: { id: "fli-3", lineItem: lineItem("SKU-3") } },
+        ],
+      },
+      exchangeLineItems: {
+        nodes: [{ quantity: 1, lineItem: { ...lineItem("SKU-9"), product: { handle: "mug" } } }],
+      },
+    },
+  ];
+
+  const parsed = mapSourceOrderToParsed(sourceOrder(), returns);
+  assert.deepEqual(
+    parsed.returnLines.map((rl) => [rl.sku, rl.returnReason, rl.restock, rl.restockLocationName, rl.returnStatus]),
+    [
+      ["SKU-1", "DEFECTIVE", true, "Warehouse", "CLOSED"],
+      ["SKU-2", "UNKNOWN", false, null, "CLOSED"],
+    ]
+  );
+  assert.deepEqual(parsed.exchangeLines, [
+    {
+      returnId: "gid://shopify/Return/1",
+      productHandle: "mug",
+      sku: "SKU-9",
+      variantTitle: null,
+      title: null,
+      quantity: 1,
+    },
+  ]);
+});
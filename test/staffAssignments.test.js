@@ -0,0 +1,51 @@
+// Behavioral checks for the staff email parsing in staffAssignments.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseStaffEmails, staffEmailsFromLocation } from "../staffAssignments.js";
+
+test("a sheet cell splits on commas, semicolons and newlines", () => {
+  assert.deepEqual(parseStaffEmails("a@x.com, b@x.com; c@x.com\nd@x.com"), [
+    "a@x.com",
+    "b@x.com",
+    "c@x.com",
+    "d@x.com",
+  ]);
+});
+
+test("emails are trimmed, lowercased and deduplicated", () => {
+  assert.deepEqual(parseStaffEmails("  Rep@Example.com ; rep@example.COM,other@example.com "), [
+    "rep@example.com",
+    "other@example.com",
+  ]);
+});
+
+test("empty cells and stray separators give no emails", () => {
+  assert.deepEqual(parseStaffEmails(null), []);
+  assert.deepEqual(parseStaffEmails(undefined), []);
+  assert.deepEqual(parseStaffEmails(""), []);
+  assert.deepEqual(parseStaffEmails(" , ;\n"), []);
+  assert.deepEqual(parseStaffEmails("a@x.com,,;"), ["a@x.com"]);
+});
+
+test("a SOURCE location yields the emails of its assigned staff", () => {
+  const location = {
+    staffMemberAssignments: {
+      nodes: [
+        { staffMember: { email: "Rep@Example.com" } },
+        { staffMember: { email: "rep@example.com" } },
+        { staffMember: { email: null } },
+        { staffMember: null },
+        null,
+        { staffMember: { email: "other@example.com" } },
+      ],
+    },
+  };
+  assert.deepEqual(staffEmailsFromLocation(location), ["rep@example.com", "other@example.com"]);
+});
+
+test("a location without assignments yields no emails", () => {
+  assert.deepEqual(staffEmailsFromLocation(null), []);
+  assert.deepEqual(staffEmailsFromLocation({}), []);
+  assert.deepEqual(staffEmailsFromLocation({ staffMemberAssignments: { nodes: [] } }), []);
+});
@@ -0,0 +1,134 @@
+// Behavioral checks for the tier rules in tiers.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadTierConfig, resolveTier, applyTierTag, tierMetafields, createTierCatalogLookup } from "../tiers.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "tiers-test-"));
+process.on("exit", () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeConfig(name, content) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+  return file;
+}
+
+test("a missing config file gives the defaults, highest tier first", () => {
+  const config = loadTierConfig(path.join(tmpDir, "missing.json"));
+  assert.equal(config.metric, "order_count");
+  assert.equal(config.window.type, "calendar_year");
+  assert.deepEqual(
+    config.tiers.map((t) => t.name),
+    ["Platinum", "Gold", "Silver", "Bronze"]
+  );
+});
+
+test("tiers are sorted by min (highest first) and mins become numbers", () => {
+  const config = loadTierConfig(
+    writeConfig("unsorted.json", {
+      tiers: [
+        { name: "Low", min: 0 },
+        { name: "High", min: "100" },
+        { name: "Mid", min: 10 },
+      ],
+    })
+  );
+  assert.deepEqual(config.tiers, [
+    { name: "High", min: 100 },
+    { name: "Mid", min: 10 },
+    { name: "Low", min: 0 },
+  ]);
+});
+
+test("partial sections are merged with the defaults", () => {
+  const config = loadTierConfig(
+    writeConfig("partial.json", {
+      metric: "spend",
+      window: { type: "rolling", months: 6 },
+      qualifying: { requireClosed: false },
+      output: { customerTag: { prefix: "Level_" } },
+    })
+  );
+  assert.equal(config.metric, "spend");
+  assert.deepEqual(config.window, { type: "rolling", months: 6 });
+  assert.equal(config.qualifying.requireClosed, false);
+  assert.equal(config.qualifying.excludeCancelled, true);
+  assert.deepEqual(config.qualifying.fulfillmentStatuses, ["FULFILLED"]);
+  assert.deepEqual(config.output.customerTag, { enabled: true, prefix: "Level_" });
+  assert.equal(config.output.companyMetafield.key, "level");
+  assert.equal(config.output.catalog.enabled, false);
+});
+
+test("invalid configs are rejected", () => {
+  const invalid = {
+    "bad-json.json": "{ not json",
+    "not-object.json": "[]",
+    "metric.json": { metric: "revenue" },
+    "window.json": { window: { type: "weekly" } },
+    "rolling.json": { window: { type: "rolling" } },
+    "no-tiers.json": { tiers: [] },
+    "tier-name.json": { tiers: [{ min: 1 }] },
+    "tier-min.json": { tiers: [{ name: "Gold", min: "lots" }] },
+    "tier-empty-min.json": { tiers: [{ name: "Gold", min: "" }] },
+  };
+  for (const [name, content] of Object.entries(invalid)) {
+    assert.throws(() => loadTierConfig(writeConfig(name, content)), /tier config/i, name);
+  }
+});
+
+test("resolveTier picks the highest tier whose min is reached", () => {
+  const config = loadTierConfig(path.join(tmpDir, "missing.json"));
+  assert.equal(resolveTier(0, config), "Bronze");
+  assert.equal(resolveTier(5, config), "Bronze");
+  assert.equal(resolveTier(6, config), "Silver");
+  assert.equal(resolveTier(11, config), "Gold");
+  assert.equal(resolveTier(26, config), "Platinum");
+  assert.equal(resolveTier(1000, config), "Platinum");
+});
+
+test("resolveTier returns null below the lowest min", () => {
+  const config = loadTierConfig(writeConfig("no-floor.json", { tiers: [{ name: "Gold", min: 10 }] }));
+  assert.equal(resolveTier(9.99, config), null);
+  assert.equal(resolveTier(10, config), "Gold");
+});
+
+test("applyTierTag swaps tier tags and keeps the others", () => {
+  const config = loadTierConfig(path.join(tmpDir, "missing.json"));
+  assert.deepEqual(applyTierTag(["vip", "Tier_Silver"], "Gold", config), ["vip", "Tier_Gold"]);
+  assert.deepEqual(applyTierTag(["vip", "Tier_Silver"], null, config), ["vip"]);
+  assert.deepEqual(applyTierTag(null, "Gold", config), ["Tier_Gold"]);
+});
+
+test("tierMetafields is empty without a tier or when disabled", () => {
+  const config = loadTierConfig(path.join(tmpDir, "missing.json"));
+  const owner = "gid://shopify/Company/1";
+  assert.deepEqual(tierMetafields(owner, "Gold", config), [
+    { ownerId: owner, namespace: "custom", key: "level", type: "single_line_text_field", value: "Gold" },
+  ]);
+  assert.deepEqual(tierMetafields(owner, null, config), []);
+
+  const disabled = loadTierConfig(writeConfig("mf-off.json", { output: { companyMetafield: { enabled: false } } }));
+  assert.deepEqual(tierMetafields(owner, "Gold", disabled), []);
+});
+
+test("the tier catalog lookup lists TARGET catalogs once per run, also for missing titles", async (t) => {
+  let listings = 0;
+  t.mock.method(globalThis, "fetch", async () => {
+    listings++;
+    const body = JSON.stringify({
+      data: { catalogs: { nodes: [{ id: "gid://shopify/CompanyLocationCatalog/1", title: "Gold prices" }], pageInfo: { hasNextPage: false } } },
+    });
+    return { ok: true, status: 200, headers: new Headers(), text: async () => body };
+  });
+  t.mock.method(console, "warn", () => {});
+
+  const lookup = createTierCatalogLookup("https://target.example/graphql.json", "token");
+  assert.equal(await lookup.find("Gold prices", "Gold"), "gid://shopify/CompanyLocationCatalog/1");
+  for (let i = 0; i < 3; i++) assert.equal(await lookup.find("Silver prices", "Silver"), null);
+  assert.equal(await lookup.find("gid://shopify/CompanyLocationCatalog/9", "Bronze"), "gid://shopify/CompanyLocationCatalog/9");
+  assert.equal(listings, 1);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
@@ -0,0 +1,91 @@
+// Behavioral checks for the delta-sync watermarks in watermark.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "watermark-test-"));
+process.on("exit", () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// WATERMARK_DIR is read when the module loads
+process.env.WATERMARK_DIR = tmpDir;
+delete process.env.FULL_SYNC;
+const { openWatermark, isFullSync } = await import("../watermark.js");
+
+let counter = 0;
+const shops = () => ({ sourceShop: `source-${++counter}`, targetShop: "target", full: false });
+
+test("the first run is a full pass and leaves queries untouched", (t) => {
+  t.mock.method(console, "log", () => {});
+  const watermark = openWatermark("products", shops());
+  assert.equal(watermark.since, null);
+  assert.equal(watermark.applyToQuery(), null);
+  assert.equal(watermark.applyToQuery("status:active"), "status:active");
+});
+
+test("after a commit the next run only asks for records updated since the previous start", (t) => {
+  t.mock.method(console, "log", () => {});
+  const opts = shops();
+
+  const first = openWatermark("collections", opts);
+  first.commit({ processed: 3 });
+
+  const second = openWatermark("collections", opts);
+  assert.equal(second.since, first.startedAt);
+  assert.equal(second.applyToQuery(), `updated_at:>'${first.startedAt}'`);
+  assert.equal(second.applyToQuery("title:Sale*"), `(title:Sale*) AND updated_at:>'${first.startedAt}'`);
+});
+
+test("a run that never commits leaves the watermark where it was", (t) => {
+  t.mock.method(console, "log", () => {});
+  const opts = shops();
+
+  const clean = openWatermark("customers", opts);
+  clean.commit();
+  openWatermark("customers", opts); // e.g. a run with failures
+
+  assert.equal(openWatermark("customers", opts).since, clean.startedAt);
+});
+
+test("full runs ignore the stored watermark but still record the previous one on commit", (t) => {
+  t.mock.method(console, "log", () => {});
+  const opts = shops();
+
+  const first = openWatermark("companies", opts);
+  first.commit();
+
+  const full = openWatermark("companies", { ...opts, full: true });
+  assert.equal(full.since, null);
+  assert.equal(full.commit().previous, first.startedAt);
+});
+
+test("watermarks are separate per shop pair and entity", (t) => {
+  t.mock.method(console, "log", () => {});
+  const opts = shops();
+  openWatermark("products", opts).commit();
+
+  assert.equal(openWatermark("collections", opts).since, null);
+  assert.equal(openWatermark("products", { ...opts, targetShop: "other-target" }).since, null);
+});
+
+test("an unreadable watermark file means a full pass", (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const opts = shops();
+  const watermark = openWatermark("pages", opts);
+  fs.mkdirSync(tmpDir, { recursive: true });
+  fs.writeFileSync(watermark.file, "{ torn");
+
+  assert.equal(openWatermark("pages", opts).since, null);
+});
+
+test("isFullSync reads --full and FULL_SYNC", (t) => {
+  assert.equal(isFullSync(["node", "sync.js", "--full"]), true);
+  assert.equal(isFullSync(["node", "sync.js"]), false);
+
+  process.env.FULL_SYNC = "yes";
+  t.after(() => delete process.env.FULL_SYNC);
+  assert.equal(isFullSync(["node", "sync.js"]), true);
+});
@@ -0,0 +1,99 @@
+// Behavioral checks for webhook verification in webhooks.js (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+// Read when the module loads
+process.env.SOURCE_SHOP = "source-shop.myshopify.com";
+process.env.SOURCE_WEBHOOK_SECRET = "test-secret";
+const { verifyWebhookHmac, receiveWebhook, getWebhookStatus } = await import("../webhooks.js");
+
+const sign = (body, secret = "test-secret") => crypto.createHmac("sha256", secret).update(body).digest("base64");
+
+function fakeRequest(body, headers = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const all = {
+    "x-shopify-hmac-sha256": sign(rawBody),
+    "x-shopify-shop-domain": "source-shop.myshopify.com",
+    "x-shopify-topic": "products/update",
+    ...headers,
+  };
+  return { rawBody, body, get: (name) => all[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+test("verifyWebhookHmac accepts only the signature of the exact body and secret", () => {
+  const body = Buffer.from('{"id":1}');
+  assert.equal(verifyWebhookHmac(body, sign(body), "test-secret"), true);
+  assert.equal(verifyWebhookHmac(Buffer.from('{"id":2}'), sign(body), "test-secret"), false);
+  assert.equal(verifyWebhookHmac(body, sign(body, "other-secret"), "test-secret"), false);
+});
+
+test("verifyWebhookHmac rejects missing parts and malformed headers without throwing", () => {
+  const body = Buffer.from('{"id":1}');
+  assert.equal(verifyWebhookHmac(body, undefined, "test-secret"), false);
+  assert.equal(verifyWebhookHmac(undefined, sign(body), "test-secret"), false);
+  assert.equal(verifyWebhookHmac(body, sign(body), ""), false);
+  assert.equal(verifyWebhookHmac(body, "not-base64-and-too-short", "test-secret"), false);
+  assert.equal(verifyWebhookHmac(body, sign(body).slice(0, 20), "test-secret"), false);
+});
+
+test("a delivery with a bad signature is rejected with 401", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const req = fakeRequest({ id: 1 }, { "x-shopify-hmac-sha256": sign(Buffer.from("tampered")) });
+  const res = fakeResponse();
+  receiveWebhook("products/update")(req, res);
+  assert.equal(res.statusCode, 401);
+});
+
+test("deliveries from another shop or for another topic are rejected", () => {
+  const fromOtherShop = fakeResponse();
+  receiveWebhook("products/update")(
+    fakeRequest({ id: 1 }, { "x-shopify-shop-domain": "other.myshopify.com" }),
+    fromOtherShop
+  );
+  assert.equal(fromOtherShop.statusCode, 403);
+
+  const wrongTopic = fakeResponse();
+  receiveWebhook("products/update")(fakeRequest({ id: 1 }, { "x-shopify-topic": "customers/update" }), wrongTopic);
+  assert.equal(wrongTopic.statusCode, 400);
+});
+
+test("a repeated delivery id is acknowledged as a duplicate", () => {
+  const headers = { "x-shopify-webhook-id": "delivery-1" };
+
+  // no record id, so nothing gets queued for replay
+  const first = fakeResponse();
+  receiveWebhook("products/update")(fakeRequest({}, headers), first);
+  assert.equal(first.statusCode, 400);
+
+  const second = fakeResponse();
+  receiveWebhook("products/update")(fakeRequest({}, headers), second);
+  assert.equal(second.statusCode, 200);
+  assert.deepEqual(second.body, { ok: true, duplicate: true });
+
+  const status = fakeResponse();
+  getWebhookStatus({}, status);
+  assert.equal(status.body.stats.duplicates, 1);
+  assert.deepEqual(status.body.pending, []);
+});
+
+test("unknown topics can't be routed", () => {
+  assert.throws(() => receiveWebhook("orders/delete"), /Unsupported webhook topic/);
+});
@@ -0,0 +1,417 @@
+// tierRecalculation.js
+// Recomputes the B2B tier of every company on TARGET from TARGET's own orders, with the
+// rules in tiers.json (same qualification logic the migration uses), and applies changes
+// to contact tags, the company tier metafield and tier catalogs.
+// Every tier change is appended to ./tier-changelog/<target shop>.jsonl.
+//
+// Routes:  POST /tiers/recalculate   (?query=<companies search>, ?dryRun=true)
+//          GET  /tiers/changelog     (?limit=200)
+// Timer:   TIER_RECALC_INTERVAL_HOURS=24 queues a run every 24h (0 / unset = off)
+//
+// With qualifying.requireClosed (the default), only closed orders count. orderSync copies
+// closedAt onto migrated orders, but orders migrated before it did are open on TARGET and
+// don't count: run once with ?dryRun=true and check the "down" entries before turning on
+// the timer (or set requireClosed to false in tiers.json).
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { graphqlRequest } from "./shopifyClient.js";
+import { enqueueJob, reportProgress } from "./jobs.js";
+import { isDryRun } from "./dryRun.js";
+import { createStatusReport, REPORT_STATUS } from "./statusReport.js";
+import {
+  loadTierConfig,
+  fetchCompanyTierMetric,
+  resolveTier,
+  applyTierTag,
+  tierMetafields,
+  assignTierCatalog,
+  createTierCatalogLookup,
+} from "./tiers.js";
+
+dotenv.config();
+
+/**
+ * CONFIG
+ */
+const API_VERSION = process.env.API_VERSION || "2025-10";
+
+const TARGET_SHOP = process.env.TARGET_SHOP;
+const TARGET_ACCESS_TOKEN = process.env.TARGET_ACCESS_TOKEN;
+
+const TARGET_GQL = `https://${TARGET_SHOP}/admin/api/${API_VERSION}/graphql.json`;
+
+const TIER_CHANGELOG_DIR = path.resolve(process.env.TIER_CHANGELOG_DIR || "./tier-changelog");
+
+// Hours between scheduled runs; 0 turns the timer off
+const TIER_RECALC_INTERVAL_HOURS = Number(process.env.TIER_RECALC_INTERVAL_HOURS || 0);
+
+// Optional companies search for scheduled runs (same syntax as ?query=)
+const TIER_RECALC_QUERY = process.env.TIER_RECALC_QUERY || null;
+
+const QUERY_TARGET_COMPANIES = `
+  query TierCompanies($cursor: String, $query: String, $namespace: String!, $key: String!) {
+    companies(first: 100, after: $cursor, query: $query) {
+      nodes {
+        id
+        name
+        tierMetafield: metafield(namespace: $namespace, key: $key) { value }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const QUERY_COMPANY_TIER_TARGETS = `
+  query CompanyTierTargets($id: ID!) {
+    company(id: $id) {
+      locations(first: 250) {
+        nodes { id }
+      }
+      contacts(first: 250) {
+        nodes {
+          customer {
+            id
+            email
+            tags
+          }
+        }
+      }
+    }
+  }
+`;
+
+const MUTATION_TAGS_ADD = `
+  mutation TagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_TAGS_REMOVE = `
+  mutation TagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_METAFIELDS_DELETE = `
+  mutation MetafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields { key }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MUTATION_METAFIELDS_SET = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+function changelogFilePath() {
+  return path.join(TIER_CHANGELOG_DIR, `${String(TARGET_SHOP || "unknown").replace(/[^a-zA-Z0-9._-]+/g, "_")}.jsonl`);
+}
+
+function appendChangelog(entry) {
+  if (!fs.existsSync(TIER_CHANGELOG_DIR)) fs.mkdirSync(TIER_CHANGELOG_DIR, { recursive: true });
+  fs.appendFileSync(changelogFilePath(), JSON.stringify(entry) + "\n");
+}
+
+async function fetchTargetCompanies(query, tierConfig) {
+  const { namespace, key } = tierConfig.output.companyMetafield;
+  const companies = [];
+  let cursor = null;
+
+  while (true) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      QUERY_TARGET_COMPANIES,
+      { cursor, query, namespace, key },
+      "TierCompanies(TARGET)"
+    );
+
+    companies.push(...(data?.companies?.nodes || []));
+
+    if (!data?.companies?.pageInfo?.hasNextPage) break;
+    cursor = data.companies.pageInfo.endCursor;
+  }
+
+  return companies;
+}
+
+async function fetchCompanyTierTargets(companyId) {
+  const data = await graphqlRequest(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    QUERY_COMPANY_TIER_TARGETS,
+    { id: companyId },
+    "CompanyTierTargets(TARGET)"
+  );
+
+  return {
+    locationIds: (data?.company?.locations?.nodes || []).map((l) => l.id),
+    customers: (data?.company?.contacts?.nodes || []).map((c) => c.customer).filter(Boolean),
+  };
+}
+
+/**
+ * Tier currently on TARGET: the company metafield, else a contact's tier tag
+ */
+function currentTierOf(company, targets, tierConfig) {
+  if (tierConfig.output.companyMetafield.enabled && company.tierMetafield?.value) {
+    return company.tierMetafield.value;
+  }
+
+  const { prefix } = tierConfig.output.customerTag;
+  for (const customer of targets.customers) {
+    const tag = (customer.tags || []).find((t) => tierConfig.tiers.some((tier) => t === `${prefix}${tier.name}`));
+    if (tag) return tag.slice(prefix.length);
+  }
+  return null;
+}
+
+/**
+ * "up" | "down" | "new" | "unchanged" | "changed" (previous tier no longer in tiers.json)
+ */
+function tierDirection(previousTier, tier, tierConfig) {
+  if (previousTier === tier) return "unchanged";
+  if (!previousTier) return "new";
+
+  // tiers are sorted highest first
+  const rank = (name) => tierConfig.tiers.findIndex((t) => t.name === name);
+  const before = rank(previousTier);
+  const after = rank(tier);
+  if (before < 0 || after < 0) return "changed";
+  return after < before ? "up" : "down";
+}
+
+const TAG_MUTATIONS = { tagsAdd: MUTATION_TAGS_ADD, tagsRemove: MUTATION_TAGS_REMOVE };
+
+async function runTagMutation(field, customerId, tags) {
+  const data = await graphqlRequest(
+    TARGET_GQL,
+    TARGET_ACCESS_TOKEN,
+    TAG_MUTATIONS[field],
+    { id: customerId, tags },
+    `${field}(TARGET)`
+  );
+  const errors = data?.[field]?.userErrors || [];
+  if (errors.length) throw new Error(`${field} userErrors: ${JSON.stringify(errors)}`);
+}
+
+/**
+ * Write the tier to TARGET. Contact tags are fixed even when the tier didn't change,
+ * so contacts added since the last run get their tag too.
+ */
+async function applyTier(company, targets, tier, previousTier, tierConfig, tierCatalogs) {
+  let contactsUpdated = 0;
+
+  for (const customer of targets.customers) {
+    const tags = customer.tags || [];
+    const desired = applyTierTag(tags, tier, tierConfig);
+    const toAdd = desired.filter((t) => !tags.includes(t));
+    const toRemove = tags.filter((t) => !desired.includes(t));
+    if (!toAdd.length && !toRemove.length) continue;
+
+    if (toRemove.length) await runTagMutation("tagsRemove", customer.id, toRemove);
+    if (toAdd.length) await runTagMutation("tagsAdd", customer.id, toAdd);
+    contactsUpdated++;
+  }
+
+  const metafields = tierMetafields(company.id, tier, tierConfig);
+  if (metafields.length && company.tierMetafield?.value !== tier) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      MUTATION_METAFIELDS_SET,
+      { metafields },
+      "MetafieldsSet(company tier TARGET)"
+    );
+    const errors = data?.metafieldsSet?.userErrors || [];
+    if (errors.length) throw new Error(`metafieldsSet userErrors: ${JSON.stringify(errors)}`);
+  }
+
+  // No tier reached: clear the stale tier so the next run doesn't report the same change again
+  const { enabled, namespace, key } = tierConfig.output.companyMetafield;
+  if (enabled && !tier && company.tierMetafield?.value) {
+    const data = await graphqlRequest(
+      TARGET_GQL,
+      TARGET_ACCESS_TOKEN,
+      MUTATION_METAFIELDS_DELETE,
+      { metafields: [{ ownerId: company.id, namespace, key }] },
+      "MetafieldsDelete(company tier TARGET)"
+    );
+    const errors = data?.metafieldsDelete?.userErrors || [];
+    if (errors.length) throw new Error(`metafieldsDelete userErrors: ${JSON.stringify(errors)}`);
+  }
+
+  if (tier !== previousTier) {
+    await assignTierCatalog(TARGET_GQL, TARGET_ACCESS_TOKEN, targets.locationIds, tier, tierConfig, tierCatalogs);
+  }
+
+  return { contactsUpdated };
+}
+
+/**
+ * Express handler: POST /tiers/recalculate
+ * - ?query=...    only companies matching this Shopify search (default: all)
+ * - ?dryRun=true  compute and report the changes without writing or logging them
+ */
+export async function recalculateTiers(req, res) {
+  try {
+    if (!TARGET_SHOP || !TARGET_ACCESS_TOKEN) {
+      return res.status(500).json({ error: "Missing env vars: TARGET_SHOP, TARGET_ACCESS_TOKEN" });
+    }
+
+    const dryRun = isDryRun(req);
+    const tierConfig = loadTierConfig();
+    const query = req.query?.query ? String(req.query.query) : null;
+
+    console.log(`🏷 Recalculating B2B tiers on ${TARGET_SHOP}${query ? ` (query: ${query})` : ""} ...`);
+    if (dryRun) console.log("🧪 DRY RUN – no mutations will be sent\n");
+
+    const companies = await fetchTargetCompanies(query, tierConfig);
+    console.log(`✅ ${companies.length} compan${companies.length === 1 ? "y" : "ies"} on TARGET`);
+    reportProgress(req, { total: companies.length });
+
+    const statusReport = createStatusReport("tier_recalculation", { disabled: dryRun });
+    const counts = { up: 0, down: 0, new: 0, changed: 0, unchanged: 0, failed: 0 };
+    const tierCatalogs = createTierCatalogLookup(TARGET_GQL, TARGET_ACCESS_TOKEN);
+    const changes = [];
+    let contactsUpdated = 0;
+
+    for (const [i, company] of companies.entries()) {
+      const row = { Company: company.name, "Company GID": company.id };
+
+      try {
+        const metric = await fetchCompanyTierMetric(
+          TARGET_GQL,
+          TARGET_ACCESS_TOKEN,
+          company.id,
+          tierConfig,
+          "CompanyTierOrders(TARGET)"
+        );
+        const tier = resolveTier(metric, tierConfig);
+        const targets = await fetchCompanyTierTargets(company.id);
+        const previousTier = currentTierOf(company, targets, tierConfig);
+        const direction = tierDirection(previousTier, tier, tierConfig);
+        counts[direction]++;
+
+        if (!dryRun) {
+          const applied = await applyTier(company, targets, tier, previousTier, tierConfig, tierCatalogs);
+          row["Contacts Updated"] = applied.contactsUpdated;
+          contactsUpdated += applied.contactsUpdated;
+        }
+
+        if (direction !== "unchanged") {
+          const entry = {
+            at: new Date().toISOString(),
+            companyId: company.id,
+            company: company.name,
+            from: previousTier,
+            to: tier,
+            direction,
+            metric: tierConfig.metric,
+            value: metric,
+            window: tierConfig.window,
+          };
+          changes.push(entry);
+          if (!dryRun) appendChangelog(entry);
+          console.log(`   ${direction === "down" ? "🔻" : "🔺"} ${company.name}: ${previousTier || "—"} → ${tier || "—"} (${metric})`);
+        }
+
+        statusReport.add(
+          { ...row, [tierConfig.metric]: metric, "Previous Tier": previousTier || "", "New Tier": tier || "" },
+          { status: REPORT_STATUS.SUCCESS, action: direction, targetId: company.id }
+        );
+      } catch (err) {
+        counts.failed++;
+        console.error(`   ❌ ${company.name} (${company.id}): ${err.message}`);
+        statusReport.add(row, { status: REPORT_STATUS.FAILED, action: "recalculate", error: err });
+      }
+
+      reportProgress(req, {
+        processed: i + 1,
+        succeeded: i + 1 - counts.failed,
+        failed: counts.failed,
+        currentRow: company.name,
+      });
+    }
+
+    statusReport.flush();
+    console.log(
+      `\n🏷 Tier recalculation done: ${counts.up} up, ${counts.down} down, ${counts.new} new, ` +
+        `${counts.unchanged} unchanged, ${counts.failed} failed`
+    );
+
+    return res.json({
+      ok: counts.failed === 0,
+      dryRun,
+      total: companies.length,
+      counts,
+      contactsUpdated,
+      changes,
+      changelogPath: dryRun ? null : changelogFilePath(),
+      reportPath: statusReport.filePath,
+      reportUrl: statusReport.downloadUrl,
+    });
+  } catch (error) {
+    console.log("Error in recalculateTiers:", error.message);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Express handler: GET /tiers/changelog
+ * Latest tier changes first (?limit, default 200).
+ */
+export function getTierChangelog(req, res) {
+  const limit = Math.max(1, Number(req.query?.limit) || 200);
+  const file = changelogFilePath();
+  if (!fs.existsSync(file)) return res.json({ ok: true, entries: [] });
+
+  const entries = fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .slice(-limit)
+    .map((line) => JSON.parse(line))
+    .reverse();
+
+  return res.json({ ok: true, entries });
+}
+
+/**
+ * Queue a recalculation job every TIER_RECALC_INTERVAL_HOURS (no-op when unset).
+ * A run is skipped while the previous scheduled one is still queued or running.
+ */
+export function startTierRecalculationSchedule() {
+  if (!(TIER_RECALC_INTERVAL_HOURS > 0)) return null;
+
+  let lastJob = null;
+  const timer = setInterval(() => {
+    if (lastJob && (lastJob.status === "queued" || lastJob.status === "running")) {
+      console.log(`⏭️ Tier recalculation ${lastJob.id} still ${lastJob.status}; skipping this tick`);
+      return;
+    }
+    lastJob = enqueueJob("tier-recalculation", recalculateTiers, {
+      query: TIER_RECALC_QUERY ? { query: TIER_RECALC_QUERY } : {},
+    });
+    console.log(`⏰ Queued scheduled tier recalculation (job ${lastJob.id})`);
+  }, TIER_RECALC_INTERVAL_HOURS * 60 * 60 * 1000);
+
+  console.log(`⏰ Tier recalculation scheduled every ${TIER_RECALC_INTERVAL_HOURS}h`);
+  return timer;
+}
@@ -0,0 +1,314 @@
+// tiers.js
+// B2B tier rules, read from tiers.json (or TIER_CONFIG_PATH) on every call so
+// marketing can change thresholds without a deploy.
+//
+// tiers.json:
+//   metric        "order_count" | "spend" (sum of current order totals, shop currency)
+//   window        { "type": "calendar_year" } | { "type": "rolling", "months": 12 }
+//   qualifying    which orders count: fulfillmentStatuses, requireClosed, excludeCancelled, excludeTags
+//   tiers         [{ "name", "min" }] – a company gets the highest tier whose min it reaches
+//   output        how the tier is written:
+//                   customerTag      { enabled, prefix }            → "<prefix><tier>" on every contact
+//                   companyMetafield { enabled, namespace, key, type }
+//                   catalog          { enabled, catalogs: { "<tier>": "<catalog title or GID>" } }
+
+import fs from "fs";
+import path from "path";
+import { graphqlRequest } from "./shopifyClient.js";
+
+/**
+ * CONFIG
+ */
+const TIER_CONFIG_PATH = path.resolve(process.env.TIER_CONFIG_PATH || "./tiers.json");
+
+// Used when there is no config file; matches the rules the sync always had
+const DEFAULT_TIER_CONFIG = {
+  metric: "order_count",
+  window: { type: "calendar_year" },
+  qualifying: {
+    fulfillmentStatuses: ["FULFILLED"],
+    requireClosed: true,
+    excludeCancelled: true,
+    excludeTags: ["tier_exclude"],
+  },
+  tiers: [
+    { name: "Platinum", min: 26 },
+    { name: "Gold", min: 11 },
+    { name: "Silver", min: 6 },
+    { name: "Bronze", min: 0 },
+  ],
+  output: {
+    customerTag: { enabled: true, prefix: "Tier_" },
+    companyMetafield: { enabled: true, namespace: "custom", key: "level", type: "single_line_text_field" },
+    catalog: { enabled: false, catalogs: {} },
+  },
+};
+
+const METRICS = new Set(["order_count", "spend"]);
+const WINDOW_TYPES = new Set(["calendar_year", "rolling"]);
+
+const QUERY_COMPANY_ORDERS = `
+  query CompanyTierOrders($id: ID!, $cursor: String) {
+    company(id: $id) {
+      orders(first: 250, after: $cursor, sortKey: CREATED_AT, reverse: true) {
+        nodes {
+          id
+          createdAt
+          displayFulfillmentStatus
+          cancelledAt
+          closedAt
+          tags
+          currentTotalPriceSet { shopMoney { amount } }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const QUERY_CATALOGS = `
+  query CompanyLocationCatalogs($cursor: String) {
+    catalogs(first: 250, after: $cursor, type: COMPANY_LOCATION) {
+      nodes {
+        id
+        title
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const MUTATION_CATALOG_CONTEXT_UPDATE = `
+  mutation CatalogContextUpdate($catalogId: ID!, $contextsToAdd: CatalogContextInput, $contextsToRemove: CatalogContextInput) {
+    catalogContextUpdate(catalogId: $catalogId, contextsToAdd: $contextsToAdd, contextsToRemove: $contextsToRemove) {
+      catalog { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Read and validate the tier config. Missing sections fall back to the defaults.
+ */
+export function loadTierConfig(filePath = TIER_CONFIG_PATH) {
+  let fileConfig = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid tier config ${filePath}: ${err.message}`);
+    }
+    if (!fileConfig || typeof fileConfig !== "object" || Array.isArray(fileConfig)) {
+      throw new Error(`Invalid tier config ${filePath}: expected a JSON object`);
+    }
+  }
+
+  const config = {
+    ...DEFAULT_TIER_CONFIG,
+    ...fileConfig,
+    window: { ...DEFAULT_TIER_CONFIG.window, ...fileConfig.window },
+    qualifying: { ...DEFAULT_TIER_CONFIG.qualifying, ...fileConfig.qualifying },
+    output: {
+      customerTag: { ...DEFAULT_TIER_CONFIG.output.customerTag, ...fileConfig.output?.customerTag },
+      companyMetafield: { ...DEFAULT_TIER_CONFIG.output.companyMetafield, ...fileConfig.output?.companyMetafield },
+      catalog: { ...DEFAULT_TIER_CONFIG.output.catalog, ...fileConfig.output?.catalog },
+    },
+  };
+
+  if (!METRICS.has(config.metric)) {
+    throw new Error(`Tier config: metric must be one of ${[...METRICS].join(", ")} (got "${config.metric}")`);
+  }
+  if (!WINDOW_TYPES.has(config.window.type)) {
+    throw new Error(`Tier config: window.type must be one of ${[...WINDOW_TYPES].join(", ")} (got "${config.window.type}")`);
+  }
+  if (config.window.type === "rolling" && !(Number(config.window.months) > 0)) {
+    throw new Error("Tier config: a rolling window needs months > 0");
+  }
+  if (!Array.isArray(config.tiers) || !config.tiers.length) {
+    throw new Error("Tier config: tiers must be a non-empty array");
+  }
+  for (const tier of config.tiers) {
+    // Number("") and Number(null) are 0, so a blank min would silently become a floor tier
+    if (!tier?.name || tier.min === null || String(tier.min).trim() === "" || !Number.isFinite(Number(tier.min))) {
+      throw new Error(`Tier config: every tier needs a name and a numeric min (${JSON.stringify(tier)})`);
+    }
+  }
+
+  // Highest threshold first, so the first match wins
+  config.tiers = [...config.tiers]
+    .map((t) => ({ name: String(t.name), min: Number(t.min) }))
+    .sort((a, b) => b.min - a.min);
+
+  return config;
+}
+
+/**
+ * Start of the qualifying window for the config (now = end of window)
+ */
+function windowStart(config, now = new Date()) {
+  if (config.window.type === "rolling") {
+    const start = new Date(now);
+    start.setMonth(start.getMonth() - Number(config.window.months));
+    return start;
+  }
+  return new Date(now.getFullYear(), 0, 1);
+}
+
+function orderQualifies(order, config) {
+  const rules = config.qualifying;
+
+  if (rules.fulfillmentStatuses?.length && !rules.fulfillmentStatuses.includes(order.displayFulfillmentStatus)) {
+    return false;
+  }
+  if (rules.excludeCancelled && order.cancelledAt !== null) return false;
+  if (rules.requireClosed && order.closedAt === null) return false;
+
+  const tags = Array.isArray(order.tags) ? order.tags : [];
+  if ((rules.excludeTags || []).some((tag) => tags.includes(tag))) return false;
+
+  return true;
+}
+
+/**
+ * Order count or spend of a company's qualifying orders inside the window.
+ * Works against either store, so the scheduled recalculation can use TARGET's own orders.
+ */
+export async function fetchCompanyTierMetric(endpoint, token, companyGid, config, label = "CompanyTierOrders") {
+  const since = windowStart(config);
+  let value = 0;
+  let cursor = null;
+
+  while (true) {
+    const data = await graphqlRequest(endpoint, token, QUERY_COMPANY_ORDERS, { id: companyGid, cursor }, label);
+
+    const ordersConn = data?.company?.orders;
+    if (!ordersConn) break;
+
+    let reachedWindowStart = false;
+    for (const order of ordersConn.nodes) {
+      // Newest first: everything after this is older than the window
+      if (new Date(order.createdAt) < since) {
+        reachedWindowStart = true;
+        break;
+      }
+      if (!orderQualifies(order, config)) continue;
+
+      value += config.metric === "spend" ? Number(order.currentTotalPriceSet?.shopMoney?.amount || 0) : 1;
+    }
+
+    if (reachedWindowStart || !ordersConn.pageInfo.hasNextPage) break;
+    cursor = ordersConn.pageInfo.endCursor;
+  }
+
+  return config.metric === "spend" ? Math.round(value * 100) / 100 : value;
+}
+
+/**
+ * Highest tier whose min the value reaches (null if it reaches none)
+ */
+export function resolveTier(value, config) {
+  return config.tiers.find((t) => value >= t.min)?.name || null;
+}
+
+/**
+ * Customer tags with the tier tag for `tier` and without any other tier's tag
+ */
+export function applyTierTag(tags, tier, config) {
+  const { enabled, prefix } = config.output.customerTag;
+  if (!enabled) return tags;
+
+  const tierTags = new Set(config.tiers.map((t) => `${prefix}${t.name}`));
+  const next = (tags || []).filter((tag) => !tierTags.has(tag));
+  if (tier) next.push(`${prefix}${tier}`);
+  return next;
+}
+
+/**
+ * metafieldsSet inputs that store the tier on the company ([] when disabled)
+ */
+export function tierMetafields(ownerId, tier, config) {
+  const { enabled, namespace, key, type } = config.output.companyMetafield;
+  if (!enabled || !tier) return [];
+  return [{ ownerId, namespace, key, type, value: tier }];
+}
+
+async function loadCatalogIds(endpoint, token) {
+  const byTitle = new Map();
+  let cursor = null;
+  while (true) {
+    const data = await graphqlRequest(endpoint, token, QUERY_CATALOGS, { cursor }, "CompanyLocationCatalogs");
+    for (const c of data?.catalogs?.nodes || []) byTitle.set(c.title, c.id);
+    if (!data?.catalogs?.pageInfo?.hasNextPage) break;
+    cursor = data.catalogs.pageInfo.endCursor;
+  }
+  return byTitle;
+}
+
+/**
+ * Tier catalog title → id for one run. The catalog list is read once, on first use, so
+ * catalogs created before the run (e.g. by /catalogs) are found, and a title missing on
+ * TARGET costs one listing per run instead of one per company.
+ */
+export function createTierCatalogLookup(endpoint, token) {
+  let byTitle = null;
+  const reportedMissing = new Set();
+
+  return {
+    async find(titleOrGid, tierName) {
+      if (String(titleOrGid).startsWith("gid://")) return titleOrGid;
+
+      byTitle ??= await loadCatalogIds(endpoint, token);
+      const id = byTitle.get(titleOrGid) || null;
+      if (!id && !reportedMissing.has(titleOrGid)) {
+        reportedMissing.add(titleOrGid);
+        console.warn(`⚠️ Tier catalog "${titleOrGid}" (${tierName}) not found; skipping it this run`);
+      }
+      return id;
+    },
+  };
+}
+
+/**
+ * Put the company locations in the tier's catalog and take them out of the other tier catalogs.
+ * Pass the run's createTierCatalogLookup() when assigning for many companies.
+ */
+export async function assignTierCatalog(
+  endpoint,
+  token,
+  companyLocationIds,
+  tier,
+  config,
+  catalogLookup = createTierCatalogLookup(endpoint, token)
+) {
+  const { enabled, catalogs } = config.output.catalog;
+  if (!enabled || !companyLocationIds.length) return;
+
+  for (const [tierName, catalogRef] of Object.entries(catalogs || {})) {
+    const catalogId = await catalogLookup.find(catalogRef, tierName);
+    if (!catalogId) continue;
+
+    const contexts = { companyLocationIds };
+    const isTierCatalog = tierName === tier;
+    const data = await graphqlRequest(
+      endpoint,
+      token,
+      MUTATION_CATALOG_CONTEXT_UPDATE,
+      isTierCatalog ? { catalogId, contextsToAdd: contexts } : { catalogId, contextsToRemove: contexts },
+      "catalogContextUpdate"
+    );
+
+    const errors = data?.catalogContextUpdate?.userErrors || [];
+    // Removing a location that isn't in the catalog is reported as an error; only adds matter
+    if (errors.length && isTierCatalog) {
+      console.error(`⚠️ catalogContextUpdate userErrors (${catalogRef}): ${JSON.stringify(errors)}`);
+    } else if (isTierCatalog) {
+      console.log(`📚 Assigned ${companyLocationIds.length} location(s) to tier catalog "${catalogRef}"`);
+    }
+  }
+}
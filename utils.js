@@ -25,12 +25,7 @@ export function sanitizeMetafieldsForShopify({
       continue;
     }
 
-    // if (isReferenceMetafieldType(mf.type)) {
-    //   console.log(
-    //     `ℹ️ [${ownerLabel}] Skipping reference metafield → ${entityLabel} :: ${mf.namespace}.${mf.key} [${mf.type}]`
-    //   );
-    //   continue;
-    // }
+    // Reference values are kept as-is here; referenceResolver.js maps them to TARGET GIDs
 
     safe.push(mf);
   }
@@ -0,0 +1,99 @@
+// watermark.js
+// "Last synced" watermarks for the store-to-store scripts.
+// One small JSON file per (source shop, target shop, entity type) under ./watermarks.
+// A run only asks SOURCE for records with updated_at after the stored watermark
+// and, when it finishes cleanly, moves the watermark to the time the run started
+// (so anything edited while the run was going is picked up next time).
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * CONFIG
+ */
+const WATERMARK_DIR = path.resolve(process.env.WATERMARK_DIR || "./watermarks");
+
+function safeFileSegment(value) {
+  return String(value || "unknown").replace(/[^a-zA-Z0-9._-]+/g, "_");
+}
+
+/**
+ * Full pass requested? (`--full` on the command line or FULL_SYNC=true)
+ */
+export function isFullSync(argv = process.argv) {
+  if (argv.includes("--full")) return true;
+  return ["true", "1", "yes", "y"].includes(String(process.env.FULL_SYNC ?? "").trim().toLowerCase());
+}
+
+/**
+ * Open the watermark for an entity type.
+ *
+ * @param {string} entity   e.g. "products", "collections"
+ * @param {object} [opts]
+ * @param {string} [opts.sourceShop]  defaults to SOURCE_SHOP
+ * @param {string} [opts.targetShop]  defaults to TARGET_SHOP
+ * @param {boolean} [opts.full]       ignore the stored watermark for this run
+ */
+export function openWatermark(
+  entity,
+  { sourceShop = process.env.SOURCE_SHOP, targetShop = process.env.TARGET_SHOP, full = isFullSync() } = {}
+) {
+  const file = path.join(
+    WATERMARK_DIR,
+    `${safeFileSegment(sourceShop)}__${safeFileSegment(targetShop)}__${safeFileSegment(entity)}.json`
+  );
+
+  let saved = null;
+  if (fs.existsSync(file)) {
+    try {
+      saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.warn(`⚠️ Unreadable watermark ${path.basename(file)} (${err.message}); doing a full pass`);
+    }
+  }
+
+  const startedAt = new Date().toISOString();
+  const since = full ? null : saved?.syncedAt || null;
+
+  if (since) {
+    console.log(`🕒 ${entity}: delta sync, records updated after ${since}`);
+  } else {
+    console.log(`🕒 ${entity}: full sync${full && saved?.syncedAt ? " (requested)" : ""}`);
+  }
+
+  return {
+    file,
+    since,
+    startedAt,
+
+    /**
+     * Add the updated_at filter to a Shopify search query (null stays null on a full pass).
+     */
+    applyToQuery(baseQuery = null) {
+      if (!since) return baseQuery || null;
+      const filter = `updated_at:>'${since}'`;
+      return baseQuery ? `(${baseQuery}) AND ${filter}` : filter;
+    },
+
+    /**
+     * Move the watermark to this run's start time. Only call after a clean pass,
+     * otherwise records that failed would never be fetched again.
+     */
+    commit(extra = {}) {
+      if (!fs.existsSync(WATERMARK_DIR)) fs.mkdirSync(WATERMARK_DIR, { recursive: true });
+
+      const entry = {
+        entity,
+        sourceShop,
+        targetShop,
+        syncedAt: startedAt,
+        previous: saved?.syncedAt || null,
+        ...extra,
+        at: new Date().toISOString(),
+      };
+      fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+      console.log(`🕒 ${entity}: watermark moved to ${startedAt}`);
+      return entry;
+    },
+  };
+}
@@ -0,0 +1,184 @@
+// webhooks.js
+// Receiver for SOURCE store webhooks, for near-real-time SOURCE → TARGET replication.
+// Each delivery is HMAC-checked against req.rawBody, acknowledged right away and queued.
+// The queue replays one change at a time: it re-reads the record from SOURCE and runs
+// the same upsert the store-to-store scripts use, so only the latest state is written.
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * CONFIG
+ */
+const SOURCE_SHOP = process.env.SOURCE_SHOP;
+
+// Secret Shopify signs SOURCE webhooks with (the app's client secret)
+const WEBHOOK_SECRET = process.env.SOURCE_WEBHOOK_SECRET || null;
+
+// Pause between replays so a burst of deliveries doesn't drain TARGET's rate limit
+const WEBHOOK_REPLAY_INTERVAL_MS = Number(process.env.WEBHOOK_REPLAY_INTERVAL_MS || 500);
+
+// How many delivery ids to remember for deduplication (in memory; a restart forgets them)
+const WEBHOOK_DEDUPE_SIZE = Number(process.env.WEBHOOK_DEDUPE_SIZE || 5000);
+
+// Topic → resource type + replay. The sync modules are loaded on first use because they
+// exit the process at import time when SOURCE_* / TARGET_* env vars are missing.
+const WEBHOOK_TOPICS = {
+  "products/update": {
+    resource: "Product",
+    replay: async (gid) => (await import("./syncProductsShopifyToShopify.js")).syncSourceProductById(gid),
+  },
+  "customers/update": {
+    resource: "Customer",
+    replay: async (gid) => (await import("./syncCustomersShopifyToShopify.js")).syncSourceCustomerById(gid),
+  },
+  "collections/update": {
+    resource: "Collection",
+    replay: async (gid) => (await import("./collectionSync.js")).syncSourceCollectionById(gid),
+  },
+  "companies/update": {
+    resource: "Company",
+    replay: async (gid) => (await import("./companyAndCustomerSync.js")).syncSingleCompany(gid),
+  },
+};
+
+const seenWebhookIds = new Map(); // webhookId → receivedAt, oldest first
+const pending = new Map(); // "topic|gid" → queued item, in arrival order
+const recentFailures = [];
+const stats = {
+  received: 0,
+  rejected: 0,
+  duplicates: 0,
+  coalesced: 0,
+  replayed: 0,
+  failed: 0,
+};
+let draining = false;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Shopify sends base64(HMAC-SHA256(raw body, secret)) in X-Shopify-Hmac-Sha256.
+ */
+export function verifyWebhookHmac(rawBody, hmacHeader, secret = WEBHOOK_SECRET) {
+  if (!secret || !rawBody || !hmacHeader) return false;
+
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), "base64");
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function rememberWebhookId(webhookId) {
+  seenWebhookIds.set(webhookId, new Date().toISOString());
+
+  while (seenWebhookIds.size > WEBHOOK_DEDUPE_SIZE) {
+    seenWebhookIds.delete(seenWebhookIds.keys().next().value);
+  }
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    while (pending.size) {
+      const [key, item] = pending.entries().next().value;
+      // Removed before the replay, so an update arriving meanwhile is queued again
+      pending.delete(key);
+
+      console.log(`🪝 Replaying ${item.topic} ${item.gid} (webhook ${item.webhookId || "n/a"})`);
+      try {
+        await WEBHOOK_TOPICS[item.topic].replay(item.gid);
+        stats.replayed++;
+        console.log(`🪝 ✅ Replayed ${item.topic} ${item.gid}`);
+      } catch (err) {
+        stats.failed++;
+        recentFailures.push({ ...item, error: err?.message || String(err), failedAt: new Date().toISOString() });
+        if (recentFailures.length > 50) recentFailures.shift();
+        console.error(`🪝 ❌ Replay failed for ${item.topic} ${item.gid}: ${err?.message || err}`);
+      }
+
+      await delay(WEBHOOK_REPLAY_INTERVAL_MS);
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Express handler factory: POST /webhooks/<topic>
+ */
+export function receiveWebhook(topic) {
+  const config = WEBHOOK_TOPICS[topic];
+  if (!config) throw new Error(`Unsupported webhook topic "${topic}"`);
+
+  return (req, res) => {
+    if (!WEBHOOK_SECRET || !SOURCE_SHOP) {
+      return res.status(500).json({ ok: false, error: "SOURCE_WEBHOOK_SECRET / SOURCE_SHOP are not configured" });
+    }
+
+    if (!verifyWebhookHmac(req.rawBody, req.get("x-shopify-hmac-sha256"))) {
+      stats.rejected++;
+      console.warn(`🪝 ⚠️ Rejected ${topic} webhook with invalid HMAC`);
+      return res.status(401).json({ ok: false, error: "Invalid webhook signature" });
+    }
+
+    const shopDomain = req.get("x-shopify-shop-domain");
+    if (shopDomain && shopDomain !== SOURCE_SHOP) {
+      stats.rejected++;
+      return res.status(403).json({ ok: false, error: `Webhook from ${shopDomain}, expected ${SOURCE_SHOP}` });
+    }
+
+    const headerTopic = req.get("x-shopify-topic");
+    if (headerTopic && headerTopic !== topic) {
+      stats.rejected++;
+      return res.status(400).json({ ok: false, error: `Topic ${headerTopic} sent to the ${topic} route` });
+    }
+
+    stats.received++;
+
+    const webhookId = req.get("x-shopify-webhook-id") || null;
+    if (webhookId && seenWebhookIds.has(webhookId)) {
+      stats.duplicates++;
+      return res.status(200).json({ ok: true, duplicate: true });
+    }
+    if (webhookId) rememberWebhookId(webhookId);
+
+    const gid =
+      req.body?.admin_graphql_api_id ||
+      (req.body?.id ? `gid://shopify/${config.resource}/${req.body.id}` : null);
+    if (!gid) {
+      return res.status(400).json({ ok: false, error: "Webhook payload has no id" });
+    }
+
+    // The replay reads the current SOURCE state, so one queued replay per record is enough
+    const key = `${topic}|${gid}`;
+    const alreadyQueued = pending.has(key);
+    if (alreadyQueued) {
+      stats.coalesced++;
+    } else {
+      pending.set(key, { topic, gid, webhookId, receivedAt: new Date().toISOString() });
+    }
+
+    // Shopify wants a 2xx within seconds; the replay happens after responding
+    res.status(200).json({ ok: true, queued: !alreadyQueued });
+    drainQueue();
+  };
+}
+
+/**
+ * Express handler: GET /webhooks/status
+ */
+export function getWebhookStatus(req, res) {
+  return res.json({
+    ok: true,
+    topics: Object.keys(WEBHOOK_TOPICS),
+    draining,
+    pending: [...pending.values()],
+    stats,
+    recentFailures,
+  });
+}